@@ -10,27 +10,46 @@ import InstanceDetails from './pages/InstanceDetails';
 import OllamaManager from './pages/OllamaManager';
 import OllamaDetails from './pages/OllamaDetails';
 import Settings from './pages/Settings';
+import ApiKeys from './pages/ApiKeys';
+import Users from './pages/Users';
+import Login from './pages/Login';
 import Test from './pages/Test';
+import Usage from './pages/Usage';
+import Templates from './pages/Templates';
 import './index.css';
 
 function App() {
   return (
     <Router>
       <div className="min-h-screen bg-gray-50">
-        <Header />
-        <main className="container mx-auto px-4 py-8">
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/search" element={<ModelSearch />} />
-            <Route path="/create" element={<CreateInstance />} />
-            <Route path="/edit/:id" element={<EditInstance />} />
-            <Route path="/ollama" element={<OllamaManager />} />
-            <Route path="/ollama/:id" element={<OllamaDetails />} />
-            <Route path="/test" element={<Test />} />
-            <Route path="/settings" element={<Settings />} />
-            <Route path="/instance/:id" element={<InstanceDetails />} />
-          </Routes>
-        </main>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route
+            path="*"
+            element={
+              <>
+                <Header />
+                <main className="container mx-auto px-4 py-8">
+                  <Routes>
+                    <Route path="/" element={<Dashboard />} />
+                    <Route path="/search" element={<ModelSearch />} />
+                    <Route path="/create" element={<CreateInstance />} />
+                    <Route path="/edit/:id" element={<EditInstance />} />
+                    <Route path="/templates" element={<Templates />} />
+                    <Route path="/ollama" element={<OllamaManager />} />
+                    <Route path="/ollama/:id" element={<OllamaDetails />} />
+                    <Route path="/test" element={<Test />} />
+                    <Route path="/usage" element={<Usage />} />
+                    <Route path="/api-keys" element={<ApiKeys />} />
+                    <Route path="/users" element={<Users />} />
+                    <Route path="/settings" element={<Settings />} />
+                    <Route path="/instance/:id" element={<InstanceDetails />} />
+                  </Routes>
+                </main>
+              </>
+            }
+          />
+        </Routes>
         <Toaster
           position="top-right"
           toastOptions={{
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { Layers, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { containerApi } from '../services/api';
+
+const EMPTY_ADAPTER = { name: '', source: '', rank: 16 };
+
+/**
+ * LoRA adapters of a vLLM instance. Ready instances load and unload adapters
+ * right away; others pick them up when their container is next created.
+ * Each adapter is served as a model named after it.
+ */
+const AdapterPanel = ({ instanceId, status }) => {
+  const [lora, setLora] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [adapter, setAdapter] = useState(EMPTY_ADAPTER);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAdapters = async () => {
+    try {
+      setLoading(true);
+      const response = await containerApi.getAdapters(instanceId);
+      setLora(response.data);
+    } catch (error) {
+      console.error('Error fetching adapters:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A restarted instance reloads its adapters once it is ready
+  useEffect(() => {
+    fetchAdapters();
+  }, [instanceId, status]);
+
+  const addAdapter = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await containerApi.addAdapter(instanceId, { ...adapter, rank: parseInt(adapter.rank, 10) });
+      toast.success(`Adapter ${adapter.name} added`);
+      setAdapter(EMPTY_ADAPTER);
+      setAdding(false);
+      fetchAdapters();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add adapter');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeAdapter = async (name) => {
+    if (!window.confirm(`Remove adapter ${name}?`)) {
+      return;
+    }
+    try {
+      await containerApi.removeAdapter(instanceId, name);
+      toast.success(`Adapter ${name} removed`);
+      fetchAdapters();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove adapter');
+    }
+  };
+
+  if (!lora) {
+    return null;
+  }
+
+  const loadedLabel = (loaded) => {
+    if (loaded === null) return <span className="text-gray-500">{status === 'ready' ? 'Unknown' : 'On next start'}</span>;
+    return loaded ? <span className="text-green-600">Loaded</span> : <span className="text-yellow-600">Not loaded</span>;
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Layers className="w-5 h-5 mr-2" />
+          LoRA Adapters
+        </h3>
+        <div className="flex items-center space-x-2">
+          <button onClick={fetchAdapters} disabled={loading} className="btn btn-secondary btn-sm">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          {lora.enableLora && !adding && (
+            <button onClick={() => setAdding(true)} className="btn btn-secondary btn-sm">
+              <Plus className="w-4 h-4 mr-2" />
+              Add Adapter
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!lora.enableLora ? (
+        <p className="text-sm text-gray-600">LoRA is not enabled for this instance. Enable it when editing the instance to serve adapters.</p>
+      ) : lora.adapters.length === 0 ? (
+        <p className="text-sm text-gray-600">No adapters yet. Adapters can use a rank of up to {lora.maxLoraRank}.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4 font-medium">Model Name</th>
+                <th className="py-2 pr-4 font-medium">Source</th>
+                <th className="py-2 pr-4 font-medium">Rank</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 font-medium" />
+              </tr>
+            </thead>
+            <tbody>
+              {lora.adapters.map(row => (
+                <tr key={row.name} className="border-b last:border-0">
+                  <td className="py-2 pr-4 font-mono">{row.name}</td>
+                  <td className="py-2 pr-4 font-mono text-gray-700 break-all">{row.source}</td>
+                  <td className="py-2 pr-4">{row.rank}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{loadedLabel(row.loaded)}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => removeAdapter(row.name)}
+                      className="btn btn-secondary btn-sm"
+                      title={`Remove ${row.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {adding && (
+        <form onSubmit={addAdapter} className="mt-4 pt-4 border-t space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={adapter.name}
+                onChange={(e) => setAdapter({ ...adapter, name: e.target.value })}
+                placeholder="sql-assistant"
+                className="input"
+                required
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+              <input
+                type="text"
+                value={adapter.source}
+                onChange={(e) => setAdapter({ ...adapter, source: e.target.value })}
+                placeholder="org/adapter or /path/in/lora-adapters"
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rank</label>
+              <input
+                type="number"
+                min="1"
+                max={lora.maxLoraRank}
+                value={adapter.rank}
+                onChange={(e) => setAdapter({ ...adapter, rank: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            A HuggingFace repository or a path inside the server's LoRA adapters directory. The rank may be at most {lora.maxLoraRank}.
+          </p>
+          <div className="flex space-x-2">
+            <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+              {saving ? 'Adding...' : 'Add Adapter'}
+            </button>
+            <button type="button" onClick={() => setAdding(false)} className="btn btn-secondary btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AdapterPanel;
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, X, Terminal } from 'lucide-react';
+import { containerApi } from '../services/api';
+
+// Default value of a flag when it is added
+const initialValue = (flag) => {
+  switch (flag.type) {
+    case 'boolean':
+      return true;
+    case 'enum':
+      return flag.values[0];
+    case 'list':
+      return [];
+    default:
+      return '';
+  }
+};
+
+// Further vLLM flags for an instance (extraArgs), limited to the server's schema.
+// The server validates ranges and combinations when the form is submitted.
+const ExtraArgsEditor = ({ value, onChange }) => {
+  const [schema, setSchema] = useState(null);
+  const [adding, setAdding] = useState('');
+
+  useEffect(() => {
+    containerApi.getExtraArgsSchema()
+      .then(response => setSchema(response.data))
+      .catch(error => console.error('Error loading vLLM flag schema:', error));
+  }, []);
+
+  if (!schema) {
+    return null;
+  }
+
+  const args = value || {};
+  const flags = new Map(schema.flags.map(flag => [flag.name, flag]));
+  const unused = schema.flags.filter(flag => !(flag.name in args));
+
+  const setArg = (name, argValue) => onChange({ ...args, [name]: argValue });
+
+  const removeArg = (name) => {
+    const { [name]: removed, ...rest } = args;
+    onChange(rest);
+  };
+
+  const addArg = (name) => {
+    if (name) {
+      setArg(name, initialValue(flags.get(name)));
+    }
+    setAdding('');
+  };
+
+  const renderInput = (name, flag) => {
+    const argValue = args[name];
+    switch (flag.type) {
+      case 'boolean':
+        return (
+          <input
+            type="checkbox"
+            checked={argValue === true}
+            onChange={(e) => setArg(name, e.target.checked)}
+            className="h-4 w-4"
+          />
+        );
+      case 'enum':
+        return (
+          <select value={argValue} onChange={(e) => setArg(name, e.target.value)} className="input">
+            {flag.values.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'integer':
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={argValue}
+            onChange={(e) => setArg(name, e.target.value)}
+            min={flag.min}
+            max={flag.max}
+            step={flag.type === 'integer' ? 1 : 'any'}
+            className="input"
+          />
+        );
+      case 'list':
+        return (
+          <input
+            type="text"
+            value={(argValue || []).join(', ')}
+            onChange={(e) => setArg(name, e.target.value.split(',').map(item => item.trim()).filter(Boolean))}
+            placeholder="name, other-name"
+            className="input"
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            value={argValue}
+            onChange={(e) => setArg(name, e.target.value)}
+            className="input"
+          />
+        );
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+        <Terminal className="w-4 h-4 mr-1" />
+        Extra vLLM Arguments
+      </label>
+      <div className="space-y-3">
+        {Object.keys(args).filter(name => flags.has(name)).map(name => {
+          const flag = flags.get(name);
+          return (
+            <div key={name} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+              <code className="text-sm text-gray-800">--{name}</code>
+              <div className="md:col-span-2 flex items-center space-x-2">
+                <div className="flex-1">{renderInput(name, flag)}</div>
+                <button
+                  type="button"
+                  onClick={() => removeArg(name)}
+                  className="btn btn-secondary btn-sm"
+                  title={`Remove --${name}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 md:col-span-3">{flag.description}</p>
+            </div>
+          );
+        })}
+        {unused.length > 0 && (
+          <div className="flex items-center space-x-2">
+            <select value={adding} onChange={(e) => setAdding(e.target.value)} className="input flex-1">
+              <option value="">Choose a flag...</option>
+              {unused.map(flag => (
+                <option key={flag.name} value={flag.name}>--{flag.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => addArg(adding)}
+              disabled={!adding}
+              className="btn btn-secondary btn-sm"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add
+            </button>
+          </div>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mt-1">
+        Flags of vLLM {schema.version} passed to the engine as they are. Flags with their own field above are set there.
+      </p>
+    </div>
+  );
+};
+
+export default ExtraArgsEditor;
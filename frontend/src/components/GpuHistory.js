@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { gpuApi } from '../services/api';
+
+const RANGES = [
+  { label: '1h', seconds: 60 * 60 },
+  { label: '6h', seconds: 6 * 60 * 60 },
+  { label: '24h', seconds: 24 * 60 * 60 },
+  { label: '7d', seconds: 7 * 24 * 60 * 60 },
+];
+
+const REFRESH_MS = 60 * 1000;
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 60;
+
+// Charted readings; max gives the top of the y axis, defaulting to the highest value
+const METRICS = [
+  { name: 'utilization', label: 'Utilization', unit: '%', color: '#2563eb', value: (s) => s.utilization, max: () => 100 },
+  {
+    name: 'memory',
+    label: 'Memory',
+    unit: 'GB',
+    color: '#7c3aed',
+    value: (s) => (s.memoryUsed === null ? null : s.memoryUsed / 1024),
+    max: (samples) => Math.max(...samples.map((s) => s.memoryTotal || 0)) / 1024,
+  },
+  { name: 'temperature', label: 'Temperature', unit: '°C', color: '#ea580c', value: (s) => s.temperature },
+  {
+    name: 'power',
+    label: 'Power',
+    unit: 'W',
+    color: '#16a34a',
+    value: (s) => s.powerDraw,
+    max: (samples) => Math.max(...samples.map((s) => s.powerLimit || 0)),
+  },
+];
+
+const formatValue = (value, unit) => {
+  if (value === null || value === undefined) return '–';
+  return `${value >= 100 ? Math.round(value) : value.toFixed(1)}${unit === '%' || unit === '°C' ? '' : ' '}${unit}`;
+};
+
+/**
+ * Line chart of one reading over [from, to]. Gaps longer than two sample
+ * intervals, e.g. while the server was down, break the line.
+ */
+const TimeSeriesChart = ({ metric, samples, from, to, resolutionSeconds }) => {
+  const points = samples
+    .map((s) => ({ time: Date.parse(s.at), value: metric.value(s) }))
+    .filter((point) => point.value !== null && point.value !== undefined);
+
+  const latest = points.length > 0 ? points[points.length - 1].value : null;
+  const peak = points.length > 0 ? Math.max(...points.map((point) => point.value)) : null;
+  const top = Math.max((metric.max && metric.max(samples)) || 0, peak || 0, 1);
+
+  const segments = [];
+  points.forEach((point, index) => {
+    if (index === 0 || point.time - points[index - 1].time > 2 * resolutionSeconds * 1000) {
+      segments.push([]);
+    }
+    const x = ((point.time - from) / (to - from)) * CHART_WIDTH;
+    const y = CHART_HEIGHT - (point.value / top) * CHART_HEIGHT;
+    segments[segments.length - 1].push(`${x.toFixed(1)},${y.toFixed(1)}`);
+  });
+
+  return (
+    <div className="border rounded p-2 bg-white">
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-gray-600">{metric.label}</span>
+        <span className="text-gray-900 font-medium">
+          {formatValue(latest, metric.unit)}
+          {peak !== null && <span className="text-gray-500 font-normal"> (peak {formatValue(peak, metric.unit)})</span>}
+        </span>
+      </div>
+      {points.length > 0 ? (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-12">
+          {segments.map((segment, index) => (
+            <polyline
+              key={index}
+              points={segment.join(' ')}
+              fill="none"
+              stroke={metric.color}
+              strokeWidth="1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+      ) : (
+        <div className="h-12 flex items-center justify-center text-xs text-gray-400">Not reported</div>
+      )}
+    </div>
+  );
+};
+
+// Sampled utilization, memory, temperature and power of each GPU over a selectable range
+const GpuHistory = () => {
+  const [range, setRange] = useState(RANGES[0]);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const to = new Date();
+      const from = new Date(to.getTime() - range.seconds * 1000);
+      const response = await gpuApi.getHistory({ from: from.toISOString(), to: to.toISOString() });
+      setHistory(response.data);
+    } catch (error) {
+      console.error('Error fetching GPU history:', error);
+      // GPU history is optional, so don't show error toast
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+    const timer = setInterval(fetchHistory, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [range]);
+
+  const from = history ? Date.parse(history.from) : 0;
+  const to = history ? Date.parse(history.to) : 0;
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">GPU History</h3>
+        <div className="flex items-center space-x-1">
+          {RANGES.map((option) => (
+            <button
+              key={option.label}
+              onClick={() => setRange(option)}
+              className={`text-xs px-2 py-1 rounded ${
+                option.label === range.label ? 'bg-blue-100 text-blue-800' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button onClick={fetchHistory} className="p-1 text-gray-500 hover:text-gray-700" title="Refresh">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {history && history.gpus.length === 0 && (
+        <p className="text-sm text-gray-500">No GPU samples were recorded in this range.</p>
+      )}
+
+      {history && history.gpus.map((gpu) => (
+        <div key={gpu.id} className="mb-3">
+          <p className="text-sm font-medium text-gray-700 mb-1">GPU {gpu.id}</p>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-2">
+            {METRICS.map((metric) => (
+              <TimeSeriesChart
+                key={metric.name}
+                metric={metric}
+                samples={gpu.samples}
+                from={from}
+                to={to}
+                resolutionSeconds={history.resolutionSeconds}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GpuHistory;
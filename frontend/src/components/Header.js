@@ -1,9 +1,46 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Server, Search, Plus, Home, Settings, MessageSquare, Package } from 'lucide-react';
+import { Server, Search, Plus, Home, Settings, MessageSquare, Package, Key, Users, LogOut, BarChart3, Layers } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authApi } from '../services/api';
+import useServerEvents from '../hooks/useServerEvents';
 
 const Header = () => {
   const location = useLocation();
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authEnabled, setAuthEnabled] = useState(false);
+
+  useEffect(() => {
+    authApi.me()
+      .then(response => {
+        setCurrentUser(response.data.user);
+        setAuthEnabled(response.data.authEnabled);
+      })
+      .catch(error => console.error('Error fetching current user:', error));
+  }, []);
+
+  // Health alerts are shown on every page
+  useServerEvents({
+    'health-alert': (alert) => {
+      const text = `${alert.name}: ${alert.message}`;
+      if (alert.kind === 'recovered') {
+        toast.success(text);
+      } else {
+        toast.error(text, { duration: 8000 });
+      }
+    },
+  });
+
+  const isAdmin = currentUser?.role === 'admin';
+  const isOperator = isAdmin || currentUser?.role === 'operator';
+
+  const handleLogout = async () => {
+    try {
+      await authApi.logout();
+    } finally {
+      window.location.assign('/login');
+    }
+  };
 
   const isActive = (path) => {
     return location.pathname === path;
@@ -56,6 +93,18 @@ const Header = () => {
                 <span>Create Instance</span>
               </Link>
               
+              <Link
+                to="/templates"
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/templates') 
+                    ? 'text-primary-600 bg-primary-50' 
+                    : 'text-gray-600 hover:text-primary-600 hover:bg-gray-50'
+                }`}
+              >
+                <Layers className="w-4 h-4" />
+                <span>Templates</span>
+              </Link>
+              
               <Link
                 to="/ollama"
                 className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -79,7 +128,49 @@ const Header = () => {
                 <MessageSquare className="w-4 h-4" />
                 <span>Test Models</span>
               </Link>
+
+              {isOperator && (
+                <Link
+                  to="/usage"
+                  className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                    isActive('/usage') 
+                      ? 'text-primary-600 bg-primary-50' 
+                      : 'text-gray-600 hover:text-primary-600 hover:bg-gray-50'
+                  }`}
+                >
+                  <BarChart3 className="w-4 h-4" />
+                  <span>Usage</span>
+                </Link>
+              )}
               
+              {isAdmin && (
+                <>
+                  <Link
+                    to="/api-keys"
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                      isActive('/api-keys') 
+                        ? 'text-primary-600 bg-primary-50' 
+                        : 'text-gray-600 hover:text-primary-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    <Key className="w-4 h-4" />
+                    <span>API Keys</span>
+                  </Link>
+
+                  <Link
+                    to="/users"
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                      isActive('/users') 
+                        ? 'text-primary-600 bg-primary-50' 
+                        : 'text-gray-600 hover:text-primary-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    <Users className="w-4 h-4" />
+                    <span>Users</span>
+                  </Link>
+                </>
+              )}
+
               <Link
                 to="/settings"
                 className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -93,6 +184,17 @@ const Header = () => {
               </Link>
             </nav>
           </div>
+
+          {authEnabled && currentUser && (
+            <div className="flex items-center space-x-3">
+              <span className="text-sm text-gray-600">
+                {currentUser.username} <span className="badge badge-info">{currentUser.role}</span>
+              </span>
+              <button onClick={handleLogout} className="btn btn-secondary btn-sm" title="Log out">
+                <LogOut className="w-4 h-4" />
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </header>
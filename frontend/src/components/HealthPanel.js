@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { Activity, RefreshCw, Settings } from 'lucide-react';
+import toast from 'react-hot-toast';
+import useServerEvents from '../hooks/useServerEvents';
+
+const NUMBER_FIELDS = [
+  { name: 'failureThreshold', label: 'Restart after failed checks' },
+  { name: 'maxRestarts', label: 'Max restarts per window' },
+  { name: 'restartWindowMinutes', label: 'Restart window (minutes)' },
+  { name: 'backoffSeconds', label: 'First back-off (seconds)' },
+];
+
+const ACTION_LABELS = {
+  restarted: 'Restarted',
+  'restart-failed': 'Restart failed',
+  'marked-failed': 'Marked failed',
+};
+
+/**
+ * Background health checks of an instance: recent results, the failure state
+ * and an editor for the instance's health policy.
+ * healthApi provides getHistory(params) and updatePolicy(policy).
+ */
+const HealthPanel = ({ instanceId, healthApi }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await healthApi.getHistory({ limit: 60 });
+      setHistory(response.data);
+    } catch (error) {
+      console.error('Error fetching health history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [instanceId]);
+
+  useServerEvents({
+    'health-alert': (alert) => {
+      if (alert.instanceId === instanceId) fetchHistory();
+    },
+  });
+
+  const startEditing = () => {
+    setPolicy({ ...history.policy });
+    setEditing(true);
+  };
+
+  const savePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await healthApi.updatePolicy(policy);
+      setHistory(prev => ({ ...prev, policy: response.data }));
+      setEditing(false);
+      toast.success('Health policy saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save health policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!history) {
+    return null;
+  }
+
+  const checks = [...history.checks].reverse();
+  const passed = checks.filter(check => check.healthy).length;
+  const lastFailure = history.checks.find(check => !check.healthy);
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Activity className="w-5 h-5 mr-2" />
+          Health Monitoring
+        </h3>
+        <div className="flex items-center space-x-2">
+          <button onClick={fetchHistory} disabled={loading} className="btn btn-secondary btn-sm">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          {!editing && (
+            <button onClick={startEditing} className="btn btn-secondary btn-sm">
+              <Settings className="w-4 h-4 mr-2" />
+              Policy
+            </button>
+          )}
+        </div>
+      </div>
+
+      {checks.length === 0 ? (
+        <p className="text-sm text-gray-600">No health checks recorded yet. Instances are checked while they are running.</p>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-end h-8 gap-px">
+            {checks.map((check, index) => (
+              <div
+                key={`${check.at}-${index}`}
+                title={`${check.at}: ${check.healthy ? `healthy (${check.latencyMs} ms)` : check.error}${check.action ? ` - ${ACTION_LABELS[check.action]}` : ''}`}
+                className={`flex-1 h-full rounded-sm ${check.action ? 'bg-yellow-500' : check.healthy ? 'bg-green-500' : 'bg-red-500'}`}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+            <span>{passed} of {checks.length} recent checks passed</span>
+            {history.consecutiveFailures > 0 && (
+              <span className="text-red-600">{history.consecutiveFailures} failing in a row</span>
+            )}
+            <span>{history.restartsInWindow} automatic restart(s) in the last {history.policy.restartWindowMinutes} minutes</span>
+            {history.nextRestartAt && (
+              <span>Next restart not before {new Date(history.nextRestartAt).toLocaleTimeString()}</span>
+            )}
+          </div>
+          {lastFailure && (
+            <p className="text-sm text-gray-600">
+              Last failure: <span className="text-gray-900">{lastFailure.error}</span> ({lastFailure.at})
+            </p>
+          )}
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={savePolicy} className="mt-4 pt-4 border-t space-y-4">
+          <div className="flex flex-wrap gap-6">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={policy.autoRestart}
+                onChange={(e) => setPolicy({ ...policy, autoRestart: e.target.checked })}
+                className="mr-2"
+              />
+              Restart automatically
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={policy.markFailed}
+                onChange={(e) => setPolicy({ ...policy, markFailed: e.target.checked })}
+                className="mr-2"
+              />
+              Mark failed and stop when restarts are used up
+            </label>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {NUMBER_FIELDS.map(field => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={policy[field.name]}
+                  onChange={(e) => setPolicy({ ...policy, [field.name]: parseInt(e.target.value, 10) || 0 })}
+                  className="input"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+              {saving ? 'Saving...' : 'Save Policy'}
+            </button>
+            <button type="button" onClick={() => setEditing(false)} className="btn btn-secondary btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="mt-4 text-xs text-gray-500">
+          {history.policy.autoRestart
+            ? `Restarts after ${history.policy.failureThreshold} failed checks, at most ${history.policy.maxRestarts} times per ${history.policy.restartWindowMinutes} minutes`
+            : `Alerts after ${history.policy.failureThreshold} failed checks without restarting`}
+          {history.policy.markFailed ? ', then marks the instance failed.' : '.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HealthPanel;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Badge styles and labels for the vLLM instance lifecycle states
+const STATUS_STYLES = {
+  pending: { className: 'badge-info', label: 'Pending' },
+  'pulling-image': { className: 'badge-info', label: 'Pulling image' },
+  'loading-model': { className: 'badge-info', label: 'Loading model' },
+  ready: { className: 'badge-success', label: 'Ready' },
+  unhealthy: { className: 'badge-warning', label: 'Unhealthy' },
+  stopping: { className: 'badge-warning', label: 'Stopping' },
+  stopped: { className: 'badge-warning', label: 'Stopped' },
+  failed: { className: 'badge-error', label: 'Failed' },
+};
+
+export const statusLabel = (status) => (STATUS_STYLES[status] ? STATUS_STYLES[status].label : status);
+
+const InstanceStatusBadge = ({ status, reason }) => {
+  const style = STATUS_STYLES[status] || { className: 'badge-info', label: status };
+
+  return (
+    <span className={`badge ${style.className}`} title={reason || undefined}>
+      {style.label}
+    </span>
+  );
+};
+
+export default InstanceStatusBadge;
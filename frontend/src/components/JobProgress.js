@@ -0,0 +1,174 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle, AlertCircle, Loader, Terminal } from 'lucide-react';
+import { jobsApi } from '../services/api';
+
+const STAGES = [
+  { id: 'placing', label: 'Choosing GPUs' },
+  { id: 'pulling-image', label: 'Pulling image' },
+  { id: 'creating-container', label: 'Creating container' },
+  { id: 'loading-model', label: 'Loading model' },
+];
+
+const MAX_LOG_LINES = 200;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB';
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1024 ** 2)} MB`;
+};
+
+// Follows an instance creation/recreation job over SSE
+const JobProgress = ({ jobId, instanceId, title, onFinished }) => {
+  const [stage, setStage] = useState('queued');
+  const [message, setMessage] = useState('Waiting to start');
+  const [layers, setLayers] = useState({});
+  const [logs, setLogs] = useState([]);
+  const [result, setResult] = useState(null);
+  const logRef = useRef(null);
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+
+  useEffect(() => {
+    const eventSource = new EventSource(jobsApi.eventsUrl(jobId));
+
+    const finish = (outcome) => {
+      eventSource.close();
+      setResult(outcome);
+      if (onFinishedRef.current) onFinishedRef.current(outcome);
+    };
+
+    eventSource.addEventListener('state', (e) => {
+      const job = JSON.parse(e.data);
+      setStage(job.stage);
+      setMessage(job.message);
+    });
+
+    eventSource.addEventListener('progress', (e) => {
+      const data = JSON.parse(e.data);
+      setStage(data.stage);
+      setMessage(data.message);
+      if (data.details && data.details.layer) {
+        setLayers(prev => ({
+          ...prev,
+          [data.details.layer]: {
+            status: data.details.status,
+            current: data.details.current ?? prev[data.details.layer]?.current,
+            total: data.details.total ?? prev[data.details.layer]?.total,
+          }
+        }));
+      }
+    });
+
+    eventSource.addEventListener('log', (e) => {
+      const { line } = JSON.parse(e.data);
+      setLogs(prev => [...prev.slice(-(MAX_LOG_LINES - 1)), line]);
+    });
+
+    eventSource.addEventListener('done', (e) => {
+      finish({ success: true, message: JSON.parse(e.data).message });
+    });
+
+    // Named 'error' events carry the job's error; plain connection errors have no data
+    eventSource.addEventListener('error', (e) => {
+      if (e.data) {
+        finish({ success: false, message: JSON.parse(e.data).error });
+      } else if (eventSource.readyState === EventSource.CLOSED) {
+        setResult({ success: false, message: 'Lost connection to the server' });
+      }
+    });
+
+    return () => eventSource.close();
+  }, [jobId]);
+
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [logs]);
+
+  // A queued instance waits for GPUs within the placing stage
+  const stageIndex = STAGES.findIndex(s => s.id === (stage === 'waiting-for-gpu' ? 'placing' : stage));
+  const layerList = Object.values(layers).filter(layer => layer.total);
+  const pulled = layerList.reduce((sum, layer) => sum + (layer.status === 'Pull complete' ? layer.total : layer.current || 0), 0);
+  const pullTotal = layerList.reduce((sum, layer) => sum + layer.total, 0);
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+        <p className="text-gray-600 mt-1">{result ? result.message : message}</p>
+      </div>
+
+      <ol className="space-y-3">
+        {STAGES.map((s, index) => {
+          let icon;
+          if (result?.success || index < stageIndex) {
+            icon = <CheckCircle className="w-5 h-5 text-green-600" />;
+          } else if (index === stageIndex && result) {
+            icon = <AlertCircle className="w-5 h-5 text-red-600" />;
+          } else if (index === stageIndex) {
+            icon = <Loader className="w-5 h-5 text-blue-600 animate-spin" />;
+          } else {
+            icon = <div className="w-5 h-5 rounded-full border-2 border-gray-300" />;
+          }
+
+          return (
+            <li key={s.id} className="flex items-center gap-3">
+              {icon}
+              <span className={index <= stageIndex || result?.success ? 'text-gray-900' : 'text-gray-400'}>
+                {s.label}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+
+      {stage === 'pulling-image' && !result && pullTotal > 0 && (
+        <div>
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>Downloading layers</span>
+            <span>{formatBytes(pulled)} / {formatBytes(pullTotal)}</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all"
+              style={{ width: `${Math.min(100, Math.round((pulled / pullTotal) * 100))}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {logs.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+            <Terminal className="w-4 h-4 mr-2" />
+            Container output
+          </h3>
+          <pre ref={logRef} className="bg-gray-900 text-gray-100 text-xs p-3 rounded-lg h-64 overflow-auto whitespace-pre-wrap">
+            {logs.join('\n')}
+          </pre>
+        </div>
+      )}
+
+      {result && (
+        <div className={`p-4 rounded-lg ${result.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {result.success ? 'The instance is ready to serve requests.' : 'The job failed. Check the container output above or the instance status history.'}
+        </div>
+      )}
+
+      {instanceId && (
+        <div className="flex gap-3">
+          <Link to={`/instance/${instanceId}`} className="btn btn-primary">
+            View Instance
+          </Link>
+          <Link to="/" className="btn btn-secondary">
+            Back to Dashboard
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobProgress;
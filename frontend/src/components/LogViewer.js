@@ -0,0 +1,207 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Terminal, RefreshCw, Download, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MAX_LINES = 2000;
+
+const SINCE_OPTIONS = [
+  { value: '', label: 'Last 500 lines' },
+  { value: '15m', label: 'Last 15 minutes' },
+  { value: '1h', label: 'Last hour' },
+  { value: '6h', label: 'Last 6 hours' },
+  { value: '24h', label: 'Last 24 hours' },
+];
+
+/**
+ * Container log panel with follow mode (SSE), stdout/stderr and time filters,
+ * server-side grep and a download of the full log.
+ * logsApi provides get(params), streamUrl(params) and downloadUrl(params).
+ */
+const LogViewer = ({ logsApi }) => {
+  const [lines, setLines] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [follow, setFollow] = useState(true);
+  const [stream, setStream] = useState('all');
+  const [since, setSince] = useState('');
+  const [grepInput, setGrepInput] = useState('');
+  const [grep, setGrep] = useState('');
+  const [regex, setRegex] = useState(false);
+  const [streamEnded, setStreamEnded] = useState(false);
+  const logRef = useRef(null);
+
+  const params = { stream };
+  if (since) {
+    params.since = since;
+    params.tail = 'all';
+  } else {
+    params.tail = 500;
+  }
+  if (grep) {
+    params.grep = grep;
+    if (regex) params.regex = 'true';
+  }
+  const paramsKey = JSON.stringify(params);
+
+  const fetchLogs = async () => {
+    try {
+      setLoading(true);
+      const response = await logsApi.get(params);
+      setLines(response.data.lines.slice(-MAX_LINES));
+    } catch (error) {
+      console.error('Error fetching logs:', error);
+      toast.error(error.response?.data?.error || 'Failed to fetch logs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!follow) {
+      fetchLogs();
+      return undefined;
+    }
+
+    setLines([]);
+    setStreamEnded(false);
+    const eventSource = new EventSource(logsApi.streamUrl(params));
+
+    eventSource.addEventListener('log', (e) => {
+      const entry = JSON.parse(e.data);
+      setLines(prev => (prev.length >= MAX_LINES ? [...prev.slice(1 - MAX_LINES), entry] : [...prev, entry]));
+    });
+
+    // The container stopped; don't let EventSource reconnect and replay the tail
+    eventSource.addEventListener('end', () => {
+      eventSource.close();
+      setStreamEnded(true);
+    });
+
+    eventSource.addEventListener('error', (e) => {
+      if (e.data) {
+        toast.error(JSON.parse(e.data).error);
+        eventSource.close();
+        setStreamEnded(true);
+      }
+    });
+
+    return () => eventSource.close();
+  }, [follow, paramsKey]);
+
+  useEffect(() => {
+    if (follow && logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [lines, follow]);
+
+  const applyGrep = (e) => {
+    e.preventDefault();
+    setGrep(grepInput.trim());
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Terminal className="w-5 h-5 mr-2" />
+          Container Logs
+          {follow && !streamEnded && (
+            <span className="badge badge-success ml-3">Live</span>
+          )}
+        </h3>
+        <div className="flex items-center space-x-2">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={follow}
+              onChange={(e) => setFollow(e.target.checked)}
+              className="mr-2"
+            />
+            Follow
+          </label>
+          {!follow && (
+            <button
+              onClick={fetchLogs}
+              disabled={loading}
+              className="btn btn-secondary btn-sm"
+            >
+              <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          )}
+          <button
+            onClick={() => setLines([])}
+            className="btn btn-secondary btn-sm"
+            title="Clear the view"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+          <a
+            href={logsApi.downloadUrl({ ...params, tail: 'all' })}
+            className="btn btn-secondary btn-sm"
+            title="Download the full log with the current filters"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            Download
+          </a>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select value={stream} onChange={(e) => setStream(e.target.value)} className="input w-auto">
+          <option value="all">stdout + stderr</option>
+          <option value="stdout">stdout</option>
+          <option value="stderr">stderr</option>
+        </select>
+        <select value={since} onChange={(e) => setSince(e.target.value)} className="input w-auto">
+          {SINCE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <form onSubmit={applyGrep} className="flex items-center gap-2 flex-1">
+          <input
+            type="text"
+            value={grepInput}
+            onChange={(e) => setGrepInput(e.target.value)}
+            onBlur={applyGrep}
+            placeholder="Filter lines (grep)"
+            className="input flex-1"
+          />
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={regex}
+              onChange={(e) => setRegex(e.target.checked)}
+              className="mr-2"
+            />
+            Regex
+          </label>
+        </form>
+      </div>
+
+      <div ref={logRef} className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm overflow-auto max-h-96">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <RefreshCw className="w-5 h-5 animate-spin mr-2" />
+            Loading logs...
+          </div>
+        ) : lines.length === 0 ? (
+          <pre className="whitespace-pre-wrap text-gray-400">{follow && !streamEnded ? 'Waiting for output...' : 'No logs available'}</pre>
+        ) : (
+          <pre className="whitespace-pre-wrap">
+            {lines.map((entry, index) => (
+              <div key={index} className={entry.stream === 'stderr' ? 'text-red-300' : undefined}>
+                {entry.timestamp && <span className="text-gray-500">{entry.timestamp.slice(0, 19).replace('T', ' ')} </span>}
+                {entry.line}
+              </div>
+            ))}
+          </pre>
+        )}
+        {follow && streamEnded && lines.length > 0 && (
+          <div className="text-gray-500 mt-2">Log stream ended.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LogViewer;
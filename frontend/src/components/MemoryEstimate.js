@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CheckCircle, AlertCircle, HardDrive } from 'lucide-react';
+import { modelApi } from '../services/api';
+
+// Wait for the user to stop typing before asking the server again
+const ESTIMATE_DELAY_MS = 500;
+
+const formatMiB = (mib) => {
+  if (mib === null || mib === undefined) return 'Unknown';
+  if (mib >= 1024) return `${(mib / 1024).toFixed(1)} GB`;
+  return `${mib} MB`;
+};
+
+const formatParameters = (count) => {
+  if (!count) return 'Unknown';
+  if (count >= 1e9) return `${(count / 1e9).toFixed(1)}B`;
+  return `${Math.round(count / 1e6)}M`;
+};
+
+// Estimated GPU memory of a model with the given settings and whether it fits on each GPU
+const MemoryEstimate = ({
+  modelName,
+  maxModelLen,
+  quantization,
+  kvCacheDtype,
+  tensorParallelSize,
+  gpuMemoryUtilization,
+  draftModel,
+  instanceId,
+  onEstimate
+}) => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const onEstimateRef = useRef(onEstimate);
+  onEstimateRef.current = onEstimate;
+
+  useEffect(() => {
+    if (!modelName || !modelName.trim()) {
+      setResult(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await modelApi.estimate(modelName.trim(), {
+          maxModelLen: maxModelLen || undefined,
+          quantization: quantization || undefined,
+          kvCacheDtype: kvCacheDtype || undefined,
+          tensorParallelSize: tensorParallelSize || undefined,
+          gpuMemoryUtilization: gpuMemoryUtilization || undefined,
+          draftModel: draftModel?.trim() || undefined,
+          instanceId: instanceId || undefined
+        });
+        if (!cancelled) {
+          setResult(response.data);
+          setError(null);
+          if (onEstimateRef.current) onEstimateRef.current(response.data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.error || 'Could not estimate memory');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, ESTIMATE_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [modelName, maxModelLen, quantization, kvCacheDtype, tensorParallelSize, gpuMemoryUtilization, draftModel, instanceId]);
+
+  if (!modelName || !modelName.trim()) {
+    return null;
+  }
+
+  const estimate = result?.estimate;
+
+  return (
+    <div className="border rounded-lg p-4 bg-white">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center">
+          <HardDrive className="w-4 h-4 mr-2" />
+          Memory Estimate
+        </h4>
+        {loading && <span className="text-xs text-gray-500">Estimating...</span>}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {result && !estimate && (
+        <p className="text-sm text-gray-600">{result.model.error}</p>
+      )}
+
+      {estimate && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-sm mb-3">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Parameters:</span>
+              <span className="font-medium">{formatParameters(estimate.parameters)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Weights:</span>
+              <span className="font-medium">
+                {formatMiB(estimate.weightsMiB)}
+                {estimate.quantization && ` (${estimate.quantization})`}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">KV cache per token:</span>
+              <span className="font-medium">
+                {estimate.kvCacheBytesPerToken ? `${Math.round(estimate.kvCacheBytesPerToken / 1024)} KB` : 'Unknown'}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">
+                KV cache per sequence{estimate.contextLength ? ` (${estimate.contextLength.toLocaleString()} tokens)` : ''}:
+              </span>
+              <span className="font-medium">{formatMiB(estimate.kvCacheMiB)}</span>
+            </div>
+            {estimate.draft && (
+              <div className="flex justify-between col-span-2">
+                <span className="text-gray-600">Draft model ({formatParameters(estimate.draft.parameters)}), included above:</span>
+                <span className="font-medium">
+                  {formatMiB(estimate.draft.weightsMiB)} weights, {formatMiB(estimate.draft.kvCacheMiB)} KV cache
+                </span>
+              </div>
+            )}
+            <div className="flex justify-between col-span-2">
+              <span className="text-gray-600">
+                Needed per GPU{result.settings.tensorParallelSize > 1 ? ` (split across ${result.settings.tensorParallelSize} GPUs)` : ''}:
+              </span>
+              <span className="font-medium">{formatMiB(result.perGpuMiB)}</span>
+            </div>
+          </div>
+
+          {result.gpus.length > 0 ? (
+            <div className="space-y-2">
+              {result.gpus.map(gpu => (
+                <div
+                  key={gpu.id}
+                  className={`p-2 rounded border text-sm ${gpu.fits ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium flex items-center">
+                      {gpu.fits ? (
+                        <CheckCircle className="w-4 h-4 text-green-600 mr-1" />
+                      ) : (
+                        <AlertCircle className="w-4 h-4 text-red-600 mr-1" />
+                      )}
+                      GPU {gpu.id}: {gpu.name}
+                    </span>
+                    <span className="text-gray-600">
+                      {formatMiB(gpu.requestedMiB)} ({Math.round(gpu.utilization * 100)}%) claimed of {formatMiB(gpu.availableMiB)} available
+                    </span>
+                  </div>
+                  {gpu.committedFraction > 0 && (
+                    <p className="text-gray-600 mt-1">
+                      {Math.round(gpu.committedFraction * 100)}% of this GPU is committed to {gpu.instances} other instance{gpu.instances === 1 ? '' : 's'}
+                    </p>
+                  )}
+                  {gpu.fits && gpu.maxConcurrentSequences !== null && (
+                    <p className="text-gray-600 mt-1">
+                      Room for about {gpu.maxConcurrentSequences} concurrent sequences of {estimate.contextLength.toLocaleString()} tokens
+                    </p>
+                  )}
+                  {gpu.reason && <p className="text-red-700 mt-1">{gpu.reason}</p>}
+                </div>
+              ))}
+              {result.placement && !result.placement.fits && (
+                <p className="text-sm text-red-600">{result.placement.reason}</p>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">No GPUs with known memory were detected.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MemoryEstimate;
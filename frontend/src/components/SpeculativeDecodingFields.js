@@ -0,0 +1,75 @@
+import React from 'react';
+import { Zap } from 'lucide-react';
+
+const DEFAULTS = {
+  draft: { method: 'draft', draftModel: '', numSpeculativeTokens: 5, ngramPromptLookupMax: null },
+  ngram: { method: 'ngram', draftModel: null, numSpeculativeTokens: 5, ngramPromptLookupMax: 4 },
+};
+
+// Speculative decoding of an instance (speculativeDecoding): off, a draft model
+// with the model's tokenizer, or n-gram lookup in the prompt.
+// The server checks the draft model's tokenizer when the form is submitted.
+const SpeculativeDecodingFields = ({ value, onChange }) => {
+  const method = value ? value.method : '';
+
+  const setField = (name, fieldValue) => onChange({ ...value, [name]: fieldValue });
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+        <Zap className="w-4 h-4 mr-1" />
+        Speculative Decoding
+      </label>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <select
+          value={method}
+          onChange={(e) => onChange(e.target.value ? { ...DEFAULTS[e.target.value] } : null)}
+          className="input"
+        >
+          <option value="">Off</option>
+          <option value="draft">Draft model</option>
+          <option value="ngram">N-gram lookup</option>
+        </select>
+        {method === 'draft' && (
+          <input
+            type="text"
+            value={value.draftModel}
+            onChange={(e) => setField('draftModel', e.target.value)}
+            placeholder="Draft model, e.g. meta-llama/Llama-3.2-1B-Instruct"
+            className="input"
+          />
+        )}
+        {method === 'ngram' && (
+          <input
+            type="number"
+            min="1"
+            max="16"
+            value={value.ngramPromptLookupMax}
+            onChange={(e) => setField('ngramPromptLookupMax', e.target.value)}
+            title="Longest n-gram looked up in the prompt"
+            className="input"
+          />
+        )}
+        {method && (
+          <input
+            type="number"
+            min="1"
+            max="16"
+            value={value.numSpeculativeTokens}
+            onChange={(e) => setField('numSpeculativeTokens', e.target.value)}
+            title="Tokens proposed per step"
+            className="input"
+          />
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mt-1">
+        {method === 'draft' && 'A smaller model with the same tokenizer proposes tokens for the model to verify. Its memory is counted in the estimate.'}
+        {method === 'ngram' && 'Tokens are proposed from matching n-grams of the prompt, up to the given length; no extra memory is needed.'}
+        {!method && 'Propose several tokens per step to lower latency at low load.'}
+        {method && ' The last field is the number of tokens proposed per step.'}
+      </p>
+    </div>
+  );
+};
+
+export default SpeculativeDecodingFields;
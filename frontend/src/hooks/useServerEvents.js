@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../services/events';
+
+/**
+ * Subscribe a component to push notifications while it is mounted
+ * @param {Object} eventHandlers - Notification type -> handler(data). Handlers may
+ *   change between renders; the latest ones are always called.
+ */
+const useServerEvents = (eventHandlers) => {
+  const handlersRef = useRef(eventHandlers);
+  handlersRef.current = eventHandlers;
+
+  const types = Object.keys(eventHandlers).sort().join(',');
+
+  useEffect(() => {
+    const unsubscribers = types.split(',').filter(Boolean).map(type =>
+      subscribe(type, (data) => {
+        const handler = handlersRef.current[type];
+        if (handler) handler(data);
+      })
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [types]);
+};
+
+export default useServerEvents;
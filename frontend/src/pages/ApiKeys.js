@@ -0,0 +1,359 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Key,
+  Plus,
+  RefreshCw,
+  RotateCcw,
+  Trash2,
+  XCircle,
+  Copy,
+  AlertCircle
+} from 'lucide-react';
+import { apiKeysApi, containerApi, ollamaApi } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ApiKeys = () => {
+  const [keys, setKeys] = useState([]);
+  const [instances, setInstances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    allInstances: true,
+    instanceIds: []
+  });
+
+  const fetchKeys = async () => {
+    try {
+      setLoading(true);
+      const response = await apiKeysApi.getAll();
+      setKeys(response.data);
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      toast.error('Failed to fetch API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchInstances = async () => {
+    try {
+      const [vllmResponse, ollamaResponse] = await Promise.all([
+        containerApi.getAll(),
+        ollamaApi.getAll()
+      ]);
+      setInstances([
+        ...vllmResponse.data.map(inst => ({ id: inst.id, label: `${inst.name} (${inst.model_name})` })),
+        ...ollamaResponse.data.map(inst => ({ id: inst.id, label: `${inst.name} (Ollama)` }))
+      ]);
+    } catch (error) {
+      console.error('Error fetching instances:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchKeys();
+    fetchInstances();
+  }, []);
+
+  const instanceLabel = (instanceId) => {
+    const instance = instances.find(inst => inst.id === instanceId);
+    return instance ? instance.label : instanceId;
+  };
+
+  const toggleInstance = (instanceId) => {
+    setFormData(prev => ({
+      ...prev,
+      instanceIds: prev.instanceIds.includes(instanceId)
+        ? prev.instanceIds.filter(id => id !== instanceId)
+        : [...prev.instanceIds, instanceId]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Key name is required');
+      return;
+    }
+
+    if (!formData.allInstances && formData.instanceIds.length === 0) {
+      toast.error('Select at least one instance or allow all instances');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const response = await apiKeysApi.create({
+        name: formData.name,
+        instanceIds: formData.allInstances ? null : formData.instanceIds
+      });
+      setNewKey(response.data);
+      setShowCreateForm(false);
+      setFormData({ name: '', allInstances: true, instanceIds: [] });
+      toast.success(`API key "${response.data.name}" created`);
+      fetchKeys();
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      toast.error(error.response?.data?.error || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRotate = async (key) => {
+    if (!window.confirm(`Rotate "${key.name}"? The current secret will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiKeysApi.rotate(key.id);
+      setNewKey(response.data);
+      toast.success(`Rotated ${key.name}`);
+      fetchKeys();
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      toast.error(error.response?.data?.error || 'Failed to rotate API key');
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    if (!window.confirm(`Revoke "${key.name}"? Clients using it will be rejected.`)) {
+      return;
+    }
+
+    try {
+      await apiKeysApi.revoke(key.id);
+      toast.success(`Revoked ${key.name}`);
+      fetchKeys();
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      toast.error(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  const handleDelete = async (key) => {
+    if (!window.confirm(`Permanently delete "${key.name}"?`)) {
+      return;
+    }
+
+    try {
+      await apiKeysApi.remove(key.id);
+      toast.success(`Deleted ${key.name}`);
+      fetchKeys();
+    } catch (error) {
+      console.error('Error deleting API key:', error);
+      toast.error('Failed to delete API key');
+    }
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : 'Never';
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="flex items-center space-x-2">
+          <RefreshCw className="w-6 h-6 animate-spin text-primary-600" />
+          <span className="text-lg text-gray-600">Loading API keys...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <Key className="w-8 h-8 mr-3" />
+            API Keys
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Keys for the manager gateway at <code>{window.location.origin}/v1</code>
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <button onClick={fetchKeys} className="btn btn-secondary">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+          <button onClick={() => setShowCreateForm(!showCreateForm)} className="btn btn-primary">
+            <Plus className="w-4 h-4 mr-2" />
+            New Key
+          </button>
+        </div>
+      </div>
+
+      {/* Newly issued secret - only shown once */}
+      {newKey && (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <div className="flex">
+            <AlertCircle className="h-5 w-5 text-green-600 mr-2" />
+            <div className="flex-1">
+              <h3 className="text-sm font-medium text-green-800">
+                Copy the key for "{newKey.name}" now
+              </h3>
+              <p className="text-sm text-green-700 mt-1">
+                It will not be shown again. Only a hash is stored on the server.
+              </p>
+              <div className="mt-3 flex items-center space-x-2">
+                <code className="text-sm bg-white p-2 rounded border block flex-1 break-all">
+                  {newKey.key}
+                </code>
+                <button onClick={() => copyToClipboard(newKey.key)} className="btn btn-secondary btn-sm">
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+              <button onClick={() => setNewKey(null)} className="btn btn-secondary btn-sm mt-3">
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showCreateForm && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Issue API Key</h2>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div>
+              <label htmlFor="key-name" className="block text-sm font-medium text-gray-700 mb-2">
+                Name
+              </label>
+              <input
+                id="key-name"
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. alice-laptop"
+                className="input"
+              />
+            </div>
+
+            <div className="flex items-center">
+              <input
+                id="all-instances"
+                type="checkbox"
+                checked={formData.allInstances}
+                onChange={(e) => setFormData(prev => ({ ...prev, allInstances: e.target.checked }))}
+                className="mr-3 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <label htmlFor="all-instances" className="text-sm text-gray-700">
+                Allow all instances
+              </label>
+            </div>
+
+            {!formData.allInstances && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-600">Restrict this key to:</p>
+                {instances.length === 0 && (
+                  <p className="text-sm text-gray-500">No instances available</p>
+                )}
+                {instances.map(instance => (
+                  <label key={instance.id} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.instanceIds.includes(instance.id)}
+                      onChange={() => toggleInstance(instance.id)}
+                      className="mr-3 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    {instance.label}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <button type="submit" disabled={creating} className="btn btn-primary">
+                {creating ? (
+                  <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Key className="w-4 h-4 mr-2" />
+                )}
+                Create Key
+              </button>
+              <button type="button" onClick={() => setShowCreateForm(false)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card overflow-hidden">
+        {keys.length === 0 ? (
+          <div className="text-center py-12">
+            <Key className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">No API keys</h2>
+            <p className="text-gray-600">Issue a key to let clients use the manager gateway.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Key</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Used</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {keys.map(key => (
+                <tr key={key.id} className={key.active ? '' : 'bg-gray-50 text-gray-500'}>
+                  <td className="px-4 py-3 text-sm font-medium">{key.name}</td>
+                  <td className="px-4 py-3 text-sm font-mono">{key.prefix}…</td>
+                  <td className="px-4 py-3 text-sm">
+                    {key.instanceIds ? key.instanceIds.map(instanceLabel).join(', ') : 'All instances'}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{formatDate(key.lastUsedAt)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {key.active ? (
+                      <span className="badge badge-success">Active</span>
+                    ) : (
+                      <span className="badge badge-error">Revoked</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="flex justify-end space-x-2">
+                      {key.active && (
+                        <>
+                          <button onClick={() => handleRotate(key)} className="btn btn-secondary btn-sm" title="Rotate">
+                            <RotateCcw className="w-4 h-4" />
+                          </button>
+                          <button onClick={() => handleRevoke(key)} className="btn btn-warning btn-sm" title="Revoke">
+                            <XCircle className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                      <button onClick={() => handleDelete(key)} className="btn btn-danger btn-sm" title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
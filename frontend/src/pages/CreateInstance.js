@@ -16,11 +16,40 @@ import {
   Info,
   Zap,
   HardDrive,
-  Cpu
+  Cpu,
+  Layers
 } from 'lucide-react';
-import { containerApi, modelApi, settingsApi, gpuApi } from '../services/api';
+import { containerApi, modelApi, settingsApi, gpuApi, templatesApi } from '../services/api';
+import JobProgress from '../components/JobProgress';
+import MemoryEstimate from '../components/MemoryEstimate';
+import ExtraArgsEditor from '../components/ExtraArgsEditor';
+import SpeculativeDecodingFields from '../components/SpeculativeDecodingFields';
 import toast from 'react-hot-toast';
 
+// Device backends detected by the server (gpuInfo.type)
+const BACKEND_LABELS = { nvidia: 'NVIDIA', rocm: 'AMD ROCm' };
+
+// Form fields of a template's config; fields the template leaves out get the form's defaults
+const templateFormData = (config, defaultGpuSelection) => ({
+  modelName: config.modelName,
+  requireAuth: config.requireAuth !== undefined ? config.requireAuth : true,
+  gpuSelection: config.gpuSelection || defaultGpuSelection || 'auto',
+  maxContextLength: config.maxContextLength || '',
+  gpuMemoryUtilization: config.gpuMemoryUtilization || 0.85,
+  autoGpuMemory: !config.gpuMemoryUtilization,
+  maxNumSeqs: config.maxNumSeqs || 256,
+  trustRemoteCode: config.trustRemoteCode || false,
+  quantization: config.quantization || '',
+  tensorParallelSize: config.tensorParallelSize || null,
+  extraArgs: config.extraArgs || {},
+  enableLora: config.enableLora || false,
+  maxLoraRank: config.maxLoraRank || '',
+  speculativeDecoding: config.speculativeDecoding || null,
+  image: config.image || '',
+  imageTag: config.imageTag || '',
+  pullPolicy: config.pullPolicy || ''
+});
+
 const CreateInstance = () => {
   const [formData, setFormData] = useState({
     name: '',
@@ -33,23 +62,37 @@ const CreateInstance = () => {
     // Advanced vLLM options
     maxContextLength: '',
     gpuMemoryUtilization: 0.85,
+    autoGpuMemory: true,  // Size the share of the GPU from the model's memory estimate
     maxNumSeqs: 256,
     trustRemoteCode: false,
     quantization: '',
-    tensorParallelSize: 1
+    tensorParallelSize: null,  // Placement picks as many GPUs as the model needs
+    extraArgs: {},  // Further vLLM flags by name
+    enableLora: false,
+    maxLoraRank: '',  // Empty sizes it to the adapters
+    speculativeDecoding: null,  // Off, or a draft model or n-gram speculation
+    // Empty image fields follow the image settings
+    image: '',
+    imageTag: '',
+    pullPolicy: '',
+    waitForGpu: false
   });
   const [creating, setCreating] = useState(false);
+  const [createdInstance, setCreatedInstance] = useState(null);
   const [validating, setValidating] = useState(false);
   const [loadingModelConfig, setLoadingModelConfig] = useState(false);
   const [modelValidation, setModelValidation] = useState(null);
   const [modelConfig, setModelConfig] = useState(null);
   const [recommendedParams, setRecommendedParams] = useState(null);
+  const [memoryEstimate, setMemoryEstimate] = useState(null);
   const [errors, setErrors] = useState({});
   const [defaults, setDefaults] = useState(null);
   const [loadingDefaults, setLoadingDefaults] = useState(true);
   const [gpuInfo, setGpuInfo] = useState(null);
   const [availableGPUs, setAvailableGPUs] = useState([]);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
   
   const navigate = useNavigate();
   const location = useLocation();
@@ -64,8 +107,8 @@ const CreateInstance = () => {
       // Auto-populate form with defaults
       setFormData(prev => ({
         ...prev,
-        apiKey: prev.apiKey || response.data.apiKey || '',  // vLLM API key default
-        hfApiKey: prev.hfApiKey || response.data.hfToken || '',  // HuggingFace token default
+        // Only admins get the saved token; others see it masked, and the server uses it when the field is empty
+        hfApiKey: prev.hfApiKey || (response.data.hfToken !== '***' && response.data.hfToken) || '',
         hostname: prev.hostname || response.data.hostname || 'inference.vm',
         gpuSelection: prev.gpuSelection || response.data.gpuSelection || 'auto'
       }));
@@ -91,6 +134,35 @@ const CreateInstance = () => {
     }
   };
 
+  const loadTemplates = async () => {
+    try {
+      const response = await templatesApi.getAll();
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  // Pre-fill the form from a template; its settings replace the model's recommendations
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const template = templates.find(item => item.id === id);
+    if (!template) {
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      ...templateFormData(template.config, defaults?.gpuSelection)
+    }));
+    setModelValidation(null);
+    setModelConfig(null);
+    setRecommendedParams(null);
+    setMemoryEstimate(null);
+    if (Object.keys(template.config).some(field => !['modelName', 'gpuSelection', 'requireAuth'].includes(field))) {
+      setShowAdvanced(true);
+    }
+  };
+
   // Get model configuration and recommendations
   const getModelConfiguration = async (modelName) => {
     if (!modelName.trim()) return;
@@ -102,6 +174,7 @@ const CreateInstance = () => {
       if (response.data.modelConfig) {
         setModelConfig(response.data.modelConfig);
         setRecommendedParams(response.data.recommendations);
+        setMemoryEstimate({ estimate: response.data.estimate });
         
         // Auto-fill form with recommendations
         setFormData(prev => ({
@@ -126,6 +199,7 @@ const CreateInstance = () => {
   useEffect(() => {
     loadDefaults();
     loadGPUInfo();
+    loadTemplates();
     
     if (location.state?.selectedModel) {
       setFormData(prev => ({
@@ -136,6 +210,14 @@ const CreateInstance = () => {
     }
   }, [location.state]);
 
+  // Pre-fill from a template if coming from the templates page (?template=id)
+  useEffect(() => {
+    const id = new URLSearchParams(location.search).get('template');
+    if (id && templates.length > 0 && !templateId) {
+      applyTemplate(id);
+    }
+  }, [location.search, templates]);
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -202,7 +284,7 @@ const CreateInstance = () => {
       newErrors.maxContextLength = 'Context length must be a positive number';
     }
     
-    if (formData.gpuMemoryUtilization < 0.1 || formData.gpuMemoryUtilization > 1.0) {
+    if (!formData.autoGpuMemory && (formData.gpuMemoryUtilization < 0.1 || formData.gpuMemoryUtilization > 1.0)) {
       newErrors.gpuMemoryUtilization = 'GPU memory utilization must be between 0.1 and 1.0';
     }
     
@@ -223,11 +305,18 @@ const CreateInstance = () => {
       // Prepare advanced configuration
       const advancedConfig = showAdvanced ? {
         maxContextLength: formData.maxContextLength || null,
-        gpuMemoryUtilization: formData.gpuMemoryUtilization,
+        gpuMemoryUtilization: formData.autoGpuMemory ? null : formData.gpuMemoryUtilization,
         maxNumSeqs: formData.maxNumSeqs,
         trustRemoteCode: formData.trustRemoteCode,
         quantization: formData.quantization || null,
-        tensorParallelSize: formData.tensorParallelSize
+        tensorParallelSize: parseInt(formData.tensorParallelSize, 10) || null,
+        extraArgs: formData.extraArgs,
+        enableLora: formData.enableLora,
+        maxLoraRank: formData.enableLora ? parseInt(formData.maxLoraRank, 10) || null : null,
+        speculativeDecoding: formData.speculativeDecoding,
+        image: formData.image.trim() || null,
+        imageTag: formData.imageTag.trim() || null,
+        pullPolicy: formData.pullPolicy || null
       } : {};
       
       const response = await containerApi.create({
@@ -237,11 +326,12 @@ const CreateInstance = () => {
         requireAuth: formData.requireAuth,
         hostname: formData.hostname || null,
         gpuSelection: formData.gpuSelection || null,
+        waitForGpu: formData.waitForGpu,
         ...advancedConfig
       });
       
-      toast.success(`Instance "${formData.name}" created successfully`);
-      navigate('/');
+      // The container is created in the background; follow the job until the model is served
+      setCreatedInstance(response.data);
     } catch (error) {
       console.error('Error creating instance:', error);
       toast.error(error.response?.data?.error || 'Failed to create instance');
@@ -265,18 +355,28 @@ const CreateInstance = () => {
   };
 
   const estimateMemoryUsage = () => {
-    if (!modelConfig || !modelConfig.hiddenSize || !modelConfig.numLayers) {
+    const totalMiB = memoryEstimate?.estimate?.totalMiB;
+    if (!totalMiB) {
       return 'Unknown';
     }
-    
-    // Rough estimation: (hidden_size * num_layers * vocab_size * 2 bytes) + overhead
-    const vocabSize = modelConfig.vocabSize || 32000;
-    const estimatedBytes = (modelConfig.hiddenSize * modelConfig.numLayers * vocabSize * 2) + (1024 * 1024 * 1024); // 1GB overhead
-    const estimatedGB = (estimatedBytes / (1024 * 1024 * 1024)).toFixed(1);
-    
-    return `~${estimatedGB} GB`;
+    return `~${(totalMiB / 1024).toFixed(1)} GB`;
   };
 
+  if (createdInstance) {
+    return (
+      <div className="max-w-4xl mx-auto space-y-6">
+        <JobProgress
+          jobId={createdInstance.jobId}
+          instanceId={createdInstance.id}
+          title={`Creating "${createdInstance.name}"`}
+          onFinished={(result) => (result.success
+            ? toast.success(`Instance "${createdInstance.name}" is ready`)
+            : toast.error(`Instance "${createdInstance.name}" failed to start`))}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       <div className="text-center">
@@ -291,6 +391,33 @@ const CreateInstance = () => {
         <div className="lg:col-span-2 space-y-6">
           <div className="card p-6">
             <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Template */}
+              {templates.length > 0 && (
+                <div>
+                  <label htmlFor="template" className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+                    <Layers className="w-4 h-4 mr-1" />
+                    Template
+                  </label>
+                  <select
+                    id="template"
+                    value={templateId}
+                    onChange={(e) => applyTemplate(e.target.value)}
+                    className="input"
+                  >
+                    <option value="">No template</option>
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>
+                        {template.name}{template.builtin ? ' (built-in)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {templates.find(template => template.id === templateId)?.description
+                      || 'Pre-fill the model and its settings from a saved or built-in template'}
+                  </p>
+                </div>
+              )}
+
               {/* Instance Name */}
               <div>
                 <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
@@ -435,9 +562,6 @@ const CreateInstance = () => {
                   <div>
                     <label htmlFor="apiKey" className="block text-sm font-medium text-gray-700 mb-2">
                       vLLM API Key
-                      {defaults?.apiKey && !formData.apiKey && (
-                        <span className="text-green-600 text-xs ml-2">(using saved default)</span>
-                      )}
                     </label>
                     <div className="relative">
                       <input
@@ -446,7 +570,7 @@ const CreateInstance = () => {
                         name="apiKey"
                         value={formData.apiKey}
                         onChange={handleInputChange}
-                        placeholder={defaults?.apiKey ? "Using saved key..." : "sk-..."}
+                        placeholder="Leave empty to generate one"
                         className="input pl-10"
                       />
                       <Key className="w-5 h-5 text-gray-400 absolute left-3 top-2.5" />
@@ -525,7 +649,7 @@ const CreateInstance = () => {
                       onChange={handleInputChange}
                       className="input pl-10"
                     >
-                      <option value="auto">Auto (Load Balance)</option>
+                      <option value="auto">Auto (fit by free memory)</option>
                       {gpuInfo && gpuInfo.hasGPU && availableGPUs.map(gpu => (
                         <option key={gpu.id} value={gpu.id}>
                           GPU {gpu.id}: {gpu.name}
@@ -533,15 +657,33 @@ const CreateInstance = () => {
                           {gpu.inUse > 0 && ` - ${gpu.inUse} instance(s)`}
                         </option>
                       ))}
-                      {(!gpuInfo || !gpuInfo.hasGPU) && (
-                        <option value="cpu">CPU Only</option>
-                      )}
+                      <option value="cpu">CPU Only (vLLM CPU image)</option>
                     </select>
                     <Server className="w-5 h-5 text-gray-400 absolute left-3 top-2.5" />
                   </div>
                 </div>
               </div>
 
+              {/* Queue when no GPU has room */}
+              <div>
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="waitForGpu"
+                    name="waitForGpu"
+                    checked={formData.waitForGpu}
+                    onChange={handleInputChange}
+                    className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span className="text-sm font-medium text-gray-700">
+                    Wait for free GPUs
+                  </span>
+                </label>
+                <p className="text-xs text-gray-600 mt-1">
+                  When no GPU has enough free memory for the model, queue the instance until one does instead of refusing to create it.
+                </p>
+              </div>
+
               {/* Advanced Configuration Toggle */}
               <div className="border-t pt-6">
                 <button
@@ -592,14 +734,28 @@ const CreateInstance = () => {
                     {/* GPU Memory Utilization */}
                     <div>
                       <label htmlFor="gpuMemoryUtilization" className="block text-sm font-medium text-gray-700 mb-2">
-                        GPU Memory Utilization: {(formData.gpuMemoryUtilization * 100).toFixed(0)}%
+                        GPU Memory Utilization: {formData.autoGpuMemory ? 'Auto' : `${(formData.gpuMemoryUtilization * 100).toFixed(0)}%`}
                       </label>
+                      <div className="flex items-center mb-2">
+                        <input
+                          type="checkbox"
+                          id="autoGpuMemory"
+                          name="autoGpuMemory"
+                          checked={formData.autoGpuMemory}
+                          onChange={handleInputChange}
+                          className="mr-2"
+                        />
+                        <label htmlFor="autoGpuMemory" className="text-sm text-gray-700">
+                          Size from the model, leaving the rest of the GPU to other instances
+                        </label>
+                      </div>
                       <input
                         type="range"
                         id="gpuMemoryUtilization"
                         name="gpuMemoryUtilization"
                         value={formData.gpuMemoryUtilization}
                         onChange={handleInputChange}
+                        disabled={formData.autoGpuMemory}
                         min="0.1"
                         max="1.0"
                         step="0.05"
@@ -632,6 +788,50 @@ const CreateInstance = () => {
                       </p>
                     </div>
 
+                    {/* Tensor Parallel Size */}
+                    <div>
+                      <label htmlFor="tensorParallelSize" className="block text-sm font-medium text-gray-700 mb-2">
+                        Tensor Parallel Size
+                      </label>
+                      <input
+                        type="number"
+                        id="tensorParallelSize"
+                        name="tensorParallelSize"
+                        value={formData.tensorParallelSize || ''}
+                        onChange={handleInputChange}
+                        placeholder="Auto"
+                        min="1"
+                        max="8"
+                        className="input"
+                      />
+                      <p className="text-sm text-gray-600 mt-1">
+                        Number of GPUs to split the model across. Leave empty to use as many as the model needs.
+                      </p>
+                    </div>
+
+                    {/* Quantization */}
+                    <div>
+                      <label htmlFor="quantization" className="block text-sm font-medium text-gray-700 mb-2">
+                        Quantization
+                      </label>
+                      <select
+                        id="quantization"
+                        name="quantization"
+                        value={formData.quantization}
+                        onChange={handleInputChange}
+                        className="input"
+                      >
+                        <option value="">No quantization</option>
+                        <option value="awq">AWQ</option>
+                        <option value="gptq">GPTQ</option>
+                        <option value="squeezellm">SqueezeLLM</option>
+                        <option value="fp8">FP8</option>
+                      </select>
+                      <p className="text-sm text-gray-600 mt-1">
+                        Quantization method of the checkpoint, to reduce memory usage.
+                      </p>
+                    </div>
+
                     {/* Trust Remote Code */}
                     <div className="flex items-center">
                       <input
@@ -649,6 +849,120 @@ const CreateInstance = () => {
                         )}
                       </label>
                     </div>
+
+                    <SpeculativeDecodingFields
+                      value={formData.speculativeDecoding}
+                      onChange={(speculativeDecoding) => setFormData(prev => ({ ...prev, speculativeDecoding }))}
+                    />
+
+                    <ExtraArgsEditor
+                      value={formData.extraArgs}
+                      onChange={(extraArgs) => setFormData(prev => ({ ...prev, extraArgs }))}
+                    />
+
+                    {/* LoRA Adapters */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+                      <div className="flex items-center">
+                        <input
+                          type="checkbox"
+                          id="enableLora"
+                          name="enableLora"
+                          checked={formData.enableLora}
+                          onChange={handleInputChange}
+                          className="mr-2"
+                        />
+                        <label htmlFor="enableLora" className="text-sm text-gray-700">
+                          Enable LoRA adapters
+                        </label>
+                      </div>
+                      {formData.enableLora && (
+                        <div>
+                          <label htmlFor="maxLoraRank" className="block text-sm font-medium text-gray-700 mb-2">
+                            Max LoRA Rank
+                          </label>
+                          <select
+                            id="maxLoraRank"
+                            name="maxLoraRank"
+                            value={formData.maxLoraRank}
+                            onChange={handleInputChange}
+                            className="input"
+                          >
+                            <option value="">Default (16)</option>
+                            {[8, 16, 32, 64, 128, 256].map(rank => (
+                              <option key={rank} value={rank}>{rank}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+                    {formData.enableLora && (
+                      <p className="text-sm text-gray-600 -mt-4">
+                        Add adapters from the instance's page once it is created; each one is served as a model of its own.
+                      </p>
+                    )}
+
+                    {/* Container Image */}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div className="md:col-span-2">
+                        <label htmlFor="image" className="block text-sm font-medium text-gray-700 mb-2">
+                          Container Image
+                        </label>
+                        <input
+                          type="text"
+                          id="image"
+                          name="image"
+                          value={formData.image}
+                          onChange={handleInputChange}
+                          placeholder="Default image"
+                          className="input"
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor="imageTag" className="block text-sm font-medium text-gray-700 mb-2">
+                          Tag
+                        </label>
+                        <input
+                          type="text"
+                          id="imageTag"
+                          name="imageTag"
+                          value={formData.imageTag}
+                          onChange={handleInputChange}
+                          placeholder="latest"
+                          className="input"
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor="pullPolicy" className="block text-sm font-medium text-gray-700 mb-2">
+                          Pull Policy
+                        </label>
+                        <select
+                          id="pullPolicy"
+                          name="pullPolicy"
+                          value={formData.pullPolicy}
+                          onChange={handleInputChange}
+                          className="input"
+                        >
+                          <option value="">Default</option>
+                          <option value="always">Always</option>
+                          <option value="if-missing">If missing</option>
+                          <option value="never">Never</option>
+                        </select>
+                      </div>
+                      <p className="text-sm text-gray-600 md:col-span-3">
+                        Pin the vLLM image and tag this instance runs, e.g. vllm/vllm-openai with tag v0.6.3. Leave empty for the default image from Settings.
+                      </p>
+                    </div>
+
+                    <MemoryEstimate
+                      modelName={modelConfig ? formData.modelName : ''}
+                      maxModelLen={formData.maxContextLength}
+                      quantization={formData.quantization}
+                      kvCacheDtype={formData.extraArgs['kv-cache-dtype']}
+                      tensorParallelSize={formData.tensorParallelSize}
+                      gpuMemoryUtilization={formData.autoGpuMemory ? null : formData.gpuMemoryUtilization}
+                      draftModel={formData.speculativeDecoding?.method === 'draft' ? formData.speculativeDecoding.draftModel : null}
+                      onEstimate={setMemoryEstimate}
+                    />
                   </div>
                 )}
               </div>
@@ -756,7 +1070,7 @@ const CreateInstance = () => {
               {gpuInfo.hasGPU ? (
                 <div className="space-y-3">
                   <div className="text-sm text-green-600">
-                    ✓ {availableGPUs.length} GPU(s) available
+                    ✓ {availableGPUs.length} {BACKEND_LABELS[gpuInfo.type] || ''} GPU(s) available
                   </div>
                   {availableGPUs.map(gpu => (
                     <div key={gpu.id} className="flex justify-between text-sm">
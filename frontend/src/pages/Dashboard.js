@@ -18,13 +18,25 @@ import {
   Download
 } from 'lucide-react';
 import { containerApi, gpuApi } from '../services/api';
+import InstanceStatusBadge from '../components/InstanceStatusBadge';
+import GpuHistory from '../components/GpuHistory';
+import useServerEvents from '../hooks/useServerEvents';
 import toast from 'react-hot-toast';
 
+// Statuses in which the instance's container is running
+const RUNNING_STATES = ['loading-model', 'ready', 'unhealthy'];
+
+// Device backends detected by the server
+const BACKEND_LABELS = { nvidia: 'NVIDIA', rocm: 'AMD ROCm' };
+
+const formatMiB = (mib) => (mib >= 1024 ? `${(mib / 1024).toFixed(1)} GB` : `${Math.round(mib)} MB`);
+
 const Dashboard = () => {
   const [instances, setInstances] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [gpuStats, setGpuStats] = useState(null);
+  const [gpuProcesses, setGpuProcesses] = useState([]);
   const [orphanedContainers, setOrphanedContainers] = useState([]);
   const [showOrphans, setShowOrphans] = useState(false);
   const [checkingOrphans, setCheckingOrphans] = useState(false);
@@ -50,12 +62,10 @@ const Dashboard = () => {
       const response = await containerApi.getAllWithOrphanCheck();
       setInstances(response.data.instances);
       
-      // Show toast if orphans were found and imported
+      // Offer the orphaned containers for import; reading the list imports nothing
       if (response.data.orphanInfo && response.data.orphanInfo.orphansDetected > 0) {
-        const imported = response.data.orphanInfo.imported?.imported?.length || 0;
-        if (imported > 0) {
-          toast.success(`Automatically imported ${imported} orphaned containers`);
-        }
+        setOrphanedContainers(response.data.orphanInfo.orphans);
+        setShowOrphans(true);
       }
     } catch (error) {
       console.error('Error fetching instances with orphan check:', error);
@@ -69,7 +79,7 @@ const Dashboard = () => {
   const checkForOrphans = async () => {
     try {
       setCheckingOrphans(true);
-      const response = await containerApi.checkOrphans(false);
+      const response = await containerApi.checkOrphans();
       setOrphanedContainers(response.data.orphans || []);
       setShowOrphans(true);
       
@@ -123,20 +133,49 @@ const Dashboard = () => {
       console.error('Error fetching GPU stats:', error);
       // GPU stats are optional, so don't show error toast
     }
+    fetchGPUProcesses();
+  };
+
+  const fetchGPUProcesses = async () => {
+    try {
+      const response = await gpuApi.getProcesses();
+      setGpuProcesses(response.data.processes);
+    } catch (error) {
+      console.error('Error fetching GPU processes:', error);
+    }
   };
 
   useEffect(() => {
     fetchInstances();
     fetchGPUStats();
-    
-    // Refresh every 30 seconds
-    const interval = setInterval(() => {
-      fetchInstances();
-      fetchGPUStats();
-    }, 30000);
-    return () => clearInterval(interval);
   }, []);
 
+  // Status changes and GPU statistics are pushed by the server
+  useServerEvents({
+    connected: ({ reconnected }) => {
+      if (reconnected) {
+        fetchInstances();
+        fetchGPUStats();
+      }
+    },
+    instance: (change) => {
+      if (!instances.some(instance => instance.id === change.instanceId)) {
+        fetchInstances();
+        return;
+      }
+      setInstances(prev => prev.map(instance => (instance.id === change.instanceId
+        ? { ...instance, status: change.to, status_reason: change.reason, running: RUNNING_STATES.includes(change.to) }
+        : instance)));
+    },
+    'instance-removed': ({ instanceId }) => {
+      setInstances(prev => prev.filter(instance => instance.id !== instanceId));
+    },
+    'gpu-stats': (stats) => {
+      setGpuStats(stats);
+      fetchGPUProcesses();
+    },
+  });
+
   const handleStart = async (instance) => {
     try {
       await containerApi.start(instance.id);
@@ -185,23 +224,6 @@ const Dashboard = () => {
     }
   };
 
-  const getStatusBadge = (status, running) => {
-    if (running) {
-      return <span className="badge badge-success">Running</span>;
-    }
-    
-    switch (status) {
-      case 'running':
-        return <span className="badge badge-success">Running</span>;
-      case 'stopped':
-        return <span className="badge badge-warning">Stopped</span>;
-      case 'error':
-        return <span className="badge badge-error">Error</span>;
-      default:
-        return <span className="badge badge-info">{status}</span>;
-    }
-  };
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -339,7 +361,7 @@ const Dashboard = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <p className="text-blue-800 font-medium">Total GPUs</p>
-                    <p className="text-blue-600 text-sm">Available hardware</p>
+                    <p className="text-blue-600 text-sm">{BACKEND_LABELS[gpuStats.backend] || 'Available hardware'}</p>
                   </div>
                   <div className="text-2xl font-bold text-blue-600">
                     {gpuStats.totalGPUs}
@@ -409,9 +431,18 @@ const Dashboard = () => {
                             {gpu.instanceCount} instance(s) running
                           </p>
                         )}
+                        {gpuProcesses.filter(gpuProcess => gpuProcess.gpuId === gpu.id).map(gpuProcess => (
+                          <p key={gpuProcess.pid} className="text-xs text-gray-600 flex justify-between mt-1">
+                            <span className="truncate mr-2" title={gpuProcess.processName}>
+                              {gpuProcess.instanceName || `${gpuProcess.processName} (PID ${gpuProcess.pid})`}
+                            </span>
+                            <span className="font-medium">{formatMiB(gpuProcess.memoryUsedMiB || 0)}</span>
+                          </p>
+                        ))}
                       </div>
                     ))}
                   </div>
+                  <GpuHistory />
                 </div>
               )}
             </div>
@@ -441,10 +472,16 @@ const Dashboard = () => {
                   {instance.model_name}
                 </p>
               </div>
-              {getStatusBadge(instance.status, instance.running)}
+              <InstanceStatusBadge status={instance.status} reason={instance.status_reason} />
             </div>
 
             <div className="space-y-2 mb-4">
+              {instance.status_reason && ['unhealthy', 'failed'].includes(instance.status) && (
+                <div className="flex items-start text-sm text-red-600">
+                  <AlertCircle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                  <span className="break-words">{instance.status_reason}</span>
+                </div>
+              )}
               <div className="flex items-center justify-between text-sm">
                 <span className="text-gray-600">Port:</span>
                 <span className="font-medium">{instance.port}</span>
@@ -457,11 +494,17 @@ const Dashboard = () => {
                   </span>
                 </div>
               )}
+              {instance.running && instance.gpuUsage && (
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-600">GPU Memory Used:</span>
+                  <span className="font-medium">{formatMiB(instance.gpuUsage.memoryUsedMiB)}</span>
+                </div>
+              )}
               <div className="flex items-center justify-between text-sm">
                 <span className="text-gray-600">Created:</span>
                 <span className="font-medium">{formatDate(instance.created_at)}</span>
               </div>
-              {instance.running && (
+              {instance.status === 'ready' && (
                 <div className="flex items-center justify-between text-sm">
                   <span className="text-gray-600">URL:</span>
                   <a
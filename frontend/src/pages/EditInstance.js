@@ -21,6 +21,10 @@ import {
   ArrowLeft
 } from 'lucide-react';
 import { containerApi, modelApi, settingsApi, gpuApi } from '../services/api';
+import JobProgress from '../components/JobProgress';
+import MemoryEstimate from '../components/MemoryEstimate';
+import ExtraArgsEditor from '../components/ExtraArgsEditor';
+import SpeculativeDecodingFields from '../components/SpeculativeDecodingFields';
 import toast from 'react-hot-toast';
 
 const EditInstance = () => {
@@ -36,17 +40,28 @@ const EditInstance = () => {
     // Advanced vLLM options
     maxContextLength: '',
     gpuMemoryUtilization: 0.85,
+    autoGpuMemory: true,
     maxNumSeqs: 256,
     trustRemoteCode: false,
     quantization: '',
-    tensorParallelSize: 1
+    tensorParallelSize: '',
+    extraArgs: {},  // Further vLLM flags by name
+    enableLora: false,
+    maxLoraRank: '',  // Empty sizes it to the adapters
+    speculativeDecoding: null,  // Off, or a draft model or n-gram speculation
+    // Empty image fields follow the image settings
+    image: '',
+    imageTag: '',
+    pullPolicy: ''
   });
   const [updating, setUpdating] = useState(false);
+  const [updateJobId, setUpdateJobId] = useState(null);
   const [validating, setValidating] = useState(false);
   const [loadingModelConfig, setLoadingModelConfig] = useState(false);
   const [modelValidation, setModelValidation] = useState(null);
   const [modelConfig, setModelConfig] = useState(null);
   const [recommendedParams, setRecommendedParams] = useState(null);
+  const [memoryEstimate, setMemoryEstimate] = useState(null);
   const [errors, setErrors] = useState({});
   const [defaults, setDefaults] = useState(null);
   const [loadingDefaults, setLoadingDefaults] = useState(true);
@@ -73,9 +88,11 @@ const EditInstance = () => {
       // Parse config to get advanced settings
       let config = {};
       let advancedConfig = {};
+      let imageConfig = {};
       try {
         config = JSON.parse(instance.config || '{}');
         advancedConfig = config.advancedConfig || {};
+        imageConfig = config.imageConfig || {};
       } catch (e) {
         console.warn('Could not parse instance config:', e);
       }
@@ -84,7 +101,7 @@ const EditInstance = () => {
       setFormData({
         name: instance.name || '',
         modelName: instance.model_name || '',
-        apiKey: instance.api_key ? '***' : '',  // Don't show actual key for security
+        apiKey: instance.hasApiKey ? '***' : '',  // Don't show actual key for security
         requireAuth: config.requireAuth !== false,  // Default to true if not specified
         hfApiKey: config.hfToken ? '***' : '',  // Don't show actual token for security
         hostname: config.hostname || 'inference.vm',
@@ -92,10 +109,18 @@ const EditInstance = () => {
         // Advanced vLLM options
         maxContextLength: advancedConfig.maxContextLength || '',
         gpuMemoryUtilization: advancedConfig.gpuMemoryUtilization || 0.85,
+        autoGpuMemory: !advancedConfig.gpuMemoryUtilization,
         maxNumSeqs: advancedConfig.maxNumSeqs || 256,
         trustRemoteCode: advancedConfig.trustRemoteCode || false,
         quantization: advancedConfig.quantization || '',
-        tensorParallelSize: advancedConfig.tensorParallelSize || 1
+        tensorParallelSize: advancedConfig.tensorParallelSize || '',
+        extraArgs: advancedConfig.extraArgs || {},
+        enableLora: advancedConfig.enableLora || false,
+        maxLoraRank: advancedConfig.maxLoraRank || '',
+        speculativeDecoding: advancedConfig.speculativeDecoding || null,
+        image: imageConfig.image || '',
+        imageTag: imageConfig.imageTag || '',
+        pullPolicy: imageConfig.pullPolicy || ''
       });
 
       // Load model configuration
@@ -150,6 +175,7 @@ const EditInstance = () => {
       if (response.data.modelConfig) {
         setModelConfig(response.data.modelConfig);
         setRecommendedParams(response.data.recommendations);
+        setMemoryEstimate({ estimate: response.data.estimate });
         
         // Only auto-fill if values are empty (don't override user's existing settings)
         setFormData(prev => ({
@@ -253,11 +279,11 @@ const EditInstance = () => {
       // Prepare advanced configuration
       const advancedConfig = showAdvanced ? {
         maxContextLength: formData.maxContextLength || null,
-        gpuMemoryUtilization: formData.gpuMemoryUtilization,
+        gpuMemoryUtilization: formData.autoGpuMemory ? null : formData.gpuMemoryUtilization,
         maxNumSeqs: formData.maxNumSeqs,
         trustRemoteCode: formData.trustRemoteCode,
         quantization: formData.quantization || null,
-        tensorParallelSize: formData.tensorParallelSize
+        tensorParallelSize: parseInt(formData.tensorParallelSize, 10) || null
       } : {};
       
       const response = await containerApi.update(id, {
@@ -267,11 +293,19 @@ const EditInstance = () => {
         requireAuth: formData.requireAuth,
         hostname: formData.hostname || null,
         gpuSelection: formData.gpuSelection || null,
+        // Sent even with the advanced section closed so a pinned image, extra flags, LoRA and speculative decoding settings are kept
+        extraArgs: formData.extraArgs,
+        enableLora: formData.enableLora,
+        maxLoraRank: formData.enableLora ? parseInt(formData.maxLoraRank, 10) || null : null,
+        speculativeDecoding: formData.speculativeDecoding,
+        image: formData.image.trim() || null,
+        imageTag: formData.imageTag.trim() || null,
+        pullPolicy: formData.pullPolicy || null,
         ...advancedConfig
       });
       
-      toast.success(`Instance "${formData.name}" updated successfully`);
-      navigate(`/instance/${id}`);
+      // The container is recreated in the background; follow the job until the model is served
+      setUpdateJobId(response.data.jobId);
     } catch (error) {
       console.error('Error updating instance:', error);
       toast.error(error.response?.data?.error || 'Failed to update instance');
@@ -294,22 +328,6 @@ const EditInstance = () => {
     }
   };
 
-  const estimateMemoryUsage = () => {
-    if (!modelConfig || !gpuInfo) return null;
-    
-    const modelSize = modelConfig.modelSize || 0;
-    const gpuMemory = gpuInfo.totalMemory || 0;
-    const utilization = formData.gpuMemoryUtilization || 0.85;
-    
-    if (modelSize && gpuMemory) {
-      const availableMemory = gpuMemory * utilization;
-      const memoryUsage = (modelSize / availableMemory) * 100;
-      return Math.min(memoryUsage, 100);
-    }
-    
-    return null;
-  };
-
   if (loadingInstance || loadingDefaults) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -318,7 +336,22 @@ const EditInstance = () => {
     );
   }
 
-  const memoryUsage = estimateMemoryUsage();
+  if (updateJobId) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <JobProgress
+          jobId={updateJobId}
+          instanceId={id}
+          title={`Updating "${formData.name}"`}
+          onFinished={(result) => (result.success
+            ? toast.success(`Instance "${formData.name}" updated successfully`)
+            : toast.error(`Instance "${formData.name}" failed to start`))}
+        />
+      </div>
+    );
+  }
+
+  const estimate = memoryEstimate?.estimate;
 
   return (
     <div className="container mx-auto px-4 py-8 max-w-4xl">
@@ -427,17 +460,15 @@ const EditInstance = () => {
                 </div>
                 <div>
                   <span className="text-blue-700">Context Length:</span>
-                  <p className="font-medium">{modelConfig.maxModelLen?.toLocaleString() || 'Unknown'}</p>
+                  <p className="font-medium">{modelConfig.maxContextLength?.toLocaleString() || 'Unknown'}</p>
                 </div>
                 <div>
-                  <span className="text-blue-700">Model Size:</span>
-                  <p className="font-medium">{modelConfig.modelSize ? `${(modelConfig.modelSize / 1024 / 1024 / 1024).toFixed(1)} GB` : 'Unknown'}</p>
+                  <span className="text-blue-700">Weights:</span>
+                  <p className="font-medium">{estimate ? `${(estimate.weightsMiB / 1024).toFixed(1)} GB` : 'Unknown'}</p>
                 </div>
                 <div>
-                  <span className="text-blue-700">Memory Usage:</span>
-                  <p className="font-medium">
-                    {memoryUsage ? `${memoryUsage.toFixed(1)}%` : 'Unknown'}
-                  </p>
+                  <span className="text-blue-700">Est. Memory:</span>
+                  <p className="font-medium">{estimate ? `~${(estimate.totalMiB / 1024).toFixed(1)} GB` : 'Unknown'}</p>
                 </div>
               </div>
             </div>
@@ -475,7 +506,7 @@ const EditInstance = () => {
                 <label className="label">
                   <span className="label-text">vLLM API Key</span>
                   <span className="label-text-alt text-gray-500">
-                    {defaults?.apiKey ? 'Using default' : 'Required'}
+                    Optional
                   </span>
                 </label>
                 <input
@@ -484,10 +515,10 @@ const EditInstance = () => {
                   value={formData.apiKey}
                   onChange={handleInputChange}
                   className="input input-bordered w-full"
-                  placeholder={defaults?.apiKey ? 'Leave empty to use default' : 'sk-...'}
+                  placeholder="sk-..."
                 />
                 <p className="text-sm text-gray-600 mt-1">
-                  API key for OpenAI-compatible authentication. Leave empty to use default.
+                  API key for OpenAI-compatible authentication. Leave empty to keep the current key.
                 </p>
               </div>
             )}
@@ -564,6 +595,7 @@ const EditInstance = () => {
                     GPU {index}: {gpu.name} ({gpu.memory}GB)
                   </option>
                 ))}
+                <option value="cpu">CPU Only (vLLM CPU image)</option>
               </select>
             </div>
           </div>
@@ -638,15 +670,27 @@ const EditInstance = () => {
                   <input
                     type="number"
                     name="gpuMemoryUtilization"
-                    value={formData.gpuMemoryUtilization}
+                    value={formData.autoGpuMemory ? '' : formData.gpuMemoryUtilization}
                     onChange={handleInputChange}
+                    disabled={formData.autoGpuMemory}
                     className="input input-bordered w-full"
+                    placeholder="Auto"
                     step="0.01"
                     min="0.1"
                     max="1.0"
                   />
+                  <label className="label cursor-pointer justify-start">
+                    <input
+                      type="checkbox"
+                      name="autoGpuMemory"
+                      checked={formData.autoGpuMemory}
+                      onChange={handleInputChange}
+                      className="checkbox checkbox-primary mr-2"
+                    />
+                    <span className="label-text">Size from the model</span>
+                  </label>
                   <p className="text-sm text-gray-600 mt-1">
-                    Fraction of GPU memory to use (0.1 - 1.0)
+                    Fraction of GPU memory to use (0.1 - 1.0). Automatic sizing leaves the rest of the GPU to other instances.
                   </p>
                 </div>
 
@@ -686,11 +730,12 @@ const EditInstance = () => {
                     value={formData.tensorParallelSize}
                     onChange={handleInputChange}
                     className="input input-bordered w-full"
+                    placeholder="Auto"
                     min="1"
                     max="8"
                   />
                   <p className="text-sm text-gray-600 mt-1">
-                    Number of GPUs for tensor parallelism
+                    Number of GPUs for tensor parallelism; leave empty to use as many as the model needs
                   </p>
                 </div>
               </div>
@@ -733,6 +778,113 @@ const EditInstance = () => {
                   Allow execution of custom model code (use with caution)
                 </p>
               </div>
+
+              <SpeculativeDecodingFields
+                value={formData.speculativeDecoding}
+                onChange={(speculativeDecoding) => setFormData(prev => ({ ...prev, speculativeDecoding }))}
+              />
+
+              <ExtraArgsEditor
+                value={formData.extraArgs}
+                onChange={(extraArgs) => setFormData(prev => ({ ...prev, extraArgs }))}
+              />
+
+              {/* LoRA Adapters */}
+              <div className="form-control">
+                <label className="label cursor-pointer">
+                  <span className="label-text">Enable LoRA Adapters</span>
+                  <input
+                    type="checkbox"
+                    name="enableLora"
+                    checked={formData.enableLora}
+                    onChange={handleInputChange}
+                    className="checkbox checkbox-primary"
+                  />
+                </label>
+                <p className="text-sm text-gray-600 mt-1">
+                  Adapters are managed on the instance's page; remove them before disabling LoRA
+                </p>
+              </div>
+              {formData.enableLora && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Max LoRA Rank
+                  </label>
+                  <select
+                    name="maxLoraRank"
+                    value={formData.maxLoraRank}
+                    onChange={handleInputChange}
+                    className="input"
+                  >
+                    <option value="">Fit the adapters (at least 16)</option>
+                    {[8, 16, 32, 64, 128, 256].map(rank => (
+                      <option key={rank} value={rank}>{rank}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Container Image */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="md:col-span-2">
+                  <label className="label">
+                    <span className="label-text">Container Image</span>
+                    <span className="label-text-alt text-gray-500">Optional</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="image"
+                    value={formData.image}
+                    onChange={handleInputChange}
+                    placeholder="Default image"
+                    className="input input-bordered w-full"
+                  />
+                </div>
+                <div>
+                  <label className="label">
+                    <span className="label-text">Tag</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="imageTag"
+                    value={formData.imageTag}
+                    onChange={handleInputChange}
+                    placeholder="latest"
+                    className="input input-bordered w-full"
+                  />
+                </div>
+                <div>
+                  <label className="label">
+                    <span className="label-text">Pull Policy</span>
+                  </label>
+                  <select
+                    name="pullPolicy"
+                    value={formData.pullPolicy}
+                    onChange={handleInputChange}
+                    className="select select-bordered w-full"
+                  >
+                    <option value="">Default</option>
+                    <option value="always">Always</option>
+                    <option value="if-missing">If missing</option>
+                    <option value="never">Never</option>
+                  </select>
+                </div>
+                <p className="text-sm text-gray-600 md:col-span-3">
+                  Pin the vLLM image and tag this instance runs. Leave empty for the default image from Settings.
+                </p>
+              </div>
+
+              <MemoryEstimate
+                modelName={modelConfig ? formData.modelName : ''}
+                maxModelLen={formData.maxContextLength}
+                quantization={formData.quantization}
+                kvCacheDtype={formData.extraArgs['kv-cache-dtype']}
+                tensorParallelSize={formData.tensorParallelSize}
+                gpuMemoryUtilization={formData.autoGpuMemory ? null : formData.gpuMemoryUtilization}
+                draftModel={formData.speculativeDecoding?.method === 'draft' ? formData.speculativeDecoding.draftModel : null}
+                instanceId={id}
+                onEstimate={setMemoryEstimate}
+              />
             </div>
           )}
         </div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import config from '../config';
 import { 
   ArrowLeft, 
@@ -9,35 +9,64 @@ import {
   Trash2,
   ExternalLink,
   RefreshCw,
-  Terminal,
   Clock,
   Server,
   Activity,
-  Edit
+  Edit,
+  History,
+  Layers
 } from 'lucide-react';
-import { containerApi } from '../services/api';
+import { containerApi, jobsApi, templatesApi } from '../services/api';
+import InstanceStatusBadge, { statusLabel } from '../components/InstanceStatusBadge';
+import JobProgress from '../components/JobProgress';
+import useServerEvents from '../hooks/useServerEvents';
+import LogViewer from '../components/LogViewer';
+import HealthPanel from '../components/HealthPanel';
+import AdapterPanel from '../components/AdapterPanel';
 import toast from 'react-hot-toast';
 
+// The image the instance's container was created from, as recorded by the server
+const resolvedImageOf = (instance) => {
+  try {
+    return JSON.parse(instance.config || '{}').resolvedImage || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Clients reach instances through the manager's gateway with a manager-issued key,
+// never with the container's own key
+const gatewayUrl = `${window.location.origin}/v1`;
+const GATEWAY_KEY_PLACEHOLDER = 'sk-vm-YOUR_API_KEY';
+
 const InstanceDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [instance, setInstance] = useState(null);
-  const [logs, setLogs] = useState('');
+  const [statusHistory, setStatusHistory] = useState([]);
+  const [activeJob, setActiveJob] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [logsLoading, setLogsLoading] = useState(false);
-  const [autoRefresh, setAutoRefresh] = useState(false);
 
   const fetchInstance = async () => {
     try {
-      const response = await containerApi.getAll();
-      const foundInstance = response.data.find(inst => inst.id === id);
-      if (foundInstance) {
-        setInstance(foundInstance);
-      } else {
+      const [instanceResponse, historyResponse, jobsResponse] = await Promise.all([
+        containerApi.get(id),
+        containerApi.getStatusHistory(id, 20),
+        jobsApi.getAll(id, 1)
+      ]);
+      setInstance(instanceResponse.data);
+      setStatusHistory(historyResponse.data);
+      // Keep showing a job's progress after it finishes; it's only picked up while running
+      const [latestJob] = jobsResponse.data;
+      if (latestJob && ['queued', 'running'].includes(latestJob.status)) {
+        setActiveJob(latestJob);
+      }
+    } catch (error) {
+      if (error.response?.status === 404) {
         toast.error('Instance not found');
         navigate('/');
+        return;
       }
-    } catch (error) {
       console.error('Error fetching instance:', error);
       toast.error('Failed to fetch instance details');
     } finally {
@@ -45,35 +74,34 @@ const InstanceDetails = () => {
     }
   };
 
-  const fetchLogs = async () => {
-    try {
-      setLogsLoading(true);
-      const response = await containerApi.getLogs(id, 500);
-      setLogs(response.data.logs || 'No logs available');
-    } catch (error) {
-      console.error('Error fetching logs:', error);
-      toast.error('Failed to fetch logs');
-      setLogs('Error loading logs');
-    } finally {
-      setLogsLoading(false);
-    }
-  };
-
   useEffect(() => {
     fetchInstance();
-    fetchLogs();
   }, [id]);
 
-  useEffect(() => {
-    let interval;
-    if (autoRefresh) {
-      interval = setInterval(() => {
-        fetchInstance();
-        fetchLogs();
-      }, 5000);
-    }
-    return () => clearInterval(interval);
-  }, [autoRefresh]);
+  useServerEvents({
+    connected: ({ reconnected }) => {
+      if (reconnected) fetchInstance();
+    },
+    instance: (change) => {
+      if (change.instanceId !== id) return;
+      setInstance(prev => prev && {
+        ...prev,
+        status: change.to,
+        status_reason: change.reason,
+        running: ['loading-model', 'ready', 'unhealthy'].includes(change.to)
+      });
+      setStatusHistory(prev => [{ from: change.from, to: change.to, reason: change.reason, at: change.at }, ...prev].slice(0, 20));
+    },
+    'instance-removed': ({ instanceId }) => {
+      if (instanceId === id) navigate('/');
+    },
+    // A job started elsewhere (e.g. an update from another tab)
+    job: (entry) => {
+      if (entry.instanceId === id && !['done', 'error'].includes(entry.event) && activeJob?.id !== entry.jobId) {
+        setActiveJob({ id: entry.jobId, type: entry.type });
+      }
+    },
+  });
 
   const handleStart = async () => {
     try {
@@ -127,20 +155,18 @@ const InstanceDetails = () => {
     navigate(`/edit/${id}`);
   };
 
-  const getStatusBadge = (status, running) => {
-    if (running) {
-      return <span className="badge badge-success">Running</span>;
+  const handleSaveTemplate = async () => {
+    const name = window.prompt('Template name', `${instance.name} template`);
+    if (!name) {
+      return;
     }
-    
-    switch (status) {
-      case 'running':
-        return <span className="badge badge-success">Running</span>;
-      case 'stopped':
-        return <span className="badge badge-warning">Stopped</span>;
-      case 'error':
-        return <span className="badge badge-error">Error</span>;
-      default:
-        return <span className="badge badge-info">{status}</span>;
+
+    try {
+      await templatesApi.createFromInstance(id, { name });
+      toast.success(`Saved template "${name}"`);
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error(error.response?.data?.error || 'Failed to save template');
     }
   };
 
@@ -176,6 +202,8 @@ const InstanceDetails = () => {
     );
   }
 
+  const resolvedImage = resolvedImageOf(instance);
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -193,7 +221,7 @@ const InstanceDetails = () => {
             <p className="text-gray-600 mt-1">{instance.model_name}</p>
           </div>
         </div>
-        {getStatusBadge(instance.status, instance.running)}
+        <InstanceStatusBadge status={instance.status} reason={instance.status_reason} />
       </div>
 
       {/* Instance Info */}
@@ -206,12 +234,42 @@ const InstanceDetails = () => {
           <div className="space-y-3">
             <div className="flex justify-between">
               <span className="text-gray-600">Status:</span>
-              <span className="font-medium">{instance.status}</span>
+              <span className="font-medium">{statusLabel(instance.status)}</span>
             </div>
+            {instance.status_reason && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Reason:</span>
+                <span className="font-medium text-right ml-4 break-words">{instance.status_reason}</span>
+              </div>
+            )}
+            {instance.containerStatus && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Container:</span>
+                <span className="font-medium">{instance.containerStatus}</span>
+              </div>
+            )}
             <div className="flex justify-between">
               <span className="text-gray-600">Port:</span>
               <span className="font-medium">{instance.port}</span>
             </div>
+            {resolvedImage && (
+              <>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Image:</span>
+                  <span className="font-medium font-mono text-sm text-right ml-4 break-all">{resolvedImage.reference}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Digest:</span>
+                  <span className="font-mono text-xs text-right ml-4 break-all" title={resolvedImage.digest}>
+                    {resolvedImage.digest || '-'}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Pull Policy:</span>
+                  <span className="font-medium">{resolvedImage.pullPolicy}</span>
+                </div>
+              </>
+            )}
             <div className="flex justify-between">
               <span className="text-gray-600">Created:</span>
               <span className="font-medium">{formatDate(instance.created_at)}</span>
@@ -220,7 +278,7 @@ const InstanceDetails = () => {
               <span className="text-gray-600">Updated:</span>
               <span className="font-medium">{formatDate(instance.updated_at)}</span>
             </div>
-            {instance.running && (
+            {instance.status === 'ready' && (
               <div className="flex justify-between">
                 <span className="text-gray-600">API URL:</span>
                 <a
@@ -285,96 +343,108 @@ const InstanceDetails = () => {
                 Remove Instance
               </button>
             </div>
+            <button
+              onClick={handleSaveTemplate}
+              className="btn btn-secondary btn-sm w-full"
+            >
+              <Layers className="w-4 h-4 mr-2" />
+              Save as Template
+            </button>
           </div>
         </div>
       </div>
 
-      {/* Logs */}
+      {activeJob && (
+        <JobProgress
+          key={activeJob.id}
+          jobId={activeJob.id}
+          title={activeJob.type === 'create' ? 'Creating instance' : 'Recreating instance'}
+          onFinished={fetchInstance}
+        />
+      )}
+
+      {/* Status history */}
       <div className="card p-6">
-        <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
-            <Terminal className="w-5 h-5 mr-2" />
-            Container Logs
-          </h3>
-          <div className="flex items-center space-x-2">
-            <label className="flex items-center text-sm text-gray-600">
-              <input
-                type="checkbox"
-                checked={autoRefresh}
-                onChange={(e) => setAutoRefresh(e.target.checked)}
-                className="mr-2"
-              />
-              Auto-refresh
-            </label>
-            <button
-              onClick={fetchLogs}
-              disabled={logsLoading}
-              className="btn btn-secondary btn-sm"
-            >
-              <RefreshCw className={`w-4 h-4 mr-2 ${logsLoading ? 'animate-spin' : ''}`} />
-              Refresh
-            </button>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <History className="w-5 h-5 mr-2" />
+          Status History
+        </h3>
+        {statusHistory.length === 0 ? (
+          <p className="text-sm text-gray-600">No status changes recorded yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4 font-medium">Time</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2 font-medium">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statusHistory.map((entry, index) => (
+                  <tr key={`${entry.at}-${index}`} className="border-b last:border-0">
+                    <td className="py-2 pr-4 whitespace-nowrap text-gray-600">{formatDate(entry.at)}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {entry.from && <span className="text-gray-500">{statusLabel(entry.from)} → </span>}
+                      <InstanceStatusBadge status={entry.to} />
+                    </td>
+                    <td className="py-2 text-gray-700">{entry.reason || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
-        </div>
-        
-        <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm overflow-auto max-h-96">
-          {logsLoading ? (
-            <div className="flex items-center justify-center py-8">
-              <RefreshCw className="w-5 h-5 animate-spin mr-2" />
-              Loading logs...
-            </div>
-          ) : (
-            <pre className="whitespace-pre-wrap">{logs}</pre>
-          )}
-        </div>
+        )}
       </div>
 
+      <HealthPanel
+        instanceId={id}
+        healthApi={{
+          getHistory: (params) => containerApi.getHealthHistory(id, params),
+          updatePolicy: (policy) => containerApi.updateHealthPolicy(id, policy),
+        }}
+      />
+
+      <AdapterPanel instanceId={id} status={instance.status} />
+
+      {/* Logs */}
+      <LogViewer
+        logsApi={{
+          get: (params) => containerApi.getLogs(id, params),
+          streamUrl: (params) => containerApi.logsStreamUrl(id, params),
+          downloadUrl: (params) => containerApi.logsDownloadUrl(id, params),
+        }}
+      />
+
       {/* API Usage */}
       {instance.running && (
         <div className="card p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">API Usage</h3>
           <div className="space-y-4">
             <div className="bg-gray-50 p-4 rounded-md">
-              <p className="text-sm text-gray-600 mb-2">Base URL:</p>
+              <p className="text-sm text-gray-600 mb-2">Base URL (the manager gateway routes requests by model name):</p>
               <code className="text-sm bg-white p-2 rounded border block">
-                http://{config.defaultHostname}:{instance.port}
+                {gatewayUrl}
               </code>
             </div>
 
             <div className="bg-gray-50 p-4 rounded-md">
               <p className="text-sm text-gray-600 mb-2">Authentication:</p>
-              {instance.config && JSON.parse(instance.config).requireAuth !== false ? (
-                <div>
-                  <p className="text-sm font-medium text-green-700 mb-2">
-                    ✓ API Key Required (OpenAI-compatible)
-                  </p>
-                  {instance.api_key && (
-                    <code className="text-sm bg-white p-2 rounded border block">
-                      Authorization: Bearer {instance.api_key}
-                    </code>
-                  )}
-                </div>
-              ) : (
-                <p className="text-sm font-medium text-orange-700">
-                  ⚠ No Authentication Required (Public Access)
-                </p>
-              )}
+              <code className="text-sm bg-white p-2 rounded border block">
+                Authorization: Bearer {GATEWAY_KEY_PLACEHOLDER}
+              </code>
+              <p className="text-sm text-gray-600 mt-2">
+                Use a key issued under <Link to="/api-keys" className="text-primary-600 hover:text-primary-800">API Keys</Link>. Revoking or scoping that key applies to every request.
+              </p>
             </div>
             
             <div className="bg-gray-50 p-4 rounded-md">
               <p className="text-sm text-gray-600 mb-2">Example cURL request (OpenAI-compatible):</p>
               <code className="text-sm bg-white p-2 rounded border block whitespace-pre-wrap">
-{instance.config && JSON.parse(instance.config).requireAuth !== false ? 
-`curl -X POST http://${config.defaultHostname}:${instance.port}/v1/chat/completions \\
-  -H "Content-Type: application/json" \\
-  -H "Authorization: Bearer ${instance.api_key || 'YOUR_API_KEY'}" \\
-  -d '{
-    "model": "${instance.model_name}",
-    "messages": [{"role": "user", "content": "Hello!"}],
-    "max_tokens": 100
-  }'` :
-`curl -X POST http://${config.defaultHostname}:${instance.port}/v1/chat/completions \\
+{`curl -X POST ${gatewayUrl}/chat/completions \\
   -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer ${GATEWAY_KEY_PLACEHOLDER}" \\
   -d '{
     "model": "${instance.model_name}",
     "messages": [{"role": "user", "content": "Hello!"}],
@@ -387,10 +457,8 @@ const InstanceDetails = () => {
               <p className="text-sm text-gray-600 mb-2">Using with OpenUI or other OpenAI-compatible tools:</p>
               <code className="text-sm bg-white p-2 rounded border block whitespace-pre-wrap">
 {`# Set environment variables
-export OPENAI_API_BASE="http://${config.defaultHostname}:${instance.port}/v1"
-${instance.config && JSON.parse(instance.config).requireAuth !== false ? 
-`export OPENAI_API_KEY="${instance.api_key || 'YOUR_API_KEY'}"` : 
-'# No API key needed - authentication disabled'}
+export OPENAI_API_BASE="${gatewayUrl}"
+export OPENAI_API_KEY="${GATEWAY_KEY_PLACEHOLDER}"
 
 # Use with OpenUI or any OpenAI SDK`}
               </code>
@@ -402,10 +470,8 @@ ${instance.config && JSON.parse(instance.config).requireAuth !== false ?
 {`from openai import OpenAI
 
 client = OpenAI(
-    base_url="http://${config.defaultHostname}:${instance.port}/v1",
-    api_key="${instance.config && JSON.parse(instance.config).requireAuth !== false ? 
-      (instance.api_key || 'YOUR_API_KEY') : 
-      'dummy'}"  # Use 'dummy' when auth is disabled
+    base_url="${gatewayUrl}",
+    api_key="${GATEWAY_KEY_PLACEHOLDER}"
 )
 
 response = client.chat.completions.create(
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Server, LogIn, RefreshCw, AlertCircle } from 'lucide-react';
+import { authApi } from '../services/api';
+
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only follow same-origin relative redirects
+  const redirectTo = () => {
+    const redirect = searchParams.get('redirect') || '/';
+    return redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await authApi.login(username, password);
+      navigate(redirectTo(), { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="card p-8 w-full max-w-sm">
+        <div className="flex items-center justify-center space-x-2 mb-6">
+          <Server className="w-8 h-8 text-primary-600" />
+          <span className="text-xl font-bold text-gray-900">vLLM Manager</span>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4 flex items-center">
+            <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+            <span className="text-sm text-red-700">{error}</span>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+              Username
+            </label>
+            <input
+              id="username"
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="input"
+              autoFocus
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={submitting || !username || !password}
+            className="btn btn-primary w-full"
+          >
+            {submitting ? (
+              <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <LogIn className="w-4 h-4 mr-2" />
+            )}
+            Log In
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import config from '../config';
 import { 
@@ -9,7 +9,6 @@ import {
   Trash2,
   ExternalLink,
   RefreshCw,
-  Terminal,
   Clock,
   Server,
   Activity,
@@ -22,19 +21,21 @@ import {
   Search
 } from 'lucide-react';
 import { ollamaApi } from '../services/api';
+import LogViewer from '../components/LogViewer';
+import HealthPanel from '../components/HealthPanel';
+import useServerEvents from '../hooks/useServerEvents';
 import toast from 'react-hot-toast';
 
 const OllamaDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [instance, setInstance] = useState(null);
-  const [logs, setLogs] = useState('');
   const [loading, setLoading] = useState(true);
-  const [logsLoading, setLogsLoading] = useState(false);
-  const [autoRefresh, setAutoRefresh] = useState(false);
   const [showPullForm, setShowPullForm] = useState(false);
   const [modelName, setModelName] = useState('');
   const [downloads, setDownloads] = useState({});
+  // Pulls started from this page report through their own stream
+  const localPulls = useRef(new Set());
 
   const fetchInstance = async () => {
     try {
@@ -49,35 +50,44 @@ const OllamaDetails = () => {
     }
   };
 
-  const fetchLogs = async () => {
-    try {
-      setLogsLoading(true);
-      const response = await ollamaApi.getLogs(id, 500);
-      setLogs(response.data.logs || 'No logs available');
-    } catch (error) {
-      console.error('Error fetching logs:', error);
-      toast.error('Failed to fetch logs');
-      setLogs('Error loading logs');
-    } finally {
-      setLogsLoading(false);
-    }
-  };
-
   useEffect(() => {
     fetchInstance();
-    fetchLogs();
   }, [id]);
 
-  useEffect(() => {
-    let interval;
-    if (autoRefresh) {
-      interval = setInterval(() => {
+  useServerEvents({
+    connected: ({ reconnected }) => {
+      if (reconnected) fetchInstance();
+    },
+    'ollama-instance': (change) => {
+      if (change.instanceId !== id) return;
+      setInstance(prev => prev && {
+        ...prev,
+        status: change.to,
+        status_reason: change.reason,
+        running: ['running', 'unhealthy'].includes(change.to)
+      });
+    },
+    'ollama-instance-removed': ({ instanceId }) => {
+      if (instanceId === id) navigate('/ollama');
+    },
+    // Pulls started elsewhere, e.g. in another tab
+    'ollama-pull': (pull) => {
+      if (pull.instanceId !== id || localPulls.current.has(pull.modelId)) return;
+      if (['done', 'error'].includes(pull.state)) {
+        setDownloads(prev => {
+          const newDownloads = { ...prev };
+          delete newDownloads[pull.modelId];
+          return newDownloads;
+        });
         fetchInstance();
-        fetchLogs();
-      }, 5000);
-    }
-    return () => clearInterval(interval);
-  }, [autoRefresh]);
+        return;
+      }
+      setDownloads(prev => ({
+        ...prev,
+        [pull.modelId]: { name: pull.modelName, status: pull.status || 'Starting...', progress: pull.percent }
+      }));
+    },
+  });
 
   const handleStart = async () => {
     try {
@@ -143,6 +153,7 @@ const OllamaDetails = () => {
 
     eventSource.addEventListener('start', (e) => {
       const data = JSON.parse(e.data);
+      localPulls.current.add(data.modelId);
       setDownloads(prev => ({ ...prev, [data.modelId]: { name: modelName, status: 'Starting...', progress: 0 } }));
     });
 
@@ -210,17 +221,21 @@ const OllamaDetails = () => {
   };
 
   const getStatusBadge = (status, running) => {
-    if (running) {
+    if (running && status !== 'unhealthy') {
       return <span className="badge badge-success">Running</span>;
     }
     
     switch (status) {
       case 'running':
         return <span className="badge badge-success">Running</span>;
+      case 'unhealthy':
+        return <span className="badge badge-warning">Unhealthy</span>;
       case 'stopped':
         return <span className="badge badge-warning">Stopped</span>;
       case 'error':
         return <span className="badge badge-error">Error</span>;
+      case 'removed':
+        return <span className="badge badge-error">Container removed</span>;
       default:
         return <span className="badge badge-info">{status}</span>;
     }
@@ -343,7 +358,9 @@ const OllamaDetails = () => {
           </div>
         </div>
         <div className="flex items-center space-x-2">
-          {getStatusBadge(instance.status, instance.running)}
+          <span title={instance.status_reason || undefined}>
+            {getStatusBadge(instance.status, instance.running)}
+          </span>
           <button
             onClick={() => fetchInstance()}
             className="btn btn-ghost btn-sm"
@@ -466,45 +483,22 @@ const OllamaDetails = () => {
             )}
           </div>
 
+          <HealthPanel
+            instanceId={id}
+            healthApi={{
+              getHistory: (params) => ollamaApi.getHealthHistory(id, params),
+              updatePolicy: (policy) => ollamaApi.updateHealthPolicy(id, policy),
+            }}
+          />
+
           {/* Logs */}
-          <div className="card p-6">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
-                <Terminal className="w-5 h-5 mr-2" />
-                Container Logs
-              </h3>
-              <div className="flex items-center space-x-2">
-                <label className="flex items-center text-sm text-gray-600">
-                  <input
-                    type="checkbox"
-                    checked={autoRefresh}
-                    onChange={(e) => setAutoRefresh(e.target.checked)}
-                    className="mr-2"
-                  />
-                  Auto-refresh
-                </label>
-                <button
-                  onClick={fetchLogs}
-                  disabled={logsLoading}
-                  className="btn btn-secondary btn-sm"
-                >
-                  <RefreshCw className={`w-4 h-4 mr-2 ${logsLoading ? 'animate-spin' : ''}`} />
-                  Refresh
-                </button>
-              </div>
-            </div>
-            
-            <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm overflow-auto max-h-96">
-              {logsLoading ? (
-                <div className="flex items-center justify-center py-8">
-                  <RefreshCw className="w-5 h-5 animate-spin mr-2" />
-                  Loading logs...
-                </div>
-              ) : (
-                <pre className="whitespace-pre-wrap">{logs}</pre>
-              )}
-            </div>
-          </div>
+          <LogViewer
+            logsApi={{
+              get: (params) => ollamaApi.getLogs(id, params),
+              streamUrl: (params) => ollamaApi.logsStreamUrl(id, params),
+              downloadUrl: (params) => ollamaApi.logsDownloadUrl(id, params),
+            }}
+          />
         </div>
 
         {/* Actions Sidebar */}
@@ -20,6 +20,7 @@ import {
   CheckCircle
 } from 'lucide-react';
 import { ollamaApi } from '../services/api';
+import useServerEvents from '../hooks/useServerEvents';
 import toast from 'react-hot-toast';
 
 const OllamaManager = () => {
@@ -32,7 +33,8 @@ const OllamaManager = () => {
     apiKey: '',
     requireAuth: false,
     hostname: 'inference.vm',
-    gpuSelection: 'auto'
+    gpuSelection: 'auto',
+    gpuMemoryFraction: ''
   });
 
   const navigate = useNavigate();
@@ -54,6 +56,29 @@ const OllamaManager = () => {
     fetchInstances();
   }, []);
 
+  useServerEvents({
+    connected: ({ reconnected }) => {
+      if (reconnected) fetchInstances();
+    },
+    'ollama-instance': (change) => {
+      if (!instances.some(instance => instance.id === change.instanceId)) {
+        fetchInstances();
+        return;
+      }
+      setInstances(prev => prev.map(instance => (instance.id === change.instanceId
+        ? {
+          ...instance,
+          status: change.to,
+          status_reason: change.reason,
+          running: ['running', 'unhealthy'].includes(change.to)
+        }
+        : instance)));
+    },
+    'ollama-instance-removed': ({ instanceId }) => {
+      setInstances(prev => prev.filter(instance => instance.id !== instanceId));
+    }
+  });
+
   const handleCreateInstance = async (e) => {
     e.preventDefault();
     
@@ -72,7 +97,8 @@ const OllamaManager = () => {
         apiKey: '',
         requireAuth: false,
         hostname: 'inference.vm',
-        gpuSelection: 'auto'
+        gpuSelection: 'auto',
+        gpuMemoryFraction: ''
       });
       fetchInstances();
     } catch (error) {
@@ -136,17 +162,21 @@ const OllamaManager = () => {
   };
 
   const getStatusBadge = (status, running) => {
-    if (running) {
+    if (running && status !== 'unhealthy') {
       return <span className="badge badge-success">Running</span>;
     }
     
     switch (status) {
       case 'running':
         return <span className="badge badge-success">Running</span>;
+      case 'unhealthy':
+        return <span className="badge badge-warning">Unhealthy</span>;
       case 'stopped':
         return <span className="badge badge-warning">Stopped</span>;
       case 'error':
         return <span className="badge badge-error">Error</span>;
+      case 'removed':
+        return <span className="badge badge-error">Container removed</span>;
       default:
         return <span className="badge badge-info">{status}</span>;
     }
@@ -264,6 +294,26 @@ const OllamaManager = () => {
                 </select>
               </div>
 
+              <div>
+                <label className="label">
+                  <span className="label-text">GPU Memory Share</span>
+                  <span className="label-text-alt text-gray-500">Optional</span>
+                </label>
+                <input
+                  type="number"
+                  value={formData.gpuMemoryFraction}
+                  onChange={(e) => setFormData({ ...formData, gpuMemoryFraction: e.target.value })}
+                  className="input input-bordered w-full"
+                  placeholder="0.5"
+                  step="0.05"
+                  min="0.05"
+                  max="1"
+                />
+                <p className="text-sm text-gray-600 mt-1">
+                  Fraction of the GPU's memory kept for this instance's models; other instances can't claim it
+                </p>
+              </div>
+
               <div className="flex justify-end space-x-2 pt-4">
                 <button
                   type="button"
@@ -320,6 +370,7 @@ const OllamaManager = () => {
                   </h3>
                   <p className="text-gray-600 text-sm">
                     Port: {instance.port} • {instance.deviceInfo || 'GPU mode'}
+                    {instance.running && instance.gpuUsage && ` • ${(instance.gpuUsage.memoryUsedMiB / 1024).toFixed(1)} GB GPU memory used`}
                   </p>
                 </div>
                 <div className="flex items-center space-x-2">
@@ -10,7 +10,8 @@ import {
   Globe,
   Server,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  Package
 } from 'lucide-react';
 import { settingsApi, gpuApi } from '../services/api';
 import toast from 'react-hot-toast';
@@ -38,13 +39,6 @@ const Settings = () => {
       description: 'Default hostname for vLLM instance URLs',
       placeholder: 'inference.vm'
     },
-    'default_api_key': {
-      label: 'Default vLLM API Key',
-      type: 'text',
-      icon: Key,
-      description: 'Default API key for vLLM instances',
-      placeholder: 'localkey'
-    },
     'auto_start_instances': {
       label: 'Auto-start Instances',
       type: 'boolean',
@@ -82,6 +76,44 @@ const Settings = () => {
       type: 'boolean',
       icon: Server,
       description: 'Automatically balance GPU usage across available GPUs'
+    },
+    'gateway_require_api_key': {
+      label: 'Require Gateway API Keys',
+      type: 'boolean',
+      icon: Key,
+      description: 'Reject /v1 gateway requests that do not present a manager-issued API key'
+    },
+    'default_vllm_image': {
+      label: 'Default vLLM Image',
+      type: 'text',
+      icon: Package,
+      description: 'Image and tag for vLLM instances that do not pin one. Leave empty to use the image of the detected GPU backend.',
+      placeholder: 'vllm/vllm-openai:v0.6.3'
+    },
+    'default_ollama_image': {
+      label: 'Default Ollama Image',
+      type: 'text',
+      icon: Package,
+      description: 'Image and tag for new Ollama instances. Leave empty to use the image of the detected GPU backend.',
+      placeholder: 'ollama/ollama:0.3.14'
+    },
+    'allowed_images': {
+      label: 'Allowed Images',
+      type: 'text',
+      icon: Package,
+      description: 'Comma-separated images instances may run; * matches any text and an image without a tag allows all its tags. Leave empty to allow any image.',
+      placeholder: 'vllm/vllm-openai, rocm/vllm, ollama/ollama'
+    },
+    'default_image_pull_policy': {
+      label: 'Image Pull Policy',
+      type: 'select',
+      icon: Package,
+      description: 'When instance images are pulled, unless an instance sets its own policy',
+      options: [
+        { value: 'if-missing', label: 'If missing' },
+        { value: 'always', label: 'Always' },
+        { value: 'never', label: 'Never' }
+      ]
     }
   };
 
@@ -138,7 +170,12 @@ const Settings = () => {
         settingsToUpdate[key] = settings[key].value;
       });
       
-      await settingsApi.updateMultiple(settingsToUpdate);
+      const response = await settingsApi.updateMultiple(settingsToUpdate);
+      if (response.data.errors && response.data.errors.length > 0) {
+        // Partially saved (207): keep the form dirty so the invalid values can be fixed
+        response.data.errors.forEach(({ key, error }) => toast.error(`${settingsConfig[key]?.label || key}: ${error}`));
+        return;
+      }
       setModified(false);
       toast.success('Settings saved successfully');
     } catch (error) {
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Layers,
+  Plus,
+  RefreshCw,
+  Trash2,
+  Copy,
+  Download,
+  Upload
+} from 'lucide-react';
+import { templatesApi } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Settings of a template's config shown next to its model
+const configSummary = (config) => [
+  config.gpuSelection === 'cpu' && 'CPU',
+  config.maxContextLength && `${config.maxContextLength.toLocaleString()} tokens`,
+  config.quantization,
+  config.tensorParallelSize && `${config.tensorParallelSize} GPUs`,
+  config.enableLora && 'LoRA',
+  config.speculativeDecoding && `${config.speculativeDecoding.method} speculation`,
+  config.extraArgs && `${Object.keys(config.extraArgs).length} extra flags`
+].filter(Boolean).join(' · ');
+
+const Templates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const fileInput = useRef(null);
+  const navigate = useNavigate();
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await templatesApi.getAll();
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      toast.error('Failed to fetch templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  // Save a template under a new name, e.g. an editable copy of a built-in one
+  const handleCopy = async (template) => {
+    const name = window.prompt('Name of the copy', `${template.name} (copy)`);
+    if (!name) {
+      return;
+    }
+
+    try {
+      await templatesApi.create({ name, description: template.description, config: template.config });
+      toast.success(`Saved template "${name}"`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error copying template:', error);
+      toast.error(error.response?.data?.error || 'Failed to copy template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete template "${template.name}"? Instances created from it are not affected.`)) {
+      return;
+    }
+
+    try {
+      await templatesApi.remove(template.id);
+      toast.success(`Deleted ${template.name}`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  // Import a template exported as JSON
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const exported = JSON.parse(await file.text());
+      const response = await templatesApi.create(exported);
+      toast.success(`Imported template "${response.data.name}"`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error importing template:', error);
+      toast.error(error.response?.data?.error || 'The file is not a JSON template export');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="flex items-center space-x-2">
+          <RefreshCw className="w-6 h-6 animate-spin text-primary-600" />
+          <span className="text-lg text-gray-600">Loading templates...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <Layers className="w-8 h-8 mr-3" />
+            Templates
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Saved instance settings that pre-fill new instances
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <button onClick={fetchTemplates} className="btn btn-secondary">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+          <a href={templatesApi.exportAllUrl('yaml')} className="btn btn-secondary">
+            <Download className="w-4 h-4 mr-2" />
+            Export All
+          </a>
+          <button onClick={() => fileInput.current.click()} className="btn btn-secondary">
+            <Upload className="w-4 h-4 mr-2" />
+            Import
+          </button>
+          <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      <div className="card overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Model</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Settings</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {templates.map(template => (
+              <tr key={template.id}>
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium flex items-center space-x-2">
+                    <span>{template.name}</span>
+                    {template.builtin && <span className="badge badge-info">Built-in</span>}
+                  </div>
+                  {template.description && (
+                    <p className="text-gray-600 mt-1">{template.description}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm font-mono">{template.config.modelName}</td>
+                <td className="px-4 py-3 text-sm text-gray-600">{configSummary(template.config)}</td>
+                <td className="px-4 py-3 text-sm">
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => navigate(`/create?template=${encodeURIComponent(template.id)}`)}
+                      className="btn btn-primary btn-sm"
+                      title="Create an instance from this template"
+                    >
+                      <Plus className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => handleCopy(template)} className="btn btn-secondary btn-sm" title="Save a copy">
+                      <Copy className="w-4 h-4" />
+                    </button>
+                    <a href={templatesApi.exportUrl(template.id, 'json')} className="btn btn-secondary btn-sm" title="Export as JSON">
+                      JSON
+                    </a>
+                    <a href={templatesApi.exportUrl(template.id, 'yaml')} className="btn btn-secondary btn-sm" title="Export as YAML">
+                      YAML
+                    </a>
+                    {!template.builtin && (
+                      <button onClick={() => handleDelete(template)} className="btn btn-danger btn-sm" title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Templates;
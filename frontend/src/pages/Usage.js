@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import { usageApi } from '../services/api';
+import toast from 'react-hot-toast';
+
+const RANGES = [
+  { days: 1, label: 'Today' },
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+];
+
+// Usage days are UTC dates
+const utcDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+const formatLatency = (ms) => {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+};
+
+const UsageTable = ({ title, label, rows, renderName }) => (
+  <div className="card overflow-hidden">
+    <h2 className="text-lg font-semibold text-gray-900 px-4 pt-4 pb-2">{title}</h2>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500 px-4 pb-4">No requests in this range</p>
+    ) : (
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">{label}</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Requests</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Errors</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Prompt</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Completion</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Avg Latency</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td className="px-4 py-3 text-sm font-medium">{renderName(row)}</td>
+              <td className="px-4 py-3 text-sm text-right">{formatNumber(row.requests)}</td>
+              <td className="px-4 py-3 text-sm text-right">
+                {row.errors > 0 ? <span className="text-red-600">{formatNumber(row.errors)}</span> : 0}
+              </td>
+              <td className="px-4 py-3 text-sm text-right">{formatNumber(row.promptTokens)}</td>
+              <td className="px-4 py-3 text-sm text-right">{formatNumber(row.completionTokens)}</td>
+              <td className="px-4 py-3 text-sm text-right">{formatLatency(row.avgLatencyMs)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const Usage = () => {
+  const [days, setDays] = useState(7);
+  const [totals, setTotals] = useState(null);
+  const [daily, setDaily] = useState([]);
+  const [instances, setInstances] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchUsage = useCallback(async () => {
+    const params = {
+      from: utcDate(Date.now() - (days - 1) * 24 * 60 * 60 * 1000),
+      to: utcDate(Date.now()),
+    };
+
+    try {
+      setLoading(true);
+      const [totalsResponse, dailyResponse, instancesResponse, keysResponse] = await Promise.all([
+        usageApi.getTotals(params),
+        usageApi.getDaily(params),
+        usageApi.getByInstance(params),
+        usageApi.getByKey(params),
+      ]);
+      setTotals(totalsResponse.data);
+      setDaily(dailyResponse.data.days);
+      setInstances(instancesResponse.data.instances);
+      setKeys(keysResponse.data.keys);
+    } catch (error) {
+      console.error('Error fetching usage:', error);
+      toast.error('Failed to fetch usage');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  const maxDailyTokens = Math.max(1, ...daily.map(day => day.totalTokens));
+
+  const renderInstance = (row) => {
+    if (!row.instanceId) {
+      return <span className="text-gray-500">Unrouted</span>;
+    }
+    const path = row.instanceType === 'ollama' ? `/ollama/${row.instanceId}` : `/instance/${row.instanceId}`;
+    return (
+      <Link to={path} className="text-primary-600 hover:underline">
+        {row.instanceName || row.instanceId}
+      </Link>
+    );
+  };
+
+  const renderKey = (row) => {
+    if (!row.apiKeyId) {
+      return <span className="text-gray-500">No API key</span>;
+    }
+    if (!row.apiKeyName) {
+      return <span className="text-gray-500">Deleted key</span>;
+    }
+    return (
+      <span>
+        {row.apiKeyName} <span className="font-mono text-gray-500">{row.apiKeyPrefix}…</span>
+      </span>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <BarChart3 className="w-8 h-8 mr-3" />
+            Usage
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Requests and tokens served through the gateway and the Test page
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={days}
+            onChange={(e) => setDays(parseInt(e.target.value, 10))}
+            className="input"
+          >
+            {RANGES.map(range => (
+              <option key={range.days} value={range.days}>{range.label}</option>
+            ))}
+          </select>
+          <button onClick={fetchUsage} className="btn btn-secondary">
+            <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {totals && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Requests</p>
+            <p className="text-2xl font-semibold text-gray-900">{formatNumber(totals.requests)}</p>
+            {totals.errors > 0 && (
+              <p className="text-xs text-red-600">{formatNumber(totals.errors)} failed</p>
+            )}
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Prompt Tokens</p>
+            <p className="text-2xl font-semibold text-gray-900">{formatNumber(totals.promptTokens)}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Completion Tokens</p>
+            <p className="text-2xl font-semibold text-gray-900">{formatNumber(totals.completionTokens)}</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-gray-500">Avg Latency</p>
+            <p className="text-2xl font-semibold text-gray-900">{formatLatency(totals.avgLatencyMs)}</p>
+            <p className="text-xs text-gray-500">max {formatLatency(totals.maxLatencyMs)}</p>
+          </div>
+        </div>
+      )}
+
+      {daily.length > 1 && (
+        <div className="card p-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Tokens per Day</h2>
+          <div className="space-y-1">
+            {daily.map(day => (
+              <div key={day.day} className="flex items-center text-sm">
+                <span className="w-24 text-gray-600">{day.day}</span>
+                <div className="flex-1 bg-gray-100 rounded h-4 mr-3">
+                  <div
+                    className="bg-primary-500 h-4 rounded"
+                    style={{ width: `${(day.totalTokens / maxDailyTokens) * 100}%` }}
+                  />
+                </div>
+                <span className="w-40 text-right text-gray-700">
+                  {formatNumber(day.totalTokens)} tokens · {formatNumber(day.requests)} req
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <UsageTable title="By Instance" label="Instance" rows={instances} renderName={renderInstance} />
+      <UsageTable title="By API Key" label="API Key" rows={keys} renderName={renderKey} />
+    </div>
+  );
+};
+
+export default Usage;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { Users as UsersIcon, Plus, RefreshCw, Trash2, KeyRound, Lock, Unlock } from 'lucide-react';
+import { usersApi } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ROLES = [
+  { value: 'viewer', label: 'Viewer - read-only access' },
+  { value: 'operator', label: 'Operator - manage instances and models' },
+  { value: 'admin', label: 'Admin - settings, API keys and users' }
+];
+
+const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [formData, setFormData] = useState({ username: '', password: '', role: 'viewer' });
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const response = await usersApi.getAll();
+      setUsers(response.data);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      toast.error('Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      const response = await usersApi.create(formData);
+      toast.success(`User "${response.data.username}" created`);
+      setFormData({ username: '', password: '', role: 'viewer' });
+      setShowCreateForm(false);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error creating user:', error);
+      toast.error(error.response?.data?.error || 'Failed to create user');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateUser = async (user, data, successMessage) => {
+    try {
+      await usersApi.update(user.id, data);
+      toast.success(successMessage);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error updating user:', error);
+      toast.error(error.response?.data?.error || 'Failed to update user');
+    }
+  };
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for "${user.username}" (min. 8 characters):`);
+    if (password) {
+      updateUser(user, { password }, `Password reset for ${user.username}`);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete user "${user.username}"?`)) {
+      return;
+    }
+
+    try {
+      await usersApi.remove(user.id);
+      toast.success(`Deleted ${user.username}`);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete user');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : 'Never';
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="flex items-center space-x-2">
+          <RefreshCw className="w-6 h-6 animate-spin text-primary-600" />
+          <span className="text-lg text-gray-600">Loading users...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <UsersIcon className="w-8 h-8 mr-3" />
+            Users
+          </h1>
+          <p className="text-gray-600 mt-2">Accounts that can sign in to the manager</p>
+        </div>
+        <div className="flex space-x-3">
+          <button onClick={fetchUsers} className="btn btn-secondary">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+          <button onClick={() => setShowCreateForm(!showCreateForm)} className="btn btn-primary">
+            <Plus className="w-4 h-4 mr-2" />
+            New User
+          </button>
+        </div>
+      </div>
+
+      {showCreateForm && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Create User</h2>
+          <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="text"
+              value={formData.username}
+              onChange={(e) => setFormData(prev => ({ ...prev, username: e.target.value }))}
+              placeholder="Username"
+              className="input"
+            />
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={formData.password}
+              onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
+              placeholder="Password (min. 8 characters)"
+              className="input"
+            />
+            <select
+              value={formData.role}
+              onChange={(e) => setFormData(prev => ({ ...prev, role: e.target.value }))}
+              className="input"
+            >
+              {ROLES.map(role => (
+                <option key={role.value} value={role.value}>{role.label}</option>
+              ))}
+            </select>
+            <div className="md:col-span-3 flex space-x-3">
+              <button type="submit" disabled={creating} className="btn btn-primary">
+                {creating ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> : <Plus className="w-4 h-4 mr-2" />}
+                Create User
+              </button>
+              <button type="button" onClick={() => setShowCreateForm(false)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Username</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Login</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {users.map(user => (
+              <tr key={user.id} className={user.disabled ? 'bg-gray-50 text-gray-500' : ''}>
+                <td className="px-4 py-3 text-sm font-medium">{user.username}</td>
+                <td className="px-4 py-3 text-sm">
+                  <select
+                    value={user.role}
+                    onChange={(e) => updateUser(user, { role: e.target.value }, `${user.username} is now ${e.target.value}`)}
+                    className="input py-1"
+                  >
+                    {ROLES.map(role => (
+                      <option key={role.value} value={role.value}>{role.value}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-4 py-3 text-sm">{formatDate(user.lastLoginAt)}</td>
+                <td className="px-4 py-3 text-sm">
+                  {user.disabled ? (
+                    <span className="badge badge-error">Disabled</span>
+                  ) : (
+                    <span className="badge badge-success">Active</span>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <div className="flex justify-end space-x-2">
+                    <button onClick={() => handleResetPassword(user)} className="btn btn-secondary btn-sm" title="Reset password">
+                      <KeyRound className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => updateUser(user, { disabled: !user.disabled }, `${user.username} ${user.disabled ? 'enabled' : 'disabled'}`)}
+                      className="btn btn-warning btn-sm"
+                      title={user.disabled ? 'Enable' : 'Disable'}
+                    >
+                      {user.disabled ? <Unlock className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+                    </button>
+                    <button onClick={() => handleDelete(user)} className="btn btn-danger btn-sm" title="Delete">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
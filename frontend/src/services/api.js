@@ -3,6 +3,7 @@ import axios from 'axios';
 const api = axios.create({
   baseURL: '/api',
   timeout: 30000,
+  withCredentials: true,
 });
 
 // Request interceptor
@@ -21,27 +22,63 @@ api.interceptors.response.use(
     return response;
   },
   (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      console.error('Unauthorized access');
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/login')) {
+      // Session missing or expired: send the user to the login page and come back afterwards
+      if (window.location.pathname !== '/login') {
+        const redirect = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.assign(`/login?redirect=${redirect}`);
+      }
     }
     return Promise.reject(error);
   }
 );
 
+// Auth API
+export const authApi = {
+  login: (username, password) => api.post('/auth/login', { username, password }),
+  logout: () => api.post('/auth/logout'),
+  me: () => api.get('/auth/me'),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/me/password', { currentPassword, newPassword }),
+};
+
+// Users API (admin only)
+export const usersApi = {
+  getAll: () => api.get('/users'),
+  create: (data) => api.post('/users', data),
+  update: (id, data) => api.put(`/users/${id}`, data),
+  remove: (id) => api.delete(`/users/${id}`),
+};
+
 // Container API
 export const containerApi = {
   getAll: () => api.get('/containers'),
+  get: (id) => api.get(`/containers/${id}`),
+  getStatusHistory: (id, limit = 50) => api.get(`/containers/${id}/status-history?limit=${limit}`),
+  getHealthHistory: (id, params = {}) => api.get(`/containers/${id}/health-history`, { params }),
+  updateHealthPolicy: (id, policy) => api.put(`/containers/${id}/health-policy`, policy),
   getAllWithOrphanCheck: () => api.get('/containers/with-orphan-check'),
-  checkOrphans: (autoImport = false) => api.get(`/containers/orphans?autoImport=${autoImport}`),
+  checkOrphans: () => api.get('/containers/orphans'),
   importOrphans: (containerIds) => api.post('/containers/orphans/import', { containerIds }),
   create: (data) => api.post('/containers', data),
   update: (id, data) => api.put(`/containers/${id}`, data),
+  getExtraArgsSchema: () => api.get('/containers/extra-args/schema'),
+  getAdapters: (id) => api.get(`/containers/${id}/adapters`),
+  addAdapter: (id, adapter) => api.post(`/containers/${id}/adapters`, adapter),
+  removeAdapter: (id, name) => api.delete(`/containers/${id}/adapters/${encodeURIComponent(name)}`),
   start: (id) => api.post(`/containers/${id}/start`),
   stop: (id) => api.post(`/containers/${id}/stop`),
   restart: (id) => api.post(`/containers/${id}/restart`),
   remove: (id) => api.delete(`/containers/${id}`),
-  getLogs: (id, tail = 100) => api.get(`/containers/${id}/logs?tail=${tail}`),
+  getLogs: (id, params = {}) => api.get(`/containers/${id}/logs`, { params }),
+  logsStreamUrl: (id, params = {}) => `/api/containers/${id}/logs/stream?${new URLSearchParams(params)}`,
+  logsDownloadUrl: (id, params = {}) => `/api/containers/${id}/logs/download?${new URLSearchParams(params)}`,
+};
+
+// Instance jobs API (background creation/recreation)
+export const jobsApi = {
+  getAll: (instanceId = null, limit = 50) => api.get('/jobs', { params: { instanceId: instanceId || undefined, limit } }),
+  get: (id) => api.get(`/jobs/${id}`),
+  eventsUrl: (id) => `/api/jobs/${id}/events`,
 };
 
 // Ollama API
@@ -52,8 +89,12 @@ export const ollamaApi = {
   start: (id) => api.post(`/ollama/${id}/start`),
   stop: (id) => api.post(`/ollama/${id}/stop`),
   restart: (id) => api.post(`/ollama/${id}/restart`),
+  getHealthHistory: (id, params = {}) => api.get(`/ollama/${id}/health-history`, { params }),
+  updateHealthPolicy: (id, policy) => api.put(`/ollama/${id}/health-policy`, policy),
   remove: (id) => api.delete(`/ollama/${id}`),
-  getLogs: (id, tail = 100) => api.get(`/ollama/${id}/logs?tail=${tail}`),
+  getLogs: (id, params = {}) => api.get(`/ollama/${id}/logs`, { params }),
+  logsStreamUrl: (id, params = {}) => `/api/ollama/${id}/logs/stream?${new URLSearchParams(params)}`,
+  logsDownloadUrl: (id, params = {}) => `/api/ollama/${id}/logs/download?${new URLSearchParams(params)}`,
   getModels: (id) => api.get(`/ollama/${id}/models`),
   pullModel: (id, modelName) => `/api/ollama/${id}/models/pull?modelName=${encodeURIComponent(modelName)}`,
   deleteModel: (id, modelName) => api.delete(`/ollama/${id}/models/${modelName}`),
@@ -71,6 +112,7 @@ export const modelApi = {
   getPopular: (limit = 50) => api.get('/models/popular', { params: { limit } }),
   getDetails: (modelId) => api.get(`/models/${encodeURIComponent(modelId)}`),
   getConfig: (modelId) => api.get(`/models/${encodeURIComponent(modelId)}/config`),
+  estimate: (modelId, params) => api.get(`/models/${encodeURIComponent(modelId)}/estimate`, { params }),
   validate: (modelId, apiKey) => api.post('/models/validate', { modelId, apiKey }),
 };
 
@@ -91,10 +133,45 @@ export const gpuApi = {
   getInfo: () => api.get('/system/gpu'),
   getAvailable: () => api.get('/system/gpu/available'),
   getStats: () => api.get('/system/gpu/stats'),
+  getHistory: (params = {}) => api.get('/system/gpu/history', { params }),
+  getProcesses: () => api.get('/system/gpu/processes'),
   refreshInfo: () => api.post('/system/refresh-gpu'),
   getDeviceConfig: (gpuId) => api.get(`/system/device-config/${gpuId || ''}`),
 };
 
+// Gateway API keys
+export const apiKeysApi = {
+  getAll: () => api.get('/keys'),
+  get: (id) => api.get(`/keys/${id}`),
+  create: (data) => api.post('/keys', data),
+  update: (id, data) => api.put(`/keys/${id}`, data),
+  revoke: (id) => api.post(`/keys/${id}/revoke`),
+  rotate: (id) => api.post(`/keys/${id}/rotate`),
+  remove: (id) => api.delete(`/keys/${id}`),
+};
+
+// Instance templates; built-in ones are read-only
+export const templatesApi = {
+  getAll: () => api.get('/templates'),
+  get: (id) => api.get(`/templates/${id}`),
+  create: (data) => api.post('/templates', data),
+  createFromInstance: (instanceId, data = {}) => api.post(`/templates/from-instance/${instanceId}`, data),
+  update: (id, data) => api.put(`/templates/${id}`, data),
+  remove: (id) => api.delete(`/templates/${id}`),
+  exportUrl: (id, format = 'json') => `/api/templates/${id}/export?format=${format}`,
+  exportAllUrl: (format = 'json') => `/api/templates/export?format=${format}`,
+};
+
+// Request and token usage
+export const usageApi = {
+  getTotals: (params) => api.get('/usage', { params }),
+  getDaily: (params) => api.get('/usage/daily', { params }),
+  getByInstance: (params) => api.get('/usage/instances', { params }),
+  getByKey: (params) => api.get('/usage/keys', { params }),
+  getByModel: (params) => api.get('/usage/models', { params }),
+  getRecords: (params) => api.get('/usage/records', { params }),
+};
+
 // Health API
 export const healthApi = {
   check: () => api.get('/health'),
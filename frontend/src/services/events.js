@@ -0,0 +1,53 @@
+// Shared connection to the server's push channel (GET /api/events). One
+// EventSource serves every subscriber and is closed when the last one leaves.
+
+const EVENTS_URL = '/api/events';
+
+let eventSource = null;
+let connections = 0;
+const handlers = new Map();
+
+const dispatch = (type) => (e) => {
+  let data = e.data ? JSON.parse(e.data) : {};
+  if (type === 'connected') {
+    connections += 1;
+    // Subscribers refetch after a reconnect to pick up anything they missed
+    data = { ...data, reconnected: connections > 1 };
+  }
+  (handlers.get(type) || new Set()).forEach(handler => handler(data));
+};
+
+const connect = () => {
+  eventSource = new EventSource(EVENTS_URL);
+  connections = 0;
+  handlers.forEach((_, type) => eventSource.addEventListener(type, dispatch(type)));
+};
+
+/**
+ * Listen for one notification type
+ * @param {string} type - e.g. 'instance', 'gpu-stats', 'connected'
+ * @param {Function} handler - Called with the notification's data
+ * @returns {Function} Call to unsubscribe
+ */
+export const subscribe = (type, handler) => {
+  if (!handlers.has(type)) {
+    handlers.set(type, new Set());
+    if (eventSource) {
+      eventSource.addEventListener(type, dispatch(type));
+    }
+  }
+  handlers.get(type).add(handler);
+  if (!eventSource) {
+    connect();
+  }
+
+  return () => {
+    handlers.get(type).delete(handler);
+    const remaining = Array.from(handlers.values()).some(set => set.size > 0);
+    if (!remaining && eventSource) {
+      eventSource.close();
+      eventSource = null;
+      handlers.clear();
+    }
+  };
+};
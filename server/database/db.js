@@ -0,0 +1,168 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '../data/vllm.db');
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Shared, promise-based access to the SQLite database.
+ *
+ * One connection is opened lazily and reused for the life of the process.
+ * WAL mode lets reads proceed while a write is in progress, and the busy
+ * timeout makes SQLite wait for locks instead of failing with SQLITE_BUSY.
+ */
+class Database {
+  constructor() {
+    this.path = DB_PATH;
+    this.connection = null;
+    this.opening = null;
+    this.transactionQueue = Promise.resolve();
+    this.activeTransaction = null;
+  }
+
+  /**
+   * Open the shared connection (a no-op if it is already open)
+   * @returns {Promise<sqlite3.Database>}
+   */
+  async open() {
+    if (this.connection) {
+      return this.connection;
+    }
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(this.path, (err) => {
+          if (err) {
+            this.opening = null;
+            return reject(err);
+          }
+
+          connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+          connection.exec('PRAGMA journal_mode = WAL;', (pragmaErr) => {
+            if (pragmaErr) {
+              console.warn('Could not enable WAL mode:', pragmaErr.message);
+            }
+            this.connection = connection;
+            resolve(connection);
+          });
+        });
+      });
+    }
+
+    return this.opening;
+  }
+
+  async close() {
+    if (!this.connection) {
+      return;
+    }
+
+    const connection = this.connection;
+    this.connection = null;
+    this.opening = null;
+    await new Promise((resolve, reject) => {
+      connection.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Statements outside a transaction wait for the active transaction to finish,
+  // so they never become part of (or get rolled back with) someone else's work
+  async ready(inTransaction) {
+    while (!inTransaction && this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    return this.open();
+  }
+
+  async execute(method, sql, params, inTransaction) {
+    const connection = await this.ready(inTransaction);
+    return new Promise((resolve, reject) => {
+      if (method === 'run') {
+        connection.run(sql, params, function(err) {
+          if (err) {
+            return reject(err);
+          }
+          resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      } else if (method === 'exec') {
+        connection.exec(sql, (err) => (err ? reject(err) : resolve()));
+      } else {
+        connection[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+      }
+    });
+  }
+
+  /**
+   * Run a statement that does not return rows
+   * @returns {Promise<{lastID: number, changes: number}>}
+   */
+  run(sql, params = []) {
+    return this.execute('run', sql, params, false);
+  }
+
+  /**
+   * @returns {Promise<Object|undefined>} First matching row
+   */
+  get(sql, params = []) {
+    return this.execute('get', sql, params, false);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All matching rows
+   */
+  all(sql, params = []) {
+    return this.execute('all', sql, params, false);
+  }
+
+  exec(sql) {
+    return this.execute('exec', sql, [], false);
+  }
+
+  /**
+   * Run several statements atomically. Transactions are serialized; the callback
+   * receives a handle with the same run/get/all/exec methods that must be used
+   * for every statement belonging to the transaction.
+   * @param {Function} fn - async (tx) => result
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async transaction(fn) {
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise(resolve => {
+      release = resolve;
+    });
+    await previous;
+
+    let finish;
+    this.activeTransaction = new Promise(resolve => {
+      finish = resolve;
+    });
+
+    const tx = {
+      run: (sql, params = []) => this.execute('run', sql, params, true),
+      get: (sql, params = []) => this.execute('get', sql, params, true),
+      all: (sql, params = []) => this.execute('all', sql, params, true),
+      exec: (sql) => this.execute('exec', sql, [], true)
+    };
+
+    try {
+      await tx.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(tx);
+        await tx.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await tx.exec('ROLLBACK').catch(rollbackError => {
+          console.error('Error rolling back transaction:', rollbackError);
+        });
+        throw error;
+      }
+    } finally {
+      this.activeTransaction = null;
+      finish();
+      release();
+    }
+  }
+}
+
+module.exports = new Database();
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Command line entry point for schema migrations:
+//   node server/database/migrate.js up                 Apply all pending migrations
+//   node server/database/migrate.js down [--to <N>]    Revert the latest migration, or back to version N
+//   node server/database/migrate.js status             List migrations and whether they are applied
+
+const sqlite3 = require('sqlite3');
+const { DB_PATH } = require('./init');
+const { migrate, rollback, status, migrationLabel } = require('./migrator');
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const db = new sqlite3.Database(DB_PATH);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate(db);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const toIndex = args.indexOf('--to');
+      const to = toIndex >= 0 ? parseInt(args[toIndex + 1], 10) : undefined;
+      if (toIndex >= 0 && Number.isNaN(to)) {
+        throw new Error('--to requires a migration version number');
+      }
+      const reverted = await rollback(db, { to });
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const migrations = await status(db);
+      migrations.forEach(migration => {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migrationLabel(migration)}  ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Tables that existed before versioned migrations. IF NOT EXISTS lets databases
+// created by older releases be adopted without changes.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS instances (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      model_name TEXT NOT NULL,
+      port INTEGER NOT NULL UNIQUE,
+      container_id TEXT,
+      status TEXT DEFAULT 'stopped',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      config TEXT,
+      api_key TEXT,
+      gpu_id TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS allocated_ports (
+      port INTEGER PRIMARY KEY,
+      instance_id TEXT,
+      allocated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      description TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS ollama_instances (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      port INTEGER NOT NULL UNIQUE,
+      container_id TEXT,
+      status TEXT DEFAULT 'stopped',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      config TEXT,
+      api_key TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS ollama_models (
+      id TEXT PRIMARY KEY,
+      instance_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      size TEXT,
+      modified_at TEXT,
+      digest TEXT,
+      status TEXT DEFAULT 'downloading',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES ollama_instances (id)
+    );
+  `);
+
+  // The earliest releases created instances without gpu_id
+  const columns = await db.all('PRAGMA table_info(instances)');
+  if (!columns.some(column => column.name === 'gpu_id')) {
+    await db.run('ALTER TABLE instances ADD COLUMN gpu_id TEXT');
+  }
+}
+
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS ollama_models;
+    DROP TABLE IF EXISTS ollama_instances;
+    DROP TABLE IF EXISTS settings;
+    DROP TABLE IF EXISTS allocated_ports;
+    DROP TABLE IF EXISTS instances;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Manager-issued gateway keys (only the hash is stored)
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      instance_ids TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      rotated_at DATETIME,
+      revoked_at DATETIME
+    );
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS api_keys;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+// Explicit instance lifecycle states with a history of every status transition
+
+async function up(db) {
+  await db.exec(`
+    ALTER TABLE instances ADD COLUMN status_reason TEXT;
+    ALTER TABLE instances ADD COLUMN status_changed_at DATETIME;
+
+    CREATE TABLE IF NOT EXISTS instance_status_transitions (
+      id INTEGER PRIMARY KEY,
+      instance_id TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_instance_status_transitions_instance_id
+      ON instance_status_transitions (instance_id, id);
+  `);
+
+  // Old free-form statuses: a "running" container may still be loading its model,
+  // so let the health probes promote it to ready
+  await db.run(`
+    UPDATE instances SET
+      status = CASE status WHEN 'running' THEN 'loading-model' WHEN 'stopped' THEN 'stopped' ELSE 'failed' END,
+      status_changed_at = CURRENT_TIMESTAMP
+  `);
+}
+
+async function down(db) {
+  await db.run(`
+    UPDATE instances SET
+      status = CASE WHEN status IN ('stopped', 'stopping') THEN 'stopped' WHEN status = 'failed' THEN 'error' ELSE 'running' END
+  `);
+
+  await db.exec(`
+    DROP TABLE IF EXISTS instance_status_transitions;
+    ALTER TABLE instances DROP COLUMN status_changed_at;
+    ALTER TABLE instances DROP COLUMN status_reason;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Background jobs that create or recreate vLLM instances
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS instance_jobs (
+      id TEXT PRIMARY KEY,
+      instance_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      stage TEXT,
+      message TEXT,
+      error TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_instance_jobs_instance_id ON instance_jobs (instance_id, created_at);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS instance_jobs');
+}
+
+module.exports = { up, down };
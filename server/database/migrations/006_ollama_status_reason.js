@@ -0,0 +1,11 @@
+// Why an Ollama instance is in its current status, e.g. a container removed outside the manager
+
+async function up(db) {
+  await db.exec('ALTER TABLE ollama_instances ADD COLUMN status_reason TEXT');
+}
+
+async function down(db) {
+  await db.exec('ALTER TABLE ollama_instances DROP COLUMN status_reason');
+}
+
+module.exports = { up, down };
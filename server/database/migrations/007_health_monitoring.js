@@ -0,0 +1,32 @@
+// Background health checks of vLLM and Ollama instances and the per-instance policies applied to them
+
+async function up(db) {
+  await db.exec(`
+    ALTER TABLE instances ADD COLUMN health_policy TEXT;
+    ALTER TABLE ollama_instances ADD COLUMN health_policy TEXT;
+
+    CREATE TABLE IF NOT EXISTS health_checks (
+      id INTEGER PRIMARY KEY,
+      instance_id TEXT NOT NULL,
+      instance_type TEXT NOT NULL,
+      healthy INTEGER NOT NULL,
+      latency_ms INTEGER,
+      error TEXT,
+      action TEXT,
+      checked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_health_checks_instance_id ON health_checks (instance_id, id);
+    CREATE INDEX IF NOT EXISTS idx_health_checks_checked_at ON health_checks (checked_at);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS health_checks;
+    ALTER TABLE ollama_instances DROP COLUMN health_policy;
+    ALTER TABLE instances DROP COLUMN health_policy;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Request and token usage of instances, per API key, from the gateway and the Test page
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_records (
+      id INTEGER PRIMARY KEY,
+      source TEXT NOT NULL,
+      instance_id TEXT,
+      instance_type TEXT,
+      instance_name TEXT,
+      model TEXT,
+      api_key_id TEXT,
+      user_id TEXT,
+      endpoint TEXT NOT NULL,
+      status_code INTEGER NOT NULL,
+      streamed INTEGER NOT NULL DEFAULT 0,
+      prompt_tokens INTEGER,
+      completion_tokens INTEGER,
+      total_tokens INTEGER,
+      latency_ms INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_usage_records_created_at ON usage_records (created_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_records_instance_id ON usage_records (instance_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_records_api_key_id ON usage_records (api_key_id, created_at);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS usage_records');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// Share of each GPU's memory committed to vLLM and Ollama instances, so instances
+// sharing a GPU can't claim more than the whole of it
+
+const DEFAULT_GPU_MEMORY_UTILIZATION = 0.85;
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS gpu_allocations (
+      instance_type TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      gpu_id TEXT NOT NULL,
+      memory_fraction REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (instance_type, instance_id, gpu_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_gpu_allocations_gpu_id ON gpu_allocations (gpu_id);
+  `);
+
+  // vLLM instances placed before this release claimed their gpuMemoryUtilization.
+  // The earliest releases stored no config column.
+  const instances = await db.all("SELECT * FROM instances WHERE gpu_id IS NOT NULL AND gpu_id != 'auto'");
+  for (const instance of instances) {
+    let config = {};
+    try {
+      config = JSON.parse(instance.config || '{}');
+    } catch (error) {
+      // Unreadable configuration: assume vLLM's default claim
+    }
+    const fraction = (config.placement && config.placement.gpuMemoryUtilization)
+      || (config.advancedConfig && config.advancedConfig.gpuMemoryUtilization)
+      || DEFAULT_GPU_MEMORY_UTILIZATION;
+    for (const gpuId of instance.gpu_id.split(',')) {
+      await db.run(
+        "INSERT OR IGNORE INTO gpu_allocations (instance_type, instance_id, gpu_id, memory_fraction) VALUES ('vllm', ?, ?, ?)",
+        [instance.id, gpuId, fraction]
+      );
+    }
+  }
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS gpu_allocations');
+}
+
+module.exports = { up, down };
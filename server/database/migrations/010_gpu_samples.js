@@ -0,0 +1,30 @@
+// GPU telemetry: utilization, memory, temperature and power per GPU over time.
+// Raw samples are rolled up into coarser buckets (resolution, in seconds) and
+// each resolution keeps a fixed span, so the table holds a bounded number of rows.
+// sampled_at is the Unix time in seconds at the start of the sample's bucket.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS gpu_samples (
+      gpu_id TEXT NOT NULL,
+      resolution INTEGER NOT NULL,
+      sampled_at INTEGER NOT NULL,
+      utilization REAL,
+      utilization_max REAL,
+      memory_used REAL,
+      memory_total REAL,
+      temperature REAL,
+      power_draw REAL,
+      power_limit REAL,
+      PRIMARY KEY (gpu_id, resolution, sampled_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_gpu_samples_resolution ON gpu_samples (resolution, sampled_at);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS gpu_samples');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// LoRA adapters served by vLLM instances on top of their base model. source is
+// a HuggingFace repository or a path in the LoRA adapters directory.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS instance_adapters (
+      instance_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      source TEXT NOT NULL,
+      rank INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (instance_id, name)
+    );
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS instance_adapters');
+}
+
+module.exports = { up, down };
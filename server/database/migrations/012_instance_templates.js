@@ -0,0 +1,23 @@
+// Saved instance templates: settings that pre-fill new vLLM instances. config holds
+// the fields of a creation request as JSON. Built-in templates live in code.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS instance_templates (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      config TEXT NOT NULL,
+      source_instance_id TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS instance_templates');
+}
+
+module.exports = { up, down };
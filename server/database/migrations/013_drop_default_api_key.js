@@ -0,0 +1,15 @@
+// Instances no longer share a default API key: each gets its own internal key,
+// and clients reach them through the gateway with manager-issued keys.
+
+async function up(db) {
+  await db.run(`DELETE FROM settings WHERE key = 'default_api_key'`);
+}
+
+async function down(db) {
+  await db.run(`
+    INSERT OR IGNORE INTO settings (key, value, description)
+    VALUES ('default_api_key', 'localkey', 'Default API key for vLLM instances')
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Promise wrapper around a sqlite3 connection, handed to migrations
+ */
+function wrap(db) {
+  return {
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    }),
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    })
+  };
+}
+
+/**
+ * Load migrations from disk, ordered by version.
+ * Files are named "<version>_<name>.js" and export { up(db), down(db) }.
+ * @param {string} dir - Directory to load from
+ * @returns {Array<Object>} [{ version, name, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        return null;
+      }
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up: migration.up, down: migration.down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Run one migration step and its bookkeeping in a single transaction
+async function runInTransaction(db, fn) {
+  await db.exec('BEGIN');
+  try {
+    await fn();
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply all pending migrations in order.
+ * Refuses to run if the database has migrations this code does not know about,
+ * i.e. it was last opened by a newer version of the application.
+ * @param {sqlite3.Database} connection - Open sqlite3 connection
+ * @param {Object} options
+ * @param {Array<Object>} options.migrations - Migrations to apply (defaults to the migrations directory)
+ * @returns {Promise<Array<Object>>} Migrations that were applied
+ */
+async function migrate(connection, { migrations = loadMigrations() } = {}) {
+  const db = wrap(connection);
+  const applied = await getAppliedMigrations(db);
+  const latestKnown = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const latestApplied = applied.length > 0 ? applied[applied.length - 1].version : 0;
+
+  if (latestApplied > latestKnown) {
+    throw new Error(
+      `Database schema version ${latestApplied} is newer than this application supports (${latestKnown}). ` +
+      'Upgrade vLLM Manager or restore a matching database backup.'
+    );
+  }
+
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migrationLabel(migration)}...`);
+    await runInTransaction(db, async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {sqlite3.Database} connection - Open sqlite3 connection
+ * @param {Object} options
+ * @param {number} options.to - Version to roll back to (that version stays applied); defaults to one step back
+ * @param {Array<Object>} options.migrations - Known migrations (defaults to the migrations directory)
+ * @returns {Promise<Array<Object>>} Migrations that were reverted
+ */
+async function rollback(connection, { to, migrations = loadMigrations() } = {}) {
+  const db = wrap(connection);
+  const applied = await getAppliedMigrations(db);
+  if (applied.length === 0) {
+    return [];
+  }
+
+  const target = to !== undefined ? to : (applied.length > 1 ? applied[applied.length - 2].version : 0);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const toRevert = applied.filter(row => row.version > target).reverse();
+
+  const reverted = [];
+  for (const row of toRevert) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back migration ${migrationLabel(row)}: migration file not found`);
+    }
+
+    console.log(`Reverting migration ${migrationLabel(migration)}...`);
+    await runInTransaction(db, async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+/**
+ * List known migrations with whether each has been applied
+ */
+async function status(connection, { migrations = loadMigrations() } = {}) {
+  const db = wrap(connection);
+  const applied = new Map((await getAppliedMigrations(db)).map(row => [row.version, row]));
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrationLabel,
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
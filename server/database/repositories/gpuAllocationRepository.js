@@ -0,0 +1,52 @@
+const db = require('../db');
+
+// Share of each GPU's memory committed to vLLM and Ollama instances. Every method accepts an optional transaction handle as its last argument.
+class GpuAllocationRepository {
+  findAll(conn = db) {
+    return conn.all('SELECT * FROM gpu_allocations ORDER BY gpu_id, created_at');
+  }
+
+  findByInstance(instanceType, instanceId, conn = db) {
+    return conn.all(
+      'SELECT * FROM gpu_allocations WHERE instance_type = ? AND instance_id = ? ORDER BY gpu_id',
+      [instanceType, instanceId]
+    );
+  }
+
+  /**
+   * Allocations of the instances that hold their GPU memory: vLLM instances in
+   * the given lifecycle states and Ollama instances in the given statuses
+   */
+  findHeld(vllmStatuses, ollamaStatuses, conn = db) {
+    const vllmPlaceholders = vllmStatuses.map(() => '?').join(', ');
+    const ollamaPlaceholders = ollamaStatuses.map(() => '?').join(', ');
+    return conn.all(
+      `SELECT a.* FROM gpu_allocations a
+        LEFT JOIN instances i ON a.instance_type = 'vllm' AND i.id = a.instance_id
+        LEFT JOIN ollama_instances o ON a.instance_type = 'ollama' AND o.id = a.instance_id
+        WHERE (a.instance_type = 'vllm' AND i.status IN (${vllmPlaceholders}))
+          OR (a.instance_type = 'ollama' AND o.status IN (${ollamaPlaceholders}))
+        ORDER BY a.gpu_id, a.created_at`,
+      [...vllmStatuses, ...ollamaStatuses]
+    );
+  }
+
+  /**
+   * Replace an instance's allocations with the same fraction of each of the given GPUs
+   */
+  async replace(instanceType, instanceId, gpuIds, memoryFraction, conn = db) {
+    await this.deleteByInstance(instanceType, instanceId, conn);
+    for (const gpuId of gpuIds) {
+      await conn.run(
+        'INSERT INTO gpu_allocations (instance_type, instance_id, gpu_id, memory_fraction) VALUES (?, ?, ?, ?)',
+        [instanceType, instanceId, gpuId, memoryFraction]
+      );
+    }
+  }
+
+  deleteByInstance(instanceType, instanceId, conn = db) {
+    return conn.run('DELETE FROM gpu_allocations WHERE instance_type = ? AND instance_id = ?', [instanceType, instanceId]);
+  }
+}
+
+module.exports = new GpuAllocationRepository();
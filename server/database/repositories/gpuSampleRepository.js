@@ -0,0 +1,81 @@
+const db = require('../db');
+
+// GPU telemetry samples at several resolutions (seconds; 0 for raw samples). Every method accepts an optional transaction handle as its last argument.
+class GpuSampleRepository {
+  /**
+   * Store one raw sample per GPU, taken at the given Unix time in seconds
+   */
+  async createRaw(sampledAt, gpus, conn = db) {
+    for (const gpu of gpus) {
+      await conn.run(
+        `INSERT OR REPLACE INTO gpu_samples (gpu_id, resolution, sampled_at, utilization, utilization_max,
+          memory_used, memory_total, temperature, power_draw, power_limit)
+         VALUES (?, 0, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          String(gpu.id),
+          sampledAt,
+          gpu.utilization,
+          gpu.utilization,
+          gpu.memoryUsed,
+          gpu.memoryTotal,
+          gpu.temperature,
+          gpu.powerDraw,
+          gpu.powerLimit
+        ]
+      );
+    }
+  }
+
+  /**
+   * Average samples of one resolution into buckets of a coarser one. Only buckets
+   * that end at or before `before` and come after the newest existing bucket of
+   * the GPU are written, so rolling up repeatedly is cheap and never rewrites a bucket.
+   * @param {number} source - Resolution to read
+   * @param {number} target - Resolution to write, a multiple of the source's
+   * @param {number} before - Unix time in seconds, the start of the bucket still being filled
+   */
+  rollUp(source, target, before, conn = db) {
+    return conn.run(
+      `INSERT OR IGNORE INTO gpu_samples (gpu_id, resolution, sampled_at, utilization, utilization_max,
+        memory_used, memory_total, temperature, power_draw, power_limit)
+       SELECT s.gpu_id, ?, (s.sampled_at / ?) * ? AS bucket, AVG(s.utilization), MAX(s.utilization_max),
+         AVG(s.memory_used), MAX(s.memory_total), AVG(s.temperature), AVG(s.power_draw), MAX(s.power_limit)
+       FROM gpu_samples s
+       WHERE s.resolution = ? AND s.sampled_at < ?
+         AND s.sampled_at >= COALESCE(
+           (SELECT MAX(t.sampled_at) + ? FROM gpu_samples t WHERE t.resolution = ? AND t.gpu_id = s.gpu_id), 0)
+       GROUP BY s.gpu_id, bucket`,
+      [target, target, target, source, before, target, target]
+    );
+  }
+
+  /**
+   * Samples of one resolution in [from, to), oldest first
+   * @param {Object} range
+   * @param {number} range.from - Unix time in seconds
+   * @param {number} range.to - Unix time in seconds
+   * @param {string|null} range.gpuId - Only this GPU
+   */
+  findRange(resolution, { from, to, gpuId = null }, conn = db) {
+    if (gpuId !== null) {
+      return conn.all(
+        `SELECT * FROM gpu_samples WHERE resolution = ? AND gpu_id = ? AND sampled_at >= ? AND sampled_at < ?
+         ORDER BY sampled_at`,
+        [resolution, gpuId, from, to]
+      );
+    }
+    return conn.all(
+      'SELECT * FROM gpu_samples WHERE resolution = ? AND sampled_at >= ? AND sampled_at < ? ORDER BY gpu_id, sampled_at',
+      [resolution, from, to]
+    );
+  }
+
+  /**
+   * Delete samples of one resolution taken before the given Unix time in seconds
+   */
+  deleteOlderThan(resolution, before, conn = db) {
+    return conn.run('DELETE FROM gpu_samples WHERE resolution = ? AND sampled_at < ?', [resolution, before]);
+  }
+}
+
+module.exports = new GpuSampleRepository();
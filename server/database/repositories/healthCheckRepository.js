@@ -0,0 +1,47 @@
+const db = require('../db');
+
+// Results of background health checks of vLLM and Ollama instances. Every method accepts an optional transaction handle as its last argument.
+class HealthCheckRepository {
+  /**
+   * Most recent checks first
+   * @param {Object} options
+   * @param {number} options.limit
+   * @param {string|null} options.since - Only checks at or after this SQLite datetime
+   */
+  findByInstance(instanceId, { limit = 100, since = null } = {}, conn = db) {
+    if (since) {
+      return conn.all(
+        'SELECT * FROM health_checks WHERE instance_id = ? AND checked_at >= ? ORDER BY id DESC LIMIT ?',
+        [instanceId, since, limit]
+      );
+    }
+    return conn.all('SELECT * FROM health_checks WHERE instance_id = ? ORDER BY id DESC LIMIT ?', [instanceId, limit]);
+  }
+
+  create(check, conn = db) {
+    return conn.run(
+      'INSERT INTO health_checks (instance_id, instance_type, healthy, latency_ms, error, action) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        check.instanceId,
+        check.instanceType,
+        check.healthy ? 1 : 0,
+        check.latencyMs === undefined ? null : check.latencyMs,
+        check.error || null,
+        check.action || null
+      ]
+    );
+  }
+
+  /**
+   * Delete checks recorded before the given SQLite datetime
+   */
+  deleteOlderThan(before, conn = db) {
+    return conn.run('DELETE FROM health_checks WHERE checked_at < ?', [before]);
+  }
+
+  deleteByInstance(instanceId, conn = db) {
+    return conn.run('DELETE FROM health_checks WHERE instance_id = ?', [instanceId]);
+  }
+}
+
+module.exports = new HealthCheckRepository();
@@ -0,0 +1,15 @@
+module.exports = {
+  gpuAllocationRepository: require('./gpuAllocationRepository'),
+  gpuSampleRepository: require('./gpuSampleRepository'),
+  healthCheckRepository: require('./healthCheckRepository'),
+  instanceAdapterRepository: require('./instanceAdapterRepository'),
+  instanceRepository: require('./instanceRepository'),
+  instanceJobRepository: require('./instanceJobRepository'),
+  instanceTemplateRepository: require('./instanceTemplateRepository'),
+  instanceTransitionRepository: require('./instanceTransitionRepository'),
+  ollamaInstanceRepository: require('./ollamaInstanceRepository'),
+  ollamaModelRepository: require('./ollamaModelRepository'),
+  portRepository: require('./portRepository'),
+  settingsRepository: require('./settingsRepository'),
+  usageRepository: require('./usageRepository')
+};
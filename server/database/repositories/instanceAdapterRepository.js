@@ -0,0 +1,53 @@
+const db = require('../db');
+
+// LoRA adapters of vLLM instances. Every method accepts an optional transaction handle as its last argument.
+class InstanceAdapterRepository {
+  findByInstance(instanceId, conn = db) {
+    return conn.all('SELECT * FROM instance_adapters WHERE instance_id = ? ORDER BY created_at, name', [instanceId]);
+  }
+
+  /**
+   * Adapters of the given instances, in one query
+   */
+  findByInstances(instanceIds, conn = db) {
+    if (instanceIds.length === 0) {
+      return Promise.resolve([]);
+    }
+    const placeholders = instanceIds.map(() => '?').join(', ');
+    return conn.all(
+      `SELECT * FROM instance_adapters WHERE instance_id IN (${placeholders}) ORDER BY instance_id, created_at, name`,
+      instanceIds
+    );
+  }
+
+  async find(instanceId, name, conn = db) {
+    return (await conn.get('SELECT * FROM instance_adapters WHERE instance_id = ? AND name = ?', [instanceId, name])) || null;
+  }
+
+  create(instanceId, adapter, conn = db) {
+    return conn.run(
+      'INSERT INTO instance_adapters (instance_id, name, source, rank) VALUES (?, ?, ?, ?)',
+      [instanceId, adapter.name, adapter.source, adapter.rank]
+    );
+  }
+
+  /**
+   * Replace all of an instance's adapters
+   */
+  async replace(instanceId, adapters, conn = db) {
+    await this.deleteByInstance(instanceId, conn);
+    for (const adapter of adapters) {
+      await this.create(instanceId, adapter, conn);
+    }
+  }
+
+  delete(instanceId, name, conn = db) {
+    return conn.run('DELETE FROM instance_adapters WHERE instance_id = ? AND name = ?', [instanceId, name]);
+  }
+
+  deleteByInstance(instanceId, conn = db) {
+    return conn.run('DELETE FROM instance_adapters WHERE instance_id = ?', [instanceId]);
+  }
+}
+
+module.exports = new InstanceAdapterRepository();
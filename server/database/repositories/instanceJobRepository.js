@@ -0,0 +1,69 @@
+const db = require('../db');
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Instance creation/recreation jobs. Every method accepts an optional transaction handle as its last argument.
+class InstanceJobRepository {
+  async findById(id, conn = db) {
+    return (await conn.get('SELECT * FROM instance_jobs WHERE id = ?', [id])) || null;
+  }
+
+  /**
+   * Most recent jobs first, optionally for a single instance
+   */
+  findRecent({ instanceId = null, limit = 50 } = {}, conn = db) {
+    if (instanceId) {
+      return conn.all(
+        'SELECT * FROM instance_jobs WHERE instance_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?',
+        [instanceId, limit]
+      );
+    }
+    return conn.all('SELECT * FROM instance_jobs ORDER BY created_at DESC, rowid DESC LIMIT ?', [limit]);
+  }
+
+  async findActiveByInstance(instanceId, conn = db) {
+    return (await conn.get(
+      'SELECT * FROM instance_jobs WHERE instance_id = ? AND status IN (?, ?) ORDER BY created_at DESC LIMIT 1',
+      [instanceId, ...ACTIVE_JOB_STATUSES]
+    )) || null;
+  }
+
+  create(job, conn = db) {
+    return conn.run(
+      'INSERT INTO instance_jobs (id, instance_id, type, status, stage, message, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [job.id, job.instanceId, job.type, job.status || 'queued', job.stage || null, job.message || null, job.createdBy || null]
+    );
+  }
+
+  updateProgress(id, { status, stage, message }, conn = db) {
+    return conn.run(
+      'UPDATE instance_jobs SET status = ?, stage = ?, message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, stage, message, id]
+    );
+  }
+
+  finish(id, { status, message, error = null }, conn = db) {
+    return conn.run(
+      'UPDATE instance_jobs SET status = ?, message = ?, error = ?, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, message, error, id]
+    );
+  }
+
+  /**
+   * Fail jobs left unfinished by a previous run of the manager
+   * @returns {Promise<number>} Number of jobs marked as failed
+   */
+  async failUnfinished(error, conn = db) {
+    const result = await conn.run(
+      'UPDATE instance_jobs SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP WHERE status IN (?, ?)',
+      ['failed', error, ...ACTIVE_JOB_STATUSES]
+    );
+    return result.changes;
+  }
+
+  deleteByInstance(instanceId, conn = db) {
+    return conn.run('DELETE FROM instance_jobs WHERE instance_id = ?', [instanceId]);
+  }
+}
+
+module.exports = new InstanceJobRepository();
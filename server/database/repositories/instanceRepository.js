@@ -0,0 +1,125 @@
+const db = require('../db');
+
+// vLLM instances. Every method accepts an optional transaction handle as its last argument.
+class InstanceRepository {
+  findAll(conn = db) {
+    return conn.all('SELECT * FROM instances ORDER BY created_at DESC');
+  }
+
+  async findById(id, conn = db) {
+    return (await conn.get('SELECT * FROM instances WHERE id = ?', [id])) || null;
+  }
+
+  findByStatus(status, conn = db) {
+    return conn.all('SELECT * FROM instances WHERE status = ? ORDER BY created_at', [status]);
+  }
+
+  findByStatuses(statuses, conn = db) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return conn.all(`SELECT * FROM instances WHERE status IN (${placeholders}) ORDER BY created_at`, statuses);
+  }
+
+  /**
+   * @returns {Promise<Array<{status: string, count: number}>>}
+   */
+  countByStatus(conn = db) {
+    return conn.all('SELECT status, COUNT(*) as count FROM instances GROUP BY status');
+  }
+
+  async findByContainerId(containerId, conn = db) {
+    return (await conn.get('SELECT * FROM instances WHERE container_id = ?', [containerId])) || null;
+  }
+
+  async findIds(conn = db) {
+    const rows = await conn.all('SELECT id FROM instances');
+    return rows.map(row => row.id);
+  }
+
+  async findContainerIds(conn = db) {
+    const rows = await conn.all('SELECT container_id FROM instances WHERE container_id IS NOT NULL');
+    return rows.map(row => row.container_id);
+  }
+
+  /**
+   * Number of instances per GPU among those in the given statuses
+   * @returns {Promise<Array<{gpu_id: string, instances: number}>>}
+   */
+  countByGpu(statuses, conn = db) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return conn.all(
+      `SELECT gpu_id, COUNT(*) as instances FROM instances WHERE status IN (${placeholders}) AND gpu_id IS NOT NULL GROUP BY gpu_id`,
+      statuses
+    );
+  }
+
+  create(instance, conn = db) {
+    return conn.run(
+      'INSERT INTO instances (id, name, model_name, port, container_id, status, status_changed_at, config, api_key, gpu_id, created_at) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+      [
+        instance.id,
+        instance.name,
+        instance.modelName,
+        instance.port,
+        instance.containerId,
+        instance.status,
+        instance.config,
+        instance.apiKey || null,
+        instance.gpuId || null,
+        instance.createdAt || null
+      ]
+    );
+  }
+
+  /**
+   * Replace the deployment details after the container has been (re)created.
+   * Status is left alone; it only changes through the lifecycle service.
+   */
+  updateDeployment(id, deployment, conn = db) {
+    return conn.run(
+      'UPDATE instances SET name = ?, model_name = ?, container_id = ?, config = ?, api_key = ?, gpu_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [
+        deployment.name,
+        deployment.modelName,
+        deployment.containerId,
+        deployment.config,
+        deployment.apiKey || null,
+        deployment.gpuId || null,
+        id
+      ]
+    );
+  }
+
+  updateStatus(id, status, reason = null, conn = db) {
+    return conn.run(
+      'UPDATE instances SET status = ?, status_reason = ?, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, reason, id]
+    );
+  }
+
+  updateHealthPolicy(id, policy, conn = db) {
+    return conn.run(
+      'UPDATE instances SET health_policy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [policy ? JSON.stringify(policy) : null, id]
+    );
+  }
+
+  updateGpu(id, gpuId, conn = db) {
+    return conn.run('UPDATE instances SET gpu_id = ? WHERE id = ?', [gpuId, id]);
+  }
+
+  /**
+   * Reserve GPUs for an instance before its container exists
+   * @param {string|null} gpuId - Comma-separated GPU ids
+   * @param {string} config - Configuration JSON holding the placement
+   */
+  updatePlacement(id, gpuId, config, conn = db) {
+    return conn.run('UPDATE instances SET gpu_id = ?, config = ? WHERE id = ?', [gpuId, config, id]);
+  }
+
+  async delete(id, conn = db) {
+    const result = await conn.run('DELETE FROM instances WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new InstanceRepository();
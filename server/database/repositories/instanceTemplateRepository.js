@@ -0,0 +1,43 @@
+const db = require('../db');
+
+// Saved instance templates. Every method accepts an optional transaction handle as its last argument.
+class InstanceTemplateRepository {
+  findAll(conn = db) {
+    return conn.all('SELECT * FROM instance_templates ORDER BY name');
+  }
+
+  async findById(id, conn = db) {
+    return (await conn.get('SELECT * FROM instance_templates WHERE id = ?', [id])) || null;
+  }
+
+  async findByName(name, conn = db) {
+    return (await conn.get('SELECT * FROM instance_templates WHERE name = ?', [name])) || null;
+  }
+
+  create(template, conn = db) {
+    return conn.run(
+      'INSERT INTO instance_templates (id, name, description, config, source_instance_id, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        template.id,
+        template.name,
+        template.description || null,
+        JSON.stringify(template.config),
+        template.sourceInstanceId || null,
+        template.createdBy || null
+      ]
+    );
+  }
+
+  update(id, { name, description, config }, conn = db) {
+    return conn.run(
+      'UPDATE instance_templates SET name = ?, description = ?, config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [name, description || null, JSON.stringify(config), id]
+    );
+  }
+
+  delete(id, conn = db) {
+    return conn.run('DELETE FROM instance_templates WHERE id = ?', [id]);
+  }
+}
+
+module.exports = new InstanceTemplateRepository();
@@ -0,0 +1,27 @@
+const db = require('../db');
+
+// History of vLLM instance status changes. Every method accepts an optional transaction handle as its last argument.
+class InstanceTransitionRepository {
+  /**
+   * Most recent transitions first
+   */
+  findByInstance(instanceId, { limit = 50 } = {}, conn = db) {
+    return conn.all(
+      'SELECT * FROM instance_status_transitions WHERE instance_id = ? ORDER BY id DESC LIMIT ?',
+      [instanceId, limit]
+    );
+  }
+
+  create(transition, conn = db) {
+    return conn.run(
+      'INSERT INTO instance_status_transitions (instance_id, from_status, to_status, reason) VALUES (?, ?, ?, ?)',
+      [transition.instanceId, transition.fromStatus || null, transition.toStatus, transition.reason || null]
+    );
+  }
+
+  deleteByInstance(instanceId, conn = db) {
+    return conn.run('DELETE FROM instance_status_transitions WHERE instance_id = ?', [instanceId]);
+  }
+}
+
+module.exports = new InstanceTransitionRepository();
@@ -0,0 +1,68 @@
+const db = require('../db');
+
+// Ollama instances. Every method accepts an optional transaction handle as its last argument.
+class OllamaInstanceRepository {
+  findAll(conn = db) {
+    return conn.all('SELECT * FROM ollama_instances ORDER BY created_at DESC');
+  }
+
+  async findById(id, conn = db) {
+    return (await conn.get('SELECT * FROM ollama_instances WHERE id = ?', [id])) || null;
+  }
+
+  findByStatus(status, conn = db) {
+    return conn.all('SELECT * FROM ollama_instances WHERE status = ? ORDER BY created_at', [status]);
+  }
+
+  findByStatuses(statuses, conn = db) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return conn.all(`SELECT * FROM ollama_instances WHERE status IN (${placeholders}) ORDER BY created_at`, statuses);
+  }
+
+  /**
+   * @returns {Promise<Array<{status: string, count: number}>>}
+   */
+  countByStatus(conn = db) {
+    return conn.all('SELECT status, COUNT(*) as count FROM ollama_instances GROUP BY status');
+  }
+
+  async findByContainerId(containerId, conn = db) {
+    return (await conn.get('SELECT * FROM ollama_instances WHERE container_id = ?', [containerId])) || null;
+  }
+
+  create(instance, conn = db) {
+    return conn.run(
+      'INSERT INTO ollama_instances (id, name, port, container_id, status, config, api_key) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [instance.id, instance.name, instance.port, instance.containerId, instance.status, instance.config, instance.apiKey || null]
+    );
+  }
+
+  // The instance runs in a new container
+  updateDeployment(id, deployment, conn = db) {
+    return conn.run(
+      'UPDATE ollama_instances SET container_id = ?, config = ?, api_key = ?, status = ?, status_reason = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [deployment.containerId, deployment.config, deployment.apiKey || null, 'running', id]
+    );
+  }
+
+  updateStatus(id, status, reason = null, conn = db) {
+    return conn.run(
+      'UPDATE ollama_instances SET status = ?, status_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, reason, id]
+    );
+  }
+
+  updateHealthPolicy(id, policy, conn = db) {
+    return conn.run(
+      'UPDATE ollama_instances SET health_policy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [policy ? JSON.stringify(policy) : null, id]
+    );
+  }
+
+  async delete(id, conn = db) {
+    const result = await conn.run('DELETE FROM ollama_instances WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new OllamaInstanceRepository();
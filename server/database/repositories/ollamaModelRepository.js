@@ -0,0 +1,50 @@
+const db = require('../db');
+
+// Models pulled onto Ollama instances. Every method accepts an optional transaction handle as its last argument.
+class OllamaModelRepository {
+  findByInstance(instanceId, conn = db) {
+    return conn.all('SELECT * FROM ollama_models WHERE instance_id = ? ORDER BY name', [instanceId]);
+  }
+
+  /**
+   * Ready models on running instances, joined with the instance they are served from
+   */
+  findReadyOnRunningInstances(conn = db) {
+    return conn.all(
+      `SELECT m.name, m.created_at, i.id AS instance_id, i.name AS instance_name, i.port, i.api_key
+       FROM ollama_models m
+       JOIN ollama_instances i ON i.id = m.instance_id
+       WHERE m.status = ? AND i.status = ?
+       ORDER BY m.created_at`,
+      ['ready', 'running']
+    );
+  }
+
+  create(model, conn = db) {
+    return conn.run(
+      'INSERT INTO ollama_models (id, instance_id, name, status) VALUES (?, ?, ?, ?)',
+      [model.id, model.instanceId, model.name, model.status || 'downloading']
+    );
+  }
+
+  markReady(id, { size, digest }, conn = db) {
+    return conn.run(
+      'UPDATE ollama_models SET status = ?, size = ?, modified_at = ?, digest = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['ready', size || 0, new Date().toISOString(), digest, id]
+    );
+  }
+
+  markFailed(id, conn = db) {
+    return conn.run('UPDATE ollama_models SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', ['failed', id]);
+  }
+
+  deleteByName(instanceId, name, conn = db) {
+    return conn.run('DELETE FROM ollama_models WHERE instance_id = ? AND name = ?', [instanceId, name]);
+  }
+
+  deleteByInstance(instanceId, conn = db) {
+    return conn.run('DELETE FROM ollama_models WHERE instance_id = ?', [instanceId]);
+  }
+}
+
+module.exports = new OllamaModelRepository();
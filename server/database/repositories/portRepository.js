@@ -0,0 +1,32 @@
+const db = require('../db');
+
+// Host ports allocated to instances. Every method accepts an optional transaction handle as its last argument.
+class PortRepository {
+  findAll(conn = db) {
+    return conn.all('SELECT * FROM allocated_ports ORDER BY port');
+  }
+
+  async findByPort(port, conn = db) {
+    return (await conn.get('SELECT * FROM allocated_ports WHERE port = ?', [port])) || null;
+  }
+
+  async findByInstance(instanceId, conn = db) {
+    return (await conn.get('SELECT * FROM allocated_ports WHERE instance_id = ?', [instanceId])) || null;
+  }
+
+  allocate(port, instanceId, conn = db) {
+    return conn.run('INSERT INTO allocated_ports (port, instance_id) VALUES (?, ?)', [port, instanceId]);
+  }
+
+  async release(port, conn = db) {
+    const result = await conn.run('DELETE FROM allocated_ports WHERE port = ?', [port]);
+    return result.changes > 0;
+  }
+
+  async releaseAllocation(port, instanceId, conn = db) {
+    const result = await conn.run('DELETE FROM allocated_ports WHERE port = ? AND instance_id = ?', [port, instanceId]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new PortRepository();
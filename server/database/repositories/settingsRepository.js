@@ -0,0 +1,22 @@
+const db = require('../db');
+
+// Key/value application settings. Every method accepts an optional transaction handle as its last argument.
+class SettingsRepository {
+  findAll(conn = db) {
+    return conn.all('SELECT key, value, description, updated_at FROM settings ORDER BY key');
+  }
+
+  async find(key, conn = db) {
+    return (await conn.get('SELECT key, value, description, updated_at FROM settings WHERE key = ?', [key])) || null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the setting does not exist
+   */
+  async update(key, value, conn = db) {
+    const result = await conn.run('UPDATE settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?', [value, key]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new SettingsRepository();
@@ -0,0 +1,117 @@
+const db = require('../db');
+
+// Columns each grouping of usage summaries is keyed by
+const GROUPINGS = {
+  day: {
+    select: 'date(u.created_at) AS day',
+    groupBy: 'date(u.created_at)',
+    orderBy: 'day'
+  },
+  instance: {
+    select: 'u.instance_id, u.instance_type, MAX(u.instance_name) AS instance_name',
+    groupBy: 'u.instance_id, u.instance_type',
+    orderBy: 'total_tokens DESC, requests DESC'
+  },
+  key: {
+    select: 'u.api_key_id, k.name AS api_key_name, k.key_prefix AS api_key_prefix',
+    groupBy: 'u.api_key_id',
+    orderBy: 'total_tokens DESC, requests DESC'
+  },
+  model: {
+    select: 'u.model',
+    groupBy: 'u.model',
+    orderBy: 'total_tokens DESC, requests DESC'
+  }
+};
+
+// Request and token usage. Every method accepts an optional transaction handle as its last argument.
+class UsageRepository {
+  create(record, conn = db) {
+    return conn.run(
+      `INSERT INTO usage_records (source, instance_id, instance_type, instance_name, model, api_key_id, user_id, endpoint,
+        status_code, streamed, prompt_tokens, completion_tokens, total_tokens, latency_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        record.source,
+        record.instanceId || null,
+        record.instanceType || null,
+        record.instanceName || null,
+        record.model || null,
+        record.apiKeyId || null,
+        record.userId || null,
+        record.endpoint,
+        record.statusCode,
+        record.streamed ? 1 : 0,
+        record.promptTokens === undefined ? null : record.promptTokens,
+        record.completionTokens === undefined ? null : record.completionTokens,
+        record.totalTokens === undefined ? null : record.totalTokens,
+        record.latencyMs
+      ]
+    );
+  }
+
+  /**
+   * Build the WHERE clause shared by the queries below
+   * @param {Object} filters
+   * @param {string} filters.from - SQLite datetime, inclusive
+   * @param {string} filters.to - SQLite datetime, exclusive
+   */
+  buildFilter({ from, to, instanceId = null, apiKeyId = null }) {
+    const conditions = ['u.created_at >= ?', 'u.created_at < ?'];
+    const params = [from, to];
+    if (instanceId) {
+      conditions.push('u.instance_id = ?');
+      params.push(instanceId);
+    }
+    if (apiKeyId) {
+      conditions.push('u.api_key_id = ?');
+      params.push(apiKeyId);
+    }
+    return { where: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Request counts, token sums and latency per day, instance, API key or model
+   * @param {string|null} groupBy - 'day', 'instance', 'key', 'model', or null for the totals
+   */
+  summarize(groupBy, filters, conn = db) {
+    const grouping = groupBy ? GROUPINGS[groupBy] : null;
+    const { where, params } = this.buildFilter(filters);
+
+    return conn.all(
+      `SELECT ${grouping ? `${grouping.select}, ` : ''}
+        COUNT(*) AS requests,
+        SUM(CASE WHEN u.status_code >= 400 THEN 1 ELSE 0 END) AS errors,
+        COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+        COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+        COALESCE(SUM(u.total_tokens), 0) AS total_tokens,
+        AVG(u.latency_ms) AS avg_latency_ms,
+        MAX(u.latency_ms) AS max_latency_ms
+       FROM usage_records u
+       ${groupBy === 'key' ? 'LEFT JOIN api_keys k ON k.id = u.api_key_id' : ''}
+       WHERE ${where}
+       ${grouping ? `GROUP BY ${grouping.groupBy} ORDER BY ${grouping.orderBy}` : ''}`,
+      params
+    );
+  }
+
+  /**
+   * Most recent records first
+   */
+  findRecent(filters, { limit = 100 } = {}, conn = db) {
+    const { where, params } = this.buildFilter(filters);
+    return conn.all(
+      `SELECT u.* FROM usage_records u WHERE ${where} ORDER BY u.id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  }
+
+  /**
+   * Delete records created before the given SQLite datetime
+   */
+  deleteOlderThan(before, conn = db) {
+    return conn.run('DELETE FROM usage_records WHERE created_at < ?', [before]);
+  }
+}
+
+module.exports = new UsageRepository();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Command line client for fleet manifests, talking to a running manager:
+//   node server/fleet.js plan -f fleet.yaml [--prune]     Show the changes the manifest would make
+//   node server/fleet.js apply -f fleet.yaml [--prune]    Make them
+//   node server/fleet.js export [--format yaml|json]      Print the current fleet as a manifest
+//
+// VLLM_MANAGER_URL is the manager's address (default http://localhost:$PORT, or port 3001).
+// Authenticate with a session token in VLLM_MANAGER_TOKEN, or with VLLM_MANAGER_USER and VLLM_MANAGER_PASSWORD;
+// neither is needed when the manager runs with AUTH_ENABLED=false.
+
+const fs = require('fs');
+const axios = require('axios');
+
+const baseURL = process.env.VLLM_MANAGER_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  if (index < 0) {
+    return undefined;
+  }
+  if (!args[index + 1] || args[index + 1].startsWith('--')) {
+    throw new Error(`${name} requires a value`);
+  }
+  return args[index + 1];
+}
+
+async function connect() {
+  let token = process.env.VLLM_MANAGER_TOKEN;
+  if (!token && process.env.VLLM_MANAGER_USER) {
+    const response = await axios.post(`${baseURL}/api/auth/login`, {
+      username: process.env.VLLM_MANAGER_USER,
+      password: process.env.VLLM_MANAGER_PASSWORD
+    });
+    token = response.data.token;
+  }
+  // Without credentials, requests only pass when the manager has authentication disabled
+  return axios.create({ baseURL, headers: token ? { Authorization: `Bearer ${token}` } : {} });
+}
+
+const formatValue = value => (value === null || value === undefined ? '(default)' : JSON.stringify(value));
+
+function printPlan(plan) {
+  plan.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+  plan.errors.forEach(error => console.log(`Error: ${error}`));
+
+  const symbols = { create: '+', update: '~', delete: '-' };
+  plan.changes.forEach(change => {
+    const target = change.kind === 'ollama-model' ? `model ${change.name} on ${change.instanceName}` : `${change.kind} ${change.name}`;
+    console.log(`${symbols[change.action]} ${change.action} ${target} (${change.reason})`);
+    change.changes.forEach(({ field, from, to }) => console.log(`    ${field}: ${formatValue(from)} -> ${formatValue(to)}`));
+  });
+  plan.unmanaged.forEach(instance => console.log(`  ${instance.kind} ${instance.name} is not in the manifest; --prune deletes it`));
+
+  const { summary } = plan;
+  console.log(`Plan: ${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'plan' || command === 'apply') {
+    const file = option(args, '-f');
+    if (!file) {
+      throw new Error(`${command} requires -f <manifest file>`);
+    }
+    const body = { manifest: fs.readFileSync(file, 'utf8'), prune: args.includes('--prune') };
+    const client = await connect();
+
+    if (command === 'plan') {
+      const { data } = await client.post('/api/manifest/plan', body);
+      printPlan(data);
+      return;
+    }
+
+    const { data } = await client.post('/api/manifest/apply', body);
+    printPlan(data);
+    data.results.forEach(result => {
+      const detail = result.error || (result.jobId ? `job ${result.jobId}` : '');
+      console.log(`${result.status}: ${result.action} ${result.kind} ${result.name}${detail ? ` - ${detail}` : ''}`);
+    });
+    if (data.results.some(result => result.status === 'failed')) {
+      throw new Error('Some changes failed');
+    }
+  } else if (command === 'export') {
+    const format = option(args, '--format') || 'yaml';
+    const client = await connect();
+    const { data } = await client.get('/api/manifest/export', { params: { format }, responseType: 'text' });
+    process.stdout.write(data);
+  } else {
+    throw new Error(`Unknown command "${command}". Use plan, apply or export.`);
+  }
+}
+
+main().catch(error => {
+  const data = error.response && error.response.data;
+  if (data && data.errors) {
+    printPlan(data);
+  }
+  console.error(data && data.error ? data.error : error.message);
+  if (error.response && error.response.status === 401 && !process.env.VLLM_MANAGER_TOKEN && !process.env.VLLM_MANAGER_USER) {
+    console.error('Set VLLM_MANAGER_TOKEN, or VLLM_MANAGER_USER and VLLM_MANAGER_PASSWORD');
+  }
+  process.exit(1);
+});
@@ -1,14 +1,27 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
+
+// Load .env before the modules below read their settings
+dotenv.config();
+
 const path = require('path');
 const compression = require('compression');
 const { initializeDatabase } = require('./database/init');
 const { securityHeaders, apiLimiter, generalLimiter } = require('./middleware/security');
-const { httpLogger, devLogger, securityLogger, logger } = require('./middleware/logging');
+const { httpLogger, devLogger, metricsLogger, securityLogger, logger } = require('./middleware/logging');
+const { authenticate, guards } = require('./middleware/auth');
+const authService = require('./services/authService');
 const orphanService = require('./services/orphanService');
-
-dotenv.config();
+const instanceLifecycleService = require('./services/instanceLifecycleService');
+const instanceJobService = require('./services/instanceJobService');
+const dockerEventService = require('./services/dockerEventService');
+const ollamaStatusService = require('./services/ollamaStatusService');
+const notificationService = require('./services/notificationService');
+const healthMonitorService = require('./services/healthMonitorService');
+const usageService = require('./services/usageService');
+const gpuTelemetryService = require('./services/gpuTelemetryService');
+const adapterService = require('./services/adapterService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -18,6 +31,12 @@ async function startServer() {
   try {
     console.log('Initializing database...');
     await initializeDatabase();
+
+    if (authService.isEnabled()) {
+      await authService.ensureAdminUser();
+    } else {
+      console.log('⚠️  Authentication is disabled (AUTH_ENABLED=false) - the management API is open to anyone who can reach it');
+    }
     
     // Check for orphaned containers on startup and auto-import them
     console.log('Checking for orphaned containers...');
@@ -55,6 +74,20 @@ async function startServer() {
       console.error('⚠️  Warning: Could not check for orphaned containers:', orphanError.message);
       console.log('   This is not critical - continuing with startup...');
     }
+
+    // Jobs can't survive a restart; fail them before syncing instance statuses
+    await instanceJobService.recoverInterrupted();
+
+    // Keep instance statuses in sync from Docker events and health checks
+    // and push changes to connected UIs
+    notificationService.start();
+    adapterService.start();
+    await dockerEventService.start();
+    await instanceLifecycleService.start();
+    await ollamaStatusService.start();
+    healthMonitorService.start();
+    usageService.start();
+    gpuTelemetryService.start();
     
     // Now import routes after database is initialized
     const containerRoutes = require('./routes/containers');
@@ -63,10 +96,29 @@ async function startServer() {
     const systemRoutes = require('./routes/system');
     const settingsRoutes = require('./routes/settings');
     const testRoutes = require('./routes/test');
+    const gatewayRoutes = require('./routes/gateway');
+    const apiKeyRoutes = require('./routes/apiKeys');
+    const authRoutes = require('./routes/auth');
+    const userRoutes = require('./routes/users');
+    const jobRoutes = require('./routes/jobs');
+    const eventRoutes = require('./routes/events');
+    const metricsRoutes = require('./routes/metrics');
+    const usageRoutes = require('./routes/usage');
+    const templateRoutes = require('./routes/templates');
+    const manifestRoutes = require('./routes/manifest');
 
     // Security and logging middleware
     // app.use(securityHeaders); // Temporarily disabled for debugging
-    app.use(compression());
+    app.use(compression({
+      // Streamed responses (SSE, proxied completions) must not be buffered by gzip
+      filter: (req, res) => {
+        const contentType = res.getHeader('Content-Type');
+        if (contentType && contentType.toString().includes('text/event-stream')) {
+          return false;
+        }
+        return compression.filter(req, res);
+      },
+    }));
     app.use(securityLogger);
     
     // Request logging
@@ -75,6 +127,7 @@ async function startServer() {
     } else {
       app.use(devLogger);
     }
+    app.use(metricsLogger);
     
     // Rate limiting
     app.use('/api/', apiLimiter);
@@ -91,12 +144,27 @@ async function startServer() {
     app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Routes
-    app.use('/api/containers', containerRoutes);
-    app.use('/api/ollama', ollamaRoutes);
-    app.use('/api/models', modelRoutes);
-    app.use('/api/system', systemRoutes);
-    app.use('/api/settings', settingsRoutes);
-    app.use('/api/test', testRoutes);
+    const { viewerReadOperatorWrite, operatorReadAdminWrite, operatorOnly, adminOnly } = guards;
+    app.use('/api/auth', authRoutes);
+    app.use('/api/containers', authenticate, viewerReadOperatorWrite, containerRoutes);
+    app.use('/api/ollama', authenticate, viewerReadOperatorWrite, ollamaRoutes);
+    app.use('/api/models', authenticate, viewerReadOperatorWrite, modelRoutes);
+    app.use('/api/system', authenticate, viewerReadOperatorWrite, systemRoutes);
+    app.use('/api/settings', authenticate, operatorReadAdminWrite, settingsRoutes);
+    app.use('/api/test', authenticate, viewerReadOperatorWrite, testRoutes);
+    app.use('/api/templates', authenticate, viewerReadOperatorWrite, templateRoutes);
+    app.use('/api/manifest', authenticate, viewerReadOperatorWrite, manifestRoutes);
+    app.use('/api/jobs', authenticate, viewerReadOperatorWrite, jobRoutes);
+    app.use('/api/events', authenticate, viewerReadOperatorWrite, eventRoutes);
+    app.use('/api/usage', authenticate, operatorOnly, usageRoutes);
+    app.use('/api/keys', authenticate, adminOnly, apiKeyRoutes);
+    app.use('/api/users', authenticate, adminOnly, userRoutes);
+
+    // Unified OpenAI-compatible gateway routing by model name
+    app.use('/v1', gatewayRoutes);
+
+    // Prometheus scrape endpoints, open to METRICS_TOKEN as well as to login sessions
+    app.use('/metrics', metricsRoutes);
 
     // Health check
     app.get('/api/health', (req, res) => {
@@ -115,14 +183,20 @@ async function startServer() {
       res.sendFile(path.join(__dirname, '../frontend/build/index.html'));
     });
 
-    app.listen(PORT, () => {
-      logger.info(`vLLM Manager server running on port ${PORT}`);
-      console.log(`vLLM Manager server running on port ${PORT}`);
-    });
+    // Tests require the app and drive it through supertest instead, without the
+    // server listening or exiting the test run
+    if (require.main === module) {
+      app.listen(PORT, () => {
+        logger.info(`vLLM Manager server running on port ${PORT}`);
+        console.log(`vLLM Manager server running on port ${PORT}`);
+      });
+    }
   } catch (error) {
     logger.error('Failed to start server:', error);
     console.error('Failed to start server:', error);
-    process.exit(1);
+    if (require.main === module) {
+      process.exit(1);
+    }
   }
 }
 
@@ -0,0 +1,58 @@
+const apiKeyService = require('../services/apiKeyService');
+const settingsService = require('../services/settingsService');
+const { logger } = require('./logging');
+
+// Extract a key from "Authorization: Bearer <key>" or the "x-api-key" header
+const extractApiKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.substring(7).trim();
+  }
+  return req.get('x-api-key') || null;
+};
+
+const unauthorized = (res, message) => {
+  res.status(401).json({
+    error: { message, type: 'invalid_request_error', code: 'invalid_api_key' }
+  });
+};
+
+// Authenticate gateway requests with a manager-issued API key.
+// Sets req.apiKey to the key record; can be switched off with the gateway_require_api_key setting.
+const requireApiKey = async (req, res, next) => {
+  try {
+    const required = await settingsService.getSetting('gateway_require_api_key', 'true');
+    const presented = extractApiKey(req);
+
+    if (required !== 'true' && !presented) {
+      req.apiKey = null;
+      return next();
+    }
+
+    if (!presented) {
+      return unauthorized(res, 'Missing API key. Provide it as "Authorization: Bearer <key>".');
+    }
+
+    const apiKey = await apiKeyService.verifyKey(presented);
+    if (!apiKey) {
+      logger.warn('Rejected gateway request with invalid API key', {
+        ip: req.ip,
+        url: req.originalUrl,
+      });
+      return unauthorized(res, 'Invalid or revoked API key');
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('Error verifying API key:', error);
+    res.status(500).json({
+      error: { message: 'Failed to verify API key', type: 'server_error', code: null }
+    });
+  }
+};
+
+module.exports = {
+  requireApiKey,
+  extractApiKey,
+};
@@ -0,0 +1,110 @@
+const authService = require('../services/authService');
+const { logger } = require('./logging');
+
+const SESSION_COOKIE = 'vllm_manager_session';
+
+// Stand-in user when authentication is disabled with AUTH_ENABLED=false
+const ANONYMOUS_ADMIN = { id: null, username: 'anonymous', role: 'admin', disabled: false };
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const parseCookies = (header) => {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.substring(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.substring(index + 1).trim());
+      } catch (error) {
+        cookies[name] = part.substring(index + 1).trim();
+      }
+    }
+  });
+  return cookies;
+};
+
+// Session token from "Authorization: Bearer <token>" (scripts) or the session cookie (browser)
+const extractSessionToken = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.substring(7).trim();
+  }
+  return parseCookies(req.get('Cookie'))[SESSION_COOKIE] || null;
+};
+
+const setSessionCookie = (req, res, token, expiresAt) => {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    expires: new Date(expiresAt),
+    path: '/',
+  });
+};
+
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+};
+
+// Resolve the session to req.user, rejecting the request with 401 if there is none
+const authenticate = async (req, res, next) => {
+  if (!authService.isEnabled()) {
+    req.user = ANONYMOUS_ADMIN;
+    return next();
+  }
+
+  try {
+    const user = await authService.getSessionUser(extractSessionToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error verifying session:', error);
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+};
+
+// Require at least the given role; must run after authenticate
+const requireRole = (role) => (req, res, next) => {
+  if (!authService.hasRole(req.user, role)) {
+    logger.warn('Forbidden request', {
+      user: req.user?.username,
+      role: req.user?.role,
+      requiredRole: role,
+      method: req.method,
+      url: req.originalUrl,
+    });
+    return res.status(403).json({ error: `This action requires the ${role} role` });
+  }
+  next();
+};
+
+// Require one role for reads and another for changes, e.g. authorize({ read: 'viewer', write: 'operator' })
+const authorize = ({ read, write }) => (req, res, next) => {
+  const role = READ_METHODS.includes(req.method) ? read : write;
+  return requireRole(role)(req, res, next);
+};
+
+// The guards the management API is mounted with: viewers can read, operators can manage
+// instances, admins manage settings, keys and users
+const guards = {
+  viewerReadOperatorWrite: authorize({ read: 'viewer', write: 'operator' }),
+  operatorReadAdminWrite: authorize({ read: 'operator', write: 'admin' }),
+  operatorOnly: requireRole('operator'),
+  adminOnly: requireRole('admin'),
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  authenticate,
+  requireRole,
+  authorize,
+  guards,
+  extractSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+};
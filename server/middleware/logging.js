@@ -1,6 +1,7 @@
 const winston = require('winston');
 const morgan = require('morgan');
 const path = require('path');
+const metricsService = require('../services/metricsService');
 
 // Create logs directory if it doesn't exist (with error handling)
 const fs = require('fs');
@@ -72,6 +73,17 @@ const httpLogger = morgan('combined', {
 // Morgan middleware for development
 const devLogger = morgan('dev');
 
+// Morgan middleware that records request latencies for /metrics instead of writing a log line
+const metricsLogger = morgan((tokens, req, res) => {
+  const responseTime = parseFloat(tokens['response-time'](req, res));
+  if (!Number.isNaN(responseTime)) {
+    // The route pattern, not the path, so IDs don't create a series each
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched';
+    metricsService.observeHttpRequest(req.method, route, res.statusCode, responseTime / 1000);
+  }
+  return null;
+});
+
 // Security-focused logging middleware
 const securityLogger = (req, res, next) => {
   // Log potential security issues
@@ -115,6 +127,7 @@ module.exports = {
   logger,
   httpLogger,
   devLogger,
+  metricsLogger,
   securityLogger,
   logSensitiveOperation,
 }; 
\ No newline at end of file
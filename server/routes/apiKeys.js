@@ -0,0 +1,155 @@
+const express = require('express');
+const apiKeyService = require('../services/apiKeyService');
+const { logSensitiveOperation } = require('../middleware/logging');
+
+const router = express.Router();
+
+// Validate an optional instance scope: null/undefined means all instances
+async function validateInstanceIds(instanceIds) {
+  if (instanceIds === undefined || instanceIds === null) {
+    return null;
+  }
+
+  if (!Array.isArray(instanceIds) || instanceIds.some(id => typeof id !== 'string')) {
+    return 'instanceIds must be an array of instance IDs or null';
+  }
+
+  if (instanceIds.length === 0) {
+    return 'instanceIds must not be empty; use null to allow all instances';
+  }
+
+  const unknown = await apiKeyService.findUnknownInstances(instanceIds);
+  if (unknown.length > 0) {
+    return `Unknown instance IDs: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+// List all keys (secrets are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    res.json(keys);
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Get a single key
+router.get('/:id', async (req, res) => {
+  try {
+    const key = await apiKeyService.getKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(key);
+  } catch (error) {
+    console.error('Error getting API key:', error);
+    res.status(500).json({ error: 'Failed to get API key' });
+  }
+});
+
+// Issue a new key; the plaintext key is only included in this response
+router.post('/', async (req, res) => {
+  try {
+    const { name, instanceIds } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const scopeError = await validateInstanceIds(instanceIds);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const key = await apiKeyService.createKey({ name: name.trim(), instanceIds: instanceIds || null });
+    logSensitiveOperation('api_key_created', req.user.id, { keyId: key.id, name: key.name });
+    res.status(201).json(key);
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Rename a key or change its instance scope
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, instanceIds } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Name must be a non-empty string' });
+    }
+
+    const scopeError = await validateInstanceIds(instanceIds);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const key = await apiKeyService.updateKey(req.params.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      instanceIds
+    });
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    logSensitiveOperation('api_key_updated', req.user.id, { keyId: key.id });
+    res.json(key);
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+// Revoke a key; it stops authenticating immediately
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const key = await apiKeyService.revokeKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    logSensitiveOperation('api_key_revoked', req.user.id, { keyId: key.id });
+    res.json(key);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Rotate a key's secret; the new plaintext key is only included in this response
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const key = await apiKeyService.rotateKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found or revoked' });
+    }
+
+    logSensitiveOperation('api_key_rotated', req.user.id, { keyId: key.id });
+    res.json(key);
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// Permanently delete a key record
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await apiKeyService.deleteKey(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    logSensitiveOperation('api_key_deleted', req.user.id, { keyId: req.params.id });
+    res.json({ status: 'deleted' });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({ error: 'Failed to delete API key' });
+  }
+});
+
+module.exports = router;
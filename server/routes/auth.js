@@ -0,0 +1,92 @@
+const express = require('express');
+const authService = require('../services/authService');
+const {
+  authenticate,
+  extractSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+} = require('../middleware/auth');
+const { strictLimiter } = require('../middleware/security');
+const { logger, logSensitiveOperation } = require('../middleware/logging');
+
+const router = express.Router();
+
+// Log in with username/password; sets the session cookie and also returns the token for scripts
+router.post('/login', strictLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await authService.authenticate(String(username), String(password));
+    if (!user) {
+      logger.warn('Failed login attempt', { username, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const session = await authService.createSession(user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null,
+    });
+    setSessionCookie(req, res, session.token, session.expiresAt);
+
+    logSensitiveOperation('user_login', user.id, { username: user.username, ip: req.ip });
+    res.json({ user, token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    const token = extractSessionToken(req);
+    if (token) {
+      await authService.deleteSession(token);
+    }
+    clearSessionCookie(res);
+    res.json({ status: 'logged_out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Current user, and whether authentication is enabled at all
+router.get('/me', authenticate, (req, res) => {
+  res.json({ user: req.user, authEnabled: authService.isEnabled() });
+});
+
+// Change own password; all sessions, including the current one, are ended
+router.put('/me/password', authenticate, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'Authentication is disabled' });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const valid = await authService.authenticate(req.user.username, String(currentPassword || ''));
+    if (!valid) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordError = authService.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await authService.updateUser(req.user.id, { password: newPassword });
+    clearSessionCookie(res);
+
+    logSensitiveOperation('password_changed', req.user.id, { username: req.user.username });
+    res.json({ status: 'password_changed' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+module.exports = router;
@@ -1,61 +1,80 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const dockerService = require('../services/dockerService');
-const portService = require('../services/portService');
-const settingsService = require('../services/settingsService');
 const orphanService = require('../services/orphanService');
-const { getDatabase } = require('../database/init');
+const instanceLifecycleService = require('../services/instanceLifecycleService');
+const instanceJobService = require('../services/instanceJobService');
+const containerLogService = require('../services/containerLogService');
+const healthMonitorService = require('../services/healthMonitorService');
+const placementService = require('../services/placementService');
+const gpuAttributionService = require('../services/gpuAttributionService');
+const instanceService = require('../services/instanceService');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const adapterService = require('../services/adapterService');
+const { validateHealthPolicy, resolveHealthPolicy } = require('../utils/healthPolicy');
+const { describeSchema } = require('../utils/vllmArgs');
+const { validateAdapter } = require('../utils/loraAdapters');
+const { publicInstance } = require('../utils/publicInstance');
 
 const router = express.Router();
 
+// Add live Docker state and the GPU memory the container's processes use to the
+// stored instance rows, without their container keys. `status` stays the lifecycle
+// status; the raw Docker state is reported separately as `containerStatus`.
+async function withContainerStatus(rows) {
+  const attribution = await gpuAttributionService.getAttribution();
+  return Promise.all(rows.map(publicInstance).map(async (instance) => {
+    const gpuUsage = gpuAttributionService.usageForContainer(attribution, instance.container_id);
+    if (instance.container_id) {
+      try {
+        const containerStatus = await dockerService.getContainerStatus(instance.container_id);
+        return {
+          ...instance,
+          containerStatus: containerStatus.status,
+          running: containerStatus.running,
+          startedAt: containerStatus.startedAt,
+          finishedAt: containerStatus.finishedAt,
+          gpuUsage
+        };
+      } catch (error) {
+        return {
+          ...instance,
+          containerStatus: 'unknown',
+          running: false,
+          gpuUsage
+        };
+      }
+    }
+    return { ...instance, containerStatus: null, running: false, gpuUsage };
+  }));
+}
+
+// Respond with 409 if a creation/recreation job is still working on the instance
+async function rejectIfBusy(instanceId, res) {
+  const job = await instanceJobService.getActiveJob(instanceId);
+  if (job) {
+    res.status(409).json({ error: 'A job is still in progress for this instance', jobId: job.id });
+    return true;
+  }
+  return false;
+}
+
 // Get all instances
 router.get('/', async (req, res) => {
   try {
-    const db = getDatabase();
-    
-    db.all('SELECT * FROM instances ORDER BY created_at DESC', async (err, rows) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      // Update container status for each instance
-      const instances = await Promise.all(rows.map(async (instance) => {
-        if (instance.container_id) {
-          try {
-            const containerStatus = await dockerService.getContainerStatus(instance.container_id);
-            return {
-              ...instance,
-              status: containerStatus.status,
-              running: containerStatus.running,
-              startedAt: containerStatus.startedAt,
-              finishedAt: containerStatus.finishedAt
-            };
-          } catch (error) {
-            return {
-              ...instance,
-              status: 'error',
-              running: false
-            };
-          }
-        }
-        return instance;
-      }));
-      
-      db.close();
-      res.json(instances);
-    });
+    const instances = await withContainerStatus(await instanceRepository.findAll());
+    res.json(instances);
   } catch (error) {
     console.error('Error fetching instances:', error);
     res.status(500).json({ error: 'Failed to fetch instances' });
   }
 });
 
-// Check for orphaned containers
+// Check for orphaned containers. Only reports them: reads are open to viewers, so
+// importing is left to POST /orphans/import
 router.get('/orphans', async (req, res) => {
   try {
-    const autoImport = req.query.autoImport === 'true';
-    const results = await orphanService.checkAndImportOrphans(autoImport);
+    const results = await orphanService.checkAndImportOrphans(false);
     res.json(results);
   } catch (error) {
     console.error('Error checking orphaned containers:', error);
@@ -92,49 +111,16 @@ router.post('/orphans/import', async (req, res) => {
   }
 });
 
-// Get all instances with orphan detection
+// Get all instances with the orphaned containers that could be imported
 router.get('/with-orphan-check', async (req, res) => {
   try {
-    // First, check for orphaned containers and auto-import them
-    const orphanResults = await orphanService.checkAndImportOrphans(true);
+    const orphanResults = await orphanService.checkAndImportOrphans(false);
     
     // Then get all instances
-    const db = getDatabase();
-    
-    db.all('SELECT * FROM instances ORDER BY created_at DESC', async (err, rows) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      // Update container status for each instance
-      const instances = await Promise.all(rows.map(async (instance) => {
-        if (instance.container_id) {
-          try {
-            const containerStatus = await dockerService.getContainerStatus(instance.container_id);
-            return {
-              ...instance,
-              status: containerStatus.status,
-              running: containerStatus.running,
-              startedAt: containerStatus.startedAt,
-              finishedAt: containerStatus.finishedAt
-            };
-          } catch (error) {
-            return {
-              ...instance,
-              status: 'error',
-              running: false
-            };
-          }
-        }
-        return instance;
-      }));
-      
-      db.close();
-      res.json({
-        instances,
-        orphanInfo: orphanResults
-      });
+    const instances = await withContainerStatus(await instanceRepository.findAll());
+    res.json({
+      instances,
+      orphanInfo: orphanResults
     });
   } catch (error) {
     console.error('Error fetching instances with orphan check:', error);
@@ -145,176 +131,189 @@ router.get('/with-orphan-check', async (req, res) => {
 // Create new instance
 router.post('/', async (req, res) => {
   try {
-    const { 
-      name, 
-      modelName, 
-      apiKey, 
-      requireAuth = true,  // New parameter
-      hostname, 
-      gpuSelection,
-      // Advanced configuration options
-      maxContextLength,
-      gpuMemoryUtilization,
-      maxNumSeqs,
-      trustRemoteCode,
-      quantization,
-      tensorParallelSize
-    } = req.body;
-    
-    if (!name || !modelName) {
-      return res.status(400).json({ error: 'Name and model name are required' });
-    }
-    
-    // Get default settings and merge with provided values
-    const defaults = await settingsService.getInstanceDefaults();
-    const effectiveHfToken = defaults.hfToken; // HuggingFace token for model access
-    const effectiveHostname = hostname || defaults.hostname;
-    const effectiveGPUSelection = gpuSelection || defaults.gpuSelection;
-    
-    // Handle API key - ensure OpenAI compatibility with sk- prefix
-    let effectiveApiKey = null;
-    if (requireAuth) {
-      if (apiKey) {
-        // If user provided a key, use it (add sk- prefix if not present)
-        effectiveApiKey = apiKey.startsWith('sk-') ? apiKey : `sk-${apiKey}`;
-      } else if (defaults.apiKey) {
-        // Use default if available
-        effectiveApiKey = defaults.apiKey.startsWith('sk-') ? defaults.apiKey : `sk-${defaults.apiKey}`;
-      } else {
-        // Generate a default key for local testing
-        effectiveApiKey = `sk-localtest-${Date.now()}`;
-      }
-    }
-    // If requireAuth is false, effectiveApiKey remains null
-    
-    const instanceId = uuidv4();
-    const port = await portService.allocatePort(instanceId);
-    
-    const instanceConfig = {
-      id: instanceId,
-      name,
-      modelName,
-      port,
-      apiKey: effectiveApiKey,
-      requireAuth,
-      hfToken: effectiveHfToken,
-      gpuSelection: effectiveGPUSelection,
-      // Pass through advanced configuration
-      maxContextLength: maxContextLength || null,
-      gpuMemoryUtilization: gpuMemoryUtilization || 0.85,
-      maxNumSeqs: maxNumSeqs || 256,
-      trustRemoteCode: trustRemoteCode || false,
-      quantization: quantization || null,
-      tensorParallelSize: tensorParallelSize || 1
-    };
-    
-    // Create container
-    const containerResult = await dockerService.createVLLMContainer(instanceConfig);
-    
-    // Save to database with advanced config
-    const db = getDatabase();
-    const config = JSON.stringify({
-      modelName,
-      apiKey: effectiveApiKey ? '***' : null,
-      requireAuth,
-      hfToken: effectiveHfToken ? '***' : null,
-      hostname: effectiveHostname,
-      port,
-      deviceInfo: containerResult.deviceInfo,
-      gpuId: containerResult.gpuId,
-      gpuSelection: effectiveGPUSelection,
-      // Store advanced configuration
-      advancedConfig: {
-        maxContextLength: maxContextLength || null,
-        gpuMemoryUtilization: gpuMemoryUtilization || 0.85,
-        maxNumSeqs: maxNumSeqs || 256,
-        trustRemoteCode: trustRemoteCode || false,
-        quantization: quantization || null,
-        tensorParallelSize: tensorParallelSize || 1
-      }
-    });
-    
-    db.run(
-      'INSERT INTO instances (id, name, model_name, port, container_id, status, config, api_key, gpu_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [instanceId, name, modelName, port, containerResult.containerId, 'running', config, effectiveApiKey, containerResult.gpuId],
-      function(err) {
-        db.close();
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to save instance' });
-        }
-        
-        res.status(201).json({
-          id: instanceId,
-          name,
-          modelName,
-          port,
-          containerId: containerResult.containerId,
-          status: 'running',
-          url: `http://${effectiveHostname}:${port}`,
-          deviceInfo: containerResult.deviceInfo,
-          gpuId: containerResult.gpuId,
-          selectedGPU: containerResult.selectedGPU,
-          requireAuth,
-          apiKeyProvided: !!effectiveApiKey,
-          advancedConfig: {
-            maxContextLength: maxContextLength || null,
-            gpuMemoryUtilization: gpuMemoryUtilization || 0.85,
-            maxNumSeqs: maxNumSeqs || 256,
-            trustRemoteCode: trustRemoteCode || false,
-            quantization: quantization || null,
-            tensorParallelSize: tensorParallelSize || 1
-          },
-          usingDefaults: {
-            apiKey: !apiKey && requireAuth,
-            hfToken: !effectiveHfToken,
-            hostname: !hostname,
-            gpuSelection: !gpuSelection
-          },
-          created: new Date().toISOString()
-        });
-      }
-    );
+    const { status, body } = await instanceService.create(req.body, { createdBy: req.user ? req.user.id : null });
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error creating instance:', error);
     res.status(500).json({ error: 'Failed to create instance: ' + error.message });
   }
 });
 
+// The vLLM flags instances may set in extraArgs
+router.get('/extra-args/schema', (req, res) => {
+  res.json(describeSchema());
+});
+
+// Get a single instance
+router.get('/:id', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const [withStatus] = await withContainerStatus([instance]);
+    res.json(withStatus);
+  } catch (error) {
+    console.error('Error fetching instance:', error);
+    res.status(500).json({ error: 'Failed to fetch instance' });
+  }
+});
+
+// Get the status transition history of an instance, newest first
+router.get('/:id/status-history', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const history = await instanceLifecycleService.getHistory(instance.id, { limit });
+    res.json(history.map(row => ({
+      from: row.from_status,
+      to: row.to_status,
+      reason: row.reason,
+      at: row.created_at
+    })));
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
+// Get recent health checks (?limit=, ?since=) with the health policy and current failure state
+router.get('/:id/health-history', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const query = healthMonitorService.parseHistoryQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    res.json(await healthMonitorService.getHistory(instance, query));
+  } catch (error) {
+    console.error('Error fetching instance health history:', error);
+    res.status(500).json({ error: 'Failed to fetch health history' });
+  }
+});
+
+// Change the health policy; fields left out keep their defaults
+router.put('/:id/health-policy', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, policy } = validateHealthPolicy(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await instanceRepository.updateHealthPolicy(instance.id, Object.keys(policy).length ? policy : null);
+    res.json(resolveHealthPolicy(Object.keys(policy).length ? JSON.stringify(policy) : null));
+  } catch (error) {
+    console.error('Error updating instance health policy:', error);
+    res.status(500).json({ error: 'Failed to update health policy' });
+  }
+});
+
+// List the instance's LoRA adapters and whether vLLM has them loaded
+router.get('/:id/adapters', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    res.json(await adapterService.list(instance));
+  } catch (error) {
+    console.error('Error fetching instance adapters:', error);
+    res.status(500).json({ error: 'Failed to fetch adapters' });
+  }
+});
+
+// Add a LoRA adapter; a ready instance loads it right away
+router.post('/:id/adapters', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { enableLora, maxLoraRank } = adapterService.getLoraConfig(instance);
+    if (!enableLora) {
+      return res.status(409).json({ error: 'LoRA is not enabled for this instance; enable it in the instance configuration' });
+    }
+    const { error, adapter } = validateAdapter(req.body, { modelName: instance.model_name, maxLoraRank });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (await instanceAdapterRepository.find(instance.id, adapter.name)) {
+      return res.status(409).json({ error: `Adapter ${adapter.name} already exists` });
+    }
+
+    try {
+      res.status(201).json(await adapterService.add(instance, adapter));
+    } catch (loadError) {
+      res.status(502).json({ error: loadError.message });
+    }
+  } catch (error) {
+    console.error('Error adding instance adapter:', error);
+    res.status(500).json({ error: 'Failed to add adapter' });
+  }
+});
+
+// Remove a LoRA adapter; a ready instance unloads it first
+router.delete('/:id/adapters/:name', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+    if (!(await instanceAdapterRepository.find(instance.id, req.params.name))) {
+      return res.status(404).json({ error: 'Adapter not found' });
+    }
+
+    try {
+      await adapterService.remove(instance, req.params.name);
+      res.json({ status: 'removed' });
+    } catch (unloadError) {
+      res.status(502).json({ error: unloadError.message });
+    }
+  } catch (error) {
+    console.error('Error removing instance adapter:', error);
+    res.status(500).json({ error: 'Failed to remove adapter' });
+  }
+});
+
 // Stop instance
 router.post('/:id/stop', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Instance not found' });
-      }
-      
-      try {
-        await dockerService.stopContainer(instance.container_id);
-        
-        db.run('UPDATE instances SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-          ['stopped', id], function(err) {
-            db.close();
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update instance status' });
-            }
-            res.json({ status: 'stopped' });
-          }
-        );
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to stop container: ' + error.message });
-      }
-    });
+    const instance = await instanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+    
+    if (await rejectIfBusy(id, res)) {
+      return;
+    }
+    
+    await instanceLifecycleService.transition(id, 'stopping', 'Stop requested');
+    try {
+      await dockerService.stopContainer(instance.container_id);
+    } catch (error) {
+      await instanceLifecycleService.transition(id, 'failed', 'Stop failed: ' + error.message);
+      return res.status(500).json({ error: 'Failed to stop container: ' + error.message });
+    }
+    
+    await instanceLifecycleService.transition(id, 'stopped', 'Stopped by user');
+    res.json({ status: 'stopped' });
   } catch (error) {
     console.error('Error stopping instance:', error);
     res.status(500).json({ error: 'Failed to stop instance' });
@@ -326,35 +325,30 @@ router.post('/:id/start', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Instance not found' });
-      }
-      
-      try {
-        await dockerService.startContainer(instance.container_id);
-        
-        db.run('UPDATE instances SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-          ['running', id], function(err) {
-            db.close();
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update instance status' });
-            }
-            res.json({ status: 'running' });
-          }
-        );
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to start container: ' + error.message });
-      }
-    });
+    const instance = await instanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+    
+    if (await rejectIfBusy(id, res)) {
+      return;
+    }
+    
+    // Other instances may have taken the GPU memory while it was stopped
+    const budget = await placementService.checkBudget('vllm', id);
+    if (!budget.fits) {
+      return res.status(409).json({ error: `Starting would oversubscribe the GPU: ${budget.reason}` });
+    }
+    
+    try {
+      await dockerService.startContainer(instance.container_id);
+    } catch (error) {
+      await instanceLifecycleService.transition(id, 'failed', 'Start failed: ' + error.message);
+      return res.status(500).json({ error: 'Failed to start container: ' + error.message });
+    }
+    
+    await instanceLifecycleService.transition(id, 'loading-model', 'Started by user');
+    res.json({ status: 'loading-model' });
   } catch (error) {
     console.error('Error starting instance:', error);
     res.status(500).json({ error: 'Failed to start instance' });
@@ -366,35 +360,25 @@ router.post('/:id/restart', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Instance not found' });
-      }
-      
-      try {
-        await dockerService.restartContainer(instance.container_id);
-        
-        db.run('UPDATE instances SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-          ['running', id], function(err) {
-            db.close();
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update instance status' });
-            }
-            res.json({ status: 'running' });
-          }
-        );
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to restart container: ' + error.message });
-      }
-    });
+    const instance = await instanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+    
+    if (await rejectIfBusy(id, res)) {
+      return;
+    }
+    
+    await instanceLifecycleService.transition(id, 'stopping', 'Restart requested');
+    try {
+      await dockerService.restartContainer(instance.container_id);
+    } catch (error) {
+      await instanceLifecycleService.transition(id, 'failed', 'Restart failed: ' + error.message);
+      return res.status(500).json({ error: 'Failed to restart container: ' + error.message });
+    }
+    
+    await instanceLifecycleService.transition(id, 'loading-model', 'Restarted by user');
+    res.json({ status: 'loading-model' });
   } catch (error) {
     console.error('Error restarting instance:', error);
     res.status(500).json({ error: 'Failed to restart instance' });
@@ -404,239 +388,80 @@ router.post('/:id/restart', async (req, res) => {
 // Update instance
 router.put('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { 
-      name, 
-      modelName, 
-      apiKey, 
-      requireAuth,
-      hostname, 
-      gpuSelection,
-      // Advanced configuration options
-      maxContextLength,
-      gpuMemoryUtilization,
-      maxNumSeqs,
-      trustRemoteCode,
-      quantization,
-      tensorParallelSize
-    } = req.body;
-    
-    if (!name || !modelName) {
-      return res.status(400).json({ error: 'Name and model name are required' });
-    }
-    
-    const db = getDatabase();
-    db.get('SELECT * FROM instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Instance not found' });
-      }
-      
-      try {
-        // Get default settings and merge with provided values
-        const defaults = await settingsService.getInstanceDefaults();
-        const effectiveHfToken = defaults.hfToken;
-        const effectiveHostname = hostname || defaults.hostname;
-        const effectiveGPUSelection = gpuSelection || defaults.gpuSelection;
-        
-        // Handle API key - ensure OpenAI compatibility with sk- prefix
-        let effectiveApiKey = null;
-        if (requireAuth) {
-          if (apiKey) {
-            effectiveApiKey = apiKey.startsWith('sk-') ? apiKey : `sk-${apiKey}`;
-          } else if (defaults.apiKey) {
-            effectiveApiKey = defaults.apiKey.startsWith('sk-') ? defaults.apiKey : `sk-${defaults.apiKey}`;
-          } else {
-            effectiveApiKey = `sk-localtest-${Date.now()}`;
-          }
-        }
-        
-        // Stop and remove existing container
-        if (instance.container_id) {
-          try {
-            await dockerService.stopContainer(instance.container_id);
-            await dockerService.removeContainer(instance.container_id);
-          } catch (error) {
-            console.warn('Error stopping/removing old container:', error);
-          }
-        }
-        
-        // Create new instance configuration
-        const instanceConfig = {
-          id: instance.id,
-          name,
-          modelName,
-          port: instance.port, // Keep the same port
-          apiKey: effectiveApiKey,
-          requireAuth,
-          hfToken: effectiveHfToken,
-          gpuSelection: effectiveGPUSelection,
-          // Pass through advanced configuration
-          maxContextLength: maxContextLength || null,
-          gpuMemoryUtilization: gpuMemoryUtilization || 0.85,
-          maxNumSeqs: maxNumSeqs || 256,
-          trustRemoteCode: trustRemoteCode || false,
-          quantization: quantization || null,
-          tensorParallelSize: tensorParallelSize || 1
-        };
-        
-        // Create new container
-        const containerResult = await dockerService.createVLLMContainer(instanceConfig);
-        
-        // Update database with new configuration
-        const config = JSON.stringify({
-          modelName,
-          apiKey: effectiveApiKey ? '***' : null,
-          requireAuth,
-          hfToken: effectiveHfToken ? '***' : null,
-          hostname: effectiveHostname,
-          port: instance.port,
-          deviceInfo: containerResult.deviceInfo,
-          gpuId: containerResult.gpuId,
-          gpuSelection: effectiveGPUSelection,
-          // Store advanced configuration
-          advancedConfig: {
-            maxContextLength: maxContextLength || null,
-            gpuMemoryUtilization: gpuMemoryUtilization || 0.85,
-            maxNumSeqs: maxNumSeqs || 256,
-            trustRemoteCode: trustRemoteCode || false,
-            quantization: quantization || null,
-            tensorParallelSize: tensorParallelSize || 1
-          }
-        });
-        
-        db.run(
-          'UPDATE instances SET name = ?, model_name = ?, container_id = ?, status = ?, config = ?, api_key = ?, gpu_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [name, modelName, containerResult.containerId, 'running', config, effectiveApiKey, containerResult.gpuId, id],
-          function(err) {
-            db.close();
-            if (err) {
-              console.error('Database error:', err);
-              return res.status(500).json({ error: 'Failed to update instance' });
-            }
-            
-            res.json({
-              id: instance.id,
-              name,
-              modelName,
-              port: instance.port,
-              containerId: containerResult.containerId,
-              status: 'running',
-              url: `http://${effectiveHostname}:${instance.port}`,
-              deviceInfo: containerResult.deviceInfo,
-              gpuId: containerResult.gpuId,
-              selectedGPU: containerResult.selectedGPU,
-              requireAuth,
-              apiKeyProvided: !!effectiveApiKey,
-              advancedConfig: {
-                maxContextLength: maxContextLength || null,
-                gpuMemoryUtilization: gpuMemoryUtilization || 0.85,
-                maxNumSeqs: maxNumSeqs || 256,
-                trustRemoteCode: trustRemoteCode || false,
-                quantization: quantization || null,
-                tensorParallelSize: tensorParallelSize || 1
-              },
-              usingDefaults: {
-                apiKey: !apiKey && requireAuth,
-                hfToken: !effectiveHfToken,
-                hostname: !hostname,
-                gpuSelection: !gpuSelection
-              },
-              updated: new Date().toISOString()
-            });
-          }
-        );
-      } catch (error) {
-        db.close();
-        console.error('Error updating instance:', error);
-        res.status(500).json({ error: 'Failed to update instance: ' + error.message });
-      }
-    });
+    const { status, body } = await instanceService.update(req.params.id, req.body, { createdBy: req.user ? req.user.id : null });
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error updating instance:', error);
-    res.status(500).json({ error: 'Failed to update instance' });
+    res.status(500).json({ error: 'Failed to update instance: ' + error.message });
   }
 });
 
 // Remove instance
 router.delete('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const db = getDatabase();
-    db.get('SELECT * FROM instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Instance not found' });
-      }
-      
-      try {
-        // Remove container
-        if (instance.container_id) {
-          await dockerService.removeContainer(instance.container_id);
-        }
-        
-        // Release port
-        await portService.releasePort(instance.port);
-        
-        // Remove from database
-        db.run('DELETE FROM instances WHERE id = ?', [id], function(err) {
-          db.close();
-          if (err) {
-            return res.status(500).json({ error: 'Failed to remove instance from database' });
-          }
-          res.json({ status: 'removed' });
-        });
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to remove instance: ' + error.message });
-      }
-    });
+    const { status, body } = await instanceService.remove(req.params.id);
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error removing instance:', error);
     res.status(500).json({ error: 'Failed to remove instance' });
   }
 });
 
-// Get container logs
+// Load the instance behind a log request, answering 404 if it has no container
+const findLoggedInstance = async (req, res) => {
+  const instance = await instanceRepository.findById(req.params.id);
+  if (!instance) {
+    res.status(404).json({ error: 'Instance not found' });
+    return null;
+  }
+  if (!instance.container_id) {
+    res.status(404).json({ error: 'Instance has no container' });
+    return null;
+  }
+  return instance;
+};
+
+// Get container logs (?tail=, ?since=, ?until=, ?stream=stdout|stderr, ?grep=, ?regex=true)
 router.get('/:id/logs', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { tail = 100 } = req.query;
-    
-    const db = getDatabase();
-    db.get('SELECT container_id FROM instances WHERE id = ?', [id], async (err, instance) => {
-      db.close();
-      
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        return res.status(404).json({ error: 'Instance not found' });
-      }
-      
-      try {
-        const logs = await dockerService.getContainerLogs(instance.container_id, { tail: parseInt(tail) });
-        res.json({ logs });
-      } catch (error) {
-        res.status(500).json({ error: 'Failed to get logs: ' + error.message });
-      }
-    });
+    const instance = await findLoggedInstance(req, res);
+    if (instance) {
+      await containerLogService.sendLogs(req, res, instance.container_id);
+    }
+  } catch (error) {
+    console.error('Error getting logs:', error);
+    res.status(500).json({ error: 'Failed to get logs: ' + error.message });
+  }
+});
+
+// Follow container logs (SSE), same filters as above plus ?follow=false
+router.get('/:id/logs/stream', async (req, res) => {
+  try {
+    const instance = await findLoggedInstance(req, res);
+    if (instance) {
+      await containerLogService.streamLogs(req, res, instance.container_id);
+    }
   } catch (error) {
     console.error('Error getting logs:', error);
     res.status(500).json({ error: 'Failed to get logs' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Download the full log (or the filtered part of it) as a text file
+router.get('/:id/logs/download', async (req, res) => {
+  try {
+    const instance = await findLoggedInstance(req, res);
+    if (instance) {
+      await containerLogService.downloadLogs(req, res, instance.container_id, `${instance.name}-logs.txt`);
+    }
+  } catch (error) {
+    console.error('Error getting logs:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to get logs: ' + error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const notificationService = require('../services/notificationService');
+const Sse = require('../utils/sse');
+
+const router = express.Router();
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+// Stream change notifications (SSE). Each notification is sent as an event
+// named after its type; 'connected' is sent first, then the latest GPU statistics.
+router.get('/', (req, res) => {
+  const sse = new Sse(req, res);
+  sse.send({ at: new Date().toISOString() }, 'connected');
+  if (notificationService.getGpuStats()) {
+    sse.send(notificationService.getGpuStats(), 'gpu-stats');
+  }
+
+  const unsubscribe = notificationService.subscribe(({ type, data }) => sse.send(data, type));
+  const keepalive = setInterval(() => sse.ping(), KEEPALIVE_INTERVAL_MS);
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(keepalive);
+  });
+});
+
+module.exports = router;
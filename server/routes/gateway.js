@@ -0,0 +1,152 @@
+const express = require('express');
+const gatewayService = require('../services/gatewayService');
+const usageService = require('../services/usageService');
+const { requestStreamUsage, createUsageTap } = require('../utils/usageTap');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+// Every gateway request is authenticated with a manager-issued API key
+router.use(requireApiKey);
+
+// OpenAI-style error body so existing SDKs surface the message correctly
+function sendError(res, status, message, type, code = null) {
+  res.status(status).json({
+    error: { message, type, code }
+  });
+}
+
+// Streamed completions only report their token usage when asked to
+const STREAM_USAGE_PATHS = ['/v1/chat/completions', '/v1/completions'];
+
+// Create a handler that proxies an OpenAI-compatible endpoint to the instance serving req.body.model
+function proxyTo(upstreamPath) {
+  return async (req, res) => {
+    const { model } = req.body || {};
+
+    if (!model) {
+      return sendError(res, 400, 'The "model" field is required', 'invalid_request_error');
+    }
+
+    const startedAt = Date.now();
+    let target = null;
+    let tap = null;
+    let streamed = false;
+
+    // Record the request once it has been answered or the client went away
+    const recordUsage = () => usageService.record({
+      source: 'gateway',
+      instanceId: target?.instanceId,
+      instanceType: target?.type,
+      instanceName: target?.instanceName,
+      model: target ? target.model : model,
+      apiKeyId: req.apiKey?.id,
+      endpoint: upstreamPath,
+      statusCode: res.statusCode,
+      streamed,
+      usage: tap ? tap.usage : null,
+      latencyMs: Date.now() - startedAt
+    });
+
+    const controller = new AbortController();
+    res.once('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+      recordUsage();
+    });
+
+    try {
+      const resolved = await gatewayService.resolveModel(model, req.apiKey);
+      const resolveError = resolved.error;
+      target = resolved.target || null;
+
+      if (resolveError === 'forbidden') {
+        return sendError(
+          res,
+          403,
+          `This API key is not allowed to use the model '${model}'`,
+          'invalid_request_error',
+          'model_not_permitted'
+        );
+      }
+
+      if (!target) {
+        return sendError(
+          res,
+          404,
+          `The model '${model}' is not served by any running instance`,
+          'invalid_request_error',
+          'model_not_found'
+        );
+      }
+
+      const { body, added } = STREAM_USAGE_PATHS.includes(upstreamPath)
+        ? requestStreamUsage(req.body)
+        : { body: req.body, added: false };
+      const upstream = await gatewayService.forward(target, upstreamPath, body, controller.signal);
+
+      res.status(upstream.status);
+      ['content-type', 'cache-control'].forEach(header => {
+        if (upstream.headers[header]) {
+          res.setHeader(header, upstream.headers[header]);
+        }
+      });
+      res.setHeader('X-Served-By-Instance', target.instanceId);
+
+      streamed = (upstream.headers['content-type'] || '').includes('text/event-stream');
+      tap = createUsageTap({ streamed, dropUsageChunk: added });
+
+      upstream.data.on('error', (streamError) => {
+        console.error(`Gateway stream error from instance ${target.instanceId}:`, streamError.message);
+        res.end();
+      });
+      upstream.data.pipe(tap).pipe(res);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      console.error(`Gateway error for model ${model}:`, error.message);
+      sendError(res, 502, `Failed to reach the instance serving '${model}': ${error.message}`, 'upstream_error');
+    }
+  };
+}
+
+// List every model served by running vLLM containers and pulled Ollama models
+router.get('/models', async (req, res) => {
+  try {
+    const models = await gatewayService.listModels(req.apiKey);
+    res.json(models);
+  } catch (error) {
+    console.error('Error listing gateway models:', error);
+    sendError(res, 500, 'Failed to list models', 'server_error');
+  }
+});
+
+// Get a single model
+router.get('/models/:model(*)', async (req, res) => {
+  try {
+    const models = await gatewayService.listModels(req.apiKey);
+    const model = models.data.find(m => m.id === req.params.model);
+
+    if (!model) {
+      return sendError(res, 404, `The model '${req.params.model}' does not exist`, 'invalid_request_error', 'model_not_found');
+    }
+
+    res.json(model);
+  } catch (error) {
+    console.error('Error getting gateway model:', error);
+    sendError(res, 500, 'Failed to get model', 'server_error');
+  }
+});
+
+router.post('/chat/completions', proxyTo('/v1/chat/completions'));
+router.post('/completions', proxyTo('/v1/completions'));
+router.post('/embeddings', proxyTo('/v1/embeddings'));
+
+// Anything else under /v1 is not routed
+router.all('*', (req, res) => {
+  sendError(res, 404, `Unknown gateway endpoint: ${req.method} ${req.originalUrl}`, 'invalid_request_error');
+});
+
+module.exports = router;
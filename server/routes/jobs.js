@@ -0,0 +1,108 @@
+const express = require('express');
+const instanceJobService = require('../services/instanceJobService');
+const Sse = require('../utils/sse');
+
+const router = express.Router();
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+// List recent instance jobs, optionally for one instance
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const jobs = await instanceJobService.listJobs({ instanceId: req.query.instanceId || null, limit });
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Get a job
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await instanceJobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Stream job progress (SSE). Sends the current job as 'state', replays recent
+// events, then streams 'progress' and 'log' events until 'done' or 'error'.
+router.get('/:id/events', async (req, res) => {
+  let job;
+  try {
+    job = await instanceJobService.getJob(req.params.id);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    return res.status(500).json({ error: 'Failed to fetch job' });
+  }
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const sse = new Sse(req, res);
+  sse.send(job, 'state');
+
+  let closed = false;
+  let unsubscribe = null;
+  let keepalive = null;
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    clearInterval(keepalive);
+    sse.close();
+  };
+
+  const forward = (entry) => {
+    sse.send(entry.data, entry.event);
+    if (instanceJobService.isTerminalEvent(entry)) {
+      close();
+    }
+  };
+
+  // Subscribe before replaying so nothing published in between is lost
+  const pending = [];
+  let replaying = true;
+  unsubscribe = instanceJobService.subscribe(job.id, (entry) => {
+    if (replaying) {
+      pending.push(entry);
+    } else {
+      forward(entry);
+    }
+  });
+
+  const buffered = instanceJobService.getBufferedEvents(job.id);
+  buffered.forEach(entry => !closed && forward(entry));
+  replaying = false;
+  pending.filter(entry => !buffered.includes(entry)).forEach(entry => !closed && forward(entry));
+
+  if (closed) {
+    return;
+  }
+
+  // Finished before this server started (or long enough ago to be evicted from memory)
+  if (['succeeded', 'failed'].includes(job.status) && buffered.length === 0) {
+    if (job.status === 'succeeded') {
+      sse.send({ message: job.message }, 'done');
+    } else {
+      sse.send({ error: job.error }, 'error');
+    }
+    return close();
+  }
+
+  keepalive = setInterval(() => sse.ping(), KEEPALIVE_INTERVAL_MS);
+  req.on('close', close);
+});
+
+module.exports = router;
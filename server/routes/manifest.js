@@ -0,0 +1,81 @@
+const express = require('express');
+const manifestService = require('../services/manifestService');
+const { validateManifest } = require('../utils/manifest');
+const yaml = require('../utils/yaml');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['json', 'yaml'];
+
+// The validated manifest of a plan or apply request; null after a 400
+function readManifest(req, res) {
+  if (!req.body || req.body.manifest === undefined) {
+    res.status(400).json({ error: 'manifest is required: the YAML text of a manifest, or the manifest as JSON' });
+    return null;
+  }
+  const { error, manifest } = validateManifest(req.body.manifest);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return manifest;
+}
+
+// Changes that would bring the fleet to the manifest, without making them
+router.post('/plan', async (req, res) => {
+  try {
+    const manifest = readManifest(req, res);
+    if (!manifest) {
+      return;
+    }
+    res.json(await manifestService.plan(manifest, { prune: req.body.prune === true }));
+  } catch (error) {
+    console.error('Error planning manifest:', error);
+    res.status(500).json({ error: 'Failed to plan manifest: ' + error.message });
+  }
+});
+
+// Plan the manifest and make the changes; vLLM deployments continue as jobs
+router.post('/apply', async (req, res) => {
+  try {
+    const manifest = readManifest(req, res);
+    if (!manifest) {
+      return;
+    }
+    const result = await manifestService.apply(manifest, {
+      prune: req.body.prune === true,
+      createdBy: req.user ? req.user.id : null
+    });
+    if (!result.applied) {
+      return res.status(409).json({ error: 'The manifest can\'t be applied', ...result });
+    }
+    // Changes that failed are listed in results with their error
+    res.json(result);
+  } catch (error) {
+    console.error('Error applying manifest:', error);
+    res.status(500).json({ error: 'Failed to apply manifest: ' + error.message });
+  }
+});
+
+// The current fleet as a manifest
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'yaml';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const manifest = await manifestService.exportState();
+    res.setHeader('Content-Disposition', `attachment; filename="fleet.${format}"`);
+    if (format === 'yaml') {
+      res.type('application/yaml').send(yaml.stringify(manifest));
+    } else {
+      res.type('application/json').send(`${JSON.stringify(manifest, null, 2)}\n`);
+    }
+  } catch (error) {
+    console.error('Error exporting manifest:', error);
+    res.status(500).json({ error: 'Failed to export manifest' });
+  }
+});
+
+module.exports = router;
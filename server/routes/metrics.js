@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const express = require('express');
+const metricsService = require('../services/metricsService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// Scrapers send METRICS_TOKEN as a bearer token; without it the request needs a login
+// session like the management API, unless METRICS_PUBLIC=true opens the endpoints
+router.use((req, res, next) => {
+  if (process.env.METRICS_PUBLIC === 'true') {
+    return next();
+  }
+
+  const token = process.env.METRICS_TOKEN;
+  const header = req.headers.authorization || '';
+  const presented = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (token && crypto.timingSafeEqual(digest(presented), digest(token))) {
+    return next();
+  }
+  authenticate(req, res, next);
+});
+
+// Metrics of the manager itself
+router.get('/', async (req, res) => {
+  try {
+    res.set('Content-Type', CONTENT_TYPE).send(await metricsService.render());
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+// The /metrics of every serving vLLM instance, labelled with instance_id, instance_name and model
+router.get('/instances', async (req, res) => {
+  try {
+    res.set('Content-Type', CONTENT_TYPE).send(await metricsService.renderInstances());
+  } catch (error) {
+    console.error('Error rendering instance metrics:', error);
+    res.status(500).json({ error: 'Failed to render instance metrics' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const axios = require('axios');
 const settingsService = require('../services/settingsService');
 const modelService = require('../services/modelService');
+const placementService = require('../services/placementService');
 
 const router = express.Router();
 
@@ -15,11 +16,10 @@ router.get('/test', (req, res) => {
 router.get('/:modelId/config', async (req, res) => {
   try {
     const { modelId } = req.params;
-    const decodedModelId = decodeURIComponent(modelId);
     
-    console.log('Getting configuration for model:', decodedModelId);
+    console.log('Getting configuration for model:', modelId);
     
-    const result = await modelService.getRecommendedParams(decodedModelId);
+    const result = await modelService.getRecommendedParams(modelId);
     
     res.json(result);
   } catch (error) {
@@ -38,6 +38,46 @@ router.get('/:modelId/config', async (req, res) => {
   }
 });
 
+// Estimate the GPU memory a model needs and whether it fits on each GPU
+router.get('/:modelId/estimate', async (req, res) => {
+  try {
+    // Express has already decoded the model id
+    const modelName = req.params.modelId;
+    const { maxModelLen, quantization, kvCacheDtype, tensorParallelSize, gpuMemoryUtilization, draftModel, instanceId } = req.query;
+
+    const request = {
+      modelName,
+      quantization: quantization || null,
+      maxModelLen: maxModelLen ? parseInt(maxModelLen, 10) : null,
+      kvCacheDtype: kvCacheDtype || null,
+      tensorParallelSize: tensorParallelSize ? parseInt(tensorParallelSize, 10) : null,
+      gpuMemoryUtilization: gpuMemoryUtilization ? parseFloat(gpuMemoryUtilization) : null,
+      // A speculative decoding draft model loaded next to the model
+      speculativeDecoding: draftModel ? { method: 'draft', draftModel } : null
+    };
+    if (request.maxModelLen !== null && !(request.maxModelLen > 0)) {
+      return res.status(400).json({ error: 'maxModelLen must be a positive number of tokens' });
+    }
+    if (request.tensorParallelSize !== null && !(request.tensorParallelSize > 0)) {
+      return res.status(400).json({ error: 'tensorParallelSize must be a positive number of GPUs' });
+    }
+    if (request.gpuMemoryUtilization !== null && !(request.gpuMemoryUtilization > 0 && request.gpuMemoryUtilization <= 1)) {
+      return res.status(400).json({ error: 'gpuMemoryUtilization must be between 0 and 1' });
+    }
+
+    request.hfToken = await settingsService.getDefaultHFToken();
+    const result = await placementService.estimate(request, { excludeInstanceId: instanceId || null });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error estimating model memory:', error);
+    res.status(500).json({
+      error: 'Failed to estimate model memory',
+      details: error.message
+    });
+  }
+});
+
 // Helper function to get HuggingFace headers with authentication
 async function getHfHeaders() {
   const headers = {
@@ -194,9 +234,8 @@ router.get('/popular', async (req, res) => {
 router.get('/:modelId', async (req, res) => {
   try {
     const { modelId } = req.params;
-    const decodedModelId = decodeURIComponent(modelId);
     
-    const modelUrl = `https://huggingface.co/api/models/${decodedModelId}`;
+    const modelUrl = `https://huggingface.co/api/models/${modelId}`;
     
     const headers = await getHfHeaders();
     const response = await axios.get(modelUrl, {
@@ -245,8 +284,7 @@ router.post('/validate', async (req, res) => {
       return res.status(400).json({ error: 'Model ID is required' });
     }
     
-    const decodedModelId = decodeURIComponent(modelId);
-    const modelUrl = `https://huggingface.co/api/models/${decodedModelId}`;
+    const modelUrl = `https://huggingface.co/api/models/${modelId}`;
     
     const headers = await getHfHeaders();
     
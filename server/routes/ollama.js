@@ -1,50 +1,53 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const ollamaService = require('../services/ollamaService');
-const portService = require('../services/portService');
-const settingsService = require('../services/settingsService');
-const { getDatabase } = require('../database/init');
+const ollamaInstanceService = require('../services/ollamaInstanceService');
+const containerLogService = require('../services/containerLogService');
+const ollamaStatusService = require('../services/ollamaStatusService');
+const healthMonitorService = require('../services/healthMonitorService');
+const placementService = require('../services/placementService');
+const gpuAttributionService = require('../services/gpuAttributionService');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaModelRepository = require('../database/repositories/ollamaModelRepository');
+const { validateHealthPolicy, resolveHealthPolicy } = require('../utils/healthPolicy');
+const { publicInstance } = require('../utils/publicInstance');
 const Sse = require('../utils/sse'); // Added Sse utility
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Get all Ollama instances
 router.get('/', async (req, res) => {
   try {
-    const db = getDatabase();
+    const rows = await ollamaInstanceRepository.findAll();
+    const attribution = await gpuAttributionService.getAttribution();
     
-    db.all('SELECT * FROM ollama_instances ORDER BY created_at DESC', async (err, rows) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      // Update container status for each instance
-      const instances = await Promise.all(rows.map(async (instance) => {
-        if (instance.container_id) {
-          try {
-            const containerStatus = await ollamaService.getContainerStatus(instance.container_id);
-            return {
-              ...instance,
-              status: containerStatus.status,
-              running: containerStatus.running,
-              startedAt: containerStatus.startedAt,
-              finishedAt: containerStatus.finishedAt
-            };
-          } catch (error) {
-            return {
-              ...instance,
-              status: 'error',
-              running: false
-            };
-          }
+    // Update container status and GPU memory used for each instance
+    const instances = await Promise.all(rows.map(publicInstance).map(async (instance) => {
+      const gpuUsage = gpuAttributionService.usageForContainer(attribution, instance.container_id);
+      if (instance.container_id) {
+        try {
+          const containerStatus = await ollamaService.getContainerStatus(instance.container_id);
+          return {
+            ...instance,
+            status: containerStatus.status,
+            running: containerStatus.running,
+            startedAt: containerStatus.startedAt,
+            finishedAt: containerStatus.finishedAt,
+            gpuUsage
+          };
+        } catch (error) {
+          return {
+            ...instance,
+            status: 'error',
+            running: false,
+            gpuUsage
+          };
         }
-        return instance;
-      }));
-      
-      db.close();
-      res.json(instances);
-    });
+      }
+      return { ...instance, gpuUsage };
+    }));
+    
+    res.json(instances);
   } catch (error) {
     console.error('Error fetching Ollama instances:', error);
     res.status(500).json({ error: 'Failed to fetch Ollama instances' });
@@ -54,93 +57,8 @@ router.get('/', async (req, res) => {
 // Create new Ollama instance
 router.post('/', async (req, res) => {
   try {
-    const { 
-      name, 
-      apiKey, 
-      requireAuth = true,
-      hostname, 
-      gpuSelection
-    } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
-    // Get default settings and merge with provided values
-    const defaults = await settingsService.getInstanceDefaults();
-    const effectiveHostname = hostname || defaults.hostname;
-    const effectiveGPUSelection = gpuSelection || defaults.gpuSelection;
-    
-    // Handle API key - ensure OpenAI compatibility with sk- prefix
-    let effectiveApiKey = null;
-    if (requireAuth) {
-      if (apiKey) {
-        effectiveApiKey = apiKey.startsWith('sk-') ? apiKey : `sk-${apiKey}`;
-      } else if (defaults.apiKey) {
-        effectiveApiKey = defaults.apiKey.startsWith('sk-') ? defaults.apiKey : `sk-${defaults.apiKey}`;
-      } else {
-        effectiveApiKey = `sk-localtest-${Date.now()}`;
-      }
-    }
-    
-    const instanceId = uuidv4();
-    const port = await portService.allocatePort(instanceId);
-    
-    const instanceConfig = {
-      id: instanceId,
-      name,
-      port,
-      apiKey: effectiveApiKey,
-      requireAuth,
-      gpuSelection: effectiveGPUSelection
-    };
-    
-    // Create or get existing Ollama container
-    const containerResult = await ollamaService.createOrGetOllamaContainer(instanceConfig);
-    
-    // Save to database
-    const db = getDatabase();
-    const config = JSON.stringify({
-      apiKey: effectiveApiKey ? '***' : null,
-      requireAuth,
-      hostname: effectiveHostname,
-      port,
-      deviceInfo: containerResult.deviceInfo,
-      gpuId: containerResult.gpuId,
-      gpuSelection: effectiveGPUSelection
-    });
-    
-    db.run(
-      'INSERT INTO ollama_instances (id, name, port, container_id, status, config, api_key) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [instanceId, name, port, containerResult.containerId, 'running', config, effectiveApiKey],
-      function(err) {
-        db.close();
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to save Ollama instance' });
-        }
-        
-        res.status(201).json({
-          id: instanceId,
-          name,
-          port,
-          containerId: containerResult.containerId,
-          status: 'running',
-          url: `http://${effectiveHostname}:${port}`,
-          deviceInfo: containerResult.deviceInfo,
-          gpuId: containerResult.gpuId,
-          selectedGPU: containerResult.selectedGPU,
-          requireAuth,
-          apiKeyProvided: !!effectiveApiKey,
-          usingDefaults: {
-            apiKey: !apiKey && requireAuth,
-            hostname: !hostname,
-            gpuSelection: !gpuSelection
-          },
-          created: new Date().toISOString()
-        });
-      }
-    );
+    const { status, body } = await ollamaInstanceService.create(req.body);
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error creating Ollama instance:', error);
     res.status(500).json({ error: 'Failed to create Ollama instance: ' + error.message });
@@ -152,44 +70,33 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      // Get container status
-      let containerStatus = null;
-      if (instance.container_id) {
-        try {
-          containerStatus = await ollamaService.getContainerStatus(instance.container_id);
-        } catch (error) {
-          console.warn('Could not get container status:', error);
-        }
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+    
+    // Get container status
+    let containerStatus = null;
+    if (instance.container_id) {
+      try {
+        containerStatus = await ollamaService.getContainerStatus(instance.container_id);
+      } catch (error) {
+        console.warn('Could not get container status:', error);
       }
-      
-      // Get models for this instance
-      db.all('SELECT * FROM ollama_models WHERE instance_id = ? ORDER BY name', [id], async (err, models) => {
-        db.close();
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-        
-        res.json({
-          ...instance,
-          status: containerStatus?.status || instance.status,
-          running: containerStatus?.running || false,
-          startedAt: containerStatus?.startedAt,
-          finishedAt: containerStatus?.finishedAt,
-          models: models || []
-        });
-      });
+    }
+    
+    // Get models for this instance
+    const models = await ollamaModelRepository.findByInstance(id);
+    const attribution = await gpuAttributionService.getAttribution();
+    
+    res.json({
+      ...publicInstance(instance),
+      status: containerStatus?.status || instance.status,
+      running: containerStatus?.running || false,
+      startedAt: containerStatus?.startedAt,
+      finishedAt: containerStatus?.finishedAt,
+      gpuUsage: gpuAttributionService.usageForContainer(attribution, instance.container_id),
+      models: models || []
     });
   } catch (error) {
     console.error('Error fetching Ollama instance:', error);
@@ -202,35 +109,25 @@ router.post('/:id/start', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        await ollamaService.startContainer(instance.container_id);
-        
-        db.run('UPDATE ollama_instances SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-          ['running', id], function(err) {
-            db.close();
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update Ollama instance status' });
-            }
-            res.json({ status: 'running' });
-          }
-        );
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to start Ollama container: ' + error.message });
-      }
-    });
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+    
+    // Other instances may have taken the GPU memory while it was stopped
+    const budget = await placementService.checkBudget('ollama', id);
+    if (!budget.fits) {
+      return res.status(409).json({ error: `Starting would oversubscribe the GPU: ${budget.reason}` });
+    }
+    
+    try {
+      await ollamaService.startContainer(instance.container_id);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to start Ollama container: ' + error.message });
+    }
+    
+    await ollamaStatusService.setStatus(id, 'running');
+    res.json({ status: 'running' });
   } catch (error) {
     console.error('Error starting Ollama instance:', error);
     res.status(500).json({ error: 'Failed to start Ollama instance' });
@@ -242,35 +139,19 @@ router.post('/:id/stop', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        await ollamaService.stopContainer(instance.container_id);
-        
-        db.run('UPDATE ollama_instances SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-          ['stopped', id], function(err) {
-            db.close();
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update Ollama instance status' });
-            }
-            res.json({ status: 'stopped' });
-          }
-        );
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to stop Ollama container: ' + error.message });
-      }
-    });
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+    
+    try {
+      await ollamaService.stopContainer(instance.container_id);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to stop Ollama container: ' + error.message });
+    }
+    
+    await ollamaStatusService.setStatus(id, 'stopped');
+    res.json({ status: 'stopped' });
   } catch (error) {
     console.error('Error stopping Ollama instance:', error);
     res.status(500).json({ error: 'Failed to stop Ollama instance' });
@@ -282,139 +163,148 @@ router.post('/:id/restart', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        await ollamaService.restartContainer(instance.container_id);
-        
-        db.run('UPDATE ollama_instances SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-          ['running', id], function(err) {
-            db.close();
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update Ollama instance status' });
-            }
-            res.json({ status: 'running' });
-          }
-        );
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to restart Ollama container: ' + error.message });
-      }
-    });
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+    
+    try {
+      await ollamaService.restartContainer(instance.container_id);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to restart Ollama container: ' + error.message });
+    }
+    
+    await ollamaStatusService.setStatus(id, 'running');
+    res.json({ status: 'running' });
   } catch (error) {
     console.error('Error restarting Ollama instance:', error);
     res.status(500).json({ error: 'Failed to restart Ollama instance' });
   }
 });
 
+// Get recent health checks (?limit=, ?since=) with the health policy and current failure state
+router.get('/:id/health-history', async (req, res) => {
+  try {
+    const instance = await ollamaInstanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+
+    const query = healthMonitorService.parseHistoryQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    res.json(await healthMonitorService.getHistory(instance, query));
+  } catch (error) {
+    console.error('Error fetching Ollama instance health history:', error);
+    res.status(500).json({ error: 'Failed to fetch health history' });
+  }
+});
+
+// Change the health policy; fields left out keep their defaults
+router.put('/:id/health-policy', async (req, res) => {
+  try {
+    const instance = await ollamaInstanceRepository.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+
+    const { error, policy } = validateHealthPolicy(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await ollamaInstanceRepository.updateHealthPolicy(instance.id, Object.keys(policy).length ? policy : null);
+    res.json(resolveHealthPolicy(Object.keys(policy).length ? JSON.stringify(policy) : null));
+  } catch (error) {
+    console.error('Error updating Ollama instance health policy:', error);
+    res.status(500).json({ error: 'Failed to update health policy' });
+  }
+});
+
 // Remove Ollama instance
 router.delete('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        // Remove container
-        if (instance.container_id) {
-          await ollamaService.removeContainer(instance.container_id);
-        }
-        
-        // Release port
-        await portService.releasePort(instance.port);
-        
-        // Remove from database
-        db.run('DELETE FROM ollama_instances WHERE id = ?', [id], function(err) {
-          db.close();
-          if (err) {
-            return res.status(500).json({ error: 'Failed to remove Ollama instance from database' });
-          }
-          res.json({ status: 'removed' });
-        });
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to remove Ollama instance: ' + error.message });
-      }
-    });
+    const { status, body } = await ollamaInstanceService.remove(req.params.id);
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error removing Ollama instance:', error);
     res.status(500).json({ error: 'Failed to remove Ollama instance' });
   }
 });
 
-// Get Ollama instance logs
+// Load the instance behind a log request, answering 404 if it has no container
+const findLoggedInstance = async (req, res) => {
+  const instance = await ollamaInstanceRepository.findById(req.params.id);
+  if (!instance) {
+    res.status(404).json({ error: 'Ollama instance not found' });
+    return null;
+  }
+  if (!instance.container_id) {
+    res.status(404).json({ error: 'Ollama instance has no container' });
+    return null;
+  }
+  return instance;
+};
+
+// Get Ollama instance logs (?tail=, ?since=, ?until=, ?stream=stdout|stderr, ?grep=, ?regex=true)
 router.get('/:id/logs', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { tail = 100 } = req.query;
-    
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      db.close();
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        const logs = await ollamaService.getContainerLogs(instance.container_id, parseInt(tail));
-        res.json({ logs });
-      } catch (error) {
-        res.status(500).json({ error: 'Failed to get logs: ' + error.message });
-      }
-    });
+    const instance = await findLoggedInstance(req, res);
+    if (instance) {
+      await containerLogService.sendLogs(req, res, instance.container_id);
+    }
+  } catch (error) {
+    console.error('Error getting Ollama instance logs:', error);
+    res.status(500).json({ error: 'Failed to get logs: ' + error.message });
+  }
+});
+
+// Follow container logs (SSE), same filters as above plus ?follow=false
+router.get('/:id/logs/stream', async (req, res) => {
+  try {
+    const instance = await findLoggedInstance(req, res);
+    if (instance) {
+      await containerLogService.streamLogs(req, res, instance.container_id);
+    }
   } catch (error) {
     console.error('Error getting Ollama instance logs:', error);
     res.status(500).json({ error: 'Failed to get logs' });
   }
 });
 
+// Download the full log (or the filtered part of it) as a text file
+router.get('/:id/logs/download', async (req, res) => {
+  try {
+    const instance = await findLoggedInstance(req, res);
+    if (instance) {
+      await containerLogService.downloadLogs(req, res, instance.container_id, `${instance.name}-logs.txt`);
+    }
+  } catch (error) {
+    console.error('Error getting Ollama instance logs:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to get logs: ' + error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // Get models from Ollama instance
 router.get('/:id/models', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      db.close();
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        const models = await ollamaService.getModels(instance.port);
-        res.json({ models });
-      } catch (error) {
-        res.status(500).json({ error: 'Failed to get models: ' + error.message });
-      }
-    });
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+    
+    try {
+      const models = await ollamaService.getModels(instance.port);
+      res.json({ models });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to get models: ' + error.message });
+    }
   } catch (error) {
     console.error('Error getting Ollama models:', error);
     res.status(500).json({ error: 'Failed to get models' });
@@ -422,7 +312,8 @@ router.get('/:id/models', async (req, res) => {
 });
 
 // Pull model to Ollama instance (SSE endpoint for real-time progress)
-router.get('/:id/models/pull', (req, res) => {
+// This is a GET for EventSource, but it changes state, so it needs operator rights
+router.get('/:id/models/pull', requireRole('operator'), async (req, res) => {
   const sse = new Sse(req, res);
   const { modelName } = req.query;
   const { id: instanceId } = req.params;
@@ -432,67 +323,28 @@ router.get('/:id/models/pull', (req, res) => {
     return sse.close();
   }
 
-  const db = getDatabase();
-  db.get('SELECT * FROM ollama_instances WHERE id = ?', [instanceId], async (err, instance) => {
-    if (err || !instance) {
-      db.close();
-      sse.send({ error: 'Ollama instance not found' }, 'error');
-      return sse.close();
-    }
-
-    const modelId = uuidv4();
-
-    // Insert a record for the new model
-    db.run(
-      'INSERT INTO ollama_models (id, instance_id, name, status) VALUES (?, ?, ?, ?)',
-      [modelId, instanceId, modelName, 'downloading'],
-      async function (err) {
-        if (err) {
-          db.close();
-          sse.send({ error: 'Failed to create model record in database' }, 'error');
-          return sse.close();
-        }
+  const instance = await ollamaInstanceRepository.findById(instanceId).catch(() => null);
+  if (!instance) {
+    sse.send({ error: 'Ollama instance not found' }, 'error');
+    return sse.close();
+  }
 
+  let started = false;
+  try {
+    await ollamaInstanceService.pullModel(instance, modelName, {
+      onStart: (modelId) => {
+        started = true;
         sse.send({ modelId, message: 'Starting download...' }, 'start');
-
-        try {
-          // Use the new streaming pull function
-          const result = await ollamaService.pullModelStream(
-            instance.port,
-            modelName,
-            (progress) => {
-              // Send each progress update to the client
-              sse.send(progress, 'progress');
-            }
-          );
-          
-          // Update model status in database on success
-          db.run(
-            'UPDATE ollama_models SET status = ?, size = ?, modified_at = ?, digest = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            ['ready', result.size || 0, new Date().toISOString(), result.digest, modelId],
-            (updateErr) => {
-              if (updateErr) console.error('Error finalizing model status:', updateErr);
-              sse.send({ message: 'Model downloaded successfully' }, 'done');
-              sse.close();
-              db.close();
-            }
-          );
-        } catch (pullError) {
-          // Update model status to failed on error
-          db.run(
-            'UPDATE ollama_models SET status = ? WHERE id = ?',
-            ['failed', modelId],
-            (updateErr) => {
-              if (updateErr) console.error('Error setting model status to failed:', updateErr);
-              sse.send({ error: pullError.message || 'Failed to pull model' }, 'error');
-              sse.close();
-              db.close();
-            }
-          );
-        }
-      }
-    );
-  });
+      },
+      // Send each progress update to the client
+      onProgress: progress => sse.send(progress, 'progress')
+    });
+    sse.send({ message: 'Model downloaded successfully' }, 'done');
+  } catch (pullError) {
+    const message = started ? pullError.message || 'Failed to pull model' : 'Failed to create model record in database';
+    sse.send({ error: message }, 'error');
+  }
+  sse.close();
 });
 
 
@@ -501,35 +353,18 @@ router.delete('/:id/models/:modelName', async (req, res) => {
   try {
     const { id, modelName } = req.params;
     
-    const db = getDatabase();
-    db.get('SELECT * FROM ollama_instances WHERE id = ?', [id], async (err, instance) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!instance) {
-        db.close();
-        return res.status(404).json({ error: 'Ollama instance not found' });
-      }
-      
-      try {
-        // Delete model from Ollama
-        await ollamaService.deleteModel(instance.port, modelName);
-        
-        // Remove model from database
-        db.run('DELETE FROM ollama_models WHERE instance_id = ? AND name = ?', [id, modelName], function(err) {
-          db.close();
-          if (err) {
-            return res.status(500).json({ error: 'Failed to remove model from database' });
-          }
-          res.json({ message: 'Model deleted successfully' });
-        });
-      } catch (error) {
-        db.close();
-        res.status(500).json({ error: 'Failed to delete model: ' + error.message });
-      }
-    });
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Ollama instance not found' });
+    }
+    
+    try {
+      // Delete model from Ollama and its record
+      await ollamaInstanceService.deleteModel(instance, modelName);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to delete model: ' + error.message });
+    }
+    res.json({ message: 'Model deleted successfully' });
   } catch (error) {
     console.error('Error deleting Ollama model:', error);
     res.status(500).json({ error: 'Failed to delete model' });
@@ -1,12 +1,22 @@
 const express = require('express');
 const settingsService = require('../services/settingsService');
+const authService = require('../services/authService');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Secret settings such as the HF token are shown to admins only, like the backup
+const canSeeSecrets = req => authService.hasRole(req.user, 'admin');
+
 // Get all settings
 router.get('/', async (req, res) => {
   try {
     const settings = await settingsService.getAllSettings();
+    if (!canSeeSecrets(req)) {
+      Object.keys(settings).forEach((key) => {
+        settings[key].value = settingsService.maskValue(key, settings[key].value);
+      });
+    }
     res.json(settings);
   } catch (error) {
     console.error('Error getting settings:', error);
@@ -24,7 +34,7 @@ router.get('/:key', async (req, res) => {
       return res.status(404).json({ error: 'Setting not found' });
     }
     
-    res.json({ key, value });
+    res.json({ key, value: canSeeSecrets(req) ? value : settingsService.maskValue(key, value) });
   } catch (error) {
     console.error('Error getting setting:', error);
     res.status(500).json({ error: 'Failed to get setting' });
@@ -82,6 +92,9 @@ router.put('/', async (req, res) => {
 router.get('/defaults/instance', async (req, res) => {
   try {
     const defaults = await settingsService.getInstanceDefaults();
+    if (!canSeeSecrets(req)) {
+      defaults.hfToken = settingsService.maskValue('default_hf_token', defaults.hfToken);
+    }
     res.json(defaults);
   } catch (error) {
     console.error('Error getting instance defaults:', error);
@@ -95,10 +108,13 @@ router.post('/reset', async (req, res) => {
     const defaultSettings = {
       'default_hf_token': '',
       'default_hostname': 'inference.vm',
-      'default_api_key': 'localkey',
       'auto_start_instances': 'true',
       'default_model_filter': 'text-generation',
-      'max_concurrent_instances': '5'
+      'max_concurrent_instances': '5',
+      'default_vllm_image': '',
+      'default_ollama_image': '',
+      'allowed_images': '',
+      'default_image_pull_policy': 'if-missing'
     };
     
     const result = await settingsService.updateMultipleSettings(defaultSettings);
@@ -114,8 +130,8 @@ router.post('/reset', async (req, res) => {
   }
 });
 
-// Export/backup settings
-router.get('/export/backup', async (req, res) => {
+// Export/backup settings (includes secrets such as the HF token)
+router.get('/export/backup', requireRole('admin'), async (req, res) => {
   try {
     const settings = await settingsService.getAllSettings();
     
@@ -1,6 +1,9 @@
 const express = require('express');
 const dockerService = require('../services/dockerService');
 const gpuService = require('../services/gpuService');
+const placementService = require('../services/placementService');
+const gpuTelemetryService = require('../services/gpuTelemetryService');
+const gpuAttributionService = require('../services/gpuAttributionService');
 const os = require('os');
 
 const router = express.Router();
@@ -51,6 +54,16 @@ router.get('/gpu/available', async (req, res) => {
   }
 });
 
+// Get the share of each GPU's memory committed to instances
+router.get('/gpu/allocations', async (req, res) => {
+  try {
+    res.json(await placementService.getBudgets());
+  } catch (error) {
+    console.error('Error getting GPU allocations:', error);
+    res.status(500).json({ error: 'Failed to get GPU allocations' });
+  }
+});
+
 // Get GPU statistics and usage
 router.get('/gpu/stats', async (req, res) => {
   try {
@@ -62,6 +75,32 @@ router.get('/gpu/stats', async (req, res) => {
   }
 });
 
+// Get the processes running on each GPU, their memory and the instances they belong to
+router.get('/gpu/processes', async (req, res) => {
+  try {
+    res.json(await gpuAttributionService.getProcesses());
+  } catch (error) {
+    console.error('Error getting GPU processes:', error);
+    res.status(500).json({ error: 'Failed to get GPU processes' });
+  }
+});
+
+// Get sampled GPU utilization, memory, temperature and power over time.
+// Takes ?from=&to= (ISO 8601, default the last hour) and an optional gpuId.
+router.get('/gpu/history', async (req, res) => {
+  const query = gpuTelemetryService.parseQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    res.json(await gpuTelemetryService.getHistory(query));
+  } catch (error) {
+    console.error('Error getting GPU history:', error);
+    res.status(500).json({ error: 'Failed to get GPU history' });
+  }
+});
+
 // Refresh GPU detection
 router.post('/refresh-gpu', async (req, res) => {
   try {
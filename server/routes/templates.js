@@ -0,0 +1,192 @@
+const express = require('express');
+const templateService = require('../services/templateService');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const { validateTemplate } = require('../utils/instanceTemplates');
+const yaml = require('../utils/yaml');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['json', 'yaml'];
+
+// Send a document as a JSON or YAML download; false after a 400 for an unknown format
+function sendDocument(req, res, document, basename) {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    return false;
+  }
+
+  const filename = `${basename.replace(/[^\w.-]+/g, '_')}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'yaml') {
+    res.type('application/yaml').send(yaml.stringify(document));
+  } else {
+    res.type('application/json').send(`${JSON.stringify(document, null, 2)}\n`);
+  }
+  return true;
+}
+
+async function rejectIfNameTaken(name, exceptId, res) {
+  if (await templateService.isNameTaken(name, exceptId)) {
+    res.status(409).json({ error: `A template named ${name} already exists` });
+    return true;
+  }
+  return false;
+}
+
+// Load a saved template for a change; built-in templates are read-only
+async function findEditableTemplate(req, res) {
+  const template = await templateService.get(req.params.id);
+  if (!template) {
+    res.status(404).json({ error: 'Template not found' });
+    return null;
+  }
+  if (template.builtin) {
+    res.status(403).json({ error: 'Built-in templates can\'t be changed; save a copy under another name instead' });
+    return null;
+  }
+  return template;
+}
+
+// List built-in and saved templates
+router.get('/', async (req, res) => {
+  try {
+    res.json(await templateService.list());
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+// Download all saved templates (?format=json or yaml)
+router.get('/export', async (req, res) => {
+  try {
+    const templates = (await templateService.list()).filter(template => !template.builtin);
+    sendDocument(req, res, {
+      exportDate: new Date().toISOString(),
+      templates: templates.map(template => templateService.toDocument(template))
+    }, 'vllm-manager-templates');
+  } catch (error) {
+    console.error('Error exporting templates:', error);
+    res.status(500).json({ error: 'Failed to export templates' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await templateService.get(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Error getting template:', error);
+    res.status(500).json({ error: 'Failed to get template' });
+  }
+});
+
+// Download one template (?format=json or yaml); POST / accepts the JSON form back
+router.get('/:id/export', async (req, res) => {
+  try {
+    const template = await templateService.get(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    sendDocument(req, res, templateService.toDocument(template), template.name);
+  } catch (error) {
+    console.error('Error exporting template:', error);
+    res.status(500).json({ error: 'Failed to export template' });
+  }
+});
+
+// Save a template from a name, description and config
+router.post('/', async (req, res) => {
+  try {
+    const { error, template } = validateTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (await rejectIfNameTaken(template.name, null, res)) {
+      return;
+    }
+
+    const created = await templateService.create(template, { createdBy: req.user ? req.user.id : null });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template: ' + error.message });
+  }
+});
+
+// Save an instance's current settings as a template
+router.post('/from-instance/:instanceId', async (req, res) => {
+  try {
+    const instance = await instanceRepository.findById(req.params.instanceId);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, config } = templateService.configFromInstance(instance);
+    if (error) {
+      return res.status(400).json({ error: `The instance's settings don't make a valid template: ${error}` });
+    }
+    const validation = validateTemplate({
+      name: req.body.name || `${instance.name} template`,
+      description: req.body.description || `Settings of instance ${instance.name}`,
+      config
+    });
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    if (await rejectIfNameTaken(validation.template.name, null, res)) {
+      return;
+    }
+
+    const created = await templateService.create(validation.template, {
+      sourceInstanceId: instance.id,
+      createdBy: req.user ? req.user.id : null
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating template from instance:', error);
+    res.status(500).json({ error: 'Failed to create template: ' + error.message });
+  }
+});
+
+// Replace a saved template's name, description and config
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await findEditableTemplate(req, res);
+    if (!existing) {
+      return;
+    }
+    const { error, template } = validateTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (await rejectIfNameTaken(template.name, existing.id, res)) {
+      return;
+    }
+
+    res.json(await templateService.update(existing.id, template));
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template: ' + error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await findEditableTemplate(req, res);
+    if (!existing) {
+      return;
+    }
+    await templateService.remove(existing.id);
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+module.exports = router;
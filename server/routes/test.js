@@ -1,8 +1,25 @@
 const express = require('express');
 const testService = require('../services/testService');
+const usageService = require('../services/usageService');
 
 const router = express.Router();
 
+// Account a request sent from the Test page like a gateway request
+function recordUsage(req, result, { instanceType = 'vllm', endpoint, startedAt }) {
+  usageService.record({
+    source: 'test',
+    instanceId: req.params.id,
+    instanceType,
+    instanceName: result.instance?.name,
+    model: result.instance?.model,
+    userId: req.user?.id,
+    endpoint,
+    statusCode: result.success ? 200 : result.statusCode || 500,
+    usage: result.success ? result.response.usage || null : null,
+    latencyMs: Date.now() - startedAt
+  });
+}
+
 // Test service health endpoint
 router.get('/health', (req, res) => {
   res.json({ 
@@ -61,7 +78,9 @@ router.post('/instances/:id/chat', async (req, res) => {
       return res.status(400).json({ error: 'Ollama model name is required' });
     }
 
+    const startedAt = Date.now();
     const result = await testService.chatCompletion(id, instanceType, modelName, messages, options);
+    recordUsage(req, result, { instanceType: instanceType || 'vllm', endpoint: '/v1/chat/completions', startedAt });
     
     if (result.success) {
       res.json(result);
@@ -84,7 +103,9 @@ router.post('/instances/:id/completion', async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
+    const startedAt = Date.now();
     const result = await testService.textCompletion(id, prompt, options);
+    recordUsage(req, result, { endpoint: '/v1/completions', startedAt });
     
     if (result.success) {
       res.json(result);
@@ -107,7 +128,9 @@ router.post('/instances/:id/embeddings', async (req, res) => {
       return res.status(400).json({ error: 'Input is required' });
     }
 
+    const startedAt = Date.now();
     const result = await testService.getEmbeddings(id, input, options);
+    recordUsage(req, result, { endpoint: '/v1/embeddings', startedAt });
     
     if (result.success) {
       res.json(result);
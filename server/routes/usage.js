@@ -0,0 +1,53 @@
+const express = require('express');
+const usageService = require('../services/usageService');
+
+const router = express.Router();
+
+// Summaries take ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive UTC days, default the last 30) and optional instanceId and apiKeyId filters
+function summaryHandler(groupBy) {
+  return async (req, res) => {
+    const query = usageService.parseQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    try {
+      const rows = await usageService.summarize(groupBy, query.filters);
+      res.json(groupBy
+        ? { from: query.from, to: query.to, [groupBy === 'day' ? 'days' : `${groupBy}s`]: rows }
+        : { from: query.from, to: query.to, ...rows[0] });
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      res.status(500).json({ error: 'Failed to get usage' });
+    }
+  };
+}
+
+// Totals over the range
+router.get('/', summaryHandler(null));
+
+// Usage per day, instance, API key and model
+router.get('/daily', summaryHandler('day'));
+router.get('/instances', summaryHandler('instance'));
+router.get('/keys', summaryHandler('key'));
+router.get('/models', summaryHandler('model'));
+
+// Individual requests, most recent first
+router.get('/records', async (req, res) => {
+  const query = usageService.parseQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  try {
+    const records = await usageService.getRecent(query.filters, limit);
+    res.json({ from: query.from, to: query.to, records });
+  } catch (error) {
+    console.error('Error getting usage records:', error);
+    res.status(500).json({ error: 'Failed to get usage records' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const authService = require('../services/authService');
+const { logSensitiveOperation } = require('../middleware/logging');
+
+const router = express.Router();
+
+// List all users
+router.get('/', async (req, res) => {
+  try {
+    const users = await authService.listUsers();
+    res.json(users);
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Create a user
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body;
+
+    if (!username || typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,64}$/.test(username)) {
+      return res.status(400).json({ error: 'Username must be 3-64 characters of letters, digits, ".", "_" or "-"' });
+    }
+
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (!authService.isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${authService.roles.join(', ')}` });
+    }
+
+    const user = await authService.createUser({ username, password, role });
+    logSensitiveOperation('user_created', req.user.id, { targetUser: user.username, role });
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change a user's role, reset their password, or disable/enable them
+router.put('/:id', async (req, res) => {
+  try {
+    const { role, password, disabled } = req.body;
+
+    if (role !== undefined && !authService.isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${authService.roles.join(', ')}` });
+    }
+
+    if (password !== undefined) {
+      const passwordError = authService.validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be a boolean' });
+    }
+
+    const user = await authService.updateUser(req.params.id, { role, password, disabled });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logSensitiveOperation('user_updated', req.user.id, {
+      targetUser: user.username,
+      role,
+      passwordReset: password !== undefined,
+      disabled,
+    });
+    res.json(user);
+  } catch (error) {
+    if (error.message === 'Cannot remove the last active admin') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete a user
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await authService.deleteUser(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logSensitiveOperation('user_deleted', req.user.id, { targetUserId: req.params.id });
+    res.json({ status: 'deleted' });
+  } catch (error) {
+    if (error.message === 'Cannot remove the last active admin') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const axios = require('axios');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const instanceLifecycleService = require('./instanceLifecycleService');
+const { containerSource } = require('../utils/loraAdapters');
+
+// Loading an adapter from HuggingFace downloads it first
+const LOAD_TIMEOUT_MS = 300000;
+const MODELS_TIMEOUT_MS = 5000;
+
+const parseConfig = (config) => {
+  try {
+    return JSON.parse(config || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Manages the LoRA adapters of vLLM instances. Adapters are stored in the
+ * instance_adapters table; ready instances load and unload them at runtime through
+ * vLLM's load_lora_adapter and unload_lora_adapter endpoints, and instances that
+ * become ready again (after a restart) get the adapters they are missing.
+ */
+class AdapterService {
+  constructor() {
+    this.started = false;
+    this.onInstanceTransition = (change) => {
+      if (change.to === 'ready') {
+        this.syncInstance(change.instanceId)
+          .catch(error => console.warn(`Could not sync the adapters of instance ${change.instanceId}:`, error.message));
+      }
+    };
+  }
+
+  getBaseUrl(port) {
+    return `http://${process.env.DEFAULT_HOSTNAME || 'inference.vm'}:${port}`;
+  }
+
+  headers(instance) {
+    return instance.api_key ? { Authorization: `Bearer ${instance.api_key}` } : {};
+  }
+
+  /**
+   * The instance's LoRA settings: enableLora and maxLoraRank
+   */
+  getLoraConfig(instance) {
+    const { advancedConfig = {} } = parseConfig(instance.config);
+    return { enableLora: advancedConfig.enableLora === true, maxLoraRank: advancedConfig.maxLoraRank || null };
+  }
+
+  /**
+   * Names of the adapters vLLM currently serves; they are the models with a parent
+   */
+  async getLoadedAdapters(instance) {
+    const response = await axios.get(`${this.getBaseUrl(instance.port)}/v1/models`, {
+      headers: this.headers(instance),
+      timeout: MODELS_TIMEOUT_MS
+    });
+    return (response.data.data || []).filter(model => model.parent).map(model => model.id);
+  }
+
+  /**
+   * The instance's adapters and whether vLLM has them loaded (null when it can't be asked)
+   */
+  async list(instance) {
+    const rows = await instanceAdapterRepository.findByInstance(instance.id);
+    let loaded = null;
+    if (instance.status === 'ready' && rows.length > 0) {
+      try {
+        loaded = await this.getLoadedAdapters(instance);
+      } catch (error) {
+        console.warn(`Could not list the adapters loaded on instance ${instance.id}:`, error.message);
+      }
+    }
+
+    return {
+      ...this.getLoraConfig(instance),
+      adapters: rows.map(row => ({
+        name: row.name,
+        source: row.source,
+        rank: row.rank,
+        loaded: loaded ? loaded.includes(row.name) : null,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  async load(instance, adapter) {
+    try {
+      await axios.post(`${this.getBaseUrl(instance.port)}/v1/load_lora_adapter`, {
+        lora_name: adapter.name,
+        lora_path: containerSource(adapter.source)
+      }, { headers: this.headers(instance), timeout: LOAD_TIMEOUT_MS });
+    } catch (error) {
+      throw new Error(`vLLM could not load adapter ${adapter.name}: ${this.describeError(error)}`);
+    }
+  }
+
+  async unload(instance, name) {
+    try {
+      await axios.post(`${this.getBaseUrl(instance.port)}/v1/unload_lora_adapter`, {
+        lora_name: name
+      }, { headers: this.headers(instance), timeout: MODELS_TIMEOUT_MS });
+    } catch (error) {
+      throw new Error(`vLLM could not unload adapter ${name}: ${this.describeError(error)}`);
+    }
+  }
+
+  // vLLM answers failed adapter requests with a plain text or JSON message
+  describeError(error) {
+    const data = error.response && error.response.data;
+    if (typeof data === 'string' && data) {
+      return data;
+    }
+    return (data && (data.message || data.detail)) || error.message;
+  }
+
+  /**
+   * Add a validated adapter, loading it first if the instance is ready.
+   * Instances that aren't ready load it when their container is next created.
+   */
+  async add(instance, adapter) {
+    if (instance.status === 'ready') {
+      await this.load(instance, adapter);
+    }
+    await instanceAdapterRepository.create(instance.id, adapter);
+    return { ...adapter, loaded: instance.status === 'ready' };
+  }
+
+  /**
+   * Remove an adapter, unloading it first if the instance is ready
+   */
+  async remove(instance, name) {
+    if (instance.status === 'ready') {
+      await this.unload(instance, name);
+    }
+    await instanceAdapterRepository.delete(instance.id, name);
+  }
+
+  /**
+   * Load the stored adapters a ready instance doesn't serve, e.g. those added at
+   * runtime before its container restarted
+   */
+  async syncInstance(instanceId) {
+    const instance = await instanceRepository.findById(instanceId);
+    if (!instance || instance.status !== 'ready' || !this.getLoraConfig(instance).enableLora) {
+      return;
+    }
+    const rows = await instanceAdapterRepository.findByInstance(instance.id);
+    if (rows.length === 0) {
+      return;
+    }
+
+    const loaded = await this.getLoadedAdapters(instance);
+    for (const adapter of rows.filter(row => !loaded.includes(row.name))) {
+      try {
+        await this.load(instance, adapter);
+      } catch (error) {
+        console.warn(`Instance ${instance.id}:`, error.message);
+      }
+    }
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    instanceLifecycleService.on('transition', this.onInstanceTransition);
+  }
+
+  stop() {
+    this.started = false;
+    instanceLifecycleService.off('transition', this.onInstanceTransition);
+  }
+}
+
+module.exports = new AdapterService();
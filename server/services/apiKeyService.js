@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/db');
+
+const KEY_PREFIX = 'sk-vm-';
+
+class ApiKeyService {
+  /**
+   * Generate a new random API key
+   * @returns {string} Plaintext key, only ever shown to the caller once
+   */
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Generate the internal key a container is started with. Clients authenticate
+   * against the gateway with manager-issued keys, so this one never needs to be shared.
+   * @returns {string} Random OpenAI-style key
+   */
+  generateInstanceKey() {
+    return `sk-${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Convert a database row into the public representation (never includes the hash)
+   */
+  formatKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      instanceIds: row.instance_ids ? JSON.parse(row.instance_ids) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastUsedAt: row.last_used_at,
+      rotatedAt: row.rotated_at,
+      revokedAt: row.revoked_at,
+      active: !row.revoked_at
+    };
+  }
+
+  /**
+   * Check that all instance IDs exist as vLLM or Ollama instances
+   * @param {Array<string>} instanceIds
+   * @returns {Promise<Array<string>>} IDs that do not exist
+   */
+  async findUnknownInstances(instanceIds) {
+    const rows = await db.all('SELECT id FROM instances UNION SELECT id FROM ollama_instances');
+    const known = new Set(rows.map(row => row.id));
+    return instanceIds.filter(id => !known.has(id));
+  }
+
+  async listKeys() {
+    const rows = await db.all('SELECT * FROM api_keys ORDER BY created_at DESC');
+    return rows.map(row => this.formatKey(row));
+  }
+
+  async getKey(id) {
+    const row = await db.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+    return row ? this.formatKey(row) : null;
+  }
+
+  /**
+   * Issue a new named key
+   * @param {Object} options
+   * @param {string} options.name - Human readable owner/purpose of the key
+   * @param {Array<string>|null} options.instanceIds - Instances the key may use, null for all
+   * @returns {Promise<Object>} The key record plus the plaintext key
+   */
+  async createKey({ name, instanceIds = null }) {
+    const id = uuidv4();
+    const key = this.generateKey();
+
+    await db.run(
+      'INSERT INTO api_keys (id, name, key_prefix, key_hash, instance_ids) VALUES (?, ?, ?, ?, ?)',
+      [id, name, key.substring(0, KEY_PREFIX.length + 6), this.hashKey(key), instanceIds ? JSON.stringify(instanceIds) : null]
+    );
+
+    return { ...(await this.getKey(id)), key };
+  }
+
+  /**
+   * Update the name and/or instance scope of a key
+   */
+  async updateKey(id, { name, instanceIds }) {
+    const existing = await this.getKey(id);
+    if (!existing) {
+      return null;
+    }
+
+    const newName = name !== undefined ? name : existing.name;
+    const newScope = instanceIds !== undefined ? instanceIds : existing.instanceIds;
+
+    await db.run(
+      'UPDATE api_keys SET name = ?, instance_ids = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [newName, newScope ? JSON.stringify(newScope) : null, id]
+    );
+
+    return this.getKey(id);
+  }
+
+  /**
+   * Revoke a key. Revoked keys are kept for auditing but no longer authenticate.
+   */
+  async revokeKey(id) {
+    const { changes } = await db.run(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+
+    return changes > 0 ? this.getKey(id) : null;
+  }
+
+  /**
+   * Replace the secret of an active key, keeping its name and scope.
+   * The previous secret stops working immediately.
+   */
+  async rotateKey(id) {
+    const key = this.generateKey();
+    const { changes } = await db.run(
+      'UPDATE api_keys SET key_prefix = ?, key_hash = ?, rotated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [key.substring(0, KEY_PREFIX.length + 6), this.hashKey(key), id]
+    );
+
+    return changes > 0 ? { ...(await this.getKey(id)), key } : null;
+  }
+
+  async deleteKey(id) {
+    const { changes } = await db.run('DELETE FROM api_keys WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * Look up an active key by its plaintext value
+   * @param {string} key - Plaintext key presented by a client
+   * @returns {Promise<Object|null>} Key record or null if unknown or revoked
+   */
+  async verifyKey(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const row = await db.get('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [this.hashKey(key)]);
+    if (!row) {
+      return null;
+    }
+
+    // Usage timestamp is informational; don't hold the request up for it
+    db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]).catch(err => {
+      console.warn('Could not update API key last_used_at:', err.message);
+    });
+
+    return this.formatKey(row);
+  }
+
+  /**
+   * Check whether a key may use an instance. A null scope grants access to all instances.
+   */
+  isInScope(apiKey, instanceId) {
+    if (!apiKey || !apiKey.instanceIds) {
+      return true;
+    }
+    return apiKey.instanceIds.includes(instanceId);
+  }
+}
+
+module.exports = new ApiKeyService();
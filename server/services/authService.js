@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/db');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SCRYPT_KEYLEN = 64;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7;
+
+class AuthService {
+  constructor() {
+    this.roles = ROLES;
+    this.sessionTtlHours = SESSION_TTL_HOURS;
+  }
+
+  isEnabled() {
+    return process.env.AUTH_ENABLED !== 'false';
+  }
+
+  isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  /**
+   * Check whether a user's role grants at least the required role
+   */
+  hasRole(user, requiredRole) {
+    if (!user) {
+      return false;
+    }
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+  }
+
+  /**
+   * Hash a password with scrypt and a random salt
+   * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => (err ? reject(err) : resolve(key)));
+    });
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+  }
+
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, expected.length, (err, key) => (err ? reject(err) : resolve(key)));
+    });
+    return crypto.timingSafeEqual(derived, expected);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+      return 'Password must be at least 8 characters';
+    }
+    return null;
+  }
+
+  /**
+   * Convert a database row into the public representation (never includes the hash)
+   */
+  formatUser(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      role: row.role,
+      disabled: !!row.disabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastLoginAt: row.last_login_at
+    };
+  }
+
+  async getUserRow(column, value) {
+    const row = await db.get(`SELECT * FROM users WHERE ${column} = ?`, [value]);
+    return row || null;
+  }
+
+  async listUsers() {
+    const rows = await db.all('SELECT * FROM users ORDER BY username');
+    return rows.map(row => this.formatUser(row));
+  }
+
+  async getUser(id) {
+    const row = await this.getUserRow('id', id);
+    return row ? this.formatUser(row) : null;
+  }
+
+  async countActiveAdmins() {
+    const row = await db.get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND disabled = 0");
+    return row.count;
+  }
+
+  async createUser({ username, password, role = 'viewer' }) {
+    const id = uuidv4();
+    const passwordHash = await this.hashPassword(password);
+
+    await db.run(
+      'INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)',
+      [id, username, passwordHash, role]
+    );
+
+    return this.getUser(id);
+  }
+
+  /**
+   * Update a user's role, password or disabled flag.
+   * Changing the password or disabling the account ends all of the user's sessions.
+   * @throws {Error} If the change would leave no active admin
+   */
+  async updateUser(id, { role, password, disabled }) {
+    const existing = await this.getUserRow('id', id);
+    if (!existing) {
+      return null;
+    }
+
+    const demoted = role !== undefined && role !== 'admin';
+    if (existing.role === 'admin' && !existing.disabled && (demoted || disabled) && await this.countActiveAdmins() <= 1) {
+      throw new Error('Cannot remove the last active admin');
+    }
+
+    const updates = [];
+    const params = [];
+    if (role !== undefined) {
+      updates.push('role = ?');
+      params.push(role);
+    }
+    if (password !== undefined) {
+      updates.push('password_hash = ?');
+      params.push(await this.hashPassword(password));
+    }
+    if (disabled !== undefined) {
+      updates.push('disabled = ?');
+      params.push(disabled ? 1 : 0);
+    }
+
+    if (updates.length > 0) {
+      await db.run(
+        `UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, id]
+      );
+    }
+
+    if (password !== undefined || disabled) {
+      await this.deleteUserSessions(id);
+    }
+
+    return this.getUser(id);
+  }
+
+  /**
+   * Delete a user and their sessions
+   * @throws {Error} If the user is the last active admin
+   */
+  async deleteUser(id) {
+    const existing = await this.getUserRow('id', id);
+    if (!existing) {
+      return false;
+    }
+
+    if (existing.role === 'admin' && !existing.disabled && await this.countActiveAdmins() <= 1) {
+      throw new Error('Cannot remove the last active admin');
+    }
+
+    return db.transaction(async (tx) => {
+      await tx.run('DELETE FROM sessions WHERE user_id = ?', [id]);
+      const { changes } = await tx.run('DELETE FROM users WHERE id = ?', [id]);
+      return changes > 0;
+    });
+  }
+
+  /**
+   * Check a username/password pair
+   * @returns {Promise<Object|null>} User or null if the credentials are invalid or the account is disabled
+   */
+  async authenticate(username, password) {
+    const row = await this.getUserRow('username', username);
+    if (!row || row.disabled) {
+      return null;
+    }
+
+    const valid = await this.verifyPassword(password, row.password_hash);
+    return valid ? this.formatUser(row) : null;
+  }
+
+  /**
+   * Start a session for a user
+   * @returns {Promise<Object>} { token, expiresAt } - the token is only returned here
+   */
+  async createSession(userId, { ipAddress = null, userAgent = null } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.sessionTtlHours * 60 * 60 * 1000);
+
+    await db.run(
+      'INSERT INTO sessions (id, user_id, token_hash, ip_address, user_agent, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [uuidv4(), userId, this.hashToken(token), ipAddress, userAgent, expiresAt.toISOString()]
+    );
+
+    // Record the login and opportunistically clean up expired sessions
+    Promise.all([
+      db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]),
+      db.run('DELETE FROM sessions WHERE expires_at < ?', [new Date().toISOString()])
+    ]).catch(err => {
+      console.warn('Could not clean up expired sessions:', err.message);
+    });
+
+    return { token, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Resolve a session token to its user
+   * @returns {Promise<Object|null>} User or null if the session is unknown, expired or the user is disabled
+   */
+  async getSessionUser(token) {
+    if (!token) {
+      return null;
+    }
+
+    const tokenHash = this.hashToken(token);
+    const row = await db.get(
+      `SELECT users.* FROM sessions
+       JOIN users ON users.id = sessions.user_id
+       WHERE sessions.token_hash = ? AND sessions.expires_at > ? AND users.disabled = 0`,
+      [tokenHash, new Date().toISOString()]
+    );
+
+    if (!row) {
+      return null;
+    }
+
+    // Activity timestamp is informational; don't hold the request up for it
+    db.run('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE token_hash = ?', [tokenHash]).catch(err => {
+      console.warn('Could not update session last_seen_at:', err.message);
+    });
+
+    return this.formatUser(row);
+  }
+
+  async deleteSession(token) {
+    const { changes } = await db.run('DELETE FROM sessions WHERE token_hash = ?', [this.hashToken(token)]);
+    return changes > 0;
+  }
+
+  async deleteUserSessions(userId) {
+    const { changes } = await db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+    return changes;
+  }
+
+  /**
+   * Create the initial admin account when no users exist yet.
+   * Uses ADMIN_USERNAME/ADMIN_PASSWORD, or generates a password and prints it once.
+   */
+  async ensureAdminUser() {
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM users');
+    if (count > 0) {
+      return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const generated = !process.env.ADMIN_PASSWORD;
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    const user = await this.createUser({ username, password, role: 'admin' });
+
+    if (generated) {
+      console.log('🔐 Created initial admin account');
+      console.log(`   Username: ${username}`);
+      console.log(`   Password: ${password}`);
+      console.log('   Change this password after logging in, or set ADMIN_PASSWORD before first start.');
+    } else {
+      console.log(`🔐 Created initial admin account "${username}" from ADMIN_PASSWORD`);
+    }
+
+    return user;
+  }
+}
+
+module.exports = new AuthService();
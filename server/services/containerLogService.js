@@ -0,0 +1,140 @@
+const dockerService = require('./dockerService');
+const Sse = require('../utils/sse');
+const { parseLogQuery } = require('../utils/containerLogs');
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+const formatLine = entry => (entry.timestamp ? `${entry.timestamp} ${entry.line}` : entry.line);
+
+/**
+ * Serves container logs for vLLM and Ollama instances: a one-shot tail, a
+ * followed stream over SSE and a full download. All accept the filters
+ * understood by parseLogQuery (tail, since, until, stream, grep, regex).
+ */
+class ContainerLogService {
+  /**
+   * Validate log query parameters, answering 400 for invalid ones
+   * @returns {Object|null} Parsed query, or null if a response was sent
+   */
+  parseQuery(req, res, defaults) {
+    const parsed = parseLogQuery(req.query, defaults);
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error });
+      return null;
+    }
+    return parsed;
+  }
+
+  /**
+   * Respond with the matching lines as { logs, lines }
+   */
+  async sendLogs(req, res, containerId) {
+    const query = this.parseQuery(req, res, { tail: 100 });
+    if (!query) {
+      return;
+    }
+
+    const lines = [];
+    await dockerService.streamContainerLogs(containerId, query.options, {
+      onLine: (entry) => {
+        if (!query.matches || query.matches(entry.line)) {
+          lines.push(entry);
+        }
+      }
+    });
+
+    res.json({ logs: lines.map(formatLine).join('\n'), lines });
+  }
+
+  /**
+   * Stream matching lines as SSE 'log' events ({ line, stream, timestamp }).
+   * Sends 'end' when the container stops (or at once with follow=false) and
+   * 'error' if the logs can't be read.
+   */
+  async streamLogs(req, res, containerId) {
+    const query = this.parseQuery(req, res, { tail: 100 });
+    if (!query) {
+      return;
+    }
+
+    const sse = new Sse(req, res);
+    let controller = null;
+    let closed = false;
+    const keepalive = setInterval(() => sse.ping(), KEEPALIVE_INTERVAL_MS);
+
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      clearInterval(keepalive);
+      if (controller) {
+        controller.stop();
+      }
+      sse.close();
+    };
+    req.on('close', close);
+
+    try {
+      controller = await dockerService.streamContainerLogs(containerId, { ...query.options, follow: req.query.follow !== 'false' }, {
+        onLine: (entry) => {
+          if (closed || (query.matches && !query.matches(entry.line))) {
+            return;
+          }
+          if (!sse.send(entry, 'log') && controller) {
+            controller.pause();
+            res.once('drain', () => controller.resume());
+          }
+        },
+        onEnd: () => {
+          if (!closed) {
+            sse.send({ reason: 'Log stream ended' }, 'end');
+            close();
+          }
+        }
+      });
+      if (closed) {
+        controller.stop();
+      }
+    } catch (error) {
+      console.error(`Error streaming logs of container ${containerId}:`, error);
+      if (!closed) {
+        sse.send({ error: `Failed to get logs: ${error.message}` }, 'error');
+        close();
+      }
+    }
+  }
+
+  /**
+   * Send the matching lines as a text file, by default the whole log
+   */
+  async downloadLogs(req, res, containerId, filename) {
+    const query = this.parseQuery(req, res, { tail: 'all' });
+    if (!query) {
+      return;
+    }
+
+    let started = false;
+    const start = () => {
+      if (!started) {
+        started = true;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+      }
+    };
+
+    await dockerService.streamContainerLogs(containerId, query.options, {
+      onLine: (entry) => {
+        if (!query.matches || query.matches(entry.line)) {
+          start();
+          res.write(`${formatLine(entry)}\n`);
+        }
+      }
+    });
+
+    start();
+    res.end();
+  }
+}
+
+module.exports = new ContainerLogService();
@@ -0,0 +1,197 @@
+const dockerService = require('./dockerService');
+const instanceLifecycleService = require('./instanceLifecycleService');
+const placementService = require('./placementService');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+
+const MODEL_LOAD_TIMEOUT_MS = (parseInt(process.env.MODEL_LOAD_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000;
+const READY_CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Creates vLLM containers for instance jobs and follows them until the model is served
+ */
+class DeploymentService {
+  /**
+   * Create the container for a pending instance and wait for vLLM to load the model
+   * @param {Object} job - Job handle used to report progress
+   * @param {Object} instanceConfig - Settings passed to dockerService.createVLLMContainer;
+   *   waitForGpu queues the instance until GPUs free up instead of failing when nothing fits
+   * @param {Object} storedConfig - Configuration saved with the instance (without secrets)
+   * @returns {Promise<string>} Completion message
+   */
+  async deploy(job, instanceConfig, storedConfig) {
+    const { id, name, modelName, apiKey } = instanceConfig;
+    let pullMessage = null;
+
+    let placement;
+    let containerResult;
+    try {
+      await job.progress('placing', 'Choosing GPUs');
+      placement = await placementService.place(job, id, this.placementRequest(instanceConfig), { wait: instanceConfig.waitForGpu });
+      await job.progress('placing', placement.reason);
+
+      // Adapters loaded at runtime are kept too, so they survive the new container
+      const adapters = instanceConfig.enableLora ? await instanceAdapterRepository.findByInstance(id) : [];
+      containerResult = await dockerService.createVLLMContainer({ ...instanceConfig, placement, adapters }, {
+        onPullImage: async (image) => {
+          pullMessage = `Pulling ${image}`;
+          await job.progress('pulling-image', pullMessage);
+          await instanceLifecycleService.transition(id, 'pulling-image', pullMessage);
+        },
+        onPullProgress: (event) => {
+          job.progress('pulling-image', pullMessage, {
+            layer: event.id || null,
+            status: event.status,
+            current: event.progressDetail ? event.progressDetail.current : undefined,
+            total: event.progressDetail ? event.progressDetail.total : undefined
+          });
+        },
+        onCreateContainer: () => job.progress('creating-container', 'Creating container')
+      });
+    } catch (error) {
+      await instanceLifecycleService.transition(id, 'failed', error.message);
+      throw error;
+    }
+
+    try {
+      await instanceRepository.updateDeployment(id, {
+        name,
+        modelName,
+        containerId: containerResult.containerId,
+        config: JSON.stringify({
+          ...storedConfig,
+          deviceInfo: containerResult.deviceInfo,
+          gpuId: containerResult.gpuId,
+          placement: placementService.summarize(placement),
+          // The image actually run, down to its digest
+          resolvedImage: containerResult.resolvedImage
+        }),
+        apiKey,
+        gpuId: containerResult.gpuId
+      });
+      await instanceLifecycleService.transition(id, 'loading-model', 'Container started');
+    } catch (error) {
+      // The instance doesn't know its container yet, so nothing else would remove it
+      await dockerService.removeContainer(containerResult.containerId)
+        .catch(removeError => console.warn(`Could not remove container of instance ${id}:`, removeError.message));
+      await instanceLifecycleService.transition(id, 'failed', `Recording the container failed: ${error.message}`);
+      throw error;
+    }
+
+    await job.progress('loading-model', `Loading ${modelName} (${containerResult.deviceInfo})`);
+    await this.waitUntilReady(job, id, containerResult.containerId);
+
+    return `${name} is ready`;
+  }
+
+  /**
+   * What placementService needs to know about an instance's configuration
+   */
+  placementRequest(instanceConfig) {
+    return {
+      modelName: instanceConfig.modelName,
+      hfToken: instanceConfig.hfToken,
+      gpuSelection: instanceConfig.gpuSelection,
+      tensorParallelSize: instanceConfig.tensorParallelSize,
+      gpuMemoryUtilization: instanceConfig.gpuMemoryUtilization,
+      quantization: instanceConfig.quantization,
+      maxModelLen: instanceConfig.maxContextLength,
+      kvCacheDtype: (instanceConfig.extraArgs || {})['kv-cache-dtype'] || null,
+      speculativeDecoding: instanceConfig.speculativeDecoding || null
+    };
+  }
+
+  /**
+   * Replace an instance's container with one built from a new configuration
+   * @param {Object} job - Job handle used to report progress
+   * @param {Object} instance - Current instance row
+   */
+  async redeploy(job, instance, instanceConfig, storedConfig) {
+    await job.progress('stopping', 'Removing the current container');
+    if (instance.status !== 'stopped') {
+      await instanceLifecycleService.transition(instance.id, 'stopping', 'Recreating with new configuration');
+    }
+    if (instance.container_id) {
+      try {
+        await dockerService.stopContainer(instance.container_id);
+        await dockerService.removeContainer(instance.container_id);
+      } catch (error) {
+        console.warn('Error stopping/removing old container:', error);
+      }
+    }
+    await instanceLifecycleService.transition(instance.id, 'stopped', 'Old container removed');
+    await instanceLifecycleService.transition(instance.id, 'pending', 'Recreating with new configuration');
+
+    return this.deploy(job, instanceConfig, storedConfig);
+  }
+
+  /**
+   * Stream the container's output to the job until the instance is ready,
+   * fails, or the model load timeout expires, which fails the instance
+   */
+  waitUntilReady(job, instanceId, containerId) {
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      const stopLogs = dockerService.followContainerLogs(containerId, (line, stream) => job.log(line, stream));
+
+      const finish = (error) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timeout);
+        clearInterval(readyCheck);
+        instanceLifecycleService.off('transition', onTransition);
+        stopLogs();
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const onTransition = (change) => {
+        if (change.instanceId !== instanceId) {
+          return;
+        }
+        if (change.to === 'ready') {
+          finish();
+        } else if (['failed', 'stopping', 'stopped'].includes(change.to)) {
+          finish(new Error(change.reason || `Instance ${change.to}`));
+        }
+      };
+      instanceLifecycleService.on('transition', onTransition);
+
+      // Probe more often than the background monitor so the job finishes promptly
+      const readyCheck = setInterval(async () => {
+        try {
+          const instance = await instanceRepository.findById(instanceId);
+          if (!instance) {
+            finish(new Error('Instance was removed'));
+          } else if (instance.status === 'ready') {
+            finish();
+          } else if (['failed', 'stopped'].includes(instance.status)) {
+            finish(new Error(instance.status_reason || `Instance ${instance.status}`));
+          } else if (instance.status === 'loading-model') {
+            await instanceLifecycleService.probeInstance(instance);
+          }
+        } catch (error) {
+          console.warn(`Readiness check for instance ${instanceId} failed:`, error.message);
+        }
+      }, READY_CHECK_INTERVAL_MS);
+
+      // The instance is failed too, so it doesn't stay loading after the job gave up on it
+      const timeout = setTimeout(async () => {
+        const reason = `vLLM did not become ready within ${MODEL_LOAD_TIMEOUT_MS / 60000} minutes`;
+        try {
+          await instanceLifecycleService.transition(instanceId, 'failed', reason);
+        } catch (error) {
+          console.warn(`Could not mark instance ${instanceId} as failed:`, error.message);
+        }
+        finish(new Error(reason));
+      }, MODEL_LOAD_TIMEOUT_MS);
+    });
+  }
+}
+
+module.exports = new DeploymentService();
@@ -0,0 +1,45 @@
+const DEFAULT_VLLM_IMAGE = 'public.ecr.aws/q9t5s3a7/vllm-cpu-release-repo:latest';
+const DEFAULT_KV_CACHE_GIB = 4;
+
+// vLLM's CPU build; used when no GPU is detected or an instance selects the CPU
+class CpuBackend {
+  constructor() {
+    this.name = 'cpu';
+    this.label = 'CPU';
+    // The KV cache is sized by VLLM_CPU_KVCACHE_SPACE, not --gpu-memory-utilization
+    this.usesGpuMemory = false;
+  }
+
+  async detect() {
+    return [];
+  }
+
+  async queryGpus() {
+    return [];
+  }
+
+  vllmImage() {
+    return process.env.VLLM_CPU_IMAGE || DEFAULT_VLLM_IMAGE;
+  }
+
+  ollamaImage() {
+    return 'ollama/ollama:latest';
+  }
+
+  getDeviceConfig() {
+    const kvCacheGiB = parseInt(process.env.VLLM_CPU_KVCACHE_GIB, 10) || DEFAULT_KV_CACHE_GIB;
+    return {
+      hostConfig: {
+        IpcMode: 'host'
+      },
+      environment: [
+        `VLLM_CPU_KVCACHE_SPACE=${kvCacheGiB}`,
+        'VLLM_LOGGING_LEVEL=INFO'
+      ],
+      deviceInfo: 'CPU-only mode',
+      gpuId: null
+    };
+  }
+}
+
+module.exports = new CpuBackend();
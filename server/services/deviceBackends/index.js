@@ -0,0 +1,24 @@
+/**
+ * Device backends run vLLM and Ollama containers on one kind of hardware. Each provides:
+ * - name and label
+ * - detect(): the GPUs it finds, [{ id: 'auto' }] when only the driver is known, or null when absent
+ * - queryGpus(): current statistics of its GPUs, shaped like utils/nvidiaSmi.js parseGpuQuery() results
+ * - vllmImage() and ollamaImage(): the images built for it
+ * - getDeviceConfig(selectedGPUs): Docker host configuration, environment, deviceInfo and gpuId
+ * - usesGpuMemory: whether vLLM takes --gpu-memory-utilization
+ */
+const nvidia = require('./nvidia');
+const rocm = require('./rocm');
+const cpu = require('./cpu');
+
+// Tried in this order when detecting; the CPU backend always applies
+const BACKENDS = [nvidia, rocm, cpu];
+
+function getBackend(name) {
+  return BACKENDS.find(backend => backend.name === name) || null;
+}
+
+module.exports = {
+  BACKENDS,
+  getBackend
+};
@@ -0,0 +1,179 @@
+const EventEmitter = require('events');
+const Docker = require('dockerode');
+
+const docker = new Docker();
+
+const WATCHED_ACTIONS = ['start', 'die', 'oom', 'destroy', 'health_status'];
+const RECONNECT_MIN_MS = 5000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+const EXPECTATION_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Long-running subscriber to the Docker events stream. Emits 'container' for
+ * every start, die, oom, destroy and health_status event of any container, and
+ * 'reconnected' after the stream was re-established so listeners can reconcile
+ * state with anything they missed.
+ *
+ * Services announce the stops and removals they perform with expect(), which
+ * lets listeners tell them apart from containers stopped or removed outside
+ * the manager.
+ */
+class DockerEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.docker = docker;
+    this.stream = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.queue = Promise.resolve();
+    this.running = false;
+    this.expectations = new Map();
+  }
+
+  /**
+   * Decode the fields listeners care about from a raw Docker event
+   * @returns {{action: string, containerId: string|null, name: string|null, exitCode: number|null, health: string|null}}
+   */
+  describe(event) {
+    const attributes = (event.Actor && event.Actor.Attributes) || {};
+    // Health events arrive as "health_status: healthy"
+    const [action, detail] = String(event.Action || '').split(':').map(part => part.trim());
+    const exitCode = parseInt(attributes.exitCode, 10);
+
+    return {
+      action,
+      containerId: event.id || (event.Actor && event.Actor.ID) || null,
+      name: attributes.name || null,
+      exitCode: Number.isNaN(exitCode) ? null : exitCode,
+      health: action === 'health_status' ? detail || null : null
+    };
+  }
+
+  /**
+   * Record that the manager is about to cause an event for a container
+   * @param {string} containerId
+   * @param {...string} actions - e.g. 'die', 'destroy'
+   */
+  expect(containerId, ...actions) {
+    actions.forEach((action) => {
+      const key = `${containerId}:${action}`;
+      clearTimeout(this.expectations.get(key));
+      const timer = setTimeout(() => this.expectations.delete(key), EXPECTATION_TTL_MS);
+      if (timer.unref) {
+        timer.unref();
+      }
+      this.expectations.set(key, timer);
+    });
+  }
+
+  /**
+   * Whether an event was announced with expect(). Each announcement matches once.
+   */
+  consumeExpected(containerId, action) {
+    const key = `${containerId}:${action}`;
+    if (!this.expectations.has(key)) {
+      return false;
+    }
+    clearTimeout(this.expectations.get(key));
+    this.expectations.delete(key);
+    return true;
+  }
+
+  async subscribe() {
+    try {
+      const stream = await this.docker.getEvents({
+        filters: { type: ['container'], event: WATCHED_ACTIONS }
+      });
+      this.stream = stream;
+      this.reconnectDelay = RECONNECT_MIN_MS;
+
+      let buffer = '';
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => {
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch (error) {
+            return;
+          }
+          this.dispatch(event);
+        });
+      });
+
+      const reconnect = () => {
+        if (this.stream === stream) {
+          this.stream = null;
+          this.scheduleReconnect();
+        }
+      };
+      stream.on('error', reconnect);
+      stream.on('end', reconnect);
+      return true;
+    } catch (error) {
+      console.warn(`Could not subscribe to Docker events (retrying in ${this.reconnectDelay / 1000}s):`, error.message);
+      this.scheduleReconnect();
+      return false;
+    }
+  }
+
+  /**
+   * Hand an event to listeners one at a time, so e.g. the die and start of a
+   * restart are applied in order even when listeners are async
+   */
+  dispatch(event) {
+    const { action, containerId } = this.describe(event);
+
+    this.queue = this.queue
+      .then(async () => {
+        await Promise.all(this.listeners('container').map(listener => listener(event)));
+        // A stop of a container that wasn't running never dies; don't let that expectation outlive a restart
+        if (action === 'start') {
+          this.consumeExpected(containerId, 'die');
+        }
+      })
+      .catch(error => console.error('Error handling Docker event:', error));
+    return this.queue;
+  }
+
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) {
+      return;
+    }
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (await this.subscribe()) {
+        // Events may have been missed while disconnected
+        this.emit('reconnected');
+      }
+    }, delay);
+    if (this.reconnectTimer.unref) {
+      this.reconnectTimer.unref();
+    }
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    await this.subscribe();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      stream.destroy();
+    }
+  }
+}
+
+module.exports = new DockerEventService();
@@ -2,8 +2,15 @@ const Docker = require('dockerode');
 const { v4: uuidv4 } = require('uuid');
 const { exec } = require('child_process');
 const { promisify } = require('util');
-const { getDatabase } = require('../database/init');
 const gpuService = require('./gpuService');
+const dockerEventService = require('./dockerEventService');
+const metricsService = require('./metricsService');
+const imageService = require('./imageService');
+const { createLogParser } = require('../utils/containerLogs');
+const { parseImageReference } = require('../utils/containerImages');
+const { toCommandLine } = require('../utils/vllmArgs');
+const loraAdapters = require('../utils/loraAdapters');
+const speculativeDecodingArgs = require('../utils/speculativeDecoding');
 
 const execAsync = promisify(exec);
 const docker = new Docker();
@@ -40,7 +47,70 @@ class DockerService {
     return await gpuService.getGPUStatistics();
   }
 
-  async createVLLMContainer(instanceConfig) {
+  /**
+   * Make an image available locally according to a pull policy
+   * @param {string} image - Image reference
+   * @param {Object} options
+   * @param {string} options.pullPolicy - 'always' pulls every time, 'if-missing' only when the image
+   *   isn't present and 'never' fails when it isn't
+   * @param {Function} options.onPull - Called before a pull starts
+   * @param {Function} options.onProgress - Called with each Docker pull progress event
+   * @returns {Promise<boolean>} Whether the image was pulled
+   */
+  async ensureImage(image, { pullPolicy = 'if-missing', onPull, onProgress } = {}) {
+    if (pullPolicy !== 'always') {
+      try {
+        await this.docker.getImage(image).inspect();
+        return false;
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+      if (pullPolicy === 'never') {
+        throw new Error(`Image ${image} is not present and its pull policy is never`);
+      }
+    }
+
+    if (onPull) {
+      await onPull(image);
+    }
+
+    console.log(`Pulling image ${image}...`);
+    const stream = await this.docker.pull(image);
+    await new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (err) => (err ? reject(err) : resolve()), onProgress);
+    });
+    return true;
+  }
+
+  /**
+   * The content digest of a local image: its registry digest (repository@sha256:...)
+   * when it was pulled, otherwise its image ID
+   */
+  async getImageDigest(image) {
+    const info = await this.docker.getImage(image).inspect();
+    const { repository } = parseImageReference(image);
+    const repoDigests = info.RepoDigests || [];
+    return repoDigests.find(digest => digest.startsWith(`${repository}@`)) || repoDigests[0] || info.Id;
+  }
+
+  /**
+   * Create and start a vLLM container
+   * @param {Object} instanceConfig - Instance settings
+   * @param {Object} instanceConfig.placement - GPUs and tensor parallel size chosen by placementService
+   * @param {string} instanceConfig.image - Image to run instead of the default, optionally with its tag
+   * @param {string} instanceConfig.imageTag - Tag of the image (or of the default image's repository)
+   * @param {string} instanceConfig.pullPolicy - 'always', 'if-missing' or 'never'; defaults to the setting
+   * @param {boolean} instanceConfig.enableLora - Serve LoRA adapters, loaded at startup or at runtime
+   * @param {Array} instanceConfig.adapters - LoRA adapters to load at startup
+   * @param {Object} instanceConfig.speculativeDecoding - Draft model or n-gram speculation, if any
+   * @param {Object} hooks
+   * @param {Function} hooks.onPullImage - Called when the image has to be pulled first
+   * @param {Function} hooks.onPullProgress - Called with each Docker pull progress event
+   * @param {Function} hooks.onCreateContainer - Called once the image is available, before the container is created
+   */
+  async createVLLMContainer(instanceConfig, { onPullImage, onPullProgress, onCreateContainer } = {}) {
     const { 
       id, 
       name, 
@@ -48,26 +118,38 @@ class DockerService {
       port, 
       apiKey, 
       requireAuth = true,  // New parameter to control authentication
-      gpuSelection, 
+      placement,
       hfToken,
       // Advanced configuration options
       maxContextLength,
-      gpuMemoryUtilization = 0.85,
       maxNumSeqs = 256,
       trustRemoteCode = false,
       quantization,
-      tensorParallelSize = 1
+      extraArgs = {},
+      enableLora = false,
+      maxLoraRank,
+      adapters = [],
+      speculativeDecoding = null
     } = instanceConfig;
     
     try {
       const containerName = `vllm-${name}-${id}`;
       
-      // Select optimal GPU based on preference
-      const selectedGPU = await gpuService.selectOptimalGPU(gpuSelection || 'auto');
-      
-      // Get device configuration for selected GPU
-      const deviceConfig = gpuService.getDeviceConfigForGPU(selectedGPU);
-      console.log(`Creating container with: ${deviceConfig.deviceInfo}`);
+      // GPUs chosen by placementService
+      const gpuInfo = await gpuService.getGPUInfo();
+      const selectedGPUs = placement.gpuIds.map(gpuId => gpuInfo.gpus.find(gpu => gpu.id === gpuId) || { id: gpuId, name: 'GPU' });
+      const tensorParallelSize = placement.tensorParallelSize;
+      // The share of each GPU committed to the instance, sized by placement unless set
+      const gpuMemoryUtilization = placement.gpuMemoryUtilization || instanceConfig.gpuMemoryUtilization || 0.85;
+      // NVIDIA, ROCm or CPU: each runs its own vLLM build
+      const backend = gpuService.getBackend(placement.device === 'cpu' ? 'cpu' : placement.backend);
+      const imageChoice = await imageService.resolve('vllm', instanceConfig, backend.name);
+      if (imageChoice.error) {
+        throw new Error(imageChoice.error);
+      }
+      const { image, pullPolicy } = imageChoice;
+      const deviceConfig = gpuService.getDeviceConfigForGPUs(placement.device === 'cpu' ? [] : selectedGPUs);
+      console.log(`Creating container with: ${deviceConfig.deviceInfo} (${image})`);
       console.log('DeviceConfig.hostConfig:', JSON.stringify(deviceConfig.hostConfig, null, 2));
       // Security: Don't log sensitive tokens/keys
       console.log('HF Token provided:', hfToken ? 'Yes' : 'No');
@@ -87,11 +169,14 @@ class DockerService {
         '--model', modelName,
         '--port', '8000',
         '--host', '0.0.0.0',
-        // Memory optimization parameters
-        '--gpu-memory-utilization', gpuMemoryUtilization.toString(),
         '--max-num-seqs', maxNumSeqs.toString()
       ];
 
+      // The instance's share of each GPU's memory
+      if (backend.usesGpuMemory) {
+        command.push('--gpu-memory-utilization', gpuMemoryUtilization.toString());
+      }
+
       // Only add API key if authentication is required
       // This ensures OpenAI-compatible authentication when enabled
       if (requireAuth && apiKey) {
@@ -117,22 +202,31 @@ class DockerService {
         command.push('--quantization', quantization);
       }
 
-      // Add tensor parallel size for multi-GPU setups
-      if (selectedGPU && deviceConfig.gpuId === 'auto') {
-        const gpuInfo = await gpuService.getGPUInfo();
-        if (gpuInfo.gpus && gpuInfo.gpus.length > 1) {
-          const parallelSize = Math.min(tensorParallelSize, gpuInfo.gpus.length);
-          command.push('--tensor-parallel-size', parallelSize.toString());
-        }
-      } else if (tensorParallelSize > 1) {
+      // Split the model across the placed GPUs
+      if (tensorParallelSize > 1) {
         command.push('--tensor-parallel-size', tensorParallelSize.toString());
       }
 
+      // Validated flags from the instance's extraArgs. The gateway and the test
+      // page address the model by its name, so it stays one of the served names.
+      const servedModelNames = extraArgs['served-model-name'];
+      command.push(...toCommandLine(servedModelNames && !servedModelNames.includes(modelName)
+        ? { ...extraArgs, 'served-model-name': [...servedModelNames, modelName] }
+        : extraArgs));
+
+      // LoRA adapters; more can be loaded and unloaded while the instance runs
+      if (enableLora) {
+        command.push(...loraAdapters.toCommandLine({ maxLoraRank, adapters }));
+      }
+
+      // Speculative decoding; placement counted the draft model's memory
+      command.push(...speculativeDecodingArgs.toCommandLine(speculativeDecoding));
+
       console.log('Final vLLM command:', command);
 
       // Base container configuration
       const containerConfig = {
-        Image: 'vllm/vllm-openai:latest',
+        Image: image,
         name: containerName,
         ExposedPorts: {
           '8000/tcp': {}
@@ -148,7 +242,9 @@ class DockerService {
           ...deviceConfig.hostConfig,
           // Add persistent volume for models
           Binds: [
-            `${process.cwd()}/vllm-models:/root/.cache/huggingface`
+            `${process.cwd()}/vllm-models:/root/.cache/huggingface`,
+            // Local adapters, read-only
+            ...(enableLora ? [`${loraAdapters.getAdaptersDir()}:${loraAdapters.CONTAINER_ADAPTERS_DIR}:ro`] : [])
           ]
         },
         NetworkingConfig: {
@@ -161,7 +257,9 @@ class DockerService {
           // Add device-specific environment variables
           ...deviceConfig.environment,
           // Add HuggingFace token for model access (separate from vLLM API key)
-          ...(hfToken && hfToken !== '' ? [`HF_TOKEN=${hfToken}`] : [])
+          ...(hfToken && hfToken !== '' ? [`HF_TOKEN=${hfToken}`] : []),
+          // Enables the load_lora_adapter and unload_lora_adapter endpoints
+          ...(enableLora ? ['VLLM_ALLOW_RUNTIME_LORA_UPDATING=True'] : [])
         ],
         Cmd: command,
         AttachStdout: true,
@@ -170,10 +268,16 @@ class DockerService {
 
       console.log('Final containerConfig.HostConfig:', JSON.stringify(containerConfig.HostConfig, null, 2));
       console.log('Final containerConfig.Env:', JSON.stringify(containerConfig.Env, null, 2));
-      const container = await this.docker.createContainer(containerConfig);
-      
-      // Start the container
-      await container.start();
+      await this.ensureImage(image, { pullPolicy, onPull: onPullImage, onProgress: onPullProgress });
+      const imageDigest = await this.getImageDigest(image);
+      if (onCreateContainer) {
+        await onCreateContainer();
+      }
+      const container = await metricsService.trackContainerOperation('vllm', 'create', async () => {
+        const created = await this.docker.createContainer(containerConfig);
+        await created.start();
+        return created;
+      });
       
       // Track GPU usage
       await gpuService.trackGPUUsage(id, deviceConfig.gpuId);
@@ -184,7 +288,9 @@ class DockerService {
         status: 'running',
         deviceInfo: deviceConfig.deviceInfo,
         gpuId: deviceConfig.gpuId,
-        selectedGPU: selectedGPU
+        backend: backend.name,
+        resolvedImage: { reference: image, digest: imageDigest, pullPolicy },
+        selectedGPUs
       };
     } catch (error) {
       console.error('Error creating vLLM container:', error);
@@ -194,6 +300,7 @@ class DockerService {
 
   async stopContainer(containerId) {
     try {
+      dockerEventService.expect(containerId, 'die');
       const container = this.docker.getContainer(containerId);
       await container.stop();
       return { status: 'stopped' };
@@ -216,8 +323,9 @@ class DockerService {
 
   async restartContainer(containerId) {
     try {
+      dockerEventService.expect(containerId, 'die');
       const container = this.docker.getContainer(containerId);
-      await container.restart();
+      await metricsService.trackContainerOperation('vllm', 'restart', () => container.restart());
       return { status: 'running' };
     } catch (error) {
       console.error('Error restarting container:', error);
@@ -227,6 +335,7 @@ class DockerService {
 
   async removeContainer(containerId) {
     try {
+      dockerEventService.expect(containerId, 'die', 'destroy');
       const container = this.docker.getContainer(containerId);
       await container.remove({ force: true });
       return { status: 'removed' };
@@ -240,22 +349,94 @@ class DockerService {
     }
   }
 
-  async getContainerLogs(containerId, options = {}) {
-    try {
-      const container = this.docker.getContainer(containerId);
-      const logs = await container.logs({
-        stdout: true,
-        stderr: true,
-        timestamps: true,
-        tail: options.tail || 100,
-        ...options
-      });
-      
-      return logs.toString();
-    } catch (error) {
-      console.error('Error getting container logs:', error);
-      throw error;
+  /**
+   * Read a container's output line by line
+   * @param {string} containerId
+   * @param {Object} options - Docker log options (follow, tail, since, until, stdout, stderr)
+   * @param {Object} handlers
+   * @param {Function} handlers.onLine - Called with { line, stream, timestamp }
+   * @param {Function} handlers.onEnd - Called when the output ends: at once without follow,
+   *   otherwise when the container stops
+   * @returns {Promise<Object>} { stop, pause, resume } to control a followed stream
+   */
+  async streamContainerLogs(containerId, options = {}, { onLine, onEnd = null } = {}) {
+    const container = this.docker.getContainer(containerId);
+    const { Config } = await container.inspect();
+    const parser = createLogParser({ tty: Config.Tty, timestamps: true }, onLine);
+
+    const output = await container.logs({ stdout: true, stderr: true, ...options, timestamps: true });
+
+    // Without follow, dockerode buffers the whole output
+    if (Buffer.isBuffer(output)) {
+      parser.write(output);
+      parser.end();
+      if (onEnd) {
+        onEnd();
+      }
+      return { stop: () => undefined, pause: () => undefined, resume: () => undefined };
     }
+
+    let done = false;
+    const finish = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      parser.end();
+      if (onEnd) {
+        onEnd();
+      }
+    };
+    output.on('data', chunk => parser.write(chunk));
+    output.on('end', finish);
+    output.on('error', (error) => {
+      console.warn(`Log stream of container ${containerId} failed:`, error.message);
+      finish();
+    });
+
+    return {
+      stop: () => {
+        done = true;
+        output.destroy();
+      },
+      pause: () => output.pause(),
+      resume: () => output.resume()
+    };
+  }
+
+  /**
+   * Follow a container's output line by line
+   * @param {string} containerId
+   * @param {Function} onLine - Called with (line, stream) where stream is 'stdout' or 'stderr'
+   * @param {Object} options
+   * @param {number} options.tail - Number of existing lines to start with
+   * @returns {Function} Call to stop following
+   */
+  followContainerLogs(containerId, onLine, { tail = 0 } = {}) {
+    let stopped = false;
+    let logStream = null;
+
+    this.streamContainerLogs(containerId, { follow: true, tail }, {
+      onLine: ({ line, stream }) => {
+        if (line.trim()) {
+          onLine(line, stream);
+        }
+      }
+    })
+      .then((controller) => {
+        logStream = controller;
+        if (stopped) {
+          controller.stop();
+        }
+      })
+      .catch(error => console.warn(`Could not follow logs of container ${containerId}:`, error.message));
+
+    return () => {
+      stopped = true;
+      if (logStream) {
+        logStream.stop();
+      }
+    };
   }
 
   async getContainerStatus(containerId) {
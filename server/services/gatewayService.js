@@ -0,0 +1,181 @@
+const axios = require('axios');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const ollamaModelRepository = require('../database/repositories/ollamaModelRepository');
+const apiKeyService = require('./apiKeyService');
+
+class GatewayService {
+  constructor() {
+    this.timeout = 600000; // 10 minutes - long generations are streamed through
+    this.roundRobin = new Map();
+  }
+
+  getBaseUrl(port) {
+    return `http://${process.env.DEFAULT_HOSTNAME || 'inference.vm'}:${port}`;
+  }
+
+  /**
+   * Get all vLLM instances that have loaded their model and pass health checks
+   * @returns {Promise<Array>} Instance rows
+   */
+  async getRunningVLLMInstances() {
+    return instanceRepository.findByStatus('ready');
+  }
+
+  /**
+   * Get all pulled models on running Ollama instances
+   * @returns {Promise<Array>} Model rows joined with their instance
+   */
+  async getReadyOllamaModels() {
+    return ollamaModelRepository.findReadyOnRunningInstances();
+  }
+
+  /**
+   * Build the list of routable targets across vLLM and Ollama instances
+   * @param {Object|null} apiKey - When given, only instances in the key's scope are returned
+   * @returns {Promise<Array>} Targets with model name, instance and upstream details
+   */
+  async getTargets(apiKey = null) {
+    const [vllmInstances, ollamaModels] = await Promise.all([
+      this.getRunningVLLMInstances(),
+      this.getReadyOllamaModels()
+    ]);
+    const adapters = await instanceAdapterRepository.findByInstances(vllmInstances.map(instance => instance.id));
+
+    const vllmTargets = vllmInstances.map(instance => ({
+      model: instance.model_name,
+      type: 'vllm',
+      instanceId: instance.id,
+      instanceName: instance.name,
+      port: instance.port,
+      apiKey: instance.api_key,
+      created: instance.created_at
+    }));
+
+    // vLLM serves each LoRA adapter as a model of its own, named after the adapter
+    const adapterTargets = adapters.map((adapter) => {
+      const instance = vllmInstances.find(candidate => candidate.id === adapter.instance_id);
+      return {
+        model: adapter.name,
+        type: 'vllm',
+        instanceId: instance.id,
+        instanceName: instance.name,
+        port: instance.port,
+        apiKey: instance.api_key,
+        created: adapter.created_at,
+        parent: instance.model_name
+      };
+    });
+
+    const ollamaTargets = ollamaModels.map(model => ({
+      model: model.name,
+      type: 'ollama',
+      instanceId: model.instance_id,
+      instanceName: model.instance_name,
+      port: model.port,
+      apiKey: null,
+      created: model.created_at
+    }));
+
+    return [...vllmTargets, ...adapterTargets, ...ollamaTargets]
+      .filter(target => apiKeyService.isInScope(apiKey, target.instanceId));
+  }
+
+  /**
+   * List every routable model in OpenAI format
+   * @param {Object|null} apiKey - Limits the list to the key's instance scope
+   * @returns {Promise<Object>} OpenAI-compatible model list
+   */
+  async listModels(apiKey = null) {
+    const targets = await this.getTargets(apiKey);
+    const models = new Map();
+
+    for (const target of targets) {
+      if (!models.has(target.model)) {
+        models.set(target.model, {
+          id: target.model,
+          object: 'model',
+          created: Math.floor(new Date(target.created || Date.now()).getTime() / 1000),
+          owned_by: target.type,
+          // Base model of a LoRA adapter, as vLLM reports it
+          ...(target.parent ? { parent: target.parent } : {}),
+          instances: []
+        });
+      }
+      models.get(target.model).instances.push({
+        id: target.instanceId,
+        name: target.instanceName,
+        type: target.type
+      });
+    }
+
+    return {
+      object: 'list',
+      data: Array.from(models.values())
+    };
+  }
+
+  /**
+   * Check whether a requested model name matches a target model.
+   * Ollama tags default to ":latest", so "llama3" also matches "llama3:latest".
+   */
+  matchesModel(target, modelName) {
+    if (target.model === modelName) {
+      return true;
+    }
+    return target.type === 'ollama' && target.model === `${modelName}:latest`;
+  }
+
+  /**
+   * Resolve the instance that should serve a model, balancing round-robin
+   * when several running instances serve the same model
+   * @param {string} modelName - Value of the request's "model" field
+   * @param {Object|null} apiKey - Key used for the request; restricts candidates to its scope
+   * @returns {Promise<Object>} { target } on success, otherwise { error: 'not_found' | 'forbidden' }
+   */
+  async resolveModel(modelName, apiKey = null) {
+    const targets = await this.getTargets();
+    const candidates = targets.filter(target => this.matchesModel(target, modelName));
+
+    if (candidates.length === 0) {
+      return { error: 'not_found' };
+    }
+
+    const allowed = candidates.filter(target => apiKeyService.isInScope(apiKey, target.instanceId));
+    if (allowed.length === 0) {
+      return { error: 'forbidden' };
+    }
+
+    const next = this.roundRobin.get(modelName) || 0;
+    this.roundRobin.set(modelName, (next + 1) % allowed.length);
+    return { target: allowed[next % allowed.length] };
+  }
+
+  /**
+   * Forward an OpenAI-compatible request to the resolved instance.
+   * The upstream response is returned as a stream so it can be piped through as-is.
+   * @param {Object} target - Target returned by resolveModel
+   * @param {string} path - Upstream path, e.g. "/v1/chat/completions"
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Aborts the upstream request when the client disconnects
+   */
+  async forward(target, path, body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (target.apiKey) {
+      headers.Authorization = `Bearer ${target.apiKey}`;
+    }
+
+    // Ollama's OpenAI-compatible API expects the fully tagged model name
+    const upstreamBody = { ...body, model: target.model };
+
+    return axios.post(`${this.getBaseUrl(target.port)}${path}`, upstreamBody, {
+      headers,
+      responseType: 'stream',
+      timeout: this.timeout,
+      signal,
+      validateStatus: () => true
+    });
+  }
+}
+
+module.exports = new GatewayService();
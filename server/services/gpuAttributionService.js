@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const dockerService = require('./dockerService');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const { queryGpus, queryComputeApps } = require('../utils/nvidiaSmi');
+
+// Instance lists ask for every instance's usage; reuse one reading for this long
+const CACHE_MS = 5000;
+
+// Docker container IDs in /proc/<pid>/cgroup, e.g. "/docker/<id>" (cgroup v1)
+// or "/system.slice/docker-<id>.scope" (cgroup v2)
+const CONTAINER_ID_PATTERN = /(?:docker[-/]|\/)([0-9a-f]{64})(?:\.scope)?$/m;
+
+const defaultSources = {
+  queryGpus: () => queryGpus(),
+  queryProcesses: () => queryComputeApps(),
+
+  // Works when the manager shares the host's PID namespace
+  readCgroup: pid => fs.readFile(`/proc/${pid}/cgroup`, 'utf8'),
+
+  // Host PIDs of every running container, from Docker's top; used for the PIDs /proc doesn't show
+  listContainerPids: async () => {
+    const containers = await dockerService.docker.listContainers();
+    const entries = await Promise.all(containers.map(async (container) => {
+      try {
+        const { Titles, Processes } = await dockerService.docker.getContainer(container.Id).top();
+        const column = Titles.indexOf('PID');
+        return [container.Id, Processes.map(row => parseInt(row[column], 10))];
+      } catch (error) {
+        return [container.Id, []];
+      }
+    }));
+    return new Map(entries);
+  }
+};
+
+/**
+ * Maps the processes nvidia-smi reports on each GPU to the Docker containers they
+ * run in, so the GPU memory actually used can be shown per instance.
+ *
+ * Sources are replaceable for tests with setSources(): queryGpus and queryProcesses
+ * resolve to utils/nvidiaSmi.js results, readCgroup(pid) to the text of the
+ * process's cgroup file and listContainerPids() to a Map of container ID to PIDs.
+ */
+class GpuAttributionService {
+  constructor() {
+    this.sources = { ...defaultSources };
+    this.cached = null;
+  }
+
+  /**
+   * Container ID from the contents of /proc/<pid>/cgroup, or null for processes outside containers
+   */
+  containerIdFromCgroup(text) {
+    const match = CONTAINER_ID_PATTERN.exec(text);
+    return match ? match[1] : null;
+  }
+
+  setSources(sources) {
+    this.sources = { ...defaultSources, ...sources };
+    this.cached = null;
+  }
+
+  async attributeContainers(processes) {
+    const containerIds = new Map();
+    await Promise.all(processes.map(async ({ pid }) => {
+      try {
+        const containerId = this.containerIdFromCgroup(await this.sources.readCgroup(pid));
+        if (containerId) {
+          containerIds.set(pid, containerId);
+        }
+      } catch (error) {
+        // Not visible from here; try Docker below
+      }
+    }));
+
+    if (processes.some(({ pid }) => !containerIds.has(pid))) {
+      try {
+        const containerPids = await this.sources.listContainerPids();
+        containerPids.forEach((pids, containerId) => {
+          pids.forEach(pid => {
+            if (!containerIds.has(pid)) {
+              containerIds.set(pid, containerId);
+            }
+          });
+        });
+      } catch (error) {
+        console.warn('Could not list container processes for GPU attribution:', error.message);
+      }
+    }
+    return containerIds;
+  }
+
+  async read() {
+    try {
+      const [gpus, processes] = await Promise.all([this.sources.queryGpus(), this.sources.queryProcesses()]);
+      const gpuIds = new Map(gpus.map(gpu => [gpu.uuid, gpu.id]));
+      const containerIds = await this.attributeContainers(processes);
+
+      return {
+        available: true,
+        sampledAt: new Date().toISOString(),
+        processes: processes.map(app => ({
+          gpuId: gpuIds.has(app.gpuUuid) ? gpuIds.get(app.gpuUuid) : null,
+          pid: app.pid,
+          processName: app.processName,
+          memoryUsedMiB: app.memoryUsed,
+          containerId: containerIds.get(app.pid) || null
+        }))
+      };
+    } catch (error) {
+      return { available: false, error: error.message, sampledAt: new Date().toISOString(), processes: [] };
+    }
+  }
+
+  /**
+   * GPU processes with the containers they belong to. Never throws; without
+   * nvidia-smi the result has available: false.
+   * @returns {Promise<Object>} { available, sampledAt, processes: [{ gpuId, pid, processName, memoryUsedMiB, containerId }] }
+   */
+  getAttribution() {
+    if (!this.cached || Date.now() - this.cached.at > CACHE_MS) {
+      this.cached = { at: Date.now(), result: this.read() };
+    }
+    return this.cached.result;
+  }
+
+  /**
+   * GPU memory used by one container's processes, or null when it can't be measured
+   * @param {Object} attribution - A getAttribution() result
+   * @returns {Object|null} { memoryUsedMiB, gpus: [{ gpuId, memoryUsedMiB }] }
+   */
+  usageForContainer(attribution, containerId) {
+    if (!attribution.available || !containerId) {
+      return null;
+    }
+
+    const gpus = new Map();
+    attribution.processes
+      .filter(app => app.containerId === containerId)
+      .forEach(app => {
+        gpus.set(app.gpuId, (gpus.get(app.gpuId) || 0) + (app.memoryUsedMiB || 0));
+      });
+
+    return {
+      memoryUsedMiB: [...gpus.values()].reduce((sum, used) => sum + used, 0),
+      gpus: [...gpus.entries()].map(([gpuId, memoryUsedMiB]) => ({ gpuId, memoryUsedMiB }))
+    };
+  }
+
+  /**
+   * GPU processes labelled with the vLLM or Ollama instance running them, if any
+   */
+  async getProcesses() {
+    const [attribution, vllmInstances, ollamaInstances] = await Promise.all([
+      this.getAttribution(),
+      instanceRepository.findAll(),
+      ollamaInstanceRepository.findAll()
+    ]);
+
+    const instances = new Map();
+    vllmInstances.forEach(instance => instances.set(instance.container_id, { instanceType: 'vllm', instance }));
+    ollamaInstances.forEach(instance => instances.set(instance.container_id, { instanceType: 'ollama', instance }));
+
+    return {
+      ...attribution,
+      processes: attribution.processes.map(app => {
+        const owner = app.containerId && instances.get(app.containerId);
+        return {
+          ...app,
+          instanceType: owner ? owner.instanceType : null,
+          instanceId: owner ? owner.instance.id : null,
+          instanceName: owner ? owner.instance.name : null
+        };
+      })
+    };
+  }
+}
+
+module.exports = new GpuAttributionService();
@@ -1,8 +1,7 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const { getDatabase } = require('../database/init');
-
-const execAsync = promisify(exec);
+const instanceRepository = require('../database/repositories/instanceRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const { ACTIVE_STATES } = require('../utils/instanceStates');
+const { BACKENDS, getBackend } = require('./deviceBackends');
 
 class GPUService {
   constructor() {
@@ -28,77 +27,45 @@ class GPUService {
     }
   }
 
+  /**
+   * Ask each device backend for GPUs, NVIDIA first, unless GPU_BACKEND names one
+   * (nvidia, rocm or cpu). `type` is the backend that found them, or 'cpu'.
+   */
   async detectGPUs() {
-    try {
-      // Try to get detailed GPU information using nvidia-smi
-      const gpuDetails = await this.getNvidiaGPUDetails();
-      
-      if (gpuDetails.length > 0) {
-        console.log(`Detected ${gpuDetails.length} NVIDIA GPU(s)`);
-        return {
-          hasGPU: true,
-          type: 'nvidia',
-          gpus: gpuDetails,
-          dockerSupport: true
-        };
-      }
+    const forced = process.env.GPU_BACKEND ? getBackend(process.env.GPU_BACKEND) : null;
+    if (process.env.GPU_BACKEND && !forced) {
+      console.warn(`Unknown GPU_BACKEND "${process.env.GPU_BACKEND}", detecting the backend instead`);
+    }
 
-      // Fallback to basic Docker detection
-      const Docker = require('dockerode');
-      const docker = new Docker();
-      const info = await docker.info();
-      
-      if (info.Runtimes && (info.Runtimes.nvidia || Object.keys(info.Runtimes).some(r => r.includes('nvidia')))) {
-        console.log('NVIDIA runtime detected in Docker (basic detection)');
-        return {
-          hasGPU: true,
-          type: 'nvidia',
-          gpus: [{ 
-            id: 'auto',
-            name: 'NVIDIA GPU(s) - Auto Select',
-            memoryTotal: 'Unknown',
-            memoryUsed: 'Unknown',
-            memoryFree: 'Unknown',
-            utilization: 'Unknown',
-            temperature: 'Unknown',
-            available: true
-          }],
-          dockerSupport: true
-        };
+    for (const backend of forced ? [forced] : BACKENDS) {
+      if (backend.name === 'cpu') {
+        break;
+      }
+      const gpus = await backend.detect();
+      if (gpus && gpus.length > 0) {
+        return { hasGPU: true, type: backend.name, gpus, dockerSupport: true };
       }
-
-      console.log('No GPU support detected, using CPU mode');
-      return { hasGPU: false, type: 'cpu', gpus: [], dockerSupport: false };
-    } catch (error) {
-      console.log('GPU detection error:', error.message);
-      return { hasGPU: false, type: 'cpu', gpus: [], dockerSupport: false };
     }
+
+    console.log('No GPU support detected, using CPU mode');
+    return { hasGPU: false, type: 'cpu', gpus: [], dockerSupport: false };
   }
 
-  async getNvidiaGPUDetails() {
-    try {
-      // Use nvidia-smi to get detailed GPU information
-      const { stdout } = await execAsync('nvidia-smi --query-gpu=index,name,memory.total,memory.used,memory.free,utilization.gpu,temperature.gpu --format=csv,noheader,nounits');
-      
-      const gpus = stdout.trim().split('\n').map(line => {
-        const parts = line.split(',').map(part => part.trim());
-        return {
-          id: parts[0],
-          name: parts[1],
-          memoryTotal: parseInt(parts[2]),
-          memoryUsed: parseInt(parts[3]),
-          memoryFree: parseInt(parts[4]),
-          utilization: parseInt(parts[5]),
-          temperature: parseInt(parts[6]),
-          available: true
-        };
-      });
+  /**
+   * The backend of a placement: 'cpu' for CPU placements, otherwise the detected one
+   * @param {string|null} name - Backend name recorded with the placement, if any
+   */
+  getBackend(name = null) {
+    const type = name || (this.gpuInfo ? this.gpuInfo.type : 'cpu');
+    return getBackend(type) || getBackend('cpu');
+  }
 
-      return gpus;
-    } catch (error) {
-      console.log('nvidia-smi not available or failed:', error.message);
-      return [];
-    }
+  /**
+   * Current statistics of the detected GPUs. Throws when the backend's tool fails.
+   */
+  async queryGpuStats() {
+    const info = await this.getGPUInfo();
+    return this.getBackend(info.type).queryGpus();
   }
 
   async getGPUInfo() {
@@ -113,6 +80,27 @@ class GPUService {
     return await this.initializeGPUDetection();
   }
 
+  /**
+   * Re-read memory, utilization and temperature of GPUs detected through nvidia-smi
+   * or rocm-smi, without running detection again
+   */
+  async refreshGPUStats() {
+    const info = await this.getGPUInfo();
+    if (!info.hasGPU || info.gpus.some(gpu => gpu.id === 'auto')) {
+      return info;
+    }
+
+    try {
+      const gpus = await this.queryGpuStats();
+      if (gpus.length > 0) {
+        this.gpuInfo = { ...info, gpus: gpus.map(gpu => ({ ...gpu, available: true })) };
+      }
+    } catch (error) {
+      console.log('Could not refresh GPU statistics:', error.message);
+    }
+    return this.gpuInfo;
+  }
+
   async getAvailableGPUs() {
     const info = await this.getGPUInfo();
     if (!info.hasGPU) {
@@ -132,48 +120,36 @@ class GPUService {
 
   async getGPUUsage() {
     try {
-      const db = getDatabase();
-      const vllmUsagePromise = new Promise((resolve, reject) => {
-        db.all(
-          'SELECT gpu_id, COUNT(*) as instances FROM instances WHERE status = ? AND gpu_id IS NOT NULL GROUP BY gpu_id',
-          ['running'],
-          (err, rows) => {
-            if (err) return reject(err);
-            const usage = {};
-            rows.forEach(row => {
-              usage[row.gpu_id] = { instances: row.instances };
-            });
-            resolve(usage);
+      const [vllmRows, ollamaInstances] = await Promise.all([
+        instanceRepository.countByGpu(ACTIVE_STATES),
+        ollamaInstanceRepository.findByStatus('running')
+      ]);
+
+      // Tensor-parallel instances list every GPU they run on, e.g. "0,1"
+      const vllmUsage = {};
+      vllmRows.forEach(row => {
+        row.gpu_id.split(',').forEach(gpuId => {
+          if (!vllmUsage[gpuId]) {
+            vllmUsage[gpuId] = { instances: 0 };
           }
-        );
+          vllmUsage[gpuId].instances += row.instances;
+        });
       });
 
-      const ollamaUsagePromise = new Promise((resolve, reject) => {
-        db.all(
-          'SELECT config, COUNT(*) as instances FROM ollama_instances WHERE status = ? GROUP BY config',
-          ['running'],
-          (err, rows) => {
-            if (err) return reject(err);
-            const usage = {};
-            rows.forEach(row => {
-              try {
-                const config = JSON.parse(row.config);
-                const gpuId = config.gpuId || 'auto'; // Default to auto if not specified
-                if (!usage[gpuId]) {
-                  usage[gpuId] = { instances: 0 };
-                }
-                usage[gpuId].instances += row.instances;
-              } catch (e) {
-                console.warn('Could not parse Ollama config for GPU usage:', e);
-              }
-            });
-            resolve(usage);
+      const ollamaUsage = {};
+      ollamaInstances.forEach(instance => {
+        try {
+          const config = JSON.parse(instance.config);
+          const gpuId = config.gpuId || 'auto'; // Default to auto if not specified
+          if (!ollamaUsage[gpuId]) {
+            ollamaUsage[gpuId] = { instances: 0 };
           }
-        );
+          ollamaUsage[gpuId].instances += 1;
+        } catch (e) {
+          console.warn('Could not parse Ollama config for GPU usage:', e);
+        }
       });
 
-      const [vllmUsage, ollamaUsage] = await Promise.all([vllmUsagePromise, ollamaUsagePromise]);
-
       // Merge the usage data
       const combinedUsage = { ...vllmUsage };
       for (const gpuId in ollamaUsage) {
@@ -184,7 +160,6 @@ class GPUService {
         }
       }
       
-      db.close();
       return combinedUsage;
     } catch (error) {
       console.error('Error getting GPU usage:', error);
@@ -230,87 +205,26 @@ class GPUService {
   }
 
   getDeviceConfigForGPU(selectedGPU) {
-    const gpuInfo = this.gpuInfo;
-    
-    if (!gpuInfo || !gpuInfo.hasGPU || !selectedGPU) {
-      return {
-        hostConfig: {},
-        environment: ['VLLM_LOGGING_LEVEL=INFO'],
-        deviceInfo: 'CPU-only mode',
-        gpuId: null
-      };
-    }
-
-    if (gpuInfo.type === 'nvidia') {
-      // Configure GPU device requests for NVIDIA
-      let deviceRequests;
-      let visibleDevices;
-      
-      if (selectedGPU.id === 'auto') {
-        // Use all available GPUs
-        deviceRequests = [{
-          Driver: 'nvidia',
-          Count: -1,
-          Capabilities: [['gpu']]
-        }];
-        visibleDevices = 'all';
-      } else {
-        // Use specific GPU
-        deviceRequests = [{
-          Driver: 'nvidia',
-          DeviceIDs: [selectedGPU.id],
-          Capabilities: [['gpu']]
-        }];
-        visibleDevices = selectedGPU.id;
-      }
+    return this.getDeviceConfigForGPUs(selectedGPU ? [selectedGPU] : []);
+  }
 
-      return {
-        hostConfig: {
-          Runtime: 'nvidia',
-          DeviceRequests: deviceRequests,
-          IpcMode: 'host',
-          ShmSize: 1073741824 // 1GB shared memory
-        },
-        environment: [
-          `NVIDIA_VISIBLE_DEVICES=${visibleDevices}`,
-          'NVIDIA_DRIVER_CAPABILITIES=compute,utility',
-          'VLLM_LOGGING_LEVEL=INFO'
-        ],
-        deviceInfo: selectedGPU.id === 'auto' 
-          ? `NVIDIA GPU mode (Auto-select)` 
-          : `NVIDIA GPU mode (GPU ${selectedGPU.id}: ${selectedGPU.name})`,
-        gpuId: selectedGPU.id
-      };
+  /**
+   * Docker host configuration and environment giving a container a set of GPUs
+   * @param {Array} selectedGPUs - GPUs from the detection result; [{ id: 'auto' }] for all GPUs, [] for CPU mode
+   */
+  getDeviceConfigForGPUs(selectedGPUs) {
+    const gpuInfo = this.gpuInfo;
+    if (!gpuInfo || !gpuInfo.hasGPU || selectedGPUs.length === 0) {
+      return this.getBackend('cpu').getDeviceConfig([]);
     }
-
-    return {
-      hostConfig: {},
-      environment: ['VLLM_LOGGING_LEVEL=INFO'],
-      deviceInfo: 'CPU-only mode (GPU detected but not supported)',
-      gpuId: null
-    };
+    return this.getBackend(gpuInfo.type).getDeviceConfig(selectedGPUs);
   }
 
   async trackGPUUsage(instanceId, gpuId) {
     if (!gpuId) return;
 
     try {
-      const db = getDatabase();
-      
-      return new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE instances SET gpu_id = ? WHERE id = ?',
-          [gpuId, instanceId],
-          function(err) {
-            db.close();
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve();
-          }
-        );
-      });
+      await instanceRepository.updateGpu(instanceId, gpuId);
     } catch (error) {
       console.error('Error tracking GPU usage:', error);
     }
@@ -322,6 +236,7 @@ class GPUService {
     
     if (!gpuInfo.hasGPU) {
       return {
+        backend: 'cpu',
         totalGPUs: 0,
         availableGPUs: 0,
         gpuDetails: [],
@@ -336,6 +251,7 @@ class GPUService {
     }));
 
     return {
+      backend: gpuInfo.type,
       totalGPUs: gpuInfo.gpus.length,
       availableGPUs: gpuDetails.filter(gpu => gpu.status === 'available').length,
       gpuDetails,
@@ -0,0 +1,195 @@
+const gpuSampleRepository = require('../database/repositories/gpuSampleRepository');
+const gpuService = require('./gpuService');
+
+const DEFAULT_INTERVAL_SECONDS = 10;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_RANGE_SECONDS = 60 * 60;
+// Ranges are served from the finest resolution that still returns at most this many points per GPU
+const MAX_POINTS = 1500;
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+/**
+ * Resolutions samples are kept at, finest first. Raw samples (resolution 0) are
+ * averaged into minutes, minutes into quarter hours, and each resolution only
+ * keeps its own span, so storage stays bounded however long the server runs.
+ */
+const TIERS = [
+  { resolution: 0, retentionSeconds: 6 * HOUR_SECONDS },
+  { resolution: 60, retentionSeconds: 7 * DAY_SECONDS },
+  { resolution: 900, retentionSeconds: null } // GPU_TELEMETRY_RETENTION_DAYS
+];
+
+const getIntervalSeconds = () => {
+  const interval = parseInt(process.env.GPU_TELEMETRY_INTERVAL_SECONDS, 10);
+  return Number.isNaN(interval) ? DEFAULT_INTERVAL_SECONDS : interval;
+};
+
+const getRetentionSeconds = (tier) => tier.retentionSeconds
+  || (parseInt(process.env.GPU_TELEMETRY_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS) * DAY_SECONDS;
+
+const toSeconds = time => Math.floor(time / 1000);
+
+/**
+ * Samples utilization, memory, temperature and power of every GPU every
+ * GPU_TELEMETRY_INTERVAL_SECONDS (0 disables sampling) and answers range queries
+ * over the stored history.
+ *
+ * The source is any async function resolving to GPUs shaped like
+ * utils/nvidiaSmi.js parseGpuQuery() results; it defaults to the detected
+ * device backend's nvidia-smi or rocm-smi.
+ */
+class GpuTelemetryService {
+  constructor() {
+    this.timer = null;
+    this.sampling = false;
+    this.source = () => gpuService.queryGpuStats();
+    this.lastError = null;
+  }
+
+  setSource(source) {
+    this.source = source;
+  }
+
+  /**
+   * Take one sample of every GPU, roll completed buckets up into coarser
+   * resolutions and drop samples older than their resolution's span.
+   * Never throws; a failing source is reported once.
+   * @param {number} now - Time of the sample in milliseconds
+   * @returns {Promise<number>} The number of GPUs sampled
+   */
+  async sample(now = Date.now()) {
+    let gpus;
+    try {
+      gpus = await this.source();
+      this.lastError = null;
+    } catch (error) {
+      if (this.lastError !== error.message) {
+        console.warn('GPU telemetry could not read GPU statistics:', error.message);
+        this.lastError = error.message;
+      }
+      return 0;
+    }
+
+    try {
+      const sampledAt = toSeconds(now);
+      if (gpus.length > 0) {
+        await gpuSampleRepository.createRaw(sampledAt, gpus);
+      }
+
+      for (let i = 1; i < TIERS.length; i++) {
+        const { resolution } = TIERS[i];
+        await gpuSampleRepository.rollUp(TIERS[i - 1].resolution, resolution, Math.floor(sampledAt / resolution) * resolution);
+      }
+      for (const tier of TIERS) {
+        await gpuSampleRepository.deleteOlderThan(tier.resolution, sampledAt - getRetentionSeconds(tier));
+      }
+      return gpus.length;
+    } catch (error) {
+      console.error('Could not record GPU telemetry:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Validate the query parameters of the history endpoint
+   * @param {Object} query - from and to (ISO 8601 times, default the last hour) and gpuId
+   * @returns {{error: string}|{from: number, to: number, gpuId: string|null}} Times in milliseconds
+   */
+  parseQuery(query = {}, now = Date.now()) {
+    const times = {};
+    for (const field of ['from', 'to']) {
+      if (query[field]) {
+        times[field] = Date.parse(query[field]);
+        if (Number.isNaN(times[field])) {
+          return { error: `${field} must be a date and time (ISO 8601)` };
+        }
+      }
+    }
+
+    const to = times.to || now;
+    const from = times.from || to - DEFAULT_RANGE_SECONDS * 1000;
+    if (from >= to) {
+      return { error: 'from must be before to' };
+    }
+    return { from, to, gpuId: query.gpuId || null };
+  }
+
+  /**
+   * The finest resolution that still holds samples from `from` and returns at most MAX_POINTS per GPU
+   */
+  chooseResolution(from, to, now = Date.now()) {
+    const rangeSeconds = (to - from) / 1000;
+    const age = toSeconds(now - from);
+    const tier = TIERS.find(candidate => {
+      const step = candidate.resolution || Math.max(getIntervalSeconds(), 1);
+      return age <= getRetentionSeconds(candidate) && rangeSeconds / step <= MAX_POINTS;
+    });
+    return (tier || TIERS[TIERS.length - 1]).resolution;
+  }
+
+  /**
+   * Samples per GPU between two times in milliseconds
+   * @returns {Promise<Object>} { from, to, resolutionSeconds, gpus: [{ id, samples: [...] }] }
+   */
+  async getHistory({ from, to, gpuId = null }, now = Date.now()) {
+    const resolution = this.chooseResolution(from, to, now);
+    const rows = await gpuSampleRepository.findRange(resolution, {
+      from: toSeconds(from),
+      to: Math.ceil(to / 1000),
+      gpuId
+    });
+
+    const gpus = new Map();
+    rows.forEach(row => {
+      if (!gpus.has(row.gpu_id)) {
+        gpus.set(row.gpu_id, { id: row.gpu_id, samples: [] });
+      }
+      gpus.get(row.gpu_id).samples.push({
+        at: new Date(row.sampled_at * 1000).toISOString(),
+        utilization: row.utilization,
+        utilizationMax: row.utilization_max,
+        memoryUsed: row.memory_used,
+        memoryTotal: row.memory_total,
+        temperature: row.temperature,
+        powerDraw: row.power_draw,
+        powerLimit: row.power_limit
+      });
+    });
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolutionSeconds: resolution || getIntervalSeconds(),
+      gpus: [...gpus.values()]
+    };
+  }
+
+  start() {
+    const intervalSeconds = getIntervalSeconds();
+    if (this.timer || intervalSeconds <= 0) {
+      return;
+    }
+    this.timer = setInterval(async () => {
+      if (this.sampling) {
+        return;
+      }
+      this.sampling = true;
+      try {
+        await this.sample();
+      } finally {
+        this.sampling = false;
+      }
+    }, intervalSeconds * 1000);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new GpuTelemetryService();
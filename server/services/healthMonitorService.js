@@ -0,0 +1,293 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const healthCheckRepository = require('../database/repositories/healthCheckRepository');
+const instanceLifecycleService = require('./instanceLifecycleService');
+const ollamaStatusService = require('./ollamaStatusService');
+const instanceJobService = require('./instanceJobService');
+const dockerService = require('./dockerService');
+const ollamaService = require('./ollamaService');
+const { resolveHealthPolicy, restartBackoffMs } = require('../utils/healthPolicy');
+const { parseTime } = require('../utils/containerLogs');
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.HEALTH_PROBE_INTERVAL_SECONDS, 10) || 15) * 1000;
+const RETENTION_MS = (parseInt(process.env.HEALTH_HISTORY_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// SQLite's CURRENT_TIMESTAMP format, for comparisons with checked_at
+const toSqliteTime = time => new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Periodically checks vLLM /health and Ollama /api/tags, records every result
+ * and applies each instance's health policy (see utils/healthPolicy.js):
+ * restart after repeated failures with back-off, and mark the instance failed
+ * once no restart is left.
+ *
+ * Emits 'alert' with { instanceId, instanceType, name, kind, message, at } when
+ * an instance becomes unhealthy, is restarted, can't be restarted, is marked
+ * failed or recovers. Alerts are also posted to HEALTH_ALERT_WEBHOOK_URL if set.
+ */
+class HealthMonitorService extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.checking = false;
+    this.lastPruneAt = 0;
+    // instanceId -> { consecutiveFailures, restarts: [timestamps], nextRestartAt }
+    this.states = new Map();
+  }
+
+  getState(instanceId) {
+    if (!this.states.has(instanceId)) {
+      this.states.set(instanceId, { consecutiveFailures: 0, restarts: [], nextRestartAt: null });
+    }
+    return this.states.get(instanceId);
+  }
+
+  /**
+   * Drop the in-memory state of a deleted instance
+   */
+  forget(instanceId) {
+    this.states.delete(instanceId);
+  }
+
+  /**
+   * Run one round of checks over all vLLM and Ollama instances that should be serving
+   */
+  async checkAll() {
+    // A slow round (e.g. one that restarts a container) must not overlap the next
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      const [vllmResults, ollamaResults] = await Promise.all([
+        instanceLifecycleService.probeInstances(),
+        ollamaStatusService.probeInstances()
+      ]);
+
+      for (const { instance, result } of vllmResults) {
+        await this.handleResult('vllm', instance, result);
+      }
+      for (const { instance, result } of ollamaResults) {
+        await this.handleResult('ollama', instance, result);
+      }
+
+      if (Date.now() - this.lastPruneAt >= PRUNE_INTERVAL_MS) {
+        this.lastPruneAt = Date.now();
+        await healthCheckRepository.deleteOlderThan(toSqliteTime(Date.now() - RETENTION_MS));
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Record a check result and apply the instance's policy to it
+   * @param {string} type - 'vllm' or 'ollama'
+   * @param {Object} instance - The instance row as it was before the check
+   * @param {{healthy: boolean, error: string|null, latencyMs: number}} result
+   */
+  async handleResult(type, instance, result) {
+    const policy = resolveHealthPolicy(instance.health_policy);
+    const state = this.getState(instance.id);
+    let action = null;
+
+    if (result.healthy) {
+      if (state.consecutiveFailures >= policy.failureThreshold) {
+        this.alert(type, instance, 'recovered', 'Health checks are passing again');
+      }
+      state.consecutiveFailures = 0;
+      state.nextRestartAt = null;
+    } else if (type === 'ollama' || instance.status !== 'loading-model') {
+      // vLLM fails its checks until the model is loaded; that isn't counted
+      state.consecutiveFailures += 1;
+      if (state.consecutiveFailures === policy.failureThreshold) {
+        this.alert(type, instance, 'unhealthy', `${state.consecutiveFailures} consecutive health checks failed: ${result.error}`);
+      }
+      if (state.consecutiveFailures >= policy.failureThreshold) {
+        action = await this.applyPolicy(type, instance, policy, state);
+      }
+    }
+
+    await healthCheckRepository.create({
+      instanceId: instance.id,
+      instanceType: type,
+      healthy: result.healthy,
+      latencyMs: result.latencyMs,
+      error: result.error,
+      action
+    });
+    return action;
+  }
+
+  /**
+   * Restart or give up on an instance that failed failureThreshold checks in a row
+   * @returns {Promise<string|null>} The action taken: 'restarted', 'restart-failed', 'marked-failed' or null
+   */
+  async applyPolicy(type, instance, policy, state) {
+    const now = Date.now();
+    state.restarts = state.restarts.filter(at => at > now - policy.restartWindowMinutes * 60 * 1000);
+
+    if (!policy.autoRestart || state.restarts.length >= policy.maxRestarts) {
+      if (!policy.markFailed) {
+        return null;
+      }
+      const message = policy.autoRestart
+        ? `Still unhealthy after ${state.restarts.length} restarts within ${policy.restartWindowMinutes} minutes`
+        : `${state.consecutiveFailures} consecutive health checks failed`;
+      this.forget(instance.id);
+      await this.markFailed(type, instance, message);
+      this.alert(type, instance, 'failed', message);
+      return 'marked-failed';
+    }
+
+    if (state.nextRestartAt === null) {
+      state.nextRestartAt = now + restartBackoffMs(policy, state.restarts.length);
+    }
+    if (now < state.nextRestartAt) {
+      return null;
+    }
+    // A running job is already replacing or starting the container
+    if (type === 'vllm' && await instanceJobService.getActiveJob(instance.id)) {
+      return null;
+    }
+
+    const reason = `Restarting after ${state.consecutiveFailures} failed health checks`;
+    state.restarts.push(now);
+    state.consecutiveFailures = 0;
+    state.nextRestartAt = null;
+
+    try {
+      await this.restart(type, instance, reason);
+    } catch (error) {
+      this.alert(type, instance, 'restart-failed', `Restart failed: ${error.message}`);
+      return 'restart-failed';
+    }
+    this.alert(type, instance, 'restarted', `${reason} (restart ${state.restarts.length} of ${policy.maxRestarts})`);
+    return 'restarted';
+  }
+
+  async restart(type, instance, reason) {
+    if (type === 'ollama') {
+      await ollamaService.restartContainer(instance.container_id);
+      await ollamaStatusService.setStatus(instance.id, 'running');
+      return;
+    }
+
+    await instanceLifecycleService.transition(instance.id, 'stopping', reason);
+    try {
+      await dockerService.restartContainer(instance.container_id);
+    } catch (error) {
+      await instanceLifecycleService.transition(instance.id, 'failed', 'Restart failed: ' + error.message);
+      throw error;
+    }
+    await instanceLifecycleService.transition(instance.id, 'loading-model', 'Restarted by the health monitor');
+  }
+
+  /**
+   * Mark an instance failed and stop its container, so it neither holds its GPU
+   * nor gets picked up again as running
+   */
+  async markFailed(type, instance, reason) {
+    if (type === 'ollama') {
+      await ollamaStatusService.setStatus(instance.id, 'error', reason);
+    } else {
+      await instanceLifecycleService.transition(instance.id, 'failed', reason);
+    }
+
+    try {
+      await (type === 'ollama'
+        ? ollamaService.stopContainer(instance.container_id)
+        : dockerService.stopContainer(instance.container_id));
+    } catch (error) {
+      console.warn(`Could not stop the container of failed instance ${instance.id}:`, error.message);
+    }
+  }
+
+  alert(type, instance, kind, message) {
+    const alert = {
+      instanceId: instance.id,
+      instanceType: type,
+      name: instance.name,
+      kind,
+      message,
+      at: new Date().toISOString()
+    };
+    console.warn(`Health alert for ${type} instance ${instance.name} (${instance.id}): ${kind} - ${message}`);
+    this.emit('alert', alert);
+
+    if (process.env.HEALTH_ALERT_WEBHOOK_URL) {
+      axios.post(process.env.HEALTH_ALERT_WEBHOOK_URL, alert, { timeout: WEBHOOK_TIMEOUT_MS })
+        .catch(error => console.warn('Could not deliver health alert to the webhook:', error.message));
+    }
+  }
+
+  /**
+   * Validate the ?limit= and ?since= parameters of the health history endpoints
+   * @returns {{error: string}|{limit: number, since: number|null}}
+   */
+  parseHistoryQuery(query = {}) {
+    const limit = Math.min(parseInt(query.limit, 10) || 100, 1000);
+    if (!query.since) {
+      return { limit, since: null };
+    }
+    const since = parseTime(query.since);
+    if (since === null) {
+      return { error: 'since must be Unix seconds, an ISO 8601 date or a duration such as 1h' };
+    }
+    return { limit, since };
+  }
+
+  /**
+   * Recent checks of an instance together with its policy and current failure state
+   * @param {Object} instance - vLLM or Ollama instance row
+   * @param {Object} options
+   * @param {number} options.limit
+   * @param {number|null} options.since - Unix seconds
+   */
+  async getHistory(instance, { limit = 100, since = null } = {}) {
+    const policy = resolveHealthPolicy(instance.health_policy);
+    const state = this.states.get(instance.id) || { consecutiveFailures: 0, restarts: [], nextRestartAt: null };
+    const windowStart = Date.now() - policy.restartWindowMinutes * 60 * 1000;
+    const checks = await healthCheckRepository.findByInstance(instance.id, {
+      limit,
+      since: since === null ? null : toSqliteTime(since * 1000)
+    });
+
+    return {
+      instanceId: instance.id,
+      policy,
+      consecutiveFailures: state.consecutiveFailures,
+      restartsInWindow: state.restarts.filter(at => at > windowStart).length,
+      nextRestartAt: state.nextRestartAt ? new Date(state.nextRestartAt).toISOString() : null,
+      checks: checks.map(check => ({
+        healthy: check.healthy === 1,
+        latencyMs: check.latency_ms,
+        error: check.error,
+        action: check.action,
+        at: check.checked_at
+      }))
+    };
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.checkAll().catch(error => console.error('Error checking instance health:', error));
+    }, CHECK_INTERVAL_MS);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new HealthMonitorService();
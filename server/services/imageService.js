@@ -0,0 +1,48 @@
+const settingsService = require('./settingsService');
+const gpuService = require('./gpuService');
+const {
+  DEFAULT_PULL_POLICY,
+  parseAllowedImages,
+  resolveImage
+} = require('../utils/containerImages');
+
+/**
+ * Decides which image and pull policy vLLM and Ollama containers are created
+ * with, from the instance's own choice, the image settings and the device backend.
+ */
+class ImageService {
+  async getSettings() {
+    return {
+      defaultVllmImage: await settingsService.getSetting('default_vllm_image', ''),
+      defaultOllamaImage: await settingsService.getSetting('default_ollama_image', ''),
+      allowedImages: parseAllowedImages(await settingsService.getSetting('allowed_images', '')),
+      defaultPullPolicy: await settingsService.getSetting('default_image_pull_policy', DEFAULT_PULL_POLICY)
+    };
+  }
+
+  /**
+   * The image an instance runs. Without one of its own it gets the default image
+   * setting when it runs on the host's device backend, and otherwise the image
+   * built for its backend (e.g. CPU instances on a GPU host).
+   * @param {string} kind - 'vllm' or 'ollama'
+   * @param {Object} options - utils/containerImages.js validateImageOptions() options
+   * @param {string|null} backendName - The placement's device backend; null for the detected one
+   * @returns {Promise<{error: string}|{image: string, pullPolicy: string}>}
+   */
+  async resolve(kind, options, backendName = null) {
+    const settings = await this.getSettings();
+    const backend = gpuService.getBackend(backendName);
+    const settingsImage = kind === 'vllm' ? settings.defaultVllmImage : settings.defaultOllamaImage;
+    const defaultImage = settingsImage && backend.name === gpuService.getBackend().name
+      ? settingsImage
+      : (kind === 'vllm' ? backend.vllmImage() : backend.ollamaImage());
+
+    return resolveImage(options, {
+      defaultImage,
+      allowedImages: settings.allowedImages,
+      defaultPullPolicy: settings.defaultPullPolicy
+    });
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,179 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const instanceJobRepository = require('../database/repositories/instanceJobRepository');
+
+// Recent events are kept in memory so clients that connect late can catch up
+const MAX_BUFFERED_EVENTS = 500;
+const FINISHED_JOB_RETENTION_MS = 10 * 60 * 1000;
+
+const TERMINAL_EVENTS = ['done', 'error'];
+
+/**
+ * Runs instance creation/recreation in the background. Job state is stored in
+ * the instance_jobs table; progress is published as events that the jobs
+ * route streams to clients over SSE.
+ *
+ * Events: 'progress' ({ stage, message, details? }), 'log' ({ line, stream }),
+ * then 'done' ({ message }) or 'error' ({ error }). Every event is also emitted
+ * as 'job-event' ({ jobId, instanceId, type, event, data }) for broadcasting.
+ */
+class InstanceJobService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+  }
+
+  formatJob(row) {
+    return {
+      id: row.id,
+      instanceId: row.instance_id,
+      type: row.type,
+      status: row.status,
+      stage: row.stage,
+      message: row.message,
+      error: row.error,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  async getJob(id) {
+    const row = await instanceJobRepository.findById(id);
+    return row ? this.formatJob(row) : null;
+  }
+
+  async listJobs(options = {}) {
+    const rows = await instanceJobRepository.findRecent(options);
+    return rows.map(row => this.formatJob(row));
+  }
+
+  async getActiveJob(instanceId) {
+    const row = await instanceJobRepository.findActiveByInstance(instanceId);
+    return row ? this.formatJob(row) : null;
+  }
+
+  /**
+   * Queue a job and run it in the background
+   * @param {Object} options
+   * @param {string} options.type - 'create' or 'recreate'
+   * @param {string} options.instanceId - Instance the job works on
+   * @param {string|null} options.createdBy - User who started the job
+   * @param {Function} run - async (job) => message; job has id, instanceId, progress(stage, message, details) and log(line, stream)
+   * @returns {Promise<Object>} The queued job
+   */
+  async start({ type, instanceId, createdBy = null }, run) {
+    const id = uuidv4();
+    await instanceJobRepository.create({ id, instanceId, type, status: 'queued', stage: 'queued', message: 'Waiting to start', createdBy });
+    this.jobs.set(id, { instanceId, type, stage: 'queued', message: 'Waiting to start', events: [] });
+
+    const job = {
+      id,
+      instanceId,
+      progress: (stage, message, details) => this.report(id, stage, message, details),
+      log: (line, stream = 'stdout') => this.publish(id, 'log', { line, stream })
+    };
+    setImmediate(() => this.execute(job, run));
+
+    return this.getJob(id);
+  }
+
+  async execute(job, run) {
+    try {
+      await this.report(job.id, 'starting', 'Starting');
+      const message = await run(job);
+      await this.complete(job.id, 'succeeded', message || 'Completed');
+    } catch (error) {
+      console.error(`Instance job ${job.id} failed:`, error);
+      await this.complete(job.id, 'failed', 'Failed', error.message);
+    }
+  }
+
+  /**
+   * Publish progress. The stored job is only updated when the stage or message
+   * changes; details such as per-layer pull progress are streamed only.
+   */
+  async report(id, stage, message, details = null) {
+    const state = this.jobs.get(id);
+    if (!state) {
+      return;
+    }
+
+    if (state.stage !== stage || state.message !== message) {
+      state.stage = stage;
+      state.message = message;
+      await instanceJobRepository.updateProgress(id, { status: 'running', stage, message })
+        .catch(error => console.warn(`Could not save progress of job ${id}:`, error.message));
+    }
+
+    this.publish(id, 'progress', details ? { stage, message, details } : { stage, message });
+  }
+
+  publish(id, event, data) {
+    const state = this.jobs.get(id);
+    if (!state) {
+      return;
+    }
+
+    const entry = { event, data: { ...data, at: new Date().toISOString() } };
+    // Detailed progress is superseded by the next update, so it isn't replayed
+    if (!(event === 'progress' && data.details)) {
+      state.events.push(entry);
+      if (state.events.length > MAX_BUFFERED_EVENTS) {
+        state.events.shift();
+      }
+    }
+    this.emit(`job:${id}`, entry);
+    this.emit('job-event', { jobId: id, instanceId: state.instanceId, type: state.type, ...entry });
+  }
+
+  async complete(id, status, message, error = null) {
+    await instanceJobRepository.finish(id, { status, message, error })
+      .catch(dbError => console.error(`Could not save result of job ${id}:`, dbError));
+
+    if (status === 'succeeded') {
+      this.publish(id, 'done', { message });
+    } else {
+      this.publish(id, 'error', { error });
+    }
+
+    const cleanup = setTimeout(() => this.jobs.delete(id), FINISHED_JOB_RETENTION_MS);
+    if (cleanup.unref) {
+      cleanup.unref();
+    }
+  }
+
+  isTerminalEvent(entry) {
+    return TERMINAL_EVENTS.includes(entry.event);
+  }
+
+  /**
+   * Events published so far for a job that is running or finished recently
+   */
+  getBufferedEvents(id) {
+    const state = this.jobs.get(id);
+    return state ? [...state.events] : [];
+  }
+
+  /**
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(id, listener) {
+    this.on(`job:${id}`, listener);
+    return () => this.off(`job:${id}`, listener);
+  }
+
+  /**
+   * Fail jobs that were still running when the manager stopped
+   */
+  async recoverInterrupted() {
+    const failed = await instanceJobRepository.failUnfinished('Interrupted by a manager restart');
+    if (failed > 0) {
+      console.log(`Marked ${failed} interrupted instance job(s) as failed`);
+    }
+  }
+}
+
+module.exports = new InstanceJobService();
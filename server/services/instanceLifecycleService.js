@@ -0,0 +1,248 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const db = require('../database/db');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceTransitionRepository = require('../database/repositories/instanceTransitionRepository');
+const dockerService = require('./dockerService');
+const dockerEventService = require('./dockerEventService');
+const { PROBED_STATES, isValidState, canTransition } = require('../utils/instanceStates');
+
+const PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Owns the status of vLLM instances. Every status change goes through
+ * transition(), which validates it, records it in the history table and
+ * emits a 'transition' event. Docker container events (via dockerEventService)
+ * and /health probes (scheduled by healthMonitorService) drive the states that
+ * routes cannot know about.
+ */
+class InstanceLifecycleService extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+    this.onContainerEvent = event => this.handleContainerEvent(event);
+    this.onEventsReconnected = () => this.syncWithDocker()
+      .catch(error => console.warn('Could not sync instance statuses:', error.message));
+  }
+
+  getBaseUrl(port) {
+    return `http://${process.env.DEFAULT_HOSTNAME || 'inference.vm'}:${port}`;
+  }
+
+  /**
+   * Move an instance to a new status
+   * @param {string} instanceId
+   * @param {string} toStatus - One of the lifecycle states
+   * @param {string|null} reason - Human-readable cause, shown in the history
+   * @returns {Promise<Object|null>} The transition, or null if the instance is unknown,
+   *   already in that status, or the transition is not allowed
+   */
+  async transition(instanceId, toStatus, reason = null) {
+    if (!isValidState(toStatus)) {
+      throw new Error(`Unknown instance status: ${toStatus}`);
+    }
+
+    const change = await db.transaction(async (tx) => {
+      const instance = await instanceRepository.findById(instanceId, tx);
+      if (!instance || instance.status === toStatus) {
+        return null;
+      }
+
+      if (!canTransition(instance.status, toStatus)) {
+        console.warn(`Ignoring invalid status transition for instance ${instanceId}: ${instance.status} -> ${toStatus}`);
+        return null;
+      }
+
+      await instanceRepository.updateStatus(instanceId, toStatus, reason, tx);
+      await instanceTransitionRepository.create({ instanceId, fromStatus: instance.status, toStatus, reason }, tx);
+
+      return { instanceId, from: instance.status, to: toStatus, reason, at: new Date().toISOString() };
+    });
+
+    if (change) {
+      this.emit('transition', change);
+    }
+    return change;
+  }
+
+  /**
+   * Record the first status of a newly created instance row
+   * @param {Object} conn - Transaction handle the instance was created in
+   */
+  recordInitialStatus(instanceId, status, reason = null, conn = db) {
+    return instanceTransitionRepository.create({ instanceId, fromStatus: null, toStatus: status, reason }, conn);
+  }
+
+  getHistory(instanceId, options = {}) {
+    return instanceTransitionRepository.findByInstance(instanceId, options);
+  }
+
+  /**
+   * Map a Docker container event onto the instance using that container
+   * @param {Object} event - Raw event from the Docker events stream
+   */
+  async handleContainerEvent(event) {
+    const { action, containerId, exitCode, health } = dockerEventService.describe(event);
+    const instance = containerId ? await instanceRepository.findByContainerId(containerId) : null;
+    if (!instance) {
+      return null;
+    }
+
+    switch (action) {
+      case 'start':
+        return this.transition(instance.id, 'loading-model', 'Container started');
+
+      case 'oom':
+        return this.transition(instance.id, 'failed', 'Container ran out of memory');
+
+      case 'die': {
+        if (instance.status === 'stopping') {
+          return this.transition(instance.id, 'stopped', 'Container stopped');
+        }
+        // A container being replaced or created dies on purpose; only react while it should be serving
+        if (!PROBED_STATES.includes(instance.status)) {
+          return null;
+        }
+        return exitCode === 0
+          ? this.transition(instance.id, 'stopped', 'Container exited')
+          : this.transition(instance.id, 'failed', `Container exited with code ${exitCode}`);
+      }
+
+      case 'destroy':
+        // Removals by the manager (delete, recreate) are announced beforehand
+        if (dockerEventService.consumeExpected(containerId, 'destroy')) {
+          return null;
+        }
+        return this.transition(instance.id, 'failed', 'Container was removed outside the manager');
+
+      case 'health_status':
+        // Only images that define a Docker HEALTHCHECK send these; /health probes cover the rest
+        if (health === 'healthy' && PROBED_STATES.includes(instance.status)) {
+          return this.transition(instance.id, 'ready', 'Docker health check passed');
+        }
+        if (health === 'unhealthy' && instance.status === 'ready') {
+          return this.transition(instance.id, 'unhealthy', 'Docker health check failed');
+        }
+        return null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check vLLM's /health endpoint. It answers 200 once the model is loaded.
+   * @returns {Promise<{healthy: boolean, error: string|null, latencyMs: number}>}
+   */
+  async checkHealth(instance) {
+    const startedAt = Date.now();
+    try {
+      await axios.get(`${this.getBaseUrl(instance.port)}/health`, { timeout: PROBE_TIMEOUT_MS });
+      return { healthy: true, error: null, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+      return { healthy: false, error: detail, latencyMs: Date.now() - startedAt };
+    }
+  }
+
+  /**
+   * Check an instance's health and move it between loading-model, ready and unhealthy
+   * @returns {Promise<Object>} The result of checkHealth()
+   */
+  async probeInstance(instance) {
+    const result = await this.checkHealth(instance);
+
+    if (result.healthy) {
+      await this.transition(instance.id, 'ready', 'Health check passed');
+    } else if (instance.status === 'ready') {
+      // Failing probes are expected while the model loads
+      await this.transition(instance.id, 'unhealthy', `Health check failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Probe every instance whose container should be running
+   * @returns {Promise<Array<{instance: Object, result: Object}>>} Instances as they were before the probe
+   */
+  async probeInstances() {
+    const instances = await instanceRepository.findByStatuses(PROBED_STATES);
+    const results = await Promise.all(instances.map(instance => this.probeInstance(instance)
+      .then(result => ({ instance, result }))
+      .catch(error => {
+        console.warn(`Health probe for instance ${instance.id} failed:`, error.message);
+        return null;
+      })));
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Bring stored statuses in line with the containers, e.g. after missing Docker events
+   * @param {Object} options
+   * @param {boolean} options.startup - Set on manager start, when nothing can still be in progress
+   */
+  async syncWithDocker({ startup = false } = {}) {
+    const instances = await instanceRepository.findAll();
+
+    for (const instance of instances) {
+      // Creation and stop requests own these states until they finish
+      if (['pending', 'pulling-image', 'stopping'].includes(instance.status) && !startup) {
+        continue;
+      }
+      if (['pending', 'pulling-image'].includes(instance.status)) {
+        await this.transition(instance.id, 'failed', 'Interrupted by a manager restart');
+        continue;
+      }
+      if (!instance.container_id) {
+        continue;
+      }
+
+      let state;
+      try {
+        state = (await dockerService.docker.getContainer(instance.container_id).inspect()).State;
+      } catch (error) {
+        if (error.statusCode === 404) {
+          await this.transition(instance.id, 'failed', 'Container no longer exists');
+        }
+        continue;
+      }
+
+      if (state.Running) {
+        if (!PROBED_STATES.includes(instance.status)) {
+          await this.transition(instance.id, 'loading-model', 'Container is running');
+        }
+      } else if (!['stopped', 'failed'].includes(instance.status)) {
+        await (state.ExitCode === 0 || instance.status === 'stopping'
+          ? this.transition(instance.id, 'stopped', 'Container is not running')
+          : this.transition(instance.id, 'failed', `Container exited with code ${state.ExitCode}`));
+      }
+    }
+  }
+
+  /**
+   * Start handling Docker events
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    // Listen before syncing so nothing that happens in between is missed
+    dockerEventService.on('container', this.onContainerEvent);
+    dockerEventService.on('reconnected', this.onEventsReconnected);
+    try {
+      await this.syncWithDocker({ startup: true });
+    } catch (error) {
+      console.warn('Could not sync instance statuses with Docker:', error.message);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    dockerEventService.off('container', this.onContainerEvent);
+    dockerEventService.off('reconnected', this.onEventsReconnected);
+  }
+}
+
+module.exports = new InstanceLifecycleService();
@@ -0,0 +1,462 @@
+const { v4: uuidv4 } = require('uuid');
+const dockerService = require('./dockerService');
+const portService = require('./portService');
+const settingsService = require('./settingsService');
+const apiKeyService = require('./apiKeyService');
+const instanceLifecycleService = require('./instanceLifecycleService');
+const instanceJobService = require('./instanceJobService');
+const deploymentService = require('./deploymentService');
+const notificationService = require('./notificationService');
+const healthMonitorService = require('./healthMonitorService');
+const placementService = require('./placementService');
+const imageService = require('./imageService');
+const modelService = require('./modelService');
+const db = require('../database/db');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceTransitionRepository = require('../database/repositories/instanceTransitionRepository');
+const instanceJobRepository = require('../database/repositories/instanceJobRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const portRepository = require('../database/repositories/portRepository');
+const healthCheckRepository = require('../database/repositories/healthCheckRepository');
+const gpuAllocationRepository = require('../database/repositories/gpuAllocationRepository');
+const { validateImageOptions } = require('../utils/containerImages');
+const { SCHEMA_VERSION: EXTRA_ARGS_SCHEMA_VERSION, validateExtraArgs } = require('../utils/vllmArgs');
+const { validateLoraConfig } = require('../utils/loraAdapters');
+const { validateSpeculativeDecoding, checkTokenizerCompatibility } = require('../utils/speculativeDecoding');
+
+const reject = (status, error, details = {}) => ({ status, body: { error, ...details } });
+
+// OpenAI clients expect keys with the sk- prefix
+const withKeyPrefix = key => (key.startsWith('sk-') ? key : `sk-${key}`);
+
+/**
+ * Validate the settings shared by creation and update requests
+ * @returns {{error: string}|{imageConfig: Object, extraArgs: Object, speculativeDecoding: Object|null}}
+ */
+function validateSettings(request) {
+  const { modelName, maxContextLength, gpuMemoryUtilization } = request;
+  if (gpuMemoryUtilization && !(gpuMemoryUtilization > 0 && gpuMemoryUtilization <= 1)) {
+    return { error: 'gpuMemoryUtilization must be between 0 and 1' };
+  }
+  const imageValidation = validateImageOptions(request);
+  if (imageValidation.error) {
+    return imageValidation;
+  }
+  const extraArgsValidation = validateExtraArgs(request.extraArgs, { maxContextLength });
+  if (extraArgsValidation.error) {
+    return extraArgsValidation;
+  }
+  const speculativeValidation = validateSpeculativeDecoding(request.speculativeDecoding, {
+    modelName,
+    extraArgs: extraArgsValidation.extraArgs
+  });
+  if (speculativeValidation.error) {
+    return speculativeValidation;
+  }
+  return {
+    // Image, tag and pull policy chosen for the instance; unset ones follow the settings
+    imageConfig: imageValidation.options,
+    extraArgs: extraArgsValidation.extraArgs,
+    speculativeDecoding: speculativeValidation.speculativeDecoding
+  };
+}
+
+/**
+ * Creates, updates and removes vLLM instances. Each method answers like the
+ * instance API does: { status, body } with the HTTP status and JSON body.
+ */
+class InstanceService {
+  /**
+   * The advanced vLLM settings stored with an instance
+   */
+  buildAdvancedConfig(request, settings, lora) {
+    return {
+      maxContextLength: request.maxContextLength || null,
+      // null lets placement size the instance's share of each GPU
+      gpuMemoryUtilization: parseFloat(request.gpuMemoryUtilization) || null,
+      maxNumSeqs: request.maxNumSeqs || 256,
+      trustRemoteCode: request.trustRemoteCode || false,
+      quantization: request.quantization || null,
+      // null lets placement use as many GPUs as the model needs
+      tensorParallelSize: request.tensorParallelSize || null,
+      // Further vLLM flags, validated against utils/vllmArgs.js
+      extraArgs: settings.extraArgs,
+      enableLora: lora.enableLora,
+      maxLoraRank: lora.maxLoraRank,
+      // Draft model or n-gram speculation; null when off
+      speculativeDecoding: settings.speculativeDecoding
+    };
+  }
+
+  /**
+   * The key the container is started with, or null when requireAuth is off.
+   * Each instance gets its own key, so one instance's key opens no other container.
+   */
+  resolveApiKey({ apiKey, requireAuth }) {
+    if (!requireAuth) {
+      return null;
+    }
+    if (apiKey) {
+      // If user provided a key, use it (add sk- prefix if not present)
+      return withKeyPrefix(apiKey);
+    }
+    // Generate a random internal key
+    return apiKeyService.generateInstanceKey();
+  }
+
+  /**
+   * Refuse a speculative decoding draft model whose tokenizer differs from the model's
+   * @returns {Promise<Object|null>} The refusal, or null
+   */
+  async checkDraftModel(speculativeDecoding, modelName, hfToken) {
+    if (!speculativeDecoding || speculativeDecoding.method !== 'draft') {
+      return null;
+    }
+    const [targetConfig, draftConfig] = await Promise.all([
+      modelService.getModelConfig(modelName, { hfToken }),
+      modelService.getModelConfig(speculativeDecoding.draftModel, { hfToken })
+    ]);
+    const { error } = checkTokenizerCompatibility(targetConfig, draftConfig);
+    return error ? reject(400, error) : null;
+  }
+
+  /**
+   * Place the instance and check its image before a job is started for it
+   * @returns {Promise<{placement: Object}|{refusal: Object}>}
+   */
+  async checkPlacement(instanceConfig, imageConfig, { waitForGpu, excludeInstanceId = null }) {
+    const placement = await placementService.plan(deploymentService.placementRequest(instanceConfig), { excludeInstanceId });
+    if (!placement.fits && !waitForGpu) {
+      return { refusal: reject(409, `No GPUs can fit this instance: ${placement.reason}`, { placement }) };
+    }
+    // Refuse images outside the allowed list
+    const resolved = await imageService.resolve('vllm', imageConfig, placement.device === 'cpu' ? 'cpu' : placement.backend);
+    if (resolved.error) {
+      return { refusal: reject(400, resolved.error) };
+    }
+    return { placement };
+  }
+
+  /**
+   * Create an instance; its container is deployed by a job
+   * @param {Object} request - Body of POST /api/containers
+   * @param {Object} options
+   * @param {string|null} options.createdBy - User id
+   * @returns {Promise<{status: number, body: Object}>} 202 with the instance and its jobId, or the refusal
+   */
+  async create(request, { createdBy = null } = {}) {
+    const {
+      name,
+      modelName,
+      apiKey,
+      requireAuth = true,
+      hostname,
+      gpuSelection,
+      waitForGpu = false
+    } = request;
+
+    if (!name || !modelName) {
+      return reject(400, 'Name and model name are required');
+    }
+    const settings = validateSettings(request);
+    if (settings.error) {
+      return reject(400, settings.error);
+    }
+    const { imageConfig } = settings;
+    // LoRA adapters loaded at startup; declaring any enables LoRA
+    const loraValidation = validateLoraConfig(request, modelName);
+    if (loraValidation.error) {
+      return reject(400, loraValidation.error);
+    }
+    const { adapters } = loraValidation.lora;
+
+    // Get default settings and merge with provided values
+    const defaults = await settingsService.getInstanceDefaults();
+    const effectiveHfToken = defaults.hfToken; // HuggingFace token for model access
+    const effectiveHostname = hostname || defaults.hostname;
+    const effectiveGPUSelection = gpuSelection || defaults.gpuSelection;
+
+    const advancedConfig = this.buildAdvancedConfig(request, settings, loraValidation.lora);
+    const draftRefusal = await this.checkDraftModel(advancedConfig.speculativeDecoding, modelName, effectiveHfToken);
+    if (draftRefusal) {
+      return draftRefusal;
+    }
+
+    const { placement, refusal } = await this.checkPlacement(
+      { modelName, hfToken: effectiveHfToken, gpuSelection: effectiveGPUSelection, ...advancedConfig },
+      imageConfig,
+      { waitForGpu }
+    );
+    if (refusal) {
+      return refusal;
+    }
+
+    const effectiveApiKey = this.resolveApiKey({ apiKey, requireAuth });
+
+    const instanceId = uuidv4();
+    const port = await portService.allocatePort(instanceId);
+
+    // Record the instance before touching Docker so its progress and any failure are visible
+    await db.transaction(async (tx) => {
+      await instanceRepository.create({
+        id: instanceId,
+        name,
+        modelName,
+        port,
+        containerId: null,
+        status: 'pending',
+        config: JSON.stringify({ modelName, hostname: effectiveHostname, port, gpuSelection: effectiveGPUSelection }),
+        apiKey: effectiveApiKey
+      }, tx);
+      await instanceLifecycleService.recordInitialStatus(instanceId, 'pending', 'Instance created', tx);
+      await instanceAdapterRepository.replace(instanceId, adapters, tx);
+    });
+    notificationService.publish('instance', {
+      instanceId, from: null, to: 'pending', reason: 'Instance created', at: new Date().toISOString()
+    });
+
+    const instanceConfig = {
+      id: instanceId,
+      name,
+      modelName,
+      port,
+      apiKey: effectiveApiKey,
+      requireAuth,
+      hfToken: effectiveHfToken,
+      gpuSelection: effectiveGPUSelection,
+      waitForGpu,
+      ...advancedConfig,
+      ...imageConfig
+    };
+
+    // Stored with the instance; secrets are masked
+    const storedConfig = {
+      modelName,
+      apiKey: effectiveApiKey ? '***' : null,
+      requireAuth,
+      hfToken: effectiveHfToken ? '***' : null,
+      hostname: effectiveHostname,
+      port,
+      gpuSelection: effectiveGPUSelection,
+      advancedConfig,
+      extraArgsSchema: EXTRA_ARGS_SCHEMA_VERSION,
+      imageConfig
+    };
+
+    // Pulling the image and loading the model can take many minutes, so it runs as a job
+    const job = await instanceJobService.start(
+      { type: 'create', instanceId, createdBy },
+      (jobHandle) => deploymentService.deploy(jobHandle, instanceConfig, storedConfig)
+    );
+
+    return {
+      status: 202,
+      body: {
+        id: instanceId,
+        jobId: job.id,
+        name,
+        modelName,
+        port,
+        status: 'pending',
+        url: `http://${effectiveHostname}:${port}`,
+        requireAuth,
+        apiKeyProvided: !!effectiveApiKey,
+        advancedConfig,
+        imageConfig,
+        adapters,
+        // Expected placement; the job places the instance again when it starts
+        placement,
+        queued: !placement.fits,
+        usingDefaults: {
+          apiKey: !apiKey && requireAuth,
+          hfToken: !effectiveHfToken,
+          hostname: !hostname,
+          gpuSelection: !gpuSelection
+        },
+        created: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Replace an instance's settings; its container is recreated by a job
+   * @param {string} id - Instance id
+   * @param {Object} request - Body of PUT /api/containers/:id; adapters left out stay as they are
+   * @param {Object} options
+   * @param {string|null} options.createdBy - User id
+   * @returns {Promise<{status: number, body: Object}>} 202 with the instance and its jobId, or the refusal
+   */
+  async update(id, request, { createdBy = null } = {}) {
+    const {
+      name,
+      modelName,
+      apiKey,
+      requireAuth,
+      hostname,
+      gpuSelection,
+      waitForGpu = false
+    } = request;
+
+    if (!name || !modelName) {
+      return reject(400, 'Name and model name are required');
+    }
+    const settings = validateSettings(request);
+    if (settings.error) {
+      return reject(400, settings.error);
+    }
+    const { imageConfig } = settings;
+
+    const instance = await instanceRepository.findById(id);
+    if (!instance) {
+      return reject(404, 'Instance not found');
+    }
+
+    const busyJob = await instanceJobService.getActiveJob(id);
+    if (busyJob) {
+      return reject(409, 'A job is still in progress for this instance', { jobId: busyJob.id });
+    }
+
+    // Adapters left out of the request stay as they are
+    const storedAdapters = request.adapters === undefined ? await instanceAdapterRepository.findByInstance(id) : null;
+    if (storedAdapters && storedAdapters.length > 0 && request.enableLora === false) {
+      return reject(400, 'Remove the instance\'s LoRA adapters before disabling LoRA');
+    }
+    const loraValidation = validateLoraConfig({ ...request, adapters: storedAdapters || request.adapters }, modelName);
+    if (loraValidation.error) {
+      return reject(400, loraValidation.error);
+    }
+    const { adapters } = loraValidation.lora;
+
+    // Get default settings and merge with provided values
+    const defaults = await settingsService.getInstanceDefaults();
+    const effectiveHfToken = defaults.hfToken;
+    const effectiveHostname = hostname || defaults.hostname;
+    const effectiveGPUSelection = gpuSelection || defaults.gpuSelection;
+
+    // An instance edited without a key keeps the one it has
+    const effectiveApiKey = this.resolveApiKey({ apiKey: apiKey || instance.api_key, requireAuth });
+
+    const advancedConfig = this.buildAdvancedConfig(request, settings, loraValidation.lora);
+    const draftRefusal = await this.checkDraftModel(advancedConfig.speculativeDecoding, modelName, effectiveHfToken);
+    if (draftRefusal) {
+      return draftRefusal;
+    }
+
+    // The instance's current GPUs are freed before the new container is placed
+    const { placement, refusal } = await this.checkPlacement(
+      { modelName, hfToken: effectiveHfToken, gpuSelection: effectiveGPUSelection, ...advancedConfig },
+      imageConfig,
+      { waitForGpu, excludeInstanceId: instance.id }
+    );
+    if (refusal) {
+      return refusal;
+    }
+
+    // Create new instance configuration
+    const instanceConfig = {
+      id: instance.id,
+      name,
+      modelName,
+      port: instance.port, // Keep the same port
+      apiKey: effectiveApiKey,
+      requireAuth,
+      hfToken: effectiveHfToken,
+      gpuSelection: effectiveGPUSelection,
+      waitForGpu,
+      ...advancedConfig,
+      ...imageConfig
+    };
+
+    const storedConfig = {
+      modelName,
+      apiKey: effectiveApiKey ? '***' : null,
+      requireAuth,
+      hfToken: effectiveHfToken ? '***' : null,
+      hostname: effectiveHostname,
+      port: instance.port,
+      gpuSelection: effectiveGPUSelection,
+      advancedConfig,
+      extraArgsSchema: EXTRA_ARGS_SCHEMA_VERSION,
+      imageConfig
+    };
+
+    if (!storedAdapters) {
+      await db.transaction(tx => instanceAdapterRepository.replace(instance.id, adapters, tx));
+    }
+
+    // Replace the container in the background
+    const job = await instanceJobService.start(
+      { type: 'recreate', instanceId: instance.id, createdBy },
+      (jobHandle) => deploymentService.redeploy(jobHandle, instance, instanceConfig, storedConfig)
+    );
+
+    return {
+      status: 202,
+      body: {
+        id: instance.id,
+        jobId: job.id,
+        name,
+        modelName,
+        port: instance.port,
+        status: instance.status,
+        url: `http://${effectiveHostname}:${instance.port}`,
+        requireAuth,
+        apiKeyProvided: !!effectiveApiKey,
+        advancedConfig,
+        imageConfig,
+        adapters,
+        placement,
+        queued: !placement.fits,
+        usingDefaults: {
+          apiKey: !apiKey && requireAuth,
+          hfToken: !effectiveHfToken,
+          hostname: !hostname,
+          gpuSelection: !gpuSelection
+        },
+        updated: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Remove an instance's container and records
+   * @param {string} id - Instance id
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async remove(id) {
+    const instance = await instanceRepository.findById(id);
+    if (!instance) {
+      return reject(404, 'Instance not found');
+    }
+
+    const busyJob = await instanceJobService.getActiveJob(id);
+    if (busyJob) {
+      return reject(409, 'A job is still in progress for this instance', { jobId: busyJob.id });
+    }
+
+    try {
+      // Remove container
+      if (instance.container_id) {
+        await dockerService.removeContainer(instance.container_id);
+      }
+
+      // Release port and remove from database together
+      await db.transaction(async (tx) => {
+        await portRepository.release(instance.port, tx);
+        await instanceTransitionRepository.deleteByInstance(id, tx);
+        await instanceJobRepository.deleteByInstance(id, tx);
+        await healthCheckRepository.deleteByInstance(id, tx);
+        await gpuAllocationRepository.deleteByInstance('vllm', id, tx);
+        await instanceAdapterRepository.deleteByInstance(id, tx);
+        await instanceRepository.delete(id, tx);
+      });
+    } catch (error) {
+      return reject(500, 'Failed to remove instance: ' + error.message);
+    }
+    healthMonitorService.forget(id);
+    notificationService.publish('instance-removed', { instanceId: id });
+    return { status: 200, body: { status: 'removed' } };
+  }
+}
+
+module.exports = new InstanceService();
@@ -0,0 +1,338 @@
+const dockerService = require('./dockerService');
+const ollamaService = require('./ollamaService');
+const settingsService = require('./settingsService');
+const instanceService = require('./instanceService');
+const ollamaInstanceService = require('./ollamaInstanceService');
+const instanceJobService = require('./instanceJobService');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaModelRepository = require('../database/repositories/ollamaModelRepository');
+const {
+  API_VERSION,
+  KIND,
+  completeVllmSpec,
+  completeOllamaSpec,
+  normalizeModelName,
+  vllmSpecOfInstance,
+  ollamaSpecOfInstance,
+  diffSpecs,
+  toManifestEntry
+} = require('../utils/manifest');
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+// Order in which apply carries out a plan: deletes free ports and GPUs before anything is created,
+// and models are deleted before their instance and pulled once it runs
+const stepOf = change => {
+  if (change.action === 'delete') {
+    return change.kind === 'ollama-model' ? 0 : 1;
+  }
+  if (change.action === 'update') {
+    return 2;
+  }
+  return change.kind === 'ollama-model' ? 4 : 3;
+};
+
+// A change without the complete spec apply creates or updates the instance with
+const describe = (change) => {
+  const described = { ...change };
+  delete described.spec;
+  return described;
+};
+
+/**
+ * Plans and applies fleet manifests (see utils/manifest.js) and exports the current
+ * fleet as one. Instances are matched to manifest entries by name.
+ */
+class ManifestService {
+  /**
+   * Instances, their adapters and models, and the ids of the containers Docker has
+   * @returns {Promise<Object>} containerIds is null when Docker can't be reached
+   */
+  async loadState() {
+    const [defaults, instances, ollamaInstances] = await Promise.all([
+      settingsService.getInstanceDefaults(),
+      instanceRepository.findAll(),
+      ollamaInstanceRepository.findAll()
+    ]);
+    const adapters = await instanceAdapterRepository.findByInstances(instances.map(instance => instance.id));
+    const models = new Map();
+    for (const instance of ollamaInstances) {
+      models.set(instance.id, await ollamaModelRepository.findByInstance(instance.id));
+    }
+
+    const warnings = [];
+    let containerIds = null;
+    try {
+      const containers = [...await dockerService.listAllContainers(), ...await ollamaService.listAllContainers()];
+      containerIds = new Set(containers.map(container => container.Id));
+    } catch (error) {
+      warnings.push(`Docker could not be reached, so missing containers are not detected: ${error.message}`);
+    }
+
+    return {
+      defaults,
+      instances,
+      ollamaInstances,
+      adaptersOf: id => adapters.filter(adapter => adapter.instance_id === id),
+      modelsOf: id => models.get(id) || [],
+      containerIds,
+      warnings
+    };
+  }
+
+  /**
+   * Whether an instance's container is gone, so it must be created again
+   */
+  async isContainerMissing(instance, state, hasJobs) {
+    if (!state.containerIds) {
+      return false;
+    }
+    if (instance.container_id && state.containerIds.has(instance.container_id)) {
+      return false;
+    }
+    // A creation job still deploying hasn't made its container yet
+    return !(hasJobs && await instanceJobService.getActiveJob(instance.id));
+  }
+
+  /**
+   * Match instances of one kind to manifest entries by name
+   * @returns {{matches: Array<{spec: Object, instance: Object|null}>, unmatched: Array<Object>, errors: Array<string>}}
+   */
+  matchByName(specs, instances, kind) {
+    const errors = [];
+    const matches = specs.map(spec => {
+      const named = instances.filter(instance => instance.name === spec.name);
+      if (named.length > 1) {
+        errors.push(`${named.length} ${kind} instances are named ${spec.name}; rename all but one before applying`);
+      }
+      return { spec, instance: named[0] || null };
+    });
+    const unmatched = instances.filter(instance => !specs.some(spec => spec.name === instance.name));
+    return { matches, unmatched, errors };
+  }
+
+  async planVllm(specs, state, { prune }) {
+    const changes = [];
+    const { matches, unmatched, errors } = this.matchByName(specs, state.instances, 'vLLM');
+
+    for (const { spec, instance } of matches) {
+      const desired = completeVllmSpec(spec, state.defaults);
+      if (!instance) {
+        changes.push({ action: 'create', kind: 'vllm', name: spec.name, instanceId: null, changes: [], reason: 'Not running yet', spec: desired });
+        continue;
+      }
+      const current = completeVllmSpec(vllmSpecOfInstance(instance, state.adaptersOf(instance.id)), state.defaults);
+      const differences = diffSpecs(current, desired, spec);
+      if (differences.length > 0) {
+        changes.push({
+          action: 'update', kind: 'vllm', name: spec.name, instanceId: instance.id, changes: differences, reason: 'Settings differ', spec: desired
+        });
+      } else if (await this.isContainerMissing(instance, state, true)) {
+        changes.push({
+          action: 'update', kind: 'vllm', name: spec.name, instanceId: instance.id, changes: [], reason: 'Its container is missing', spec: desired
+        });
+      }
+    }
+
+    const deletes = prune
+      ? unmatched.map(instance => ({
+        action: 'delete', kind: 'vllm', name: instance.name, instanceId: instance.id, changes: [], reason: 'Not in the manifest'
+      }))
+      : [];
+    return { changes: [...changes, ...deletes], unmanaged: prune ? [] : unmatched, errors };
+  }
+
+  async planOllama(specs, state, { prune }) {
+    const changes = [];
+    const { matches, unmatched, errors } = this.matchByName(specs, state.ollamaInstances, 'Ollama');
+
+    for (const { spec, instance } of matches) {
+      const desired = completeOllamaSpec(spec, state.defaults);
+      const pulls = model => ({
+        action: 'create', kind: 'ollama-model', name: model, instanceName: spec.name, instanceId: instance ? instance.id : null, changes: [], reason: 'Listed in the manifest'
+      });
+      if (!instance) {
+        changes.push({ action: 'create', kind: 'ollama', name: spec.name, instanceId: null, changes: [], reason: 'Not running yet', spec: desired });
+        changes.push(...desired.models.map(pulls));
+        continue;
+      }
+
+      const current = completeOllamaSpec(ollamaSpecOfInstance(instance, state.modelsOf(instance.id)), state.defaults);
+      const differences = diffSpecs(current, desired, spec, ['models']);
+      const missingContainer = differences.length === 0 && await this.isContainerMissing(instance, state, false);
+      if (differences.length > 0 || missingContainer) {
+        // The new container keeps the models, so they are managed as for any other instance
+        changes.push({
+          action: 'update',
+          kind: 'ollama',
+          name: spec.name,
+          instanceId: instance.id,
+          changes: differences,
+          reason: missingContainer ? 'Its container is missing' : 'Settings differ',
+          spec: desired
+        });
+      }
+
+      // Models are only managed for entries that list them
+      if (spec.models) {
+        changes.push(...desired.models.filter(model => !current.models.includes(model)).map(pulls));
+        // Deleted under the name they were pulled with, which ollama_models records
+        const extra = state.modelsOf(instance.id).filter(model => model.status !== 'failed' && !desired.models.includes(normalizeModelName(model.name)));
+        changes.push(...extra.map(model => ({
+          action: 'delete', kind: 'ollama-model', name: model.name, instanceName: spec.name, instanceId: instance.id, changes: [], reason: 'Not in the manifest'
+        })));
+      }
+    }
+
+    const deletes = prune
+      ? unmatched.map(instance => ({
+        action: 'delete', kind: 'ollama', name: instance.name, instanceId: instance.id, changes: [], reason: 'Not in the manifest'
+      }))
+      : [];
+    return { changes: [...changes, ...deletes], unmanaged: prune ? [] : unmatched, errors };
+  }
+
+  /**
+   * Plan with the complete spec of each instance to create or update
+   */
+  async buildPlan(manifest, { prune }) {
+    const state = await this.loadState();
+    const vllm = await this.planVllm(manifest.vllm, state, { prune });
+    const ollama = await this.planOllama(manifest.ollama, state, { prune });
+
+    const changes = [...vllm.changes, ...ollama.changes];
+    return {
+      changes,
+      // Instances left alone because the manifest doesn't list them and prune is off
+      unmanaged: [
+        ...vllm.unmanaged.map(instance => ({ kind: 'vllm', name: instance.name, instanceId: instance.id })),
+        ...ollama.unmanaged.map(instance => ({ kind: 'ollama', name: instance.name, instanceId: instance.id }))
+      ],
+      errors: [...vllm.errors, ...ollama.errors],
+      warnings: state.warnings,
+      summary: Object.fromEntries(ACTIONS.map(action => [action, changes.filter(change => change.action === action).length]))
+    };
+  }
+
+  /**
+   * The changes that would bring the fleet to a manifest
+   * @param {Object} manifest - validateManifest() manifest
+   * @param {Object} options
+   * @param {boolean} options.prune - Delete instances the manifest doesn't list
+   * @returns {Promise<{changes: Array<Object>, unmanaged: Array<Object>, errors: Array<string>, warnings: Array<string>, summary: Object}>}
+   */
+  async plan(manifest, { prune = false } = {}) {
+    const plan = await this.buildPlan(manifest, { prune });
+    return { ...plan, changes: plan.changes.map(describe) };
+  }
+
+  /**
+   * Carry out one change of a plan
+   * @returns {Promise<Object>} Outcome: done, or started with the jobId of a vLLM deployment
+   */
+  async applyChange(change, { createdBy, createdIds }) {
+    if (change.kind === 'ollama-model') {
+      // An instance created by this apply has no id in the plan
+      const instanceId = createdIds.get(`ollama:${change.instanceName}`) || change.instanceId;
+      const instance = instanceId && await ollamaInstanceRepository.findById(instanceId);
+      if (!instance) {
+        throw new Error(`Ollama instance ${change.instanceName} is not available`);
+      }
+      if (change.action === 'delete') {
+        await ollamaInstanceService.deleteModel(instance, change.name);
+      } else {
+        await ollamaInstanceService.pullModel(instance, change.name);
+      }
+      return { status: 'done' };
+    }
+
+    const service = change.kind === 'vllm' ? instanceService : ollamaInstanceService;
+    let response;
+    if (change.action === 'delete') {
+      response = await service.remove(change.instanceId);
+    } else if (change.action === 'create') {
+      response = await service.create(change.spec, { createdBy });
+    } else if (change.kind === 'vllm') {
+      // Keep the instance's key; manifests don't hold secrets
+      const instance = await instanceRepository.findById(change.instanceId);
+      response = await service.update(
+        change.instanceId,
+        { ...change.spec, apiKey: instance ? instance.api_key : null },
+        { createdBy }
+      );
+    } else {
+      // Recreated in place: the instance keeps its key and the models pulled into it
+      response = await service.update(change.instanceId, change.spec);
+    }
+
+    if (response.status >= 400) {
+      throw new Error(response.body.error);
+    }
+    if (change.action !== 'delete') {
+      createdIds.set(`${change.kind}:${change.name}`, response.body.id);
+    }
+    return response.body.jobId ? { status: 'started', jobId: response.body.jobId, instanceId: response.body.id } : { status: 'done', instanceId: response.body.id };
+  }
+
+  /**
+   * Plan a manifest and carry out the plan. A failed change doesn't stop the others,
+   * but models of an Ollama instance that failed are skipped.
+   * vLLM deployments run as jobs, which are returned with the results.
+   * @param {Object} manifest - validateManifest() manifest
+   * @param {Object} options
+   * @param {boolean} options.prune - Delete instances the manifest doesn't list
+   * @param {string|null} options.createdBy - User id
+   */
+  async apply(manifest, { prune = false, createdBy = null } = {}) {
+    const plan = await this.buildPlan(manifest, { prune });
+    const planned = { ...plan, changes: plan.changes.map(describe) };
+    if (plan.errors.length > 0) {
+      return { ...planned, applied: false, results: [] };
+    }
+
+    const ordered = [...plan.changes].sort((a, b) => stepOf(a) - stepOf(b));
+    const createdIds = new Map();
+    const failedInstances = new Set();
+    const results = [];
+
+    for (const change of ordered) {
+      const described = describe(change);
+      if (change.kind === 'ollama-model' && failedInstances.has(change.instanceName)) {
+        results.push({ ...described, status: 'skipped', error: `Ollama instance ${change.instanceName} failed` });
+        continue;
+      }
+      try {
+        results.push({ ...described, ...await this.applyChange(change, { createdBy, createdIds }) });
+      } catch (error) {
+        if (change.kind === 'ollama') {
+          failedInstances.add(change.name);
+        }
+        results.push({ ...described, status: 'failed', error: error.message });
+      }
+    }
+
+    return { ...planned, applied: true, results };
+  }
+
+  /**
+   * The current fleet as a manifest; settings that have their default are left out
+   */
+  async exportState() {
+    const state = await this.loadState();
+    const vllm = state.instances.map(instance => toManifestEntry(
+      completeVllmSpec(vllmSpecOfInstance(instance, state.adaptersOf(instance.id)), state.defaults),
+      state.defaults,
+      'vllm'
+    ));
+    const ollama = state.ollamaInstances.map(instance => toManifestEntry(
+      completeOllamaSpec(ollamaSpecOfInstance(instance, state.modelsOf(instance.id)), state.defaults),
+      state.defaults,
+      'ollama'
+    ));
+    return { apiVersion: API_VERSION, kind: KIND, vllm, ollama };
+  }
+}
+
+module.exports = new ManifestService();
@@ -0,0 +1,198 @@
+const axios = require('axios');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const gpuService = require('./gpuService');
+const { STATES } = require('../utils/instanceStates');
+const { Counter, Gauge, Histogram, Registry, parseMetricsText, mergeMetricFamilies } = require('../utils/metrics');
+
+const OLLAMA_STATUSES = ['running', 'unhealthy', 'stopped', 'error', 'removed'];
+const SCRAPED_STATES = ['ready', 'unhealthy'];
+const INSTANCE_SCRAPE_TIMEOUT_MS = 5000;
+const MIB = 1024 * 1024;
+
+/**
+ * Prometheus metrics of the manager (GET /metrics) and the aggregated metrics
+ * of its vLLM instances (GET /metrics/instances).
+ * Request latencies and container operation durations are recorded as they
+ * happen; instance counts and GPU statistics are collected on each scrape.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new Registry();
+
+    this.httpRequestDuration = this.registry.register(new Histogram(
+      'vllm_manager_http_request_duration_seconds',
+      'Duration of HTTP requests handled by the manager',
+      ['method', 'route', 'status']
+    ));
+    this.containerOperationDuration = this.registry.register(new Histogram(
+      'vllm_manager_container_operation_duration_seconds',
+      'Duration of container creations (without the image pull) and restarts',
+      ['type', 'operation'],
+      [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+    ));
+    this.containerOperations = this.registry.register(new Counter(
+      'vllm_manager_container_operations_total',
+      'Container creations and restarts by result',
+      ['type', 'operation', 'result']
+    ));
+    this.instances = this.registry.register(new Gauge(
+      'vllm_manager_instances',
+      'Instances by type and status',
+      ['type', 'status']
+    ));
+    this.gpuMemoryTotal = this.registry.register(new Gauge(
+      'vllm_manager_gpu_memory_total_bytes',
+      'Total memory of each GPU',
+      ['gpu', 'name']
+    ));
+    this.gpuMemoryUsed = this.registry.register(new Gauge(
+      'vllm_manager_gpu_memory_used_bytes',
+      'Used memory of each GPU',
+      ['gpu', 'name']
+    ));
+    this.gpuUtilization = this.registry.register(new Gauge(
+      'vllm_manager_gpu_utilization_ratio',
+      'GPU utilization between 0 and 1',
+      ['gpu', 'name']
+    ));
+    this.gpuTemperature = this.registry.register(new Gauge(
+      'vllm_manager_gpu_temperature_celsius',
+      'GPU temperature',
+      ['gpu', 'name']
+    ));
+    this.residentMemory = this.registry.register(new Gauge(
+      'process_resident_memory_bytes',
+      'Resident memory size of the manager process'
+    ));
+    this.startTime = this.registry.register(new Gauge(
+      'process_start_time_seconds',
+      'Start time of the manager process since the Unix epoch'
+    ));
+    this.startTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+  }
+
+  /**
+   * @param {string} route - The matched route pattern, never the raw path, to keep the number of series bounded
+   */
+  observeHttpRequest(method, route, status, seconds) {
+    this.httpRequestDuration.observe({ method, route, status: String(status) }, seconds);
+  }
+
+  /**
+   * Run a container operation and record its duration and result
+   * @param {string} type - 'vllm' or 'ollama'
+   * @param {string} operation - 'create' or 'restart'
+   * @param {Function} operationFn - Performs the operation
+   */
+  async trackContainerOperation(type, operation, operationFn) {
+    const startedAt = process.hrtime.bigint();
+    let result = 'success';
+    try {
+      return await operationFn();
+    } catch (error) {
+      result = 'error';
+      throw error;
+    } finally {
+      this.containerOperationDuration.observe({ type, operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      this.containerOperations.inc({ type, operation, result });
+    }
+  }
+
+  async collectInstanceCounts() {
+    const [vllmCounts, ollamaCounts] = await Promise.all([
+      instanceRepository.countByStatus(),
+      ollamaInstanceRepository.countByStatus()
+    ]);
+
+    // Report every known status, so series drop to 0 instead of disappearing
+    this.instances.reset();
+    STATES.forEach(status => this.instances.set({ type: 'vllm', status }, 0));
+    OLLAMA_STATUSES.forEach(status => this.instances.set({ type: 'ollama', status }, 0));
+    vllmCounts.forEach(row => this.instances.set({ type: 'vllm', status: row.status }, row.count));
+    ollamaCounts.forEach(row => this.instances.set({ type: 'ollama', status: row.status }, row.count));
+  }
+
+  async collectGpuStats() {
+    const gauges = [this.gpuMemoryTotal, this.gpuMemoryUsed, this.gpuUtilization, this.gpuTemperature];
+    gauges.forEach(gauge => gauge.reset());
+
+    const info = await gpuService.getGPUInfo();
+    // GPUs only known from the Docker runtime or device nodes have no statistics
+    if (!info.hasGPU || info.gpus.some(gpu => gpu.id === 'auto')) {
+      return;
+    }
+
+    let gpus;
+    try {
+      gpus = await gpuService.queryGpuStats();
+    } catch (error) {
+      return;
+    }
+    gpus.forEach((gpu) => {
+      const labels = { gpu: gpu.id, name: gpu.name };
+      this.gpuMemoryTotal.set(labels, gpu.memoryTotal * MIB);
+      this.gpuMemoryUsed.set(labels, gpu.memoryUsed * MIB);
+      this.gpuUtilization.set(labels, gpu.utilization / 100);
+      this.gpuTemperature.set(labels, gpu.temperature);
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} The manager's metrics in the text exposition format
+   */
+  async render() {
+    await Promise.all([
+      this.collectInstanceCounts(),
+      this.collectGpuStats().catch(error => console.warn('Could not collect GPU metrics:', error.message))
+    ]);
+    this.residentMemory.set({}, process.memoryUsage().rss);
+    return this.registry.render();
+  }
+
+  /**
+   * Scrape the /metrics endpoint of every serving vLLM instance and re-expose
+   * the results with instance_id, instance_name and model labels. Instances
+   * that can't be scraped are reported through vllm_manager_instance_scrape_up.
+   * @returns {Promise<string>}
+   */
+  async renderInstances() {
+    const instances = await instanceRepository.findByStatuses(SCRAPED_STATES);
+    const scrapeUp = new Gauge(
+      'vllm_manager_instance_scrape_up',
+      'Whether the last scrape of the instance\'s /metrics succeeded',
+      ['instance_id', 'instance_name', 'model']
+    );
+    const scrapeDuration = new Gauge(
+      'vllm_manager_instance_scrape_duration_seconds',
+      'Duration of the last scrape of the instance\'s /metrics',
+      ['instance_id', 'instance_name', 'model']
+    );
+
+    const sources = await Promise.all(instances.map(async (instance) => {
+      const labels = { instance_id: instance.id, instance_name: instance.name, model: instance.model_name };
+      const startedAt = Date.now();
+      try {
+        const response = await axios.get(
+          `http://${process.env.DEFAULT_HOSTNAME || 'inference.vm'}:${instance.port}/metrics`,
+          {
+            timeout: INSTANCE_SCRAPE_TIMEOUT_MS,
+            responseType: 'text',
+            headers: instance.api_key ? { Authorization: `Bearer ${instance.api_key}` } : {}
+          }
+        );
+        scrapeUp.set(labels, 1);
+        return { families: parseMetricsText(response.data), labels };
+      } catch (error) {
+        scrapeUp.set(labels, 0);
+        return null;
+      } finally {
+        scrapeDuration.set(labels, (Date.now() - startedAt) / 1000);
+      }
+    }));
+
+    return `${scrapeUp.render()}\n${scrapeDuration.render()}\n${mergeMetricFamilies(sources.filter(Boolean))}`;
+  }
+}
+
+module.exports = new MetricsService();
@@ -1,24 +1,45 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const { estimateParameters, estimateModelMemory } = require('../utils/vramEstimate');
+
+// Placement reads the configuration of the same model several times while creating an instance
+const CONFIG_CACHE_TTL_MS = 10 * 60 * 1000;
+const CONFIG_CACHE_MAX_ENTRIES = 200;
 
 class ModelService {
   constructor() {
     this.baseURL = 'https://huggingface.co/api';
     this.timeout = 10000; // 10 seconds
+    this.configCache = new Map();
   }
 
   /**
    * Get model configuration from HuggingFace
    * @param {string} modelName - The model name (e.g., "mistralai/Mistral-7B-Instruct-v0.1")
+   * @param {Object} options
+   * @param {string} options.hfToken - Token for gated and private models
    * @returns {Promise<Object>} Model configuration including context length
    */
-  async getModelConfig(modelName) {
+  async getModelConfig(modelName, { hfToken } = {}) {
+    // Gated and private configurations are only served again to the token that read them
+    const cacheKey = hfToken
+      ? `${modelName}@${crypto.createHash('sha256').update(hfToken).digest('hex').substring(0, 16)}`
+      : modelName;
+    const cached = this.configCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    const headers = { 'User-Agent': 'vLLM-Manager/1.0' };
+    if (hfToken) {
+      headers.Authorization = `Bearer ${hfToken}`;
+    }
+
     try {
       // Fetch model info from HuggingFace API
       const response = await axios.get(`${this.baseURL}/models/${modelName}`, {
         timeout: this.timeout,
-        headers: {
-          'User-Agent': 'vLLM-Manager/1.0'
-        }
+        headers
       });
 
       const modelInfo = response.data;
@@ -30,9 +51,7 @@ class ModelService {
           `https://huggingface.co/${modelName}/resolve/main/config.json`,
           {
             timeout: this.timeout,
-            headers: {
-              'User-Agent': 'vLLM-Manager/1.0'
-            }
+            headers
           }
         );
         config = configResponse.data;
@@ -67,10 +86,19 @@ class ModelService {
         modelType: config?.model_type || null,
         torchDtype: config?.torch_dtype || null,
         vocabSize: config?.vocab_size || null,
+        // Token IDs can be 0
+        bosTokenId: Number.isInteger(config?.bos_token_id) ? config.bos_token_id : null,
         hiddenSize: config?.hidden_size || null,
         numLayers: config?.num_hidden_layers || null,
         numAttentionHeads: config?.num_attention_heads || null,
+        numKeyValueHeads: config?.num_key_value_heads || null,
+        headDim: config?.head_dim || null,
         intermediateSize: config?.intermediate_size || null,
+        numExperts: config?.num_local_experts || config?.num_experts || null,
+        tieWordEmbeddings: config?.tie_word_embeddings || false,
+        quantization: config?.quantization_config?.quant_method || null,
+        // Exact parameter count from the safetensors metadata, when published
+        numParameters: modelInfo.safetensors?.total || null,
         rmsNormEps: config?.rms_norm_eps || null,
         ropeTheta: config?.rope_theta || null,
         slidingWindow: config?.sliding_window || null,
@@ -82,6 +110,9 @@ class ModelService {
         private: modelInfo.private || false
       };
 
+      if (config) {
+        this.cacheConfig(cacheKey, result);
+      }
       return result;
     } catch (error) {
       console.error(`Error fetching model config for ${modelName}:`, error.message);
@@ -98,10 +129,26 @@ class ModelService {
     }
   }
 
+  /**
+   * Keep a configuration for CONFIG_CACHE_TTL_MS, dropping expired entries and
+   * then the oldest ones beyond CONFIG_CACHE_MAX_ENTRIES
+   */
+  cacheConfig(key, config) {
+    const now = Date.now();
+    this.configCache.delete(key);
+    this.configCache.set(key, { config, expiresAt: now + CONFIG_CACHE_TTL_MS });
+
+    for (const [cachedKey, entry] of this.configCache) {
+      if (entry.expiresAt <= now || this.configCache.size > CONFIG_CACHE_MAX_ENTRIES) {
+        this.configCache.delete(cachedKey);
+      }
+    }
+  }
+
   /**
    * Get recommended vLLM parameters for a model
    * @param {string} modelName - The model name
-   * @returns {Promise<Object>} Recommended parameters
+   * @returns {Promise<Object>} Recommended parameters and the memory estimate with them
    */
   async getRecommendedParams(modelName) {
     try {
@@ -131,12 +178,12 @@ class ModelService {
       }
 
       // Adjust GPU memory utilization based on model size
-      if (config.hiddenSize && config.numLayers) {
-        const estimatedParams = (config.hiddenSize * config.numLayers * config.vocabSize) / 1000000;
-        if (estimatedParams > 7000) { // 7B+ parameters
+      const estimatedParams = config.numParameters || estimateParameters(config);
+      if (estimatedParams) {
+        if (estimatedParams > 7e9) { // 7B+ parameters
           recommendations.gpuMemoryUtilization = 0.85;
           recommendations.maxNumSeqs = 128; // Reduce concurrent sequences for larger models
-        } else if (estimatedParams > 1000) { // 1B+ parameters
+        } else if (estimatedParams > 1e9) { // 1B+ parameters
           recommendations.gpuMemoryUtilization = 0.9;
           recommendations.maxNumSeqs = 256;
         }
@@ -149,7 +196,8 @@ class ModelService {
 
       return {
         modelConfig: config,
-        recommendations
+        recommendations,
+        estimate: estimateModelMemory(config, { maxModelLen: recommendations.maxModelLen })
       };
     } catch (error) {
       console.error(`Error getting recommendations for ${modelName}:`, error.message);
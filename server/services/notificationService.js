@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const instanceLifecycleService = require('./instanceLifecycleService');
+const ollamaStatusService = require('./ollamaStatusService');
+const instanceJobService = require('./instanceJobService');
+const healthMonitorService = require('./healthMonitorService');
+const gpuService = require('./gpuService');
+
+const GPU_STATS_INTERVAL_MS = (parseInt(process.env.GPU_STATS_INTERVAL_SECONDS, 10) || 10) * 1000;
+// Instance changes move GPU instance counts; wait for bursts of changes to settle
+const GPU_STATS_DEBOUNCE_MS = 1000;
+
+/**
+ * Push channel to connected UIs (GET /api/events). Notifications:
+ * - 'instance': a vLLM instance was created or changed status ({ instanceId, from, to, reason, at })
+ * - 'instance-removed': a vLLM instance was deleted ({ instanceId })
+ * - 'ollama-instance' / 'ollama-instance-removed': the same for Ollama instances
+ * - 'ollama-pull': Ollama model pull progress ({ instanceId, modelId, modelName, state, status, percent, error }),
+ *   state being start, progress, done or error
+ * - 'job': instance job progress ({ jobId, instanceId, type, event, data }), without container output
+ * - 'health-alert': the health monitor restarted an instance, gave up on it, or saw it
+ *   become unhealthy or recover ({ instanceId, instanceType, name, kind, message, at })
+ * - 'gpu-stats': the GPU statistics served by /api/system/gpu/stats, sent when they change
+ *
+ * GPU statistics are only sampled while at least one client is connected.
+ */
+class NotificationService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.started = false;
+    this.gpuTimer = null;
+    this.gpuDebounce = null;
+    this.lastGpuStats = null;
+    this.onInstanceTransition = (change) => {
+      this.publish('instance', change);
+      this.scheduleGpuSample();
+    };
+    this.onOllamaStatus = (change) => {
+      this.publish('ollama-instance', change);
+      this.scheduleGpuSample();
+    };
+    this.onJobEvent = (entry) => {
+      // Container output and per-layer pull progress stay on the job's own stream
+      if (entry.event === 'log' || entry.data.details) {
+        return;
+      }
+      this.publish('job', entry);
+    };
+    this.onHealthAlert = alert => this.publish('health-alert', alert);
+  }
+
+  publish(type, data) {
+    this.emit('notification', { type, data });
+  }
+
+  /**
+   * @param {Function} listener - Called with { type, data }
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.on('notification', listener);
+    this.startGpuSampling();
+
+    return () => {
+      this.off('notification', listener);
+      if (this.listenerCount('notification') === 0) {
+        this.stopGpuSampling();
+      }
+    };
+  }
+
+  /**
+   * Latest GPU statistics, for sending to a client as soon as it connects
+   */
+  getGpuStats() {
+    return this.lastGpuStats;
+  }
+
+  async sampleGpuStats() {
+    try {
+      await gpuService.refreshGPUStats();
+      const stats = await gpuService.getGPUStatistics();
+      const changed = JSON.stringify(stats) !== JSON.stringify(this.lastGpuStats);
+      this.lastGpuStats = stats;
+      if (changed) {
+        this.publish('gpu-stats', stats);
+      }
+    } catch (error) {
+      console.warn('Could not sample GPU statistics:', error.message);
+    }
+  }
+
+  scheduleGpuSample() {
+    if (!this.gpuTimer) {
+      return;
+    }
+    clearTimeout(this.gpuDebounce);
+    this.gpuDebounce = setTimeout(() => this.sampleGpuStats(), GPU_STATS_DEBOUNCE_MS);
+    if (this.gpuDebounce.unref) {
+      this.gpuDebounce.unref();
+    }
+  }
+
+  startGpuSampling() {
+    if (this.gpuTimer) {
+      return;
+    }
+    this.gpuTimer = setInterval(() => this.sampleGpuStats(), GPU_STATS_INTERVAL_MS);
+    if (this.gpuTimer.unref) {
+      this.gpuTimer.unref();
+    }
+    this.sampleGpuStats();
+  }
+
+  stopGpuSampling() {
+    clearInterval(this.gpuTimer);
+    clearTimeout(this.gpuDebounce);
+    this.gpuTimer = null;
+    this.gpuDebounce = null;
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    instanceLifecycleService.on('transition', this.onInstanceTransition);
+    ollamaStatusService.on('status', this.onOllamaStatus);
+    instanceJobService.on('job-event', this.onJobEvent);
+    healthMonitorService.on('alert', this.onHealthAlert);
+  }
+
+  stop() {
+    this.started = false;
+    instanceLifecycleService.off('transition', this.onInstanceTransition);
+    ollamaStatusService.off('status', this.onOllamaStatus);
+    instanceJobService.off('job-event', this.onJobEvent);
+    healthMonitorService.off('alert', this.onHealthAlert);
+    this.stopGpuSampling();
+  }
+}
+
+module.exports = new NotificationService();
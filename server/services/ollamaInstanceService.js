@@ -0,0 +1,378 @@
+const { v4: uuidv4 } = require('uuid');
+const ollamaService = require('./ollamaService');
+const dockerService = require('./dockerService');
+const portService = require('./portService');
+const settingsService = require('./settingsService');
+const apiKeyService = require('./apiKeyService');
+const notificationService = require('./notificationService');
+const healthMonitorService = require('./healthMonitorService');
+const placementService = require('./placementService');
+const imageService = require('./imageService');
+const db = require('../database/db');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaModelRepository = require('../database/repositories/ollamaModelRepository');
+const portRepository = require('../database/repositories/portRepository');
+const healthCheckRepository = require('../database/repositories/healthCheckRepository');
+const gpuAllocationRepository = require('../database/repositories/gpuAllocationRepository');
+const { validateImageOptions } = require('../utils/containerImages');
+
+const reject = (status, error, details = {}) => ({ status, body: { error, ...details } });
+
+const ignore = () => null;
+
+/**
+ * Creates and removes Ollama instances and pulls and deletes their models.
+ * create and remove answer like the Ollama API does: { status, body } with the HTTP status and JSON body.
+ */
+class OllamaInstanceService {
+  /**
+   * Settings of POST /api/ollama with the defaults filled in
+   * @param {Object} request - Body of POST /api/ollama
+   * @returns {Promise<{error: string}|Object>} The settings, with the image to run as imageChoice
+   */
+  async resolveSettings(request) {
+    const { apiKey, requireAuth = true, hostname, gpuSelection, gpuMemoryFraction } = request;
+
+    if (gpuMemoryFraction && !(gpuMemoryFraction > 0 && gpuMemoryFraction <= 1)) {
+      return { error: 'gpuMemoryFraction must be between 0 and 1' };
+    }
+    const imageValidation = validateImageOptions(request);
+    if (imageValidation.error) {
+      return imageValidation;
+    }
+    const imageConfig = imageValidation.options;
+
+    // Get default settings and merge with provided values
+    const defaults = await settingsService.getInstanceDefaults();
+    const effectiveGPUSelection = gpuSelection || defaults.gpuSelection;
+
+    const imageChoice = await imageService.resolve('ollama', imageConfig, effectiveGPUSelection === 'cpu' ? 'cpu' : null);
+    if (imageChoice.error) {
+      return imageChoice;
+    }
+
+    // Handle API key - ensure OpenAI compatibility with sk- prefix
+    let effectiveApiKey = null;
+    if (requireAuth) {
+      if (apiKey) {
+        effectiveApiKey = apiKey.startsWith('sk-') ? apiKey : `sk-${apiKey}`;
+      } else {
+        effectiveApiKey = apiKeyService.generateInstanceKey();
+      }
+    }
+
+    return {
+      apiKey: effectiveApiKey,
+      requireAuth,
+      hostname: hostname || defaults.hostname,
+      gpuSelection: effectiveGPUSelection,
+      memoryFraction: parseFloat(gpuMemoryFraction) || null,
+      imageConfig,
+      imageChoice
+    };
+  }
+
+  /**
+   * Place an instance and create its container. The image must already be pulled.
+   * @param {string} instanceId
+   * @param {string} name
+   * @param {Object} settings - resolveSettings() settings
+   * @param {number|null} port - The instance's port, or null to claim one
+   * @param {Function} record - Called with ({ port, containerId, config }, tx) to store the instance
+   * @returns {Promise<Object>} { placement, result } as placementService.placeOllama, result
+   *   being the container with its port
+   */
+  placeAndCreate(instanceId, name, settings, port, record) {
+    // The lock is only held to choose the GPU and claim the port; the GPU's share stays
+    // reserved until it is committed together with the container
+    return placementService.placeOllama(
+      instanceId,
+      { gpuSelection: settings.gpuSelection, memoryFraction: settings.memoryFraction },
+      {
+        reserve: () => port || portService.allocatePort(instanceId),
+        create: async (gpuPlacement, reservedPort) => {
+          const instanceConfig = {
+            id: instanceId,
+            name,
+            port: reservedPort,
+            apiKey: settings.apiKey,
+            requireAuth: settings.requireAuth,
+            gpuSelection: gpuPlacement.device === 'gpu' ? gpuPlacement.gpuIds[0] : settings.gpuSelection,
+            ...settings.imageConfig
+          };
+
+          // Create or get existing Ollama container
+          let created;
+          try {
+            created = await ollamaService.createOrGetOllamaContainer(instanceConfig, { pulledImage: settings.imageChoice.image });
+          } catch (error) {
+            if (!port) {
+              await portService.releasePort(reservedPort)
+                .catch(releaseError => console.warn(`Could not release port ${reservedPort}:`, releaseError.message));
+            }
+            throw error;
+          }
+
+          // Save to database
+          const config = JSON.stringify({
+            apiKey: settings.apiKey ? '***' : null,
+            requireAuth: settings.requireAuth,
+            hostname: settings.hostname,
+            port: reservedPort,
+            deviceInfo: created.deviceInfo,
+            gpuId: created.gpuId,
+            gpuSelection: settings.gpuSelection,
+            gpuMemoryFraction: gpuPlacement.gpuMemoryUtilization,
+            imageConfig: settings.imageConfig,
+            resolvedImage: created.resolvedImage
+          });
+
+          try {
+            await db.transaction(async (tx) => {
+              await record({ port: reservedPort, containerId: created.containerId, config }, tx);
+              // A reused container already holds its GPU share
+              const gpuIds = gpuPlacement.device === 'gpu' && created.gpuId !== 'auto' ? [created.gpuId] : [];
+              await gpuAllocationRepository.replace('ollama', instanceId, gpuIds, gpuPlacement.gpuMemoryUtilization, tx);
+            });
+          } catch (err) {
+            console.error('Database error:', err);
+            throw new Error('Failed to save Ollama instance');
+          }
+          return { ...created, port: reservedPort };
+        }
+      }
+    );
+  }
+
+  /**
+   * What create and update answer with
+   */
+  describeInstance(instanceId, name, settings, placement, containerResult) {
+    return {
+      id: instanceId,
+      name,
+      port: containerResult.port,
+      containerId: containerResult.containerId,
+      status: 'running',
+      url: `http://${settings.hostname}:${containerResult.port}`,
+      deviceInfo: containerResult.deviceInfo,
+      gpuId: containerResult.gpuId,
+      selectedGPU: containerResult.selectedGPU,
+      gpuMemoryFraction: placement.gpuMemoryUtilization,
+      resolvedImage: containerResult.resolvedImage,
+      requireAuth: settings.requireAuth,
+      apiKeyProvided: !!settings.apiKey
+    };
+  }
+
+  /**
+   * Create an Ollama instance and its container
+   * @param {Object} request - Body of POST /api/ollama
+   * @returns {Promise<{status: number, body: Object}>} 201 with the instance, or the refusal
+   */
+  async create(request) {
+    const { name, apiKey, requireAuth = true, hostname, gpuSelection } = request;
+
+    if (!name) {
+      return reject(400, 'Name is required');
+    }
+    const settings = await this.resolveSettings(request);
+    if (settings.error) {
+      return reject(400, settings.error);
+    }
+
+    const instanceId = uuidv4();
+
+    // Pulled before placing, so other placements don't wait for a large image to download
+    await dockerService.ensureImage(settings.imageChoice.image, { pullPolicy: settings.imageChoice.pullPolicy });
+
+    const { placement, result: containerResult } = await this.placeAndCreate(instanceId, name, settings, null, ({ port, containerId, config }, tx) => (
+      ollamaInstanceRepository.create({
+        id: instanceId,
+        name,
+        port,
+        containerId,
+        status: 'running',
+        config,
+        apiKey: settings.apiKey
+      }, tx)
+    ));
+
+    if (!containerResult) {
+      return reject(409, `No GPU can fit this instance: ${placement.reason}`, { placement });
+    }
+    notificationService.publish('ollama-instance', {
+      instanceId, from: null, to: 'running', reason: 'Instance created', at: new Date().toISOString()
+    });
+
+    return {
+      status: 201,
+      body: {
+        ...this.describeInstance(instanceId, name, settings, placement, containerResult),
+        usingDefaults: {
+          apiKey: !apiKey && requireAuth,
+          hostname: !hostname,
+          gpuSelection: !gpuSelection
+        },
+        created: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Recreate an Ollama instance's container with new settings. The instance keeps its
+   * id, port and models, which stay in the ollama-models volume the new container mounts.
+   * Settings that no GPU can fit are refused while the old container keeps running.
+   * @param {string} id - Instance id
+   * @param {Object} request - Settings as for create; the name can't change, and the
+   *   instance keeps its API key unless the request sets one
+   * @returns {Promise<{status: number, body: Object}>} 200 with the instance, or the refusal
+   */
+  async update(id, request) {
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return reject(404, 'Ollama instance not found');
+    }
+    const settings = await this.resolveSettings({ ...request, apiKey: request.apiKey || instance.api_key });
+    if (settings.error) {
+      return reject(400, settings.error);
+    }
+
+    // Refused before the working container is touched; the instance's own share is free for it
+    const precheck = await placementService.planOllama(
+      { gpuSelection: settings.gpuSelection, memoryFraction: settings.memoryFraction },
+      { excludeInstanceId: id }
+    );
+    if (!precheck.fits) {
+      return reject(409, `No GPU can fit this instance: ${precheck.reason}`, { placement: precheck });
+    }
+
+    // Pulled while the old container still serves
+    await dockerService.ensureImage(settings.imageChoice.image, { pullPolicy: settings.imageChoice.pullPolicy });
+
+    const fail = async (reason) => {
+      await ollamaInstanceRepository.updateStatus(id, 'error', reason);
+      notificationService.publish('ollama-instance', {
+        instanceId: id, from: instance.status, to: 'error', reason, at: new Date().toISOString()
+      });
+    };
+
+    let placement;
+    let containerResult;
+    try {
+      if (instance.container_id) {
+        await ollamaService.removeContainer(instance.container_id);
+      }
+      ({ placement, result: containerResult } = await this.placeAndCreate(id, instance.name, settings, instance.port, ({ containerId, config }, tx) => (
+        ollamaInstanceRepository.updateDeployment(id, { containerId, config, apiKey: settings.apiKey }, tx)
+      )));
+    } catch (error) {
+      await fail(`Recreating the container failed: ${error.message}`);
+      return reject(500, 'Failed to update Ollama instance: ' + error.message);
+    }
+
+    if (!containerResult) {
+      await fail(`No GPU can fit this instance: ${placement.reason}`);
+      return reject(409, `No GPU can fit this instance: ${placement.reason}`, { placement });
+    }
+    notificationService.publish('ollama-instance', {
+      instanceId: id, from: instance.status, to: 'running', reason: 'Recreated with new settings', at: new Date().toISOString()
+    });
+
+    return { status: 200, body: this.describeInstance(id, instance.name, settings, placement, containerResult) };
+  }
+
+  /**
+   * Remove an Ollama instance's container and records, including its models
+   * @param {string} id - Instance id
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async remove(id) {
+    const instance = await ollamaInstanceRepository.findById(id);
+    if (!instance) {
+      return reject(404, 'Ollama instance not found');
+    }
+
+    try {
+      // Remove container
+      if (instance.container_id) {
+        await ollamaService.removeContainer(instance.container_id);
+      }
+
+      // Release port and remove the instance and its model records together
+      await db.transaction(async (tx) => {
+        await portRepository.release(instance.port, tx);
+        await ollamaModelRepository.deleteByInstance(id, tx);
+        await healthCheckRepository.deleteByInstance(id, tx);
+        await gpuAllocationRepository.deleteByInstance('ollama', id, tx);
+        await ollamaInstanceRepository.delete(id, tx);
+      });
+    } catch (error) {
+      return reject(500, 'Failed to remove Ollama instance: ' + error.message);
+    }
+    healthMonitorService.forget(id);
+    notificationService.publish('ollama-instance-removed', { instanceId: id });
+    return { status: 200, body: { status: 'removed' } };
+  }
+
+  /**
+   * Pull a model onto an instance, recording it in ollama_models. Other open pages
+   * follow the pull through the notification channel, at whole-percent steps.
+   * @param {Object} instance - Ollama instance row
+   * @param {string} modelName - Model to pull, e.g. llama3.2:3b
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onStart - Called with the model record's id once it is stored
+   * @param {Function} callbacks.onProgress - Called with each progress line of Ollama
+   * @returns {Promise<Object>} Ollama's final status; rejects when the pull fails
+   */
+  async pullModel(instance, modelName, { onStart = ignore, onProgress = ignore } = {}) {
+    const modelId = uuidv4();
+    await ollamaModelRepository.create({ id: modelId, instanceId: instance.id, name: modelName, status: 'downloading' });
+    onStart(modelId);
+
+    let lastBroadcast = null;
+    const broadcast = (state, progress = {}) => {
+      const percent = progress.total && progress.completed ? Math.round((progress.completed / progress.total) * 100) : 0;
+      const key = `${state}:${progress.status}:${percent}`;
+      if (key === lastBroadcast) {
+        return;
+      }
+      lastBroadcast = key;
+      notificationService.publish('ollama-pull', {
+        instanceId: instance.id, modelId, modelName, state, status: progress.status || null, percent, error: progress.error || null
+      });
+    };
+    broadcast('start', { status: 'Starting...' });
+
+    try {
+      const result = await ollamaService.pullModelStream(instance.port, modelName, (progress) => {
+        onProgress(progress);
+        broadcast('progress', progress);
+      });
+
+      // Update model status in database on success
+      await ollamaModelRepository.markReady(modelId, { size: result.size, digest: result.digest })
+        .catch(updateErr => console.error('Error finalizing model status:', updateErr));
+      broadcast('done', { status: 'success' });
+      return result;
+    } catch (pullError) {
+      // Update model status to failed on error
+      await ollamaModelRepository.markFailed(modelId)
+        .catch(updateErr => console.error('Error setting model status to failed:', updateErr));
+      broadcast('error', { error: pullError.message || 'Failed to pull model' });
+      throw pullError;
+    }
+  }
+
+  /**
+   * Delete a model from an instance and its records
+   * @param {Object} instance - Ollama instance row
+   * @param {string} modelName
+   */
+  async deleteModel(instance, modelName) {
+    await ollamaService.deleteModel(instance.port, modelName);
+    await ollamaModelRepository.deleteByName(instance.id, modelName);
+  }
+}
+
+module.exports = new OllamaInstanceService();
@@ -1,8 +1,11 @@
 const Docker = require('dockerode');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
-const { getDatabase } = require('../database/init');
 const gpuService = require('./gpuService');
+const dockerEventService = require('./dockerEventService');
+const metricsService = require('./metricsService');
+const dockerService = require('./dockerService');
+const imageService = require('./imageService');
 
 const docker = new Docker();
 
@@ -13,8 +16,14 @@ class OllamaService {
 
   /**
    * Create or get existing Ollama container
+   * @param {Object} instanceConfig - Instance settings; image, imageTag and pullPolicy choose the
+   *   image as for vLLM instances (see imageService)
+   * @param {Object} options
+   * @param {string|null} options.pulledImage - Image the caller has already pulled, so it isn't pulled again
+   * @returns {Promise<Object>} The container, with the image it runs as resolvedImage ({ reference, digest, pullPolicy },
+   *   null for a reused container)
    */
-  async createOrGetOllamaContainer(instanceConfig) {
+  async createOrGetOllamaContainer(instanceConfig, { pulledImage = null } = {}) {
     const { 
       id, 
       name, 
@@ -44,7 +53,8 @@ class OllamaService {
           status: info.State.Running ? 'running' : 'stopped',
           deviceInfo: 'Ollama GPU mode',
           gpuId: 'auto',
-          selectedGPU: { id: 'auto', name: 'Auto-selected' }
+          selectedGPU: { id: 'auto', name: 'Auto-selected' },
+          resolvedImage: null
         };
       }
 
@@ -53,11 +63,16 @@ class OllamaService {
       
       // Get device configuration for selected GPU
       const deviceConfig = gpuService.getDeviceConfigForGPU(selectedGPU);
-      console.log(`Creating Ollama container with: ${deviceConfig.deviceInfo}`);
+      const imageChoice = await imageService.resolve('ollama', instanceConfig, selectedGPU ? null : 'cpu');
+      if (imageChoice.error) {
+        throw new Error(imageChoice.error);
+      }
+      const { image, pullPolicy } = imageChoice;
+      console.log(`Creating Ollama container with: ${deviceConfig.deviceInfo} (${image})`);
 
       // Base container configuration
       const containerConfig = {
-        Image: 'ollama/ollama:latest',
+        Image: image,
         name: containerName,
         ExposedPorts: {
           '11434/tcp': {}
@@ -91,10 +106,15 @@ class OllamaService {
       };
 
       console.log('Creating Ollama container with config:', JSON.stringify(containerConfig.HostConfig, null, 2));
-      const container = await this.docker.createContainer(containerConfig);
-      
-      // Start the container
-      await container.start();
+      if (image !== pulledImage) {
+        await dockerService.ensureImage(image, { pullPolicy });
+      }
+      const digest = await dockerService.getImageDigest(image);
+      const container = await metricsService.trackContainerOperation('ollama', 'create', async () => {
+        const created = await this.docker.createContainer(containerConfig);
+        await created.start();
+        return created;
+      });
       
       // Track GPU usage
       await gpuService.trackGPUUsage(id, deviceConfig.gpuId);
@@ -105,7 +125,8 @@ class OllamaService {
         status: 'running',
         deviceInfo: deviceConfig.deviceInfo,
         gpuId: deviceConfig.gpuId,
-        selectedGPU: selectedGPU
+        selectedGPU: selectedGPU,
+        resolvedImage: { reference: image, digest, pullPolicy }
       };
     } catch (error) {
       console.error('Error creating Ollama container:', error);
@@ -152,6 +173,7 @@ class OllamaService {
    */
   async stopContainer(containerId) {
     try {
+      dockerEventService.expect(containerId, 'die');
       const container = this.docker.getContainer(containerId);
       await container.stop();
       return { status: 'stopped' };
@@ -166,8 +188,9 @@ class OllamaService {
    */
   async restartContainer(containerId) {
     try {
+      dockerEventService.expect(containerId, 'die');
       const container = this.docker.getContainer(containerId);
-      await container.restart();
+      await metricsService.trackContainerOperation('ollama', 'restart', () => container.restart());
       return { status: 'running' };
     } catch (error) {
       console.error('Error restarting Ollama container:', error);
@@ -180,6 +203,7 @@ class OllamaService {
    */
   async removeContainer(containerId) {
     try {
+      dockerEventService.expect(containerId, 'die', 'destroy');
       const container = this.docker.getContainer(containerId);
       await container.remove({ force: true });
       return { status: 'removed' };
@@ -193,24 +217,6 @@ class OllamaService {
     }
   }
 
-  /**
-   * Get container logs
-   */
-  async getContainerLogs(containerId, tail = 100) {
-    try {
-      const container = this.docker.getContainer(containerId);
-      const logs = await container.logs({
-        stdout: true,
-        stderr: true,
-        tail: tail
-      });
-      return logs.toString('utf8');
-    } catch (error) {
-      console.error('Error getting Ollama container logs:', error);
-      throw error;
-    }
-  }
-
   /**
    * List all Ollama containers
    */
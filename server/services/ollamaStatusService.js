@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const db = require('../database/db');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaService = require('./ollamaService');
+const dockerEventService = require('./dockerEventService');
+
+const PROBE_TIMEOUT_MS = 5000;
+
+// Statuses in which the container should be running and answering /api/tags
+const PROBED_STATUSES = ['running', 'unhealthy'];
+
+/**
+ * Keeps the stored status of Ollama instances (running, unhealthy, stopped,
+ * error, removed) in line with their containers, from Docker events and a
+ * reconciliation on start and after the event stream reconnects, and from
+ * /api/tags probes scheduled by healthMonitorService. Every change goes through
+ * setStatus(), which emits a 'status' event.
+ */
+class OllamaStatusService extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+    this.onContainerEvent = event => this.handleContainerEvent(event);
+    this.onEventsReconnected = () => this.syncWithDocker()
+      .catch(error => console.warn('Could not sync Ollama instance statuses:', error.message));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The change, or null if the instance is unknown or unchanged
+   */
+  async setStatus(instanceId, status, reason = null) {
+    const change = await db.transaction(async (tx) => {
+      const instance = await ollamaInstanceRepository.findById(instanceId, tx);
+      if (!instance || (instance.status === status && (instance.status_reason || null) === reason)) {
+        return null;
+      }
+      await ollamaInstanceRepository.updateStatus(instanceId, status, reason, tx);
+      return { instanceId, from: instance.status, to: status, reason, at: new Date().toISOString() };
+    });
+
+    if (change) {
+      this.emit('status', change);
+    }
+    return change;
+  }
+
+  /**
+   * @param {Object} event - Raw event from the Docker events stream
+   */
+  async handleContainerEvent(event) {
+    const { action, containerId, exitCode, health } = dockerEventService.describe(event);
+    const instance = containerId ? await ollamaInstanceRepository.findByContainerId(containerId) : null;
+    if (!instance) {
+      return null;
+    }
+
+    switch (action) {
+      case 'start':
+        return this.setStatus(instance.id, 'running');
+
+      case 'oom':
+        return this.setStatus(instance.id, 'error', 'Container ran out of memory');
+
+      case 'die': {
+        const expected = dockerEventService.consumeExpected(containerId, 'die');
+        // Keep the more specific reason of an OOM kill or of an instance the health monitor gave up on
+        if (instance.status === 'error') {
+          return null;
+        }
+        if (expected) {
+          return this.setStatus(instance.id, 'stopped');
+        }
+        return exitCode === 0
+          ? this.setStatus(instance.id, 'stopped', 'Container exited')
+          : this.setStatus(instance.id, 'error', `Container exited with code ${exitCode}`);
+      }
+
+      case 'destroy':
+        if (dockerEventService.consumeExpected(containerId, 'destroy')) {
+          return null;
+        }
+        return this.setStatus(instance.id, 'removed', 'Container was removed outside the manager');
+
+      case 'health_status':
+        if (health === 'unhealthy' && instance.status === 'running') {
+          return this.setStatus(instance.id, 'unhealthy', 'Docker health check failed');
+        }
+        if (health === 'healthy' && instance.status === 'unhealthy') {
+          return this.setStatus(instance.id, 'running');
+        }
+        return null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check that Ollama answers /api/tags
+   * @returns {Promise<{healthy: boolean, error: string|null, latencyMs: number}>}
+   */
+  async checkHealth(instance) {
+    const startedAt = Date.now();
+    try {
+      await axios.get(`http://${process.env.DEFAULT_HOSTNAME || 'inference.vm'}:${instance.port}/api/tags`, {
+        timeout: PROBE_TIMEOUT_MS
+      });
+      return { healthy: true, error: null, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+      return { healthy: false, error: detail, latencyMs: Date.now() - startedAt };
+    }
+  }
+
+  /**
+   * Check an instance's health and move it between running and unhealthy
+   * @returns {Promise<Object>} The result of checkHealth()
+   */
+  async probeInstance(instance) {
+    const result = await this.checkHealth(instance);
+
+    if (result.healthy && instance.status === 'unhealthy') {
+      await this.setStatus(instance.id, 'running', null);
+    } else if (!result.healthy && instance.status === 'running') {
+      await this.setStatus(instance.id, 'unhealthy', `Health check failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Probe every instance whose container should be running
+   * @returns {Promise<Array<{instance: Object, result: Object}>>} Instances as they were before the probe
+   */
+  async probeInstances() {
+    const instances = await ollamaInstanceRepository.findByStatuses(PROBED_STATUSES);
+    const results = await Promise.all(instances.map(instance => this.probeInstance(instance)
+      .then(result => ({ instance, result }))
+      .catch(error => {
+        console.warn(`Health probe for Ollama instance ${instance.id} failed:`, error.message);
+        return null;
+      })));
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Bring stored statuses in line with the containers, e.g. after missing Docker events
+   */
+  async syncWithDocker() {
+    const instances = await ollamaInstanceRepository.findAll();
+
+    for (const instance of instances) {
+      if (!instance.container_id || instance.status === 'removed') {
+        continue;
+      }
+
+      let state;
+      try {
+        state = (await ollamaService.docker.getContainer(instance.container_id).inspect()).State;
+      } catch (error) {
+        if (error.statusCode === 404) {
+          await this.setStatus(instance.id, 'removed', 'Container no longer exists');
+        }
+        continue;
+      }
+
+      if (state.Running) {
+        const unhealthy = state.Health && state.Health.Status === 'unhealthy';
+        if (unhealthy && instance.status !== 'unhealthy') {
+          await this.setStatus(instance.id, 'unhealthy', 'Docker health check failed');
+        } else if (!unhealthy && instance.status !== 'running') {
+          await this.setStatus(instance.id, 'running');
+        }
+      } else if (!['stopped', 'error'].includes(instance.status)) {
+        await (state.ExitCode === 0
+          ? this.setStatus(instance.id, 'stopped', 'Container is not running')
+          : this.setStatus(instance.id, 'error', `Container exited with code ${state.ExitCode}`));
+      }
+    }
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    dockerEventService.on('container', this.onContainerEvent);
+    dockerEventService.on('reconnected', this.onEventsReconnected);
+    try {
+      await this.syncWithDocker();
+    } catch (error) {
+      console.warn('Could not sync Ollama instance statuses with Docker:', error.message);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    dockerEventService.off('container', this.onContainerEvent);
+    dockerEventService.off('reconnected', this.onEventsReconnected);
+  }
+}
+
+module.exports = new OllamaStatusService();
@@ -1,7 +1,9 @@
 const Docker = require('dockerode');
 const { v4: uuidv4 } = require('uuid');
-const { getDatabase } = require('../database/init');
-const portService = require('./portService');
+const db = require('../database/db');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const portRepository = require('../database/repositories/portRepository');
+const instanceLifecycleService = require('./instanceLifecycleService');
 
 const docker = new Docker();
 
@@ -23,14 +25,7 @@ class OrphanService {
       );
 
       // Get all containers tracked in database
-      const db = getDatabase();
-      const dbContainers = await new Promise((resolve, reject) => {
-        db.all('SELECT container_id FROM instances WHERE container_id IS NOT NULL', (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows.map(row => row.container_id));
-        });
-      });
-      db.close();
+      const dbContainers = await instanceRepository.findContainerIds();
 
       // Find orphaned containers
       const orphanedContainers = [];
@@ -170,55 +165,30 @@ class OrphanService {
    * @returns {Promise<Array>} Array of cleaned up ports
    */
   async cleanupStalePortAllocations() {
-    const db = getDatabase();
     const cleanedPorts = [];
+
+    // Get all allocated ports and existing instance IDs
+    const allocatedPorts = await portRepository.findAll();
+    const existingInstances = await instanceRepository.findIds();
     
-    try {
-      // Get all allocated ports
-      const allocatedPorts = await new Promise((resolve, reject) => {
-        db.all('SELECT port, instance_id FROM allocated_ports', (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
+    // Find stale allocations
+    const staleAllocations = allocatedPorts.filter(allocation => 
+      !existingInstances.includes(allocation.instance_id)
+    );
+    
+    // Clean up stale allocations
+    for (const allocation of staleAllocations) {
+      await portRepository.releaseAllocation(allocation.port, allocation.instance_id);
       
-      // Get all existing instance IDs
-      const existingInstances = await new Promise((resolve, reject) => {
-        db.all('SELECT id FROM instances', (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows.map(row => row.id));
-        });
+      cleanedPorts.push({
+        port: allocation.port,
+        staleInstanceId: allocation.instance_id
       });
       
-      // Find stale allocations
-      const staleAllocations = allocatedPorts.filter(allocation => 
-        !existingInstances.includes(allocation.instance_id)
-      );
-      
-      // Clean up stale allocations
-      for (const allocation of staleAllocations) {
-        await new Promise((resolve, reject) => {
-          db.run('DELETE FROM allocated_ports WHERE port = ? AND instance_id = ?', 
-            [allocation.port, allocation.instance_id], 
-            function(err) {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        });
-        
-        cleanedPorts.push({
-          port: allocation.port,
-          staleInstanceId: allocation.instance_id
-        });
-        
-        console.log(`Cleaned up stale port allocation: port ${allocation.port} from deleted instance ${allocation.instance_id}`);
-      }
-      
-      return cleanedPorts;
-    } finally {
-      db.close();
+      console.log(`Cleaned up stale port allocation: port ${allocation.port} from deleted instance ${allocation.instance_id}`);
     }
+    
+    return cleanedPorts;
   }
 
   /**
@@ -238,8 +208,6 @@ class OrphanService {
     const cleanedPorts = await this.cleanupStalePortAllocations();
     results.portsCleaned = cleanedPorts;
 
-    const db = getDatabase();
-
     for (const container of orphanedContainers) {
       try {
         // Extract container details
@@ -257,12 +225,7 @@ class OrphanService {
         }
 
         // Check if port is still allocated after cleanup
-        const existingPort = await new Promise((resolve, reject) => {
-          db.get('SELECT instance_id FROM allocated_ports WHERE port = ?', [port], (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-          });
-        });
+        const existingPort = await portRepository.findByPort(port);
 
         if (existingPort) {
           results.skipped.push({
@@ -275,7 +238,8 @@ class OrphanService {
         // Get current container status
         const dockerContainer = this.docker.getContainer(container.dockerId);
         const containerStatus = await dockerContainer.inspect();
-        const status = containerStatus.State.Running ? 'running' : 'stopped';
+        // A running container may still be loading its model; health probes mark it ready
+        const status = containerStatus.State.Running ? 'loading-model' : 'stopped';
 
         // Create config object
         const config = JSON.stringify({
@@ -287,38 +251,21 @@ class OrphanService {
           importedAt: new Date().toISOString()
         });
 
-        // Insert into database
-        await new Promise((resolve, reject) => {
-          db.run(
-            'INSERT INTO instances (id, name, model_name, port, container_id, status, config, gpu_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [
-              container.uuid,
-              container.parsedName,
-              modelName,
-              port,
-              container.dockerId,
-              status,
-              config,
-              gpuId,
-              new Date(container.created * 1000).toISOString()
-            ],
-            function(err) {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        });
-
-        // Allocate port in port service
-        await new Promise((resolve, reject) => {
-          db.run(
-            'INSERT INTO allocated_ports (port, instance_id) VALUES (?, ?)',
-            [port, container.uuid],
-            function(err) {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
+        // Insert into database and allocate its port together
+        await db.transaction(async (tx) => {
+          await instanceRepository.create({
+            id: container.uuid,
+            name: container.parsedName,
+            modelName,
+            port,
+            containerId: container.dockerId,
+            status,
+            config,
+            gpuId,
+            createdAt: new Date(container.created * 1000).toISOString()
+          }, tx);
+          await instanceLifecycleService.recordInitialStatus(container.uuid, status, 'Imported existing container', tx);
+          await portRepository.allocate(port, container.uuid, tx);
         });
 
         results.imported.push({
@@ -341,7 +288,6 @@ class OrphanService {
       }
     }
 
-    db.close();
     return results;
   }
 
@@ -383,7 +329,7 @@ class OrphanService {
         imported: importResults,
         message: autoImport 
           ? `Found and processed ${orphanedContainers.length} orphaned containers`
-          : `Found ${orphanedContainers.length} orphaned containers (use autoImport=true to import them)`
+          : `Found ${orphanedContainers.length} orphaned containers (import them with POST /api/containers/orphans/import)`
       };
     } catch (error) {
       console.error('Error in checkAndImportOrphans:', error);
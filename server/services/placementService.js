@@ -0,0 +1,450 @@
+const db = require('../database/db');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const gpuAllocationRepository = require('../database/repositories/gpuAllocationRepository');
+const gpuService = require('./gpuService');
+const modelService = require('./modelService');
+const { ACTIVE_STATES } = require('../utils/instanceStates');
+const { estimateModelMemory, addDraftModel, perGpuMemory, maxConcurrentSequences } = require('../utils/vramEstimate');
+const { evaluateGpu, planPlacement } = require('../utils/gpuPlacement');
+
+const DEFAULT_GPU_MEMORY_UTILIZATION = 0.85;
+const DEFAULT_OLLAMA_MEMORY_FRACTION = 0.5;
+const QUEUE_RETRY_INTERVAL_MS = 15000;
+const DEFAULT_QUEUE_TIMEOUT_MINUTES = 60;
+
+// Ollama instances in these statuses hold their share of the GPU
+const OLLAMA_HOLDING_STATUSES = ['running', 'unhealthy'];
+
+const parseConfig = (config) => {
+  try {
+    return JSON.parse(config || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Decides which GPUs a vLLM instance runs on. Each placement weighs the model's
+ * estimated memory needs against the free memory of every GPU and the share of it
+ * committed to other vLLM and Ollama instances, and picks a single GPU or a
+ * contiguous set for tensor parallelism. Placements are made one at a time and
+ * committed in gpu_allocations, so concurrent creations can't pick the same memory
+ * and instances sharing a GPU never claim more than all of it.
+ */
+class PlacementService {
+  constructor() {
+    this.queue = Promise.resolve();
+    // Ollama GPU shares placed but not yet committed with their instance, by instance id
+    this.pendingOllama = new Map();
+  }
+
+  // Run placements one after the other
+  withLock(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Allocations of the instances that hold their GPU memory, including the Ollama
+   * shares still being created
+   */
+  async getHeldAllocations() {
+    const pending = [...this.pendingOllama].flatMap(([instanceId, { gpuIds, memoryFraction }]) => gpuIds.map(gpuId => ({
+      instance_type: 'ollama',
+      instance_id: instanceId,
+      gpu_id: gpuId,
+      memory_fraction: memoryFraction
+    })));
+    return [...await gpuAllocationRepository.findHeld(ACTIVE_STATES, OLLAMA_HOLDING_STATUSES), ...pending];
+  }
+
+  /**
+   * GPUs with their memory in MiB, the share committed to instances that hold
+   * their memory and the number of those instances
+   * @param {Array} gpus - GPUs from nvidia-smi
+   * @param {string|null} excludeInstanceId - Instance being placed, whose own allocation doesn't count
+   */
+  async getGpuLoad(gpus, excludeInstanceId = null) {
+    const allocations = await this.getHeldAllocations();
+
+    const load = new Map(gpus.map(gpu => [gpu.id, { committedFraction: 0, instances: 0 }]));
+    allocations
+      .filter(allocation => allocation.instance_id !== excludeInstanceId && load.has(allocation.gpu_id))
+      .forEach((allocation) => {
+        const gpuLoad = load.get(allocation.gpu_id);
+        gpuLoad.committedFraction = Math.round((gpuLoad.committedFraction + allocation.memory_fraction) * 100) / 100;
+        gpuLoad.instances += 1;
+      });
+
+    return gpus.map(gpu => ({ ...gpu, ...load.get(gpu.id) }));
+  }
+
+  /**
+   * Each GPU's committed share and the instances holding it
+   * @returns {Promise<Array>} [{ id, name, memoryTotal, committedFraction, uncommittedFraction, allocations }]
+   */
+  async getBudgets() {
+    const info = await gpuService.refreshGPUStats();
+    const gpus = info.hasGPU ? info.gpus.filter(gpu => gpu.id !== 'auto') : [];
+    const [loaded, allocations] = await Promise.all([
+      this.getGpuLoad(gpus),
+      this.getHeldAllocations()
+    ]);
+
+    return loaded.map(gpu => ({
+      id: gpu.id,
+      name: gpu.name,
+      memoryTotal: gpu.memoryTotal,
+      committedFraction: gpu.committedFraction,
+      uncommittedFraction: Math.max(0, Math.round((1 - gpu.committedFraction) * 100) / 100),
+      allocations: allocations
+        .filter(allocation => allocation.gpu_id === gpu.id)
+        .map(allocation => ({
+          instanceType: allocation.instance_type,
+          instanceId: allocation.instance_id,
+          memoryFraction: allocation.memory_fraction
+        }))
+    }));
+  }
+
+  /**
+   * Placements that don't need the planner: no GPU to plan for, or GPUs of unknown memory
+   * @returns {Object|null}
+   */
+  placeWithoutPlanner(info, request) {
+    if (!info.hasGPU || request.gpuSelection === 'cpu') {
+      return {
+        fits: true,
+        device: 'cpu',
+        backend: 'cpu',
+        gpuIds: [],
+        tensorParallelSize: 1,
+        gpuMemoryUtilization: request.gpuMemoryUtilization || DEFAULT_GPU_MEMORY_UTILIZATION,
+        perGpuMiB: null,
+        estimate: null,
+        reason: info.hasGPU ? 'CPU selected' : 'No GPU detected, the instance runs on the CPU',
+        gpus: []
+      };
+    }
+
+    // Only the Docker runtime is known, not the GPUs behind it
+    if (info.gpus.some(gpu => gpu.id === 'auto')) {
+      return {
+        fits: true,
+        device: 'auto',
+        backend: info.type,
+        gpuIds: ['auto'],
+        tensorParallelSize: request.tensorParallelSize || 1,
+        gpuMemoryUtilization: request.gpuMemoryUtilization || DEFAULT_GPU_MEMORY_UTILIZATION,
+        perGpuMiB: null,
+        estimate: null,
+        reason: `GPU memory is unknown without ${info.type === 'rocm' ? 'rocm-smi' : 'nvidia-smi'}; all GPUs are given to the container`,
+        gpus: []
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * The instance's model configuration and memory estimate, including the draft
+   * model of speculative decoding. A draft model whose configuration can't be read
+   * is left out of the estimate.
+   * @param {Object} request - See plan()
+   * @returns {Promise<Object>} { modelConfig, estimate }
+   */
+  async estimateMemory(request) {
+    const modelConfig = await modelService.getModelConfig(request.modelName, { hfToken: request.hfToken });
+    const estimate = estimateModelMemory(modelConfig, {
+      quantization: request.quantization,
+      maxModelLen: request.maxModelLen,
+      kvCacheDtype: request.kvCacheDtype
+    });
+
+    const speculative = request.speculativeDecoding;
+    if (!estimate || !speculative || speculative.method !== 'draft') {
+      return { modelConfig, estimate };
+    }
+    const draftConfig = await modelService.getModelConfig(speculative.draftModel, { hfToken: request.hfToken });
+    // The draft model runs at the target's context length and shares its KV cache dtype
+    const draftEstimate = estimateModelMemory(draftConfig, { maxModelLen: estimate.contextLength, kvCacheDtype: request.kvCacheDtype });
+    return { modelConfig, estimate: addDraftModel(estimate, draftEstimate) };
+  }
+
+  /**
+   * Work out where an instance would run, without reserving anything
+   * @param {Object} request
+   * @param {string} request.modelName
+   * @param {string} request.hfToken - For reading the configuration of gated models
+   * @param {string} request.gpuSelection - 'auto', 'cpu' or comma-separated GPU ids
+   * @param {number|null} request.tensorParallelSize - null to use as many GPUs as the model needs
+   * @param {number|null} request.gpuMemoryUtilization - null to size the instance's share of each GPU automatically
+   * @param {string|null} request.quantization
+   * @param {number|null} request.maxModelLen
+   * @param {string|null} request.kvCacheDtype - --kv-cache-dtype from the instance's extraArgs
+   * @param {Object|null} request.speculativeDecoding - A draft model adds its weights and KV cache
+   * @param {Object} options
+   * @param {string} options.excludeInstanceId - Ignore this instance's current reservation (recreation)
+   * @param {Object|null} options.memory - estimateMemory() result, when it was already read
+   * @returns {Promise<Object>} { fits, device ('gpu', 'cpu' or 'auto'), backend ('nvidia', 'rocm' or 'cpu'), gpuIds,
+   *   tensorParallelSize, gpuMemoryUtilization, perGpuMiB, estimate, reason, gpus }
+   */
+  async plan(request, { excludeInstanceId = null, memory = null } = {}) {
+    const info = await gpuService.refreshGPUStats();
+    const fixed = this.placeWithoutPlanner(info, request);
+    if (fixed) {
+      return fixed;
+    }
+
+    const { modelConfig, estimate } = memory || await this.estimateMemory(request);
+
+    const plan = planPlacement({
+      gpus: await this.getGpuLoad(info.gpus, excludeInstanceId),
+      estimate,
+      gpuSelection: request.gpuSelection,
+      tensorParallelSize: request.tensorParallelSize || null,
+      gpuMemoryUtilization: request.gpuMemoryUtilization || null,
+      numAttentionHeads: modelConfig.numAttentionHeads || null
+    });
+
+    return { ...plan, device: 'gpu', backend: info.type, estimate };
+  }
+
+  /**
+   * Memory a model needs with the given settings and how it fits on each detected GPU
+   * @param {Object} request - See plan(); tensorParallelSize defaults to 1
+   * @param {Object} options
+   * @param {string} options.excludeInstanceId - Ignore this instance's current reservation (editing it)
+   * @returns {Promise<Object>} { model, settings, estimate, perGpuMiB, gpus, placement }
+   */
+  async estimate(request, { excludeInstanceId = null } = {}) {
+    const tensorParallelSize = request.tensorParallelSize || 1;
+    const gpuMemoryUtilization = request.gpuMemoryUtilization || null;
+
+    const { modelConfig, estimate } = await this.estimateMemory(request);
+    const perGpuMiB = perGpuMemory(estimate, tensorParallelSize);
+
+    const info = await gpuService.refreshGPUStats();
+    const detected = info.hasGPU ? info.gpus.filter(gpu => gpu.id !== 'auto') : [];
+    const loaded = await this.getGpuLoad(detected, excludeInstanceId);
+    const gpus = loaded.map((gpu) => {
+      const verdict = evaluateGpu(gpu, perGpuMiB, gpuMemoryUtilization);
+      return {
+        ...verdict,
+        maxConcurrentSequences: verdict.requestedMiB > 0 ? maxConcurrentSequences(estimate, verdict.requestedMiB, tensorParallelSize) : null
+      };
+    });
+
+    let placement = null;
+    if (loaded.length > 0) {
+      const plan = planPlacement({
+        gpus: loaded,
+        estimate,
+        tensorParallelSize,
+        gpuMemoryUtilization,
+        numAttentionHeads: modelConfig.numAttentionHeads || null
+      });
+      placement = { fits: plan.fits, gpuIds: plan.gpuIds, gpuMemoryUtilization: plan.gpuMemoryUtilization, reason: plan.reason };
+    }
+
+    return {
+      model: {
+        name: request.modelName,
+        architecture: modelConfig.architecture || null,
+        numAttentionHeads: modelConfig.numAttentionHeads || null,
+        error: modelConfig.error || (estimate ? null : 'The model configuration is too incomplete to estimate its memory')
+      },
+      settings: {
+        maxModelLen: estimate ? estimate.contextLength : request.maxModelLen || null,
+        quantization: estimate ? estimate.quantization : request.quantization || null,
+        tensorParallelSize,
+        gpuMemoryUtilization
+      },
+      estimate,
+      perGpuMiB,
+      gpus,
+      placement
+    };
+  }
+
+  /**
+   * Place an instance and reserve its GPUs on the instance row
+   * @param {Object} job - Job handle used to report waiting
+   * @param {string} instanceId
+   * @param {Object} request - See plan()
+   * @param {Object} options
+   * @param {boolean} options.wait - Wait for GPUs to free up instead of failing when nothing fits
+   * @returns {Promise<Object>} The placement
+   */
+  async place(job, instanceId, request, { wait = false } = {}) {
+    const timeoutMinutes = parseInt(process.env.PLACEMENT_QUEUE_TIMEOUT_MINUTES, 10) || DEFAULT_QUEUE_TIMEOUT_MINUTES;
+    const deadline = Date.now() + timeoutMinutes * 60 * 1000;
+
+    // Model configurations are read from HuggingFace before taking the lock, so a slow
+    // request doesn't hold up every other placement; the lock only covers choosing and reserving
+    const memory = request.gpuSelection === 'cpu' ? null : await this.estimateMemory(request);
+
+    for (;;) {
+      const placement = await this.withLock(async () => {
+        const result = await this.plan(request, { excludeInstanceId: instanceId, memory });
+        if (result.fits) {
+          await this.reserve(instanceId, result);
+        }
+        return result;
+      });
+
+      if (placement.fits) {
+        return placement;
+      }
+      if (!wait) {
+        throw new Error(placement.reason);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`No GPUs became free within ${timeoutMinutes} minutes. ${placement.reason}`);
+      }
+      if (!(await instanceRepository.findById(instanceId))) {
+        throw new Error('Instance was removed');
+      }
+
+      await job.progress('waiting-for-gpu', placement.reason);
+      await new Promise(resolve => setTimeout(resolve, QUEUE_RETRY_INTERVAL_MS));
+    }
+  }
+
+  async reserve(instanceId, placement) {
+    const instance = await instanceRepository.findById(instanceId);
+    if (!instance) {
+      throw new Error('Instance was removed');
+    }
+
+    const config = {
+      ...parseConfig(instance.config),
+      placement: this.summarize(placement)
+    };
+    const gpuId = placement.device === 'cpu' ? null : placement.gpuIds.join(',');
+    // GPUs of unknown memory can't be budgeted
+    const budgeted = placement.device === 'gpu' ? placement.gpuIds : [];
+    await db.transaction(async (tx) => {
+      await instanceRepository.updatePlacement(instanceId, gpuId, JSON.stringify(config), tx);
+      await gpuAllocationRepository.replace('vllm', instanceId, budgeted, placement.gpuMemoryUtilization, tx);
+    });
+  }
+
+  /**
+   * Choose the GPU for an Ollama instance without reserving it. Ollama has no memory
+   * limit of its own; memoryFraction is the share of the GPU kept for the models it loads.
+   * @param {Object} request
+   * @param {string} request.gpuSelection - 'auto', 'cpu' or a GPU id
+   * @param {number|null} request.memoryFraction - Defaults to OLLAMA_GPU_MEMORY_FRACTION
+   * @param {Object} options
+   * @param {string} options.excludeInstanceId - Ignore this instance's current share (recreation)
+   * @returns {Promise<Object>} The placement, as plan() returns it
+   */
+  async planOllama(request, { excludeInstanceId = null } = {}) {
+    const memoryFraction = request.memoryFraction
+      || parseFloat(process.env.OLLAMA_GPU_MEMORY_FRACTION) || DEFAULT_OLLAMA_MEMORY_FRACTION;
+
+    const info = await gpuService.refreshGPUStats();
+    // Selections that name no GPU ('first', 'least_used') place like 'auto'
+    const gpuSelection = request.gpuSelection === 'cpu' || (info.gpus || []).some(gpu => gpu.id === request.gpuSelection)
+      ? request.gpuSelection
+      : 'auto';
+    const fixed = this.placeWithoutPlanner(info, { gpuSelection, gpuMemoryUtilization: memoryFraction });
+    if (fixed) {
+      return fixed;
+    }
+    const plan = planPlacement({
+      gpus: await this.getGpuLoad(info.gpus, excludeInstanceId),
+      estimate: null,
+      gpuSelection,
+      tensorParallelSize: 1,
+      gpuMemoryUtilization: memoryFraction
+    });
+    return { ...plan, device: 'gpu', backend: info.type, estimate: null };
+  }
+
+  /**
+   * Choose the GPU for an Ollama instance and create its container. The placement lock is only
+   * held to choose the GPU and run reserve; until create has committed the instance,
+   * its share counts as pending so it can't be given away meanwhile.
+   * @param {string} instanceId
+   * @param {Object} request - See planOllama()
+   * @param {Object} steps
+   * @param {Function} steps.reserve - Called under the lock with the placement when it fits, e.g. to claim a port
+   * @param {Function} steps.create - Called with the placement and what reserve returned; creates the container and instance
+   * @returns {Promise<Object>} { placement, result }, result being null when nothing fits
+   */
+  async placeOllama(instanceId, request, { reserve, create }) {
+    const { placement, reserved } = await this.withLock(async () => {
+      // An instance being recreated gives up its own share
+      const chosen = await this.planOllama(request, { excludeInstanceId: instanceId });
+      if (!chosen.fits) {
+        return { placement: chosen, reserved: null };
+      }
+      if (chosen.device === 'gpu') {
+        this.pendingOllama.set(instanceId, { gpuIds: chosen.gpuIds, memoryFraction: chosen.gpuMemoryUtilization });
+      }
+      try {
+        return { placement: chosen, reserved: await reserve(chosen) };
+      } catch (error) {
+        this.pendingOllama.delete(instanceId);
+        throw error;
+      }
+    });
+
+    if (!placement.fits) {
+      return { placement, result: null };
+    }
+    try {
+      return { placement, result: await create(placement, reserved) };
+    } finally {
+      this.pendingOllama.delete(instanceId);
+    }
+  }
+
+  /**
+   * Check that an instance's committed shares still fit next to the instances that
+   * hold their GPUs now, before starting it again
+   * @param {string} instanceType - 'vllm' or 'ollama'
+   * @returns {Promise<Object>} { fits, reason }
+   */
+  async checkBudget(instanceType, instanceId) {
+    const allocations = await gpuAllocationRepository.findByInstance(instanceType, instanceId);
+    if (allocations.length === 0) {
+      return { fits: true, reason: null };
+    }
+
+    const info = await gpuService.refreshGPUStats();
+    const gpus = await this.getGpuLoad(info.gpus || [], instanceId);
+    const problems = allocations
+      .map((allocation) => {
+        const gpu = gpus.find(g => g.id === allocation.gpu_id);
+        if (!gpu) {
+          return `GPU ${allocation.gpu_id} not found`;
+        }
+        const verdict = evaluateGpu(gpu, null, allocation.memory_fraction);
+        return verdict.fits ? null : `GPU ${gpu.id}: ${verdict.reason}`;
+      })
+      .filter(Boolean);
+
+    return { fits: problems.length === 0, reason: problems.length > 0 ? problems.join('; ') : null };
+  }
+
+  /**
+   * The part of a placement stored with the instance
+   */
+  summarize(placement) {
+    return {
+      device: placement.device,
+      backend: placement.backend,
+      gpuIds: placement.gpuIds,
+      tensorParallelSize: placement.tensorParallelSize,
+      gpuMemoryUtilization: placement.gpuMemoryUtilization,
+      perGpuMiB: placement.perGpuMiB,
+      reason: placement.reason
+    };
+  }
+}
+
+module.exports = new PlacementService();
@@ -1,4 +1,5 @@
-const { getDatabase } = require('../database/init');
+const db = require('../database/db');
+const portRepository = require('../database/repositories/portRepository');
 
 class PortService {
   constructor() {
@@ -7,99 +8,40 @@ class PortService {
   }
 
   async allocatePort(instanceId) {
-    return new Promise((resolve, reject) => {
-      const db = getDatabase();
-      
-      // Find an available port
-      db.all('SELECT port FROM allocated_ports ORDER BY port', (err, rows) => {
-        if (err) {
-          db.close();
-          reject(err);
-          return;
+    // Find and claim the port atomically so concurrent creations can't pick the same one
+    return db.transaction(async (tx) => {
+      const allocatedPorts = (await portRepository.findAll(tx)).map(row => row.port);
+      let availablePort = this.MIN_PORT;
+
+      // Find the first available port
+      while (availablePort <= this.MAX_PORT) {
+        if (!allocatedPorts.includes(availablePort)) {
+          break;
         }
+        availablePort++;
+      }
 
-        const allocatedPorts = rows.map(row => row.port);
-        let availablePort = this.MIN_PORT;
+      if (availablePort > this.MAX_PORT) {
+        throw new Error('No available ports');
+      }
 
-        // Find the first available port
-        while (availablePort <= this.MAX_PORT) {
-          if (!allocatedPorts.includes(availablePort)) {
-            break;
-          }
-          availablePort++;
-        }
-
-        if (availablePort > this.MAX_PORT) {
-          db.close();
-          reject(new Error('No available ports'));
-          return;
-        }
-
-        // Allocate the port
-        db.run(
-          'INSERT INTO allocated_ports (port, instance_id) VALUES (?, ?)',
-          [availablePort, instanceId],
-          function(err) {
-            db.close();
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve(availablePort);
-          }
-        );
-      });
+      await portRepository.allocate(availablePort, instanceId, tx);
+      return availablePort;
     });
   }
 
   async releasePort(port) {
-    return new Promise((resolve, reject) => {
-      const db = getDatabase();
-      
-      db.run('DELETE FROM allocated_ports WHERE port = ?', [port], function(err) {
-        db.close();
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(this.changes > 0);
-      });
-    });
+    return portRepository.release(port);
   }
 
   async getPortForInstance(instanceId) {
-    return new Promise((resolve, reject) => {
-      const db = getDatabase();
-      
-      db.get(
-        'SELECT port FROM allocated_ports WHERE instance_id = ?',
-        [instanceId],
-        (err, row) => {
-          db.close();
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve(row ? row.port : null);
-        }
-      );
-    });
+    const row = await portRepository.findByInstance(instanceId);
+    return row ? row.port : null;
   }
 
   async getAllocatedPorts() {
-    return new Promise((resolve, reject) => {
-      const db = getDatabase();
-      
-      db.all('SELECT * FROM allocated_ports', (err, rows) => {
-        db.close();
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(rows);
-      });
-    });
+    return portRepository.findAll();
   }
 }
 
-module.exports = new PortService(); 
\ No newline at end of file
+module.exports = new PortService();
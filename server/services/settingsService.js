@@ -1,4 +1,19 @@
-const { getDatabase } = require('../database/init');
+const settingsRepository = require('../database/repositories/settingsRepository');
+const { PULL_POLICIES, parseAllowedImages, validateImageOptions } = require('../utils/containerImages');
+
+// Settings whose values are checked before they are saved; each returns an error message or null
+const validators = {
+  default_vllm_image: value => (value ? validateImageOptions({ image: value }).error || null : null),
+  default_ollama_image: value => (value ? validateImageOptions({ image: value }).error || null : null),
+  allowed_images: value => parseAllowedImages(value)
+    .map(pattern => validateImageOptions({ image: pattern.replace(/\*/g, 'x') }).error && `Invalid allowed image: ${pattern}`)
+    .find(Boolean) || null,
+  default_image_pull_policy: value => (PULL_POLICIES.includes(value) ? null : `Pull policy must be one of ${PULL_POLICIES.join(', ')}`)
+};
+
+// Settings holding secrets; only admins see their values, as only admins can download the backup
+const SECRET_SETTINGS = ['default_hf_token'];
+const SECRET_MASK = '***';
 
 class SettingsService {
   constructor() {
@@ -12,146 +27,98 @@ class SettingsService {
     }
 
     try {
-      const db = getDatabase();
-      
-      return new Promise((resolve, reject) => {
-        db.all('SELECT key, value, description FROM settings', (err, rows) => {
-          db.close();
-          
-          if (err) {
-            // If settings table doesn't exist yet, just mark as initialized
-            console.log('Settings table not ready yet, will try again later');
-            resolve([]);
-            return;
-          }
-          
-          // Cache all settings
-          rows.forEach(row => {
-            this.cache.set(row.key, {
-              value: row.value,
-              description: row.description
-            });
-          });
-          
-          this.initialized = true;
-          console.log(`Loaded ${rows.length} settings from database`);
-          resolve(rows);
+      const rows = await settingsRepository.findAll();
+
+      // Cache all settings
+      rows.forEach(row => {
+        this.cache.set(row.key, {
+          value: row.value,
+          description: row.description
         });
       });
+
+      this.initialized = true;
+      console.log(`Loaded ${rows.length} settings from database`);
+      return rows;
     } catch (error) {
-      console.error('Error loading settings:', error);
+      // If settings table doesn't exist yet, try again on the next call
+      console.log('Settings table not ready yet, will try again later');
+      return [];
     }
   }
 
   async getAllSettings() {
     // Ensure settings are loaded
     await this.loadSettings();
-    
+
     try {
-      const db = getDatabase();
-      
-      return new Promise((resolve, reject) => {
-        db.all('SELECT key, value, description, updated_at FROM settings ORDER BY key', (err, rows) => {
-          db.close();
-          
-          if (err) {
-            console.error('Error getting all settings:', err);
-            resolve({});
-            return;
-          }
-          
-          const settings = {};
-          rows.forEach(row => {
-            settings[row.key] = {
-              value: row.value,
-              description: row.description,
-              updatedAt: row.updated_at
-            };
-          });
-          
-          resolve(settings);
-        });
+      const rows = await settingsRepository.findAll();
+      const settings = {};
+      rows.forEach(row => {
+        settings[row.key] = {
+          value: row.value,
+          description: row.description,
+          updatedAt: row.updated_at
+        };
       });
+      return settings;
     } catch (error) {
       console.error('Error getting all settings:', error);
       return {};
     }
   }
 
+  /**
+   * The value a user who may not see secrets is shown: secrets that are set become
+   * a mask, so it still shows that one is set
+   */
+  maskValue(key, value) {
+    return SECRET_SETTINGS.includes(key) && value ? SECRET_MASK : value;
+  }
+
   async getSetting(key, defaultValue = null) {
     // Ensure settings are loaded
     await this.loadSettings();
-    
+
     // Check cache first
     if (this.cache.has(key)) {
       return this.cache.get(key).value;
     }
 
     try {
-      const db = getDatabase();
-      
-      return new Promise((resolve, reject) => {
-        db.get('SELECT value FROM settings WHERE key = ?', [key], (err, row) => {
-          db.close();
-          
-          if (err) {
-            console.error('Error getting setting from database:', err);
-            resolve(defaultValue);
-            return;
-          }
-          
-          const value = row ? row.value : defaultValue;
-          
-          // Cache the result
-          if (row) {
-            this.cache.set(key, { value: row.value });
-          }
-          
-          resolve(value);
-        });
-      });
+      const row = await settingsRepository.find(key);
+      if (!row) {
+        return defaultValue;
+      }
+
+      // Cache the result
+      this.cache.set(key, { value: row.value });
+      return row.value;
     } catch (error) {
-      console.error('Error getting setting:', error);
+      console.error('Error getting setting from database:', error);
       return defaultValue;
     }
   }
 
   async updateSetting(key, value) {
-    try {
-      const db = getDatabase();
-      
-      return new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
-          [value, key],
-          function(err) {
-            db.close();
-            
-            if (err) {
-              reject(err);
-              return;
-            }
-            
-            if (this.changes === 0) {
-              reject(new Error(`Setting '${key}' not found`));
-              return;
-            }
-            
-            // Update cache
-            if (settingsService.cache.has(key)) {
-              settingsService.cache.get(key).value = value;
-            } else {
-              settingsService.cache.set(key, { value });
-            }
-            
-            resolve({ key, value, updated: true });
-          }
-        );
-      });
-    } catch (error) {
-      console.error('Error updating setting:', error);
-      throw error;
+    const invalid = validators[key] && validators[key](value);
+    if (invalid) {
+      throw new Error(invalid);
     }
+
+    const updated = await settingsRepository.update(key, value);
+    if (!updated) {
+      throw new Error(`Setting '${key}' not found`);
+    }
+
+    // Update cache
+    if (this.cache.has(key)) {
+      this.cache.get(key).value = value;
+    } else {
+      this.cache.set(key, { value });
+    }
+
+    return { key, value, updated: true };
   }
 
   async updateMultipleSettings(settings) {
@@ -179,10 +146,6 @@ class SettingsService {
     return await this.getSetting('default_hostname', 'inference.vm');
   }
 
-  async getDefaultAPIKey() {
-    return await this.getSetting('default_api_key', 'localkey');
-  }
-
   async getAutoStartInstances() {
     const value = await this.getSetting('auto_start_instances', 'true');
     return value === 'true';
@@ -211,7 +174,6 @@ class SettingsService {
     return {
       hfToken: await this.getDefaultHFToken(),
       hostname: await this.getDefaultHostname(),
-      apiKey: await this.getDefaultAPIKey(),
       autoStart: await this.getAutoStartInstances(),
       modelFilter: await this.getDefaultModelFilter(),
       gpuSelection: await this.getDefaultGPUSelection(),
@@ -221,4 +183,4 @@ class SettingsService {
 }
 
 const settingsService = new SettingsService();
-module.exports = settingsService; 
\ No newline at end of file
+module.exports = settingsService;
@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const instanceTemplateRepository = require('../database/repositories/instanceTemplateRepository');
+const { BUILTIN_TEMPLATES } = require('../utils/builtinTemplates');
+const { configFromInstance, validateTemplateConfig } = require('../utils/instanceTemplates');
+
+const parseConfig = (config) => {
+  try {
+    return JSON.parse(config) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+class TemplateService {
+  /**
+   * Convert a database row into the public representation
+   */
+  formatTemplate(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      builtin: false,
+      config: parseConfig(row.config),
+      sourceInstanceId: row.source_instance_id,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatBuiltin(template) {
+    return {
+      ...template,
+      builtin: true,
+      sourceInstanceId: null,
+      createdBy: null,
+      createdAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Built-in templates followed by saved ones, each sorted by name
+   */
+  async list() {
+    const rows = await instanceTemplateRepository.findAll();
+    return [
+      ...BUILTIN_TEMPLATES.map(template => this.formatBuiltin(template)),
+      ...rows.map(row => this.formatTemplate(row))
+    ];
+  }
+
+  async get(id) {
+    const builtin = BUILTIN_TEMPLATES.find(template => template.id === id);
+    if (builtin) {
+      return this.formatBuiltin(builtin);
+    }
+    const row = await instanceTemplateRepository.findById(id);
+    return row ? this.formatTemplate(row) : null;
+  }
+
+  /**
+   * Whether a name is used by a built-in template or another saved one
+   * @param {string} name
+   * @param {string|null} exceptId - Template being renamed
+   */
+  async isNameTaken(name, exceptId = null) {
+    const lower = name.toLowerCase();
+    if (BUILTIN_TEMPLATES.some(template => template.name.toLowerCase() === lower)) {
+      return true;
+    }
+    const row = await instanceTemplateRepository.findByName(name);
+    return !!row && row.id !== exceptId;
+  }
+
+  /**
+   * Save a template
+   * @param {Object} template - Validated name, description and config (see utils/instanceTemplates.js)
+   * @param {Object} options
+   * @param {string|null} options.sourceInstanceId - Instance the config was taken from
+   * @param {string|null} options.createdBy - User id
+   */
+  async create({ name, description, config }, { sourceInstanceId = null, createdBy = null } = {}) {
+    const id = uuidv4();
+    await instanceTemplateRepository.create({ id, name, description, config, sourceInstanceId, createdBy });
+    return this.get(id);
+  }
+
+  /**
+   * The validated template config of an instance's current settings
+   * @param {Object} instance - Instance row
+   * @returns {{error: string}|{config: Object}}
+   */
+  configFromInstance(instance) {
+    return validateTemplateConfig(configFromInstance(instance));
+  }
+
+  async update(id, { name, description, config }) {
+    await instanceTemplateRepository.update(id, { name, description, config });
+    return this.get(id);
+  }
+
+  remove(id) {
+    return instanceTemplateRepository.delete(id);
+  }
+
+  /**
+   * The portable form of a template, which POST /api/templates accepts back
+   */
+  toDocument(template) {
+    return { name: template.name, description: template.description, config: template.config };
+  }
+}
+
+module.exports = new TemplateService();
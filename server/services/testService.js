@@ -1,5 +1,6 @@
 const axios = require('axios');
-const { getDatabase } = require('../database/init');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
 
 class TestService {
   constructor() {
@@ -8,26 +9,15 @@ class TestService {
 
   async getRunningInstances() {
     try {
-      const db = getDatabase();
-      
-      const vllmPromise = new Promise((resolve, reject) => {
-        db.all('SELECT id, name, model_name, port, status, gpu_id, "vllm" as type FROM instances WHERE status = ?', ['running'], (err, rows) => {
-          if (err) return reject(err);
-          resolve(rows);
-        });
-      });
-
-      const ollamaPromise = new Promise((resolve, reject) => {
-        db.all('SELECT id, name, port, status, "ollama" as type FROM ollama_instances WHERE status = ?', ['running'], (err, rows) => {
-          if (err) return reject(err);
-          resolve(rows);
-        });
-      });
-
-      const [vllmInstances, ollamaInstances] = await Promise.all([vllmPromise, ollamaPromise]);
-      
-      db.close();
-      return [...vllmInstances, ...ollamaInstances];
+      const [vllmInstances, ollamaInstances] = await Promise.all([
+        instanceRepository.findByStatus('ready'),
+        ollamaInstanceRepository.findByStatus('running')
+      ]);
+
+      return [
+        ...vllmInstances.map(({ id, name, model_name, port, status, gpu_id }) => ({ id, name, model_name, port, status, gpu_id, type: 'vllm' })),
+        ...ollamaInstances.map(({ id, name, port, status }) => ({ id, name, port, status, type: 'ollama' }))
+      ];
     } catch (error) {
       console.error('Error getting running instances:', error);
       throw error;
@@ -35,24 +25,22 @@ class TestService {
   }
 
   async getInstanceInfo(instanceId, instanceType) {
-    const tableName = instanceType === 'ollama' ? 'ollama_instances' : 'instances';
-    const columns = instanceType === 'ollama' 
-      ? 'id, name, port, status, api_key, "ollama" as type' 
-      : 'id, name, model_name, port, status, gpu_id, api_key, "vllm" as type';
-
     try {
-      const db = getDatabase();
-      return new Promise((resolve, reject) => {
-        db.get(
-          `SELECT ${columns} FROM ${tableName} WHERE id = ? AND status = ?`,
-          [instanceId, 'running'],
-          (err, row) => {
-            db.close();
-            if (err) return reject(err);
-            resolve(row);
-          }
-        );
-      });
+      if (instanceType === 'ollama') {
+        const instance = await ollamaInstanceRepository.findById(instanceId);
+        if (!instance || instance.status !== 'running') {
+          return undefined;
+        }
+        const { id, name, port, status, api_key } = instance;
+        return { id, name, port, status, api_key, type: 'ollama' };
+      }
+
+      const instance = await instanceRepository.findById(instanceId);
+      if (!instance || instance.status !== 'ready') {
+        return undefined;
+      }
+      const { id, name, model_name, port, status, gpu_id, api_key } = instance;
+      return { id, name, model_name, port, status, gpu_id, api_key, type: 'vllm' };
     } catch (error) {
       console.error('Error getting instance info:', error);
       throw error;
@@ -174,8 +162,13 @@ class TestService {
         ? response.data.message.content
         : response.data.choices[0]?.message?.content;
 
-      const usage = instance.type === 'ollama' 
-        ? { total_tokens: response.data.total_duration } // Note: Ollama provides duration, not tokens
+      // Ollama's native API reports token counts as prompt_eval_count and eval_count
+      const usage = instance.type === 'ollama'
+        ? {
+          prompt_tokens: response.data.prompt_eval_count || 0,
+          completion_tokens: response.data.eval_count || 0,
+          total_tokens: (response.data.prompt_eval_count || 0) + (response.data.eval_count || 0)
+        }
         : response.data.usage;
 
       return {
@@ -0,0 +1,147 @@
+const usageRepository = require('../database/repositories/usageRepository');
+
+const GROUPINGS = ['day', 'instance', 'key', 'model'];
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// SQLite's CURRENT_TIMESTAMP format, for comparisons with created_at
+const toSqliteTime = time => new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+const toDate = time => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Records requests served through the gateway and the Test page with their
+ * token usage, and answers usage queries over UTC days.
+ */
+class UsageService {
+  constructor() {
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Record one request. Never throws; usage accounting must not fail requests.
+   * @param {Object} record
+   * @param {string} record.source - 'gateway' or 'test'
+   * @param {Object|null} record.usage - OpenAI-style usage block, if the instance returned one
+   */
+  async record({ usage = null, ...record }) {
+    try {
+      await usageRepository.create({
+        ...record,
+        promptTokens: usage ? usage.prompt_tokens || 0 : null,
+        completionTokens: usage ? usage.completion_tokens || 0 : null,
+        totalTokens: usage ? usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0) : null
+      });
+    } catch (error) {
+      console.error('Could not record usage:', error.message);
+    }
+  }
+
+  /**
+   * Validate the query parameters of the usage endpoints
+   * @param {Object} query - from, to (YYYY-MM-DD, inclusive UTC days), instanceId, apiKeyId
+   * @returns {{error: string}|{filters: Object, from: string, to: string}}
+   */
+  parseQuery(query = {}) {
+    for (const field of ['from', 'to']) {
+      if (query[field] && !(DATE_PATTERN.test(query[field]) && !Number.isNaN(Date.parse(query[field])))) {
+        return { error: `${field} must be a date (YYYY-MM-DD)` };
+      }
+    }
+
+    const to = query.to || toDate(Date.now());
+    const from = query.from || toDate(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    if (from > to) {
+      return { error: 'from must not be after to' };
+    }
+
+    return {
+      from,
+      to,
+      filters: {
+        from: `${from} 00:00:00`,
+        to: toSqliteTime(Date.parse(to) + DAY_MS),
+        instanceId: query.instanceId || null,
+        apiKeyId: query.apiKeyId || null
+      }
+    };
+  }
+
+  /**
+   * @param {string|null} groupBy - One of GROUPINGS, or null for the totals only
+   */
+  async summarize(groupBy, filters) {
+    if (groupBy && !GROUPINGS.includes(groupBy)) {
+      throw new Error(`Unknown usage grouping: ${groupBy}`);
+    }
+
+    const rows = await usageRepository.summarize(groupBy, filters);
+    return rows.map(row => ({
+      ...(groupBy === 'day' && { day: row.day }),
+      ...(groupBy === 'instance' && { instanceId: row.instance_id, instanceType: row.instance_type, instanceName: row.instance_name }),
+      ...(groupBy === 'key' && { apiKeyId: row.api_key_id, apiKeyName: row.api_key_name, apiKeyPrefix: row.api_key_prefix }),
+      ...(groupBy === 'model' && { model: row.model }),
+      requests: row.requests,
+      errors: row.errors || 0,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.total_tokens,
+      avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(row.avg_latency_ms),
+      maxLatencyMs: row.max_latency_ms
+    }));
+  }
+
+  async getRecent(filters, limit) {
+    const rows = await usageRepository.findRecent(filters, { limit });
+    return rows.map(row => ({
+      id: row.id,
+      source: row.source,
+      instanceId: row.instance_id,
+      instanceType: row.instance_type,
+      instanceName: row.instance_name,
+      model: row.model,
+      apiKeyId: row.api_key_id,
+      userId: row.user_id,
+      endpoint: row.endpoint,
+      statusCode: row.status_code,
+      streamed: row.streamed === 1,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.total_tokens,
+      latencyMs: row.latency_ms,
+      at: row.created_at
+    }));
+  }
+
+  async prune() {
+    try {
+      const retentionDays = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+      await usageRepository.deleteOlderThan(toSqliteTime(Date.now() - retentionDays * DAY_MS));
+    } catch (error) {
+      console.warn('Could not prune usage records:', error.message);
+    }
+  }
+
+  /**
+   * Delete records older than USAGE_RETENTION_DAYS now and once a day
+   */
+  start() {
+    if (this.pruneTimer) {
+      return;
+    }
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    if (this.pruneTimer.unref) {
+      this.pruneTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+}
+
+module.exports = new UsageService();
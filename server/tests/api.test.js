@@ -80,7 +80,7 @@ describe('API Tests', () => {
         .expect(200);
       
       expect(response.body).toHaveProperty('hostname');
-      expect(response.body).toHaveProperty('apiKey');
+      expect(response.body).not.toHaveProperty('apiKey');
     });
   });
 
@@ -0,0 +1,188 @@
+const express = require('express');
+const request = require('supertest');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const authService = require('../services/authService');
+const settingsService = require('../services/settingsService');
+const orphanService = require('../services/orphanService');
+const gpuAttributionService = require('../services/gpuAttributionService');
+const authRoutes = require('../routes/auth');
+const settingsRoutes = require('../routes/settings');
+const containerRoutes = require('../routes/containers');
+const { authenticate, guards } = require('../middleware/auth');
+
+const PASSWORD = 'correct-horse';
+
+describe('Authentication and roles', () => {
+  // tests/setup.js switches authentication off for the other suites
+  const authEnabled = process.env.AUTH_ENABLED;
+  let app;
+  const users = {};
+
+  // Session token of a fresh login
+  const login = async (username, password = PASSWORD) => {
+    const response = await request(app).post('/api/auth/login').send({ username, password });
+    return response.body.token;
+  };
+
+  beforeAll(async () => {
+    process.env.AUTH_ENABLED = 'true';
+    db.path = ':memory:';
+    await migrate(await db.open());
+
+    const ok = (req, res) => res.json({ user: req.user.username });
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    // Mounted like server/index.js mounts the management API
+    app.use('/api/containers', authenticate, guards.viewerReadOperatorWrite, ok);
+    app.use('/api/settings', authenticate, guards.operatorReadAdminWrite, ok);
+    app.use('/api/usage', authenticate, guards.operatorOnly, ok);
+    app.use('/api/users', authenticate, guards.adminOnly, ok);
+    app.use('/api/config', authenticate, guards.operatorReadAdminWrite, settingsRoutes);
+    app.use('/api/instances', authenticate, guards.viewerReadOperatorWrite, containerRoutes);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    process.env.AUTH_ENABLED = authEnabled;
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM sessions');
+    await db.run('DELETE FROM users');
+    for (const role of authService.roles) {
+      users[role] = await authService.createUser({ username: role, password: PASSWORD, role });
+    }
+  });
+
+  test('logs in with valid credentials only', async () => {
+    const response = await request(app).post('/api/auth/login').send({ username: 'operator', password: PASSWORD }).expect(200);
+    expect(response.body.user).toMatchObject({ username: 'operator', role: 'operator' });
+    expect(response.body.user.passwordHash).toBeUndefined();
+    expect(response.headers['set-cookie'][0]).toMatch(/^vllm_manager_session=[0-9a-f]{64};.*HttpOnly/);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${response.body.token}`).expect(200);
+    expect(me.body).toMatchObject({ user: { username: 'operator' }, authEnabled: true });
+    await request(app).get('/api/auth/me').set('Cookie', `vllm_manager_session=${response.body.token}`).expect(200);
+
+    await request(app).post('/api/auth/login').send({ username: 'operator', password: 'wrong-password' }).expect(401);
+    await request(app).post('/api/auth/login').send({ username: 'nobody', password: PASSWORD }).expect(401);
+    await request(app).post('/api/auth/login').send({ username: 'operator' }).expect(400);
+
+    await authService.updateUser(users.operator.id, { disabled: true });
+    await request(app).post('/api/auth/login').send({ username: 'operator', password: PASSWORD }).expect(401);
+  });
+
+  test('ends sessions when they expire or are revoked', async () => {
+    const bearer = token => ['Authorization', `Bearer ${token}`];
+
+    const expiring = await login('viewer');
+    await db.run('UPDATE sessions SET expires_at = ?', [new Date(Date.now() - 1000).toISOString()]);
+    await request(app).get('/api/auth/me').set(...bearer(expiring)).expect(401);
+
+    const loggedOut = await login('viewer');
+    await request(app).post('/api/auth/logout').set(...bearer(loggedOut)).expect(200);
+    await request(app).get('/api/auth/me').set(...bearer(loggedOut)).expect(401);
+
+    // Changing the password or disabling the account ends every session of the user
+    const first = await login('operator');
+    const second = await login('operator');
+    await authService.updateUser(users.operator.id, { password: 'another-password' });
+    await request(app).get('/api/auth/me').set(...bearer(first)).expect(401);
+    await request(app).get('/api/auth/me').set(...bearer(second)).expect(401);
+
+    const disabled = await login('admin');
+    await authService.createUser({ username: 'second-admin', password: PASSWORD, role: 'admin' });
+    await authService.updateUser(users.admin.id, { disabled: true });
+    await request(app).get('/api/auth/me').set(...bearer(disabled)).expect(401);
+
+    await request(app).get('/api/auth/me').set(...bearer('not-a-session')).expect(401);
+    await request(app).get('/api/auth/me').expect(401);
+  });
+
+  test('falls back to an anonymous admin when authentication is disabled', async () => {
+    process.env.AUTH_ENABLED = 'false';
+    try {
+      const me = await request(app).get('/api/auth/me').expect(200);
+      expect(me.body).toEqual({ user: { id: null, username: 'anonymous', role: 'admin', disabled: false }, authEnabled: false });
+      await request(app).post('/api/users').expect(200);
+    } finally {
+      process.env.AUTH_ENABLED = 'true';
+    }
+    await request(app).post('/api/users').expect(401);
+  });
+
+  test('grants each role what the management API allows it', async () => {
+    const tokens = {};
+    for (const role of authService.roles) {
+      tokens[role] = await login(role);
+    }
+
+    // Expected status per route and method for viewer, operator and admin
+    const matrix = [
+      ['get', '/api/containers', [200, 200, 200]],
+      ['post', '/api/containers', [403, 200, 200]],
+      ['delete', '/api/containers/1', [403, 200, 200]],
+      ['get', '/api/settings', [403, 200, 200]],
+      ['put', '/api/settings', [403, 403, 200]],
+      ['get', '/api/usage', [403, 200, 200]],
+      ['get', '/api/users', [403, 403, 200]],
+      ['post', '/api/users', [403, 403, 200]]
+    ];
+
+    for (const [method, path, statuses] of matrix) {
+      await request(app)[method](path).expect(401);
+      for (const [index, role] of authService.roles.entries()) {
+        const response = await request(app)[method](path).set('Authorization', `Bearer ${tokens[role]}`);
+        expect(`${role} ${method} ${path}: ${response.status}`).toBe(`${role} ${method} ${path}: ${statuses[index]}`);
+      }
+    }
+  });
+
+  test('shows secret settings to admins only', async () => {
+    // tests don't seed the default settings
+    await db.run(`INSERT OR REPLACE INTO settings (key, value) VALUES ('default_hf_token', 'hf_secret'), ('default_hostname', 'inference.vm')`);
+    const bearer = async role => ['Authorization', `Bearer ${await login(role)}`];
+
+    const operator = await bearer('operator');
+    const all = await request(app).get('/api/config').set(...operator).expect(200);
+    expect(all.body.default_hf_token.value).toBe('***');
+    expect(all.body.default_hostname.value).toBe('inference.vm');
+    expect((await request(app).get('/api/config/default_hf_token').set(...operator).expect(200)).body.value).toBe('***');
+    expect((await request(app).get('/api/config/defaults/instance').set(...operator).expect(200)).body.hfToken).toBe('***');
+    await request(app).get('/api/config/export/backup').set(...operator).expect(403);
+
+    const admin = await bearer('admin');
+    expect((await request(app).get('/api/config').set(...admin).expect(200)).body.default_hf_token.value).toBe('hf_secret');
+    expect((await request(app).get('/api/config/default_hf_token').set(...admin).expect(200)).body.value).toBe('hf_secret');
+    expect((await request(app).get('/api/config/defaults/instance').set(...admin).expect(200)).body.hfToken).toBe('hf_secret');
+
+    // An unset secret reads as unset
+    await settingsService.updateSetting('default_hf_token', '');
+    expect((await request(app).get('/api/config/defaults/instance').set(...operator).expect(200)).body.hfToken).toBe('');
+  });
+
+  test('lets viewers list orphaned containers but only operators import them', async () => {
+    const orphan = { dockerId: 'orphan-1', name: 'vllm-lost', parsedName: 'lost', uuid: null, status: 'running', ports: [] };
+    jest.spyOn(orphanService, 'detectOrphanedContainers').mockResolvedValue([orphan]);
+    const importOrphans = jest.spyOn(orphanService, 'importOrphanedContainers').mockResolvedValue({ imported: [orphan], skipped: [], failed: [] });
+    jest.spyOn(gpuAttributionService, 'getAttribution').mockResolvedValue({ available: false });
+    const viewer = ['Authorization', `Bearer ${await login('viewer')}`];
+
+    const listed = await request(app).get('/api/instances/orphans?autoImport=true').set(...viewer).expect(200);
+    expect(listed.body).toMatchObject({ orphansDetected: 1, imported: null });
+    const withCheck = await request(app).get('/api/instances/with-orphan-check').set(...viewer).expect(200);
+    expect(withCheck.body.orphanInfo).toMatchObject({ orphansDetected: 1, imported: null });
+    await request(app).post('/api/instances/orphans/import').set(...viewer).send({ containerIds: ['orphan-1'] }).expect(403);
+    expect(importOrphans).not.toHaveBeenCalled();
+
+    const operator = ['Authorization', `Bearer ${await login('operator')}`];
+    await request(app).post('/api/instances/orphans/import').set(...operator).send({ containerIds: ['orphan-1'] }).expect(200);
+    expect(importOrphans).toHaveBeenCalledWith([orphan]);
+  });
+});
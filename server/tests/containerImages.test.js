@@ -0,0 +1,80 @@
+const dockerService = require('../services/dockerService');
+const {
+  parseImageReference,
+  isImageAllowed,
+  validateImageOptions,
+  resolveImage
+} = require('../utils/containerImages');
+
+const DEFAULTS = { defaultImage: 'vllm/vllm-openai:latest', allowedImages: [], defaultPullPolicy: 'if-missing' };
+
+describe('Container images', () => {
+  test('keeps registry ports out of the tag', () => {
+    expect(parseImageReference('registry.local:5000/vllm/vllm-openai')).toEqual({
+      repository: 'registry.local:5000/vllm/vllm-openai', tag: null, digest: null
+    });
+    expect(parseImageReference('rocm/vllm:rocm6.2@sha256:' + 'a'.repeat(64))).toEqual({
+      repository: 'rocm/vllm', tag: 'rocm6.2', digest: 'sha256:' + 'a'.repeat(64)
+    });
+  });
+
+  test('pins the tag of the requested or the default image', () => {
+    expect(resolveImage({ imageTag: 'v0.6.3' }, DEFAULTS)).toEqual({ image: 'vllm/vllm-openai:v0.6.3', pullPolicy: 'if-missing' });
+    expect(resolveImage({ image: 'registry.local:5000/vllm', pullPolicy: 'never' }, DEFAULTS)).toEqual({
+      image: 'registry.local:5000/vllm:latest', pullPolicy: 'never'
+    });
+    expect(resolveImage({}, DEFAULTS).image).toBe('vllm/vllm-openai:latest');
+  });
+
+  test('only allows images on the allowed list', () => {
+    const allowedImages = ['vllm/vllm-openai', 'rocm/*', 'ollama/ollama:0.3.*'];
+    expect(isImageAllowed('vllm/vllm-openai:v0.6.3', allowedImages)).toBe(true);
+    expect(isImageAllowed('rocm/vllm:latest', allowedImages)).toBe(true);
+    expect(isImageAllowed('ollama/ollama:0.3.14', allowedImages)).toBe(true);
+    expect(isImageAllowed('ollama/ollama:latest', allowedImages)).toBe(false);
+
+    expect(resolveImage({ image: 'evil/vllm' }, { ...DEFAULTS, allowedImages })).toEqual({
+      error: 'Image evil/vllm:latest is not in the allowed images list'
+    });
+  });
+
+  test('rejects malformed image fields', () => {
+    expect(validateImageOptions({ image: 'vllm/vllm-openai:v0.6.3', imageTag: 'v0.6.4' }).error).toMatch(/not both/);
+    expect(validateImageOptions({ image: 'Not An Image' }).error).toMatch(/image reference/);
+    expect(validateImageOptions({ pullPolicy: 'sometimes' }).error).toMatch(/always, if-missing, never/);
+    expect(validateImageOptions({})).toEqual({ options: { image: null, imageTag: null, pullPolicy: null } });
+  });
+
+  describe('pull policies', () => {
+    let present;
+    let pulls;
+
+    beforeEach(() => {
+      present = false;
+      pulls = [];
+      dockerService.docker = {
+        getImage: () => ({
+          inspect: () => (present
+            ? Promise.resolve({ Id: 'sha256:local', RepoDigests: ['vllm/vllm-openai@sha256:remote'] })
+            : Promise.reject(Object.assign(new Error('No such image'), { statusCode: 404 })))
+        }),
+        pull: (image) => {
+          pulls.push(image);
+          present = true;
+          return Promise.resolve('stream');
+        },
+        modem: { followProgress: (stream, onFinished) => onFinished(null) }
+      };
+    });
+
+    test('pulls missing images unless the policy is never', async () => {
+      await expect(dockerService.ensureImage('vllm/vllm-openai:latest', { pullPolicy: 'never' })).rejects.toThrow(/pull policy is never/);
+      expect(await dockerService.ensureImage('vllm/vllm-openai:latest')).toBe(true);
+      expect(await dockerService.ensureImage('vllm/vllm-openai:latest')).toBe(false);
+      expect(await dockerService.ensureImage('vllm/vllm-openai:latest', { pullPolicy: 'always' })).toBe(true);
+      expect(pulls).toEqual(['vllm/vllm-openai:latest', 'vllm/vllm-openai:latest']);
+
+      expect(await dockerService.getImageDigest('vllm/vllm-openai:latest')).toBe('vllm/vllm-openai@sha256:remote');
+    });
+  });
+});
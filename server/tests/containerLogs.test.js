@@ -0,0 +1,87 @@
+const { createLogParser, parseTime, parseLogQuery } = require('../utils/containerLogs');
+
+// Build a multiplexed Docker log frame
+const frame = (streamType, text) => {
+  const payload = Buffer.from(text, 'utf8');
+  const header = Buffer.alloc(8);
+  header[0] = streamType;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+};
+
+const parse = (chunks, options) => {
+  const lines = [];
+  const parser = createLogParser(options, entry => lines.push(entry));
+  chunks.forEach(chunk => parser.write(chunk));
+  parser.end();
+  return lines;
+};
+
+describe('Container logs', () => {
+  test('demultiplexes stdout and stderr frames', () => {
+    const lines = parse([frame(1, 'loading\n'), frame(2, 'warning: slow\n'), frame(1, 'ready\n')]);
+
+    expect(lines).toEqual([
+      { line: 'loading', stream: 'stdout', timestamp: null },
+      { line: 'warning: slow', stream: 'stderr', timestamp: null },
+      { line: 'ready', stream: 'stdout', timestamp: null }
+    ]);
+  });
+
+  test('reassembles frames and lines split across chunks', () => {
+    const data = Buffer.concat([frame(1, 'first half, '), frame(1, 'second half\nlast line without newline')]);
+    const lines = parse([data.subarray(0, 5), data.subarray(5, 23), data.subarray(23)]);
+
+    expect(lines.map(entry => entry.line)).toEqual(['first half, second half', 'last line without newline']);
+  });
+
+  test('keeps multi-byte characters split between frames intact', () => {
+    const bytes = Buffer.from('température\n', 'utf8');
+    const split = bytes.indexOf(0xc3) + 1;
+    const header = (length) => {
+      const buffer = Buffer.alloc(8);
+      buffer[0] = 1;
+      buffer.writeUInt32BE(length, 4);
+      return buffer;
+    };
+    const data = Buffer.concat([header(split), bytes.subarray(0, split), header(bytes.length - split), bytes.subarray(split)]);
+
+    expect(parse([data])[0].line).toBe('température');
+  });
+
+  test('reads raw output from TTY containers and splits off timestamps', () => {
+    const lines = parse([Buffer.from('2024-05-01T10:00:00.123456789Z INFO started\r\n')], { tty: true, timestamps: true });
+
+    expect(lines).toEqual([{ line: 'INFO started', stream: 'stdout', timestamp: '2024-05-01T10:00:00.123456789Z' }]);
+  });
+
+  test('parses Unix seconds, dates and relative durations', () => {
+    const now = Date.parse('2024-05-01T10:00:00Z');
+
+    expect(parseTime('1714557600', now)).toBe(1714557600);
+    expect(parseTime('2024-05-01T09:00:00Z', now)).toBe(1714554000);
+    expect(parseTime('15m', now)).toBe(1714557600 - 900);
+    expect(parseTime('yesterday', now)).toBeNull();
+  });
+
+  test('builds Docker options and a grep filter from the query', () => {
+    const { options, matches } = parseLogQuery({ tail: '50', since: '1714554000', stream: 'stderr', grep: 'Error' });
+
+    expect(options).toEqual({ tail: 50, since: 1714554000, stdout: false, stderr: true });
+    expect(matches('CUDA error: out of memory')).toBe(true);
+    expect(matches('all good')).toBe(false);
+
+    const regex = parseLogQuery({ grep: '^INFO.*ready$', regex: 'true' }, { tail: 'all' });
+    expect(regex.options.tail).toBe('all');
+    expect(regex.matches('INFO model ready')).toBe(true);
+    expect(regex.matches('DEBUG INFO ready')).toBe(false);
+  });
+
+  test('rejects invalid filters', () => {
+    expect(parseLogQuery({ tail: '-1' }).error).toMatch(/tail/);
+    expect(parseLogQuery({ since: 'soon' }).error).toMatch(/since/);
+    expect(parseLogQuery({ since: '200', until: '100' }).error).toMatch(/before/);
+    expect(parseLogQuery({ stream: 'stdin' }).error).toMatch(/stream/);
+    expect(parseLogQuery({ grep: '(', regex: 'true' }).error).toMatch(/Invalid grep pattern/);
+  });
+});
@@ -0,0 +1,67 @@
+const db = require('../database/db');
+
+describe('Shared database layer', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await db.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM items');
+  });
+
+  test('run reports changes and last inserted id', async () => {
+    const result = await db.run('INSERT INTO items (name) VALUES (?)', ['first']);
+    expect(result.changes).toBe(1);
+    expect(await db.get('SELECT name FROM items WHERE id = ?', [result.lastID])).toEqual({ name: 'first' });
+  });
+
+  test('commits a successful transaction', async () => {
+    const value = await db.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', ['a']);
+      await tx.run('INSERT INTO items (name) VALUES (?)', ['b']);
+      return 'done';
+    });
+
+    expect(value).toBe('done');
+    expect(await db.all('SELECT name FROM items ORDER BY name')).toEqual([{ name: 'a' }, { name: 'b' }]);
+  });
+
+  test('rolls back a failed transaction', async () => {
+    await expect(db.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', ['a']);
+      await tx.run('INSERT INTO items (name) VALUES (NULL)');
+    })).rejects.toThrow();
+
+    expect(await db.all('SELECT * FROM items')).toEqual([]);
+  });
+
+  test('queries outside a transaction do not join it', async () => {
+    const transaction = db.transaction(async (tx) => {
+      await tx.run('INSERT INTO items (name) VALUES (?)', ['inside']);
+      await new Promise(resolve => setImmediate(resolve));
+      throw new Error('abort');
+    });
+
+    const outside = db.run('INSERT INTO items (name) VALUES (?)', ['outside']);
+
+    await expect(transaction).rejects.toThrow('abort');
+    await outside;
+    expect(await db.all('SELECT name FROM items')).toEqual([{ name: 'outside' }]);
+  });
+
+  test('serializes concurrent transactions', async () => {
+    const order = [];
+    await Promise.all([1, 2, 3].map(n => db.transaction(async (tx) => {
+      order.push(`start ${n}`);
+      await tx.run('INSERT INTO items (name) VALUES (?)', [`item ${n}`]);
+      order.push(`end ${n}`);
+    })));
+
+    expect(order).toEqual(['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+  });
+});
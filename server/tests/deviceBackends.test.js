@@ -0,0 +1,67 @@
+const { getBackend } = require('../services/deviceBackends');
+const { parseRocmSmi } = require('../utils/rocmSmi');
+
+// rocm-smi --showproductname --showmeminfo vram --showuse --showtemp --showpower --showuniqueid --json
+const ROCM_SMI_OUTPUT = JSON.stringify({
+  card1: {
+    'Temperature (Sensor edge) (C)': '41.0',
+    'Temperature (Sensor junction) (C)': '45.0',
+    'Current Socket Graphics Package Power (W)': '92.0',
+    'GPU use (%)': '3',
+    'VRAM Total Memory (B)': '68702699520',
+    'VRAM Total Used Memory (B)': '10737418240',
+    'Card Series': 'AMD Instinct MI210',
+    'Unique ID': '0x1b2c3d4e5f607182'
+  },
+  card0: {
+    'Temperature (Sensor edge) (C)': 'N/A',
+    'Temperature (Sensor junction) (C)': '52.0',
+    'Average Graphics Package Power (W)': '250.0',
+    'GPU use (%)': '97',
+    'VRAM Total Memory (B)': '68702699520',
+    'VRAM Total Used Memory (B)': '60129542144',
+    'Card model': '0x740f'
+  },
+  system: { 'Driver version': '6.7.0' }
+});
+
+describe('Device backends', () => {
+  test('parses rocm-smi output into GPUs ordered by card', () => {
+    const [card0, card1] = parseRocmSmi(ROCM_SMI_OUTPUT);
+    expect(card0).toMatchObject({
+      id: '0', name: '0x740f', memoryTotal: 65520, memoryUsed: 57344, memoryFree: 8176, utilization: 97, temperature: 52, powerDraw: 250
+    });
+    expect(card1).toMatchObject({
+      id: '1', name: 'AMD Instinct MI210', memoryUsed: 10240, temperature: 41, powerDraw: 92, uuid: '0x1b2c3d4e5f607182'
+    });
+  });
+
+  test('give ROCm containers the GPU device nodes and limit them to the selected GPUs', () => {
+    const rocm = getBackend('rocm');
+    const config = rocm.getDeviceConfig([{ id: '0', name: 'MI210' }, { id: '1', name: 'MI210' }]);
+
+    expect(config.hostConfig.Devices.map(device => device.PathOnHost)).toEqual(['/dev/kfd', '/dev/dri']);
+    expect(config.hostConfig.GroupAdd).toEqual(['video']);
+    expect(config.environment).toContain('HIP_VISIBLE_DEVICES=0,1');
+    expect(config.gpuId).toBe('0,1');
+    expect(rocm.vllmImage()).toBe('rocm/vllm:latest');
+
+    expect(rocm.getDeviceConfig([{ id: 'auto' }]).environment).not.toContainEqual(expect.stringMatching(/^HIP_VISIBLE_DEVICES/));
+  });
+
+  test('request NVIDIA GPUs by id from the NVIDIA runtime', () => {
+    const config = getBackend('nvidia').getDeviceConfig([{ id: '2', name: 'A100' }]);
+    expect(config.hostConfig.DeviceRequests).toEqual([{ Driver: 'nvidia', DeviceIDs: ['2'], Capabilities: [['gpu']] }]);
+    expect(config.deviceInfo).toBe('NVIDIA GPU mode (GPU 2: A100)');
+  });
+
+  test('run CPU instances from the vLLM CPU image with a KV cache in system memory', () => {
+    const cpu = getBackend('cpu');
+    const config = cpu.getDeviceConfig([]);
+    expect(cpu.usesGpuMemory).toBe(false);
+    expect(config.hostConfig.DeviceRequests).toBeUndefined();
+    expect(config.environment).toContain('VLLM_CPU_KVCACHE_SPACE=4');
+    expect(config.gpuId).toBeNull();
+    expect(getBackend('tpu')).toBeNull();
+  });
+});
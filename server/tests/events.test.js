@@ -0,0 +1,128 @@
+const http = require('http');
+const express = require('express');
+const notificationService = require('../services/notificationService');
+const instanceLifecycleService = require('../services/instanceLifecycleService');
+const instanceJobService = require('../services/instanceJobService');
+const healthMonitorService = require('../services/healthMonitorService');
+const gpuService = require('../services/gpuService');
+const eventRoutes = require('../routes/events');
+
+const GPU_STATS = { gpus: [{ id: 0, memoryUsed: 1024 }] };
+
+// Open the event stream; resolves once the response starts, collecting the events it receives
+const connect = port => new Promise((resolve, reject) => {
+  const stream = { events: [], request: null };
+  let buffer = '';
+  stream.request = http.get({ port, path: '/api/events' }, (res) => {
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.filter(block => !block.startsWith(':')).forEach((block) => {
+        const event = block.match(/^event: (.*)$/m);
+        const data = block.match(/^data: (.*)$/m);
+        stream.events.push({ type: event ? event[1] : null, data: JSON.parse(data[1]) });
+      });
+    });
+    resolve({ stream, res });
+  });
+  stream.request.on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+};
+
+describe('Change notifications', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/events', eventRoutes);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+    notificationService.start();
+  });
+
+  afterAll(async () => {
+    notificationService.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    notificationService.lastGpuStats = null;
+    // tests/setup.js mocks gpuService without statistics
+    gpuService.getGPUStatistics = jest.fn().mockResolvedValue(GPU_STATS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('streams notifications to subscribers and stops sampling once they leave', async () => {
+    const { stream, res } = await connect(port);
+    await waitFor(() => stream.events.some(event => event.type === 'gpu-stats'));
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(stream.events[0].type).toBe('connected');
+    expect(stream.events.find(event => event.type === 'gpu-stats').data).toEqual(GPU_STATS);
+    expect(notificationService.listenerCount('notification')).toBe(1);
+
+    notificationService.publish('instance-removed', { instanceId: 'instance-1' });
+    await waitFor(() => stream.events.some(event => event.type === 'instance-removed'));
+    expect(stream.events.find(event => event.type === 'instance-removed').data).toEqual({ instanceId: 'instance-1' });
+
+    // A later client gets the latest statistics at once
+    const second = await connect(port);
+    await waitFor(() => second.stream.events.length >= 2);
+    expect(second.stream.events.map(event => event.type).slice(0, 2)).toEqual(['connected', 'gpu-stats']);
+    expect(notificationService.listenerCount('notification')).toBe(2);
+
+    stream.request.destroy();
+    second.stream.request.destroy();
+    await waitFor(() => notificationService.listenerCount('notification') === 0);
+    expect(notificationService.gpuTimer).toBeNull();
+  });
+
+  test('forwards instance, job and health changes without container output', () => {
+    const received = [];
+    const unsubscribe = notificationService.subscribe(notification => received.push(notification));
+
+    const change = { instanceId: 'instance-1', from: 'pending', to: 'loading-model', reason: 'Container started' };
+    instanceLifecycleService.emit('transition', change);
+    instanceJobService.emit('job-event', { jobId: 'job-1', event: 'log', data: { line: 'INFO: loading weights' } });
+    instanceJobService.emit('job-event', { jobId: 'job-1', event: 'progress', data: { step: 'pulling-image', details: { layer: 'a1' } } });
+    instanceJobService.emit('job-event', { jobId: 'job-1', event: 'progress', data: { step: 'loading-model' } });
+    healthMonitorService.emit('alert', { instanceId: 'instance-1', kind: 'restarted' });
+    unsubscribe();
+    notificationService.publish('instance-removed', { instanceId: 'instance-1' });
+
+    expect(received.filter(notification => notification.type !== 'gpu-stats')).toEqual([
+      { type: 'instance', data: change },
+      { type: 'job', data: { jobId: 'job-1', event: 'progress', data: { step: 'loading-model' } } },
+      { type: 'health-alert', data: { instanceId: 'instance-1', kind: 'restarted' } }
+    ]);
+    expect(notificationService.gpuTimer).toBeNull();
+  });
+
+  test('stops forwarding changes once stopped', () => {
+    const received = [];
+    const unsubscribe = notificationService.subscribe(notification => received.push(notification));
+    expect(notificationService.gpuTimer.hasRef()).toBe(false);
+
+    notificationService.stop();
+    try {
+      expect(notificationService.gpuTimer).toBeNull();
+      healthMonitorService.emit('alert', { instanceId: 'instance-1', kind: 'restarted' });
+      expect(received.filter(notification => notification.type === 'health-alert')).toEqual([]);
+    } finally {
+      unsubscribe();
+      notificationService.start();
+    }
+  });
+});
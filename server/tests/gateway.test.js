@@ -0,0 +1,178 @@
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaModelRepository = require('../database/repositories/ollamaModelRepository');
+const apiKeyService = require('../services/apiKeyService');
+const gatewayService = require('../services/gatewayService');
+const imageService = require('../services/imageService');
+const instanceService = require('../services/instanceService');
+const ollamaInstanceService = require('../services/ollamaInstanceService');
+const settingsService = require('../services/settingsService');
+const gpuAttributionService = require('../services/gpuAttributionService');
+const gatewayRoutes = require('../routes/gateway');
+const containerRoutes = require('../routes/containers');
+const ollamaRoutes = require('../routes/ollama');
+
+const LLAMA = 'meta-llama/Llama-3.1-8B-Instruct';
+
+const createInstance = (id, status, port, modelName = LLAMA) => instanceRepository.create({
+  id, name: id, modelName, port, containerId: `container-${id}`, status, config: '{}', apiKey: `sk-${id}`
+});
+
+describe('Gateway and API keys', () => {
+  let app;
+
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+    app = express();
+    app.use(express.json());
+    app.use('/v1', gatewayRoutes);
+    app.use('/api/containers', containerRoutes);
+    app.use('/api/ollama', ollamaRoutes);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    for (const table of ['api_keys', 'usage_records', 'instance_adapters', 'instances', 'ollama_models', 'ollama_instances']) {
+      await db.run(`DELETE FROM ${table}`);
+    }
+    gatewayService.roundRobin.clear();
+
+    await createInstance('llama-a', 'ready', 8001);
+    await createInstance('llama-b', 'ready', 8002);
+    await createInstance('llama-stopped', 'stopped', 8003);
+    await createInstance('qwen', 'ready', 8004, 'Qwen/Qwen2.5-7B-Instruct');
+    await instanceAdapterRepository.replace('qwen', [{ name: 'sql', source: 'org/qwen-sql-lora', rank: 16 }]);
+    await ollamaInstanceRepository.create({ id: 'ollama', name: 'ollama', port: 11434, containerId: 'container-ollama', status: 'running', config: '{}', apiKey: null });
+    await ollamaModelRepository.create({ id: 'model-1', instanceId: 'ollama', name: 'llama3:latest', status: 'ready' });
+    await ollamaModelRepository.create({ id: 'model-2', instanceId: 'ollama', name: 'mistral:latest', status: 'downloading' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues, scopes, rotates and revokes keys', async () => {
+    const issued = await apiKeyService.createKey({ name: 'team', instanceIds: ['qwen'] });
+    expect(issued.key).toMatch(/^sk-vm-[0-9a-f]{48}$/);
+    expect(issued.prefix).toBe(issued.key.substring(0, 12));
+    expect(await apiKeyService.verifyKey(issued.key)).toMatchObject({ id: issued.id, name: 'team', instanceIds: ['qwen'], active: true });
+    expect(await apiKeyService.verifyKey('sk-vm-unknown')).toBeNull();
+    expect(await apiKeyService.verifyKey(`sk-${issued.key.substring(6)}`)).toBeNull();
+
+    const widened = await apiKeyService.updateKey(issued.id, { instanceIds: null });
+    expect(widened).toMatchObject({ name: 'team', instanceIds: null });
+
+    const rotated = await apiKeyService.rotateKey(issued.id);
+    expect(rotated.key).not.toBe(issued.key);
+    expect(rotated.rotatedAt).not.toBeNull();
+    expect(await apiKeyService.verifyKey(issued.key)).toBeNull();
+    expect((await apiKeyService.verifyKey(rotated.key)).id).toBe(issued.id);
+
+    const revoked = await apiKeyService.revokeKey(issued.id);
+    expect(revoked.active).toBe(false);
+    expect(await apiKeyService.verifyKey(rotated.key)).toBeNull();
+    expect(await apiKeyService.rotateKey(issued.id)).toBeNull();
+    expect(await apiKeyService.revokeKey(issued.id)).toBeNull();
+  });
+
+  test('starts each instance with its own internal key', async () => {
+    jest.spyOn(imageService, 'resolve').mockResolvedValue({ image: 'ollama/ollama:latest', pullPolicy: 'if-missing' });
+
+    const keys = [
+      instanceService.resolveApiKey({ requireAuth: true }),
+      instanceService.resolveApiKey({ requireAuth: true }),
+      (await ollamaInstanceService.resolveSettings({})).apiKey
+    ];
+    keys.forEach(key => expect(key).toMatch(/^sk-[0-9a-f]{48}$/));
+    expect(new Set(keys).size).toBe(3);
+    expect(await settingsService.getInstanceDefaults()).not.toHaveProperty('apiKey');
+
+    expect(instanceService.resolveApiKey({ apiKey: 'chosen', requireAuth: true })).toBe('sk-chosen');
+    expect(instanceService.resolveApiKey({ apiKey: 'sk-chosen', requireAuth: false })).toBeNull();
+  });
+
+  test('keeps container keys out of instance responses', async () => {
+    jest.spyOn(gpuAttributionService, 'getAttribution').mockResolvedValue({ available: false });
+
+    const responses = [
+      ...(await request(app).get('/api/containers').expect(200)).body,
+      (await request(app).get('/api/containers/qwen').expect(200)).body,
+      ...(await request(app).get('/api/ollama').expect(200)).body,
+      (await request(app).get('/api/ollama/ollama').expect(200)).body
+    ];
+    expect(responses).toHaveLength(7);
+    responses.forEach(instance => expect(instance).not.toHaveProperty('api_key'));
+    expect(responses.find(instance => instance.id === 'qwen').hasApiKey).toBe(true);
+    expect(responses.find(instance => instance.id === 'ollama').hasApiKey).toBe(false);
+  });
+
+  test('routes models by name and balances between instances that serve them', async () => {
+    const served = [];
+    for (let i = 0; i < 3; i++) {
+      served.push((await gatewayService.resolveModel(LLAMA)).target.instanceId);
+    }
+    expect(served).toEqual(['llama-a', 'llama-b', 'llama-a']);
+
+    expect((await gatewayService.resolveModel('sql')).target).toMatchObject({ instanceId: 'qwen', port: 8004, apiKey: 'sk-qwen' });
+    expect((await gatewayService.resolveModel('llama3')).target).toMatchObject({ type: 'ollama', model: 'llama3:latest', instanceId: 'ollama' });
+    expect(await gatewayService.resolveModel('mistral')).toEqual({ error: 'not_found' });
+    expect(await gatewayService.resolveModel('gpt-4')).toEqual({ error: 'not_found' });
+  });
+
+  test('limits scoped keys to their instances', async () => {
+    const scoped = { instanceIds: ['llama-b', 'qwen'] };
+
+    expect((await gatewayService.resolveModel(LLAMA, scoped)).target.instanceId).toBe('llama-b');
+    expect((await gatewayService.resolveModel(LLAMA, scoped)).target.instanceId).toBe('llama-b');
+    expect(await gatewayService.resolveModel('llama3', scoped)).toEqual({ error: 'forbidden' });
+
+    const { data } = await gatewayService.listModels(scoped);
+    expect(data.map(model => model.id)).toEqual([LLAMA, 'Qwen/Qwen2.5-7B-Instruct', 'sql']);
+    expect(data[0].instances).toEqual([{ id: 'llama-b', name: 'llama-b', type: 'vllm' }]);
+    expect(data[2].parent).toBe('Qwen/Qwen2.5-7B-Instruct');
+  });
+
+  test('answers gateway requests with the key they present', async () => {
+    const forward = jest.spyOn(gatewayService, 'forward').mockImplementation(async () => ({
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      data: Readable.from([JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 } })])
+    }));
+    const { key } = await apiKeyService.createKey({ name: 'scoped', instanceIds: ['qwen'] });
+    const body = { model: 'sql', messages: [{ role: 'user', content: 'Hi' }] };
+
+    await request(app).post('/v1/chat/completions').send(body).expect(401);
+    await request(app).post('/v1/chat/completions').set('Authorization', 'Bearer sk-vm-wrong').send(body).expect(401);
+
+    const response = await request(app).post('/v1/chat/completions').set('Authorization', `Bearer ${key}`).send(body).expect(200);
+    expect(response.headers['x-served-by-instance']).toBe('qwen');
+    expect(forward).toHaveBeenCalledWith(expect.objectContaining({ instanceId: 'qwen' }), '/v1/chat/completions', body, expect.anything());
+
+    const forbidden = await request(app).post('/v1/chat/completions').set('x-api-key', key).send({ model: LLAMA }).expect(403);
+    expect(forbidden.body.error.code).toBe('model_not_permitted');
+    const missing = await request(app).post('/v1/chat/completions').set('x-api-key', key).send({ model: 'gpt-4' }).expect(404);
+    expect(missing.body.error.code).toBe('model_not_found');
+    await request(app).post('/v1/chat/completions').set('x-api-key', key).send({}).expect(400);
+
+    const models = await request(app).get('/v1/models').set('x-api-key', key).expect(200);
+    expect(models.body.data.map(model => model.id)).toEqual(['Qwen/Qwen2.5-7B-Instruct', 'sql']);
+  });
+
+  test('lets requests without a key through when keys are not required', async () => {
+    jest.spyOn(settingsService, 'getSetting').mockResolvedValue('false');
+
+    const models = await request(app).get('/v1/models').expect(200);
+    expect(models.body.data.map(model => model.id)).toEqual([LLAMA, 'Qwen/Qwen2.5-7B-Instruct', 'sql', 'llama3:latest']);
+    await request(app).get('/v1/models').set('Authorization', 'Bearer sk-vm-wrong').expect(401);
+  });
+});
@@ -0,0 +1,86 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const gpuAttributionService = require('../services/gpuAttributionService');
+const { parseComputeApps, parseGpuQuery } = require('../utils/nvidiaSmi');
+
+const VLLM_CONTAINER = 'a'.repeat(64);
+const OTHER_CONTAINER = 'b'.repeat(64);
+
+// Fake nvidia-smi output: two GPUs and three processes using them
+const GPUS = [
+  '0, NVIDIA A100-SXM4-40GB, 40960, 36000, 4960, 90, 60, 300.0, 400.00, GPU-aaaa',
+  '1, NVIDIA A100-SXM4-40GB, 40960, 9000, 31960, 10, 40, 80.0, 400.00, GPU-bbbb'
+].join('\n');
+const COMPUTE_APPS = [
+  'GPU-aaaa, 4100, python3, 30000',
+  'GPU-bbbb, 4100, python3, 6000',
+  'GPU-aaaa, 5200, /usr/bin/ollama, runner, 5000',
+  'GPU-bbbb, 6300, Xorg, 3000'
+].join('\n');
+
+// /proc/<pid>/cgroup: cgroup v2 for the vLLM container, v1 for the other one, none for Xorg
+const CGROUPS = {
+  4100: `0::/system.slice/docker-${VLLM_CONTAINER}.scope\n`,
+  6300: '0::/init.scope\n'
+};
+
+describe('GPU process attribution', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+    await instanceRepository.create({
+      id: 'llama', name: 'llama', modelName: 'meta-llama/Llama-2-7b-hf', port: 8001, containerId: VLLM_CONTAINER, status: 'ready', config: '{}', gpuId: '0,1'
+    });
+
+    gpuAttributionService.setSources({
+      queryGpus: async () => parseGpuQuery(GPUS),
+      queryProcesses: async () => parseComputeApps(COMPUTE_APPS),
+      readCgroup: async (pid) => {
+        if (!CGROUPS[pid]) {
+          throw new Error('ENOENT');
+        }
+        return CGROUPS[pid];
+      },
+      // PID 5200 isn't visible in /proc; Docker's top knows it
+      listContainerPids: async () => new Map([[OTHER_CONTAINER, [5200, 5201]]])
+    });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('reads container IDs from cgroup v1 and v2 paths', () => {
+    expect(gpuAttributionService.containerIdFromCgroup(`12:memory:/docker/${OTHER_CONTAINER}\n`)).toBe(OTHER_CONTAINER);
+    expect(gpuAttributionService.containerIdFromCgroup(CGROUPS[4100])).toBe(VLLM_CONTAINER);
+    expect(gpuAttributionService.containerIdFromCgroup(CGROUPS[6300])).toBeNull();
+  });
+
+  test('sums the memory of a container\'s processes per GPU', async () => {
+    const attribution = await gpuAttributionService.getAttribution();
+    expect(attribution.available).toBe(true);
+    expect(attribution.processes).toContainEqual(expect.objectContaining({
+      gpuId: '0', pid: 5200, processName: '/usr/bin/ollama, runner', memoryUsedMiB: 5000, containerId: OTHER_CONTAINER
+    }));
+
+    expect(gpuAttributionService.usageForContainer(attribution, VLLM_CONTAINER)).toEqual({
+      memoryUsedMiB: 36000,
+      gpus: [{ gpuId: '0', memoryUsedMiB: 30000 }, { gpuId: '1', memoryUsedMiB: 6000 }]
+    });
+    expect(gpuAttributionService.usageForContainer(attribution, 'c'.repeat(64))).toEqual({ memoryUsedMiB: 0, gpus: [] });
+  });
+
+  test('labels processes with the instances running them', async () => {
+    const { processes } = await gpuAttributionService.getProcesses();
+    expect(processes.find(app => app.pid === 4100)).toMatchObject({ instanceType: 'vllm', instanceId: 'llama', instanceName: 'llama' });
+    expect(processes.find(app => app.pid === 6300)).toMatchObject({ containerId: null, instanceId: null });
+  });
+
+  test('reports usage as unknown without nvidia-smi', async () => {
+    gpuAttributionService.setSources({ queryProcesses: () => Promise.reject(new Error('nvidia-smi: command not found')) });
+    const attribution = await gpuAttributionService.getAttribution();
+    expect(attribution).toMatchObject({ available: false, processes: [] });
+    expect(gpuAttributionService.usageForContainer(attribution, VLLM_CONTAINER)).toBeNull();
+  });
+});
@@ -0,0 +1,331 @@
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const gpuAllocationRepository = require('../database/repositories/gpuAllocationRepository');
+const gpuService = require('../services/gpuService');
+const placementService = require('../services/placementService');
+const modelService = require('../services/modelService');
+const settingsService = require('../services/settingsService');
+const deploymentService = require('../services/deploymentService');
+const dockerService = require('../services/dockerService');
+const imageService = require('../services/imageService');
+const ollamaService = require('../services/ollamaService');
+const ollamaInstanceService = require('../services/ollamaInstanceService');
+const portService = require('../services/portService');
+const modelRoutes = require('../routes/models');
+const { estimateModelMemory, maxConcurrentSequences } = require('../utils/vramEstimate');
+const { planPlacement } = require('../utils/gpuPlacement');
+
+// Llama-2-7B's config.json as read by modelService.getModelConfig
+const LLAMA_7B = {
+  hiddenSize: 4096,
+  numLayers: 32,
+  vocabSize: 32000,
+  numAttentionHeads: 32,
+  numKeyValueHeads: 32,
+  intermediateSize: 11008,
+  maxContextLength: 4096
+};
+
+const gpu = (id, overrides = {}) => ({
+  id: String(id),
+  name: 'Test GPU',
+  memoryTotal: 16384,
+  memoryFree: 16000,
+  committedFraction: 0,
+  instances: 0,
+  ...overrides
+});
+
+describe('GPU placement', () => {
+  test('estimates weights and KV cache from the model configuration', () => {
+    const estimate = estimateModelMemory(LLAMA_7B);
+    expect(estimate.parameters / 1e9).toBeCloseTo(6.74, 1);
+    expect(estimate.weightsMiB).toBeGreaterThan(12800);
+    // 2 (K and V) x 32 layers x 4096 hidden x 2 bytes per token, for 4096 tokens
+    expect(estimate.kvCacheMiB).toBe(2048);
+
+    const quantized = estimateModelMemory(LLAMA_7B, { quantization: 'awq', maxModelLen: 2048 });
+    expect(quantized.weightsMiB).toBe(Math.ceil(estimate.weightsMiB / 4));
+    expect(quantized.kvCacheMiB).toBe(1024);
+
+    // An fp8 KV cache takes one byte per value
+    expect(estimateModelMemory(LLAMA_7B, { kvCacheDtype: 'fp8' }).kvCacheMiB).toBe(1024);
+    expect(estimateModelMemory(LLAMA_7B, { kvCacheDtype: 'auto' }).kvCacheMiB).toBe(2048);
+  });
+
+  test('estimates with the KV cache dtype of the instance and the model id as sent', async () => {
+    const app = express();
+    app.use('/api/models', modelRoutes);
+    const estimate = jest.spyOn(placementService, 'estimate').mockResolvedValue({ fits: true });
+    jest.spyOn(settingsService, 'getDefaultHFToken').mockResolvedValue(null);
+
+    try {
+      await request(app).get(`/api/models/${encodeURIComponent('org/100%25-model')}/estimate`).query({ kvCacheDtype: 'fp8' }).expect(200);
+      expect(estimate).toHaveBeenCalledWith(expect.objectContaining({ modelName: 'org/100%25-model', kvCacheDtype: 'fp8' }), expect.anything());
+      expect(deploymentService.placementRequest({ modelName: 'org/model', extraArgs: { 'kv-cache-dtype': 'fp8_e4m3' } }).kvCacheDtype).toBe('fp8_e4m3');
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('counts the sequences that fit into the KV cache left next to the weights', () => {
+    const estimate = estimateModelMemory(LLAMA_7B, { maxModelLen: 2048 });
+    expect(estimate.kvCacheBytesPerToken).toBe(512 * 1024);
+
+    // 20 GiB claimed: 20480 - 1536 overhead - 12852 weights leaves 6092 MiB, or 5 sequences of 1 GiB
+    expect(maxConcurrentSequences(estimate, 20480)).toBe(5);
+    // Split across two GPUs, each holds half of the weights
+    expect(maxConcurrentSequences(estimate, 16384, 2)).toBe(16);
+    expect(maxConcurrentSequences(estimate, 8192)).toBe(0);
+  });
+
+  test('prefers the least busy GPU with room for the model', () => {
+    const plan = planPlacement({
+      gpus: [gpu(0, { instances: 1, committedFraction: 0.25 }), gpu(1)],
+      estimate: estimateModelMemory(LLAMA_7B, { quantization: 'awq' }),
+      gpuMemoryUtilization: 0.5
+    });
+
+    expect(plan).toMatchObject({ fits: true, gpuIds: ['1'], tensorParallelSize: 1 });
+  });
+
+  test('splits a model that fits no single GPU across contiguous GPUs', () => {
+    const plan = planPlacement({
+      gpus: [gpu(0), gpu(1, { committedFraction: 0.5, instances: 1 }), gpu(2), gpu(3)],
+      estimate: estimateModelMemory(LLAMA_7B),
+      gpuMemoryUtilization: 0.9,
+      numAttentionHeads: 32
+    });
+
+    expect(plan).toMatchObject({ fits: true, gpuIds: ['2', '3'], tensorParallelSize: 2 });
+  });
+
+  test('sizes the share of automatically placed instances from the estimate', () => {
+    const estimate = estimateModelMemory(LLAMA_7B, { quantization: 'awq' });
+
+    // (3213 weights + 2048 KV cache + 1536 overhead) MiB with 25% headroom is 52% of 16 GiB, rounded up to 55%
+    const plan = planPlacement({ gpus: [gpu(0, { committedFraction: 0.6, instances: 1 }), gpu(1)], estimate });
+    expect(plan).toMatchObject({ fits: true, gpuIds: ['1'], gpuMemoryUtilization: 0.55 });
+
+    // A GPU with half of it left still fits the model with a smaller share
+    const shared = planPlacement({ gpus: [gpu(0, { committedFraction: 0.5, instances: 1 })], estimate });
+    expect(shared).toMatchObject({ fits: true, gpuIds: ['0'], gpuMemoryUtilization: 0.5 });
+  });
+
+  test('refuses shares that would oversubscribe a GPU', () => {
+    const plan = planPlacement({
+      gpus: [gpu(0, { committedFraction: 0.6, instances: 2 })],
+      estimate: null,
+      gpuSelection: '0',
+      gpuMemoryUtilization: 0.5
+    });
+
+    expect(plan.fits).toBe(false);
+    expect(plan.reason).toMatch(/GPU 0: gpuMemoryUtilization 0.5 would oversubscribe it, 60% is committed to other instances/);
+  });
+
+  test('explains why nothing fits', () => {
+    const plan = planPlacement({
+      gpus: [gpu(0, { memoryFree: 2000 })],
+      estimate: estimateModelMemory(LLAMA_7B),
+      gpuSelection: '0',
+      gpuMemoryUtilization: 0.9
+    });
+
+    expect(plan.fits).toBe(false);
+    expect(plan.reason).toMatch(/GPU 0: gpuMemoryUtilization 0.9 claims 14745 MiB but only 2000 MiB is available/);
+    expect(plan.gpus[0]).toMatchObject({ id: '0', fits: false, availableMiB: 2000 });
+  });
+
+  test('rejects tensor parallel sizes the attention heads do not divide by', () => {
+    const plan = planPlacement({
+      gpus: [gpu(0), gpu(1), gpu(2)],
+      estimate: null,
+      tensorParallelSize: 3,
+      gpuMemoryUtilization: 0.9,
+      numAttentionHeads: 32
+    });
+
+    expect(plan.fits).toBe(false);
+    expect(plan.reason).toMatch(/32 attention heads/);
+  });
+
+  test('caches model configurations per token within a bounded size', async () => {
+    // Gated models only serve config.json to a token
+    const get = jest.spyOn(axios, 'get').mockImplementation(async (url, { headers }) => {
+      if (url.endsWith('config.json') && !headers.Authorization) {
+        throw new Error('Request failed with status code 401');
+      }
+      return { data: url.endsWith('config.json') ? { hidden_size: 4096, num_hidden_layers: 32 } : { id: 'org/gated' } };
+    });
+    modelService.configCache.clear();
+
+    try {
+      expect((await modelService.getModelConfig('org/gated')).hiddenSize).toBeNull();
+      expect((await modelService.getModelConfig('org/gated', { hfToken: 'hf_a' })).hiddenSize).toBe(4096);
+      await modelService.getModelConfig('org/gated', { hfToken: 'hf_a' });
+      expect(get).toHaveBeenCalledTimes(4);
+      // Another token, or none, does not get the configuration read with hf_a
+      expect((await modelService.getModelConfig('org/gated')).hiddenSize).toBeNull();
+      await modelService.getModelConfig('org/gated', { hfToken: 'hf_b' });
+      expect(get).toHaveBeenCalledTimes(8);
+
+      for (let i = 0; i < 250; i++) {
+        await modelService.getModelConfig(`org/model-${i}`, { hfToken: 'hf_a' });
+      }
+      expect(modelService.configCache.size).toBe(200);
+      expect([...modelService.configCache.keys()].pop()).toMatch(/^org\/model-249@/);
+    } finally {
+      get.mockRestore();
+      modelService.configCache.clear();
+    }
+  });
+});
+
+describe('GPU budgets', () => {
+  const createVllm = (id, port, status) => instanceRepository.create({
+    id, name: id, modelName: 'facebook/opt-125m', port, containerId: null, status, config: '{}', gpuId: '0'
+  });
+
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(() => {
+    gpuService.refreshGPUStats.mockResolvedValue({
+      hasGPU: true,
+      gpus: [{ id: '0', name: 'Test GPU', memoryTotal: 16384, memoryFree: 16000 }]
+    });
+  });
+
+  test('counts the shares of running instances and refuses to start one that no longer fits', async () => {
+    await createVllm('serving', 8001, 'ready');
+    await createVllm('stopped', 8002, 'stopped');
+    await ollamaInstanceRepository.create({ id: 'ollama', name: 'ollama', port: 11434, containerId: null, status: 'running', config: '{}' });
+    await gpuAllocationRepository.replace('vllm', 'serving', ['0'], 0.5);
+    await gpuAllocationRepository.replace('vllm', 'stopped', ['0'], 0.4);
+    await gpuAllocationRepository.replace('ollama', 'ollama', ['0'], 0.3);
+
+    const [budget] = await placementService.getBudgets();
+    expect(budget).toMatchObject({ id: '0', committedFraction: 0.8, uncommittedFraction: 0.2 });
+    expect(budget.allocations.map(allocation => allocation.instanceId).sort()).toEqual(['ollama', 'serving']);
+
+    const check = await placementService.checkBudget('vllm', 'stopped');
+    expect(check.fits).toBe(false);
+    expect(check.reason).toMatch(/would oversubscribe it, 80% is committed/);
+    expect((await placementService.checkBudget('vllm', 'serving')).fits).toBe(true);
+  });
+
+  test('reads model configurations before taking the placement lock', async () => {
+    for (const table of ['gpu_allocations', 'allocated_ports', 'instances', 'ollama_instances']) {
+      await db.run(`DELETE FROM ${table}`);
+    }
+    await createVllm('placing', 8001, 'pending');
+    let finishConfig;
+    const getModelConfig = jest.spyOn(modelService, 'getModelConfig')
+      .mockImplementation(() => new Promise((resolve) => { finishConfig = resolve; }));
+
+    try {
+      const placing = placementService.place({ progress: jest.fn() }, 'placing', { modelName: 'meta-llama/Llama-2-7b-hf', gpuSelection: 'auto' });
+      for (let i = 0; i < 100 && !finishConfig; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(getModelConfig).toHaveBeenCalledTimes(1);
+
+      // Other placements don't wait for HuggingFace
+      await expect(placementService.withLock(async () => 'placed')).resolves.toBe('placed');
+
+      finishConfig({ ...LLAMA_7B, numLayers: 16 });
+      const placement = await placing;
+      expect(placement).toMatchObject({ fits: true, gpuIds: ['0'] });
+      expect(await gpuAllocationRepository.findByInstance('vllm', 'placing')).toHaveLength(1);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('holds the placement lock only to reserve the GPU and port of an Ollama instance', async () => {
+    for (const table of ['gpu_allocations', 'allocated_ports', 'instances', 'ollama_instances']) {
+      await db.run(`DELETE FROM ${table}`);
+    }
+    jest.spyOn(settingsService, 'getInstanceDefaults').mockResolvedValue({ hostname: 'localhost', gpuSelection: 'auto' });
+    jest.spyOn(imageService, 'resolve').mockResolvedValue({ image: 'ollama/ollama:latest', pullPolicy: 'if-missing' });
+    const ensureImage = jest.spyOn(dockerService, 'ensureImage').mockResolvedValue(false);
+    let finishContainer;
+    const createContainer = jest.spyOn(ollamaService, 'createOrGetOllamaContainer')
+      .mockImplementation(() => new Promise((resolve) => { finishContainer = resolve; }));
+
+    try {
+      const creating = ollamaInstanceService.create({ name: 'first', gpuMemoryFraction: 0.6 });
+      for (let i = 0; i < 100 && !finishContainer; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(ensureImage).toHaveBeenCalledWith('ollama/ollama:latest', { pullPolicy: 'if-missing' });
+      expect(createContainer).toHaveBeenCalledWith(expect.objectContaining({ port: 8001 }), { pulledImage: 'ollama/ollama:latest' });
+
+      // Other placements go ahead while the container is created, and count its share
+      const other = await placementService.placeOllama('other', { gpuSelection: 'auto', memoryFraction: 0.6 }, {
+        reserve: () => null,
+        create: () => 'created'
+      });
+      expect(other.result).toBeNull();
+      expect((await placementService.getBudgets())[0].committedFraction).toBe(0.6);
+
+      finishContainer({ containerId: 'container-1', gpuId: '0', deviceInfo: 'GPU 0', resolvedImage: null });
+      expect((await creating).status).toBe(201);
+      expect(placementService.pendingOllama.size).toBe(0);
+      expect((await placementService.getBudgets())[0].committedFraction).toBe(0.6);
+
+      // A container that can't be created gives its port back
+      createContainer.mockRejectedValue(new Error('Docker is unavailable'));
+      await expect(ollamaInstanceService.create({ name: 'second', gpuMemoryFraction: 0.3 })).rejects.toThrow('Docker is unavailable');
+      expect((await portService.getAllocatedPorts()).map(row => row.port)).toEqual([8001]);
+      expect(placementService.pendingOllama.size).toBe(0);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('refuses an Ollama update that does not fit before removing the working container', async () => {
+    for (const table of ['gpu_allocations', 'allocated_ports', 'instances', 'ollama_instances']) {
+      await db.run(`DELETE FROM ${table}`);
+    }
+    await createVllm('serving', 8001, 'ready');
+    await gpuAllocationRepository.replace('vllm', 'serving', ['0'], 0.5);
+    await ollamaInstanceRepository.create({
+      id: 'ollama', name: 'ollama', port: 11434, containerId: 'container-ollama', status: 'running', config: '{}', apiKey: 'sk-ollama'
+    });
+    await gpuAllocationRepository.replace('ollama', 'ollama', ['0'], 0.4);
+    jest.spyOn(settingsService, 'getInstanceDefaults').mockResolvedValue({ hostname: 'localhost', gpuSelection: 'auto' });
+    jest.spyOn(imageService, 'resolve').mockResolvedValue({ image: 'ollama/ollama:latest', pullPolicy: 'if-missing' });
+    jest.spyOn(dockerService, 'ensureImage').mockResolvedValue(false);
+    const removeContainer = jest.spyOn(ollamaService, 'removeContainer').mockResolvedValue();
+    jest.spyOn(ollamaService, 'createOrGetOllamaContainer')
+      .mockResolvedValue({ containerId: 'container-ollama-2', gpuId: '0', deviceInfo: 'GPU 0', resolvedImage: null });
+
+    try {
+      const refused = await ollamaInstanceService.update('ollama', { gpuMemoryFraction: 0.6 });
+      expect(refused.status).toBe(409);
+      expect(removeContainer).not.toHaveBeenCalled();
+      expect(await ollamaInstanceRepository.findById('ollama')).toMatchObject({ status: 'running', container_id: 'container-ollama' });
+
+      // Its own share is free for the new container
+      const updated = await ollamaInstanceService.update('ollama', { gpuMemoryFraction: 0.5 });
+      expect(updated.status).toBe(200);
+      expect(removeContainer).toHaveBeenCalledWith('container-ollama');
+      expect((await placementService.getBudgets())[0].committedFraction).toBe(1);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const gpuTelemetryService = require('../services/gpuTelemetryService');
+const { parseGpuQuery, queryGpus } = require('../utils/nvidiaSmi');
+
+// Output of nvidia-smi --query-gpu=index,name,memory.total,memory.used,memory.free,utilization.gpu,temperature.gpu,power.draw,power.limit
+const nvidiaSmiOutput = (utilization) => [
+  `0, NVIDIA A100-SXM4-40GB, 40960, 20480, 20480, ${utilization}, 55, 250.5, 400.00`,
+  '1, NVIDIA GeForce RTX 3090, 24576, 1024, 23552, 0, 40, [N/A], [N/A]',
+  ''
+].join('\n');
+
+// 2026-01-01T00:00:00Z
+const START = Date.UTC(2026, 0, 1);
+
+describe('GPU telemetry', () => {
+  let utilization;
+
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+    gpuTelemetryService.setSource(() => queryGpus(async () => ({ stdout: nvidiaSmiOutput(utilization) })));
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('parses nvidia-smi output, with unreported readings as null', () => {
+    const [a100, rtx] = parseGpuQuery(nvidiaSmiOutput(90));
+    expect(a100).toMatchObject({ id: '0', memoryTotal: 40960, memoryUsed: 20480, utilization: 90, powerDraw: 250.5, powerLimit: 400 });
+    expect(rtx).toMatchObject({ id: '1', name: 'NVIDIA GeForce RTX 3090', powerDraw: null, powerLimit: null });
+  });
+
+  test('records samples and averages completed minutes', async () => {
+    // Six samples 10 seconds apart in the first minute, then one in the second
+    for (let i = 0; i < 7; i++) {
+      utilization = i * 10;
+      expect(await gpuTelemetryService.sample(START + i * 10000)).toBe(2);
+    }
+
+    const raw = await gpuTelemetryService.getHistory({ from: START, to: START + 70000, gpuId: '0' }, START + 70000);
+    expect(raw.resolutionSeconds).toBe(10);
+    expect(raw.gpus).toHaveLength(1);
+    expect(raw.gpus[0].samples).toHaveLength(7);
+    expect(raw.gpus[0].samples[6]).toMatchObject({ at: '2026-01-01T00:01:00.000Z', utilization: 60, powerDraw: 250.5 });
+
+    // A week later the raw samples are past their span and the range is served from minute averages
+    const weekLater = START + 7 * 24 * 60 * 60 * 1000;
+    const minutes = await gpuTelemetryService.getHistory({ from: START, to: START + 60 * 60 * 1000 }, weekLater);
+    expect(minutes.resolutionSeconds).toBe(60);
+    const [gpu0, gpu1] = minutes.gpus;
+    expect(gpu0.samples).toEqual([expect.objectContaining({ at: '2026-01-01T00:00:00.000Z', utilization: 25, utilizationMax: 50 })]);
+    expect(gpu1.samples[0]).toMatchObject({ utilization: 0, powerDraw: null });
+  });
+
+  test('drops samples older than the span of their resolution', async () => {
+    const later = START + 8 * 24 * 60 * 60 * 1000;
+    utilization = 10;
+    await gpuTelemetryService.sample(later);
+
+    const raw = await db.all('SELECT COUNT(*) AS count FROM gpu_samples WHERE resolution = 0');
+    const minutes = await db.all('SELECT COUNT(*) AS count FROM gpu_samples WHERE resolution = 60');
+    const quarters = await db.all('SELECT * FROM gpu_samples WHERE resolution = 900 AND gpu_id = ?', ['0']);
+    expect(raw[0].count).toBe(2);
+    expect(minutes[0].count).toBe(0);
+    // The quarter hour averages both minutes that were sampled: 25% and the single 60% sample
+    expect(quarters).toEqual([expect.objectContaining({ sampled_at: START / 1000, utilization: 42.5, utilization_max: 60 })]);
+  });
+
+  test('keeps sampling after the source fails', async () => {
+    gpuTelemetryService.setSource(() => Promise.reject(new Error('nvidia-smi: command not found')));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    expect(await gpuTelemetryService.sample(START)).toBe(0);
+    expect(await gpuTelemetryService.sample(START + 10000)).toBe(0);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('validates history ranges', () => {
+    expect(gpuTelemetryService.parseQuery({ from: 'yesterday' }).error).toMatch(/from must be a date/);
+    expect(gpuTelemetryService.parseQuery({ from: '2026-01-02T00:00:00Z', to: '2026-01-01T00:00:00Z' }).error).toMatch(/before/);
+    expect(gpuTelemetryService.parseQuery({}, START)).toEqual({ from: START - 60 * 60 * 1000, to: START, gpuId: null });
+  });
+});
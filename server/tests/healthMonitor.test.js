@@ -0,0 +1,138 @@
+const axios = require('axios');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const healthMonitorService = require('../services/healthMonitorService');
+const dockerService = require('../services/dockerService');
+const { validateHealthPolicy } = require('../utils/healthPolicy');
+
+const INSTANCE_ID = 'instance-1';
+
+const createInstance = (status, policy = null) => instanceRepository.create({
+  id: INSTANCE_ID,
+  name: 'test',
+  modelName: 'facebook/opt-125m',
+  port: 8001,
+  containerId: 'container-1',
+  status,
+  config: '{}'
+}).then(() => policy && instanceRepository.updateHealthPolicy(INSTANCE_ID, policy));
+
+const failHealthChecks = () => jest.spyOn(axios, 'get').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+const checkTimes = async (count) => {
+  for (let i = 0; i < count; i += 1) {
+    await healthMonitorService.checkAll();
+  }
+};
+
+describe('Health monitor', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    healthMonitorService.states.clear();
+    await db.run('DELETE FROM health_checks');
+    await db.run('DELETE FROM instance_status_transitions');
+    await db.run('DELETE FROM instances');
+    await db.run('DELETE FROM ollama_instances');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('validates health policies and keeps only changed fields', () => {
+    expect(validateHealthPolicy({ failureThreshold: 5, autoRestart: true })).toEqual({ policy: { failureThreshold: 5 } });
+    expect(validateHealthPolicy({ failureThreshold: 0 }).error).toMatch(/failureThreshold/);
+    expect(validateHealthPolicy({ markFailed: 'yes' }).error).toMatch(/markFailed/);
+    expect(validateHealthPolicy({ retries: 1 }).error).toMatch(/Unknown/);
+  });
+
+  test('restarts an instance after the failure threshold and records the history', async () => {
+    await createInstance('ready', { backoffSeconds: 0 });
+    failHealthChecks();
+    const restart = jest.spyOn(dockerService, 'restartContainer').mockResolvedValue({ status: 'running' });
+    const alerts = [];
+    const onAlert = alert => alerts.push(alert.kind);
+    healthMonitorService.on('alert', onAlert);
+
+    await checkTimes(3);
+    healthMonitorService.off('alert', onAlert);
+
+    expect(restart).toHaveBeenCalledWith('container-1');
+    expect((await instanceRepository.findById(INSTANCE_ID)).status).toBe('loading-model');
+    expect(alerts).toEqual(['unhealthy', 'restarted']);
+
+    const history = await healthMonitorService.getHistory(await instanceRepository.findById(INSTANCE_ID));
+    expect(history.checks.map(check => check.action)).toEqual(['restarted', null, null]);
+    expect(history.restartsInWindow).toBe(1);
+  });
+
+  test('waits for the back-off before restarting', async () => {
+    await createInstance('ready');
+    failHealthChecks();
+    const restart = jest.spyOn(dockerService, 'restartContainer').mockResolvedValue({ status: 'running' });
+
+    await checkTimes(4);
+
+    expect(restart).not.toHaveBeenCalled();
+    const history = await healthMonitorService.getHistory(await instanceRepository.findById(INSTANCE_ID));
+    expect(history.consecutiveFailures).toBe(4);
+    expect(history.nextRestartAt).not.toBeNull();
+  });
+
+  test('marks an instance failed and stops it once no restart is left', async () => {
+    await createInstance('ready', { maxRestarts: 0 });
+    failHealthChecks();
+    const stop = jest.spyOn(dockerService, 'stopContainer').mockResolvedValue({ status: 'stopped' });
+
+    await checkTimes(3);
+
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('failed');
+    expect(instance.status_reason).toBe('Still unhealthy after 0 restarts within 60 minutes');
+    expect(stop).toHaveBeenCalledWith('container-1');
+  });
+
+  test('does not count failures while a vLLM model is loading', async () => {
+    await createInstance('loading-model', { backoffSeconds: 0 });
+    failHealthChecks();
+    const restart = jest.spyOn(dockerService, 'restartContainer');
+
+    await checkTimes(5);
+
+    expect(restart).not.toHaveBeenCalled();
+    expect(healthMonitorService.getState(INSTANCE_ID).consecutiveFailures).toBe(0);
+  });
+
+  test('checks Ollama instances through /api/tags', async () => {
+    await ollamaInstanceRepository.create({ id: 'ollama-1', name: 'ollama', port: 11435, containerId: 'c', status: 'running', config: '{}' });
+    const get = failHealthChecks();
+
+    await healthMonitorService.checkAll();
+    expect(get).toHaveBeenCalledWith(expect.stringMatching(/:11435\/api\/tags$/), expect.anything());
+    expect((await ollamaInstanceRepository.findById('ollama-1')).status).toBe('unhealthy');
+
+    get.mockResolvedValue({ status: 200 });
+    await healthMonitorService.checkAll();
+    expect((await ollamaInstanceRepository.findById('ollama-1')).status).toBe('running');
+  });
+
+  test('checks on a timer that does not keep the process running', () => {
+    healthMonitorService.start();
+    try {
+      expect(healthMonitorService.timer.hasRef()).toBe(false);
+    } finally {
+      healthMonitorService.stop();
+    }
+    expect(healthMonitorService.timer).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceJobService = require('../services/instanceJobService');
+
+// Resolves with every event published for a job, once it finishes
+const collectEvents = (jobId) => new Promise((resolve) => {
+  const events = [];
+  const unsubscribe = instanceJobService.subscribe(jobId, (entry) => {
+    events.push(entry);
+    if (instanceJobService.isTerminalEvent(entry)) {
+      unsubscribe();
+      resolve(events);
+    }
+  });
+});
+
+describe('Instance jobs', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM instance_jobs');
+  });
+
+  test('runs a job in the background and records its result', async () => {
+    const job = await instanceJobService.start({ type: 'create', instanceId: 'instance-1' }, async (handle) => {
+      await handle.progress('loading-model', 'Loading model');
+      handle.log('INFO: model loaded');
+      return 'Instance is ready';
+    });
+    expect(job.status).toBe('queued');
+
+    const events = await collectEvents(job.id);
+
+    expect(events.map(entry => entry.event)).toEqual(['progress', 'progress', 'log', 'done']);
+    expect(events[1].data).toMatchObject({ stage: 'loading-model', message: 'Loading model' });
+    expect(events[2].data).toMatchObject({ line: 'INFO: model loaded', stream: 'stdout' });
+
+    const finished = await instanceJobService.getJob(job.id);
+    expect(finished).toMatchObject({ status: 'succeeded', stage: 'loading-model', message: 'Instance is ready' });
+    expect(finished.finishedAt).toBeTruthy();
+
+    // Late subscribers can replay everything but detailed progress
+    expect(instanceJobService.getBufferedEvents(job.id)).toEqual(events);
+  });
+
+  test('records the error of a failed job', async () => {
+    const job = await instanceJobService.start({ type: 'create', instanceId: 'instance-1' }, async () => {
+      throw new Error('Image not found');
+    });
+
+    const events = await collectEvents(job.id);
+
+    expect(events[events.length - 1]).toMatchObject({ event: 'error', data: { error: 'Image not found' } });
+    expect(await instanceJobService.getJob(job.id)).toMatchObject({ status: 'failed', error: 'Image not found' });
+    expect(await instanceJobService.getActiveJob('instance-1')).toBeNull();
+  });
+
+  test('does not replay per-layer pull progress', async () => {
+    const job = await instanceJobService.start({ type: 'create', instanceId: 'instance-1' }, async (handle) => {
+      await handle.progress('pulling-image', 'Pulling vllm/vllm-openai:latest', { layer: 'abc', current: 1, total: 2 });
+      return 'done';
+    });
+
+    const events = await collectEvents(job.id);
+
+    expect(events.some(entry => entry.data.details)).toBe(true);
+    expect(instanceJobService.getBufferedEvents(job.id).some(entry => entry.data.details)).toBe(false);
+  });
+
+  test('fails jobs interrupted by a restart', async () => {
+    await db.run("INSERT INTO instance_jobs (id, instance_id, type, status) VALUES ('old', 'instance-1', 'create', 'running')");
+
+    expect(await instanceJobService.getActiveJob('instance-1')).toMatchObject({ id: 'old' });
+    await instanceJobService.recoverInterrupted();
+
+    expect(await instanceJobService.getJob('old')).toMatchObject({ status: 'failed', error: 'Interrupted by a manager restart' });
+  });
+});
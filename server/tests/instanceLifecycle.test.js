@@ -0,0 +1,201 @@
+const axios = require('axios');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceLifecycleService = require('../services/instanceLifecycleService');
+const dockerEventService = require('../services/dockerEventService');
+const dockerService = require('../services/dockerService');
+const placementService = require('../services/placementService');
+const deploymentService = require('../services/deploymentService');
+const { canTransition } = require('../utils/instanceStates');
+
+const INSTANCE_ID = 'instance-1';
+const CONTAINER_ID = 'container-1';
+
+const createInstance = (status) => instanceRepository.create({
+  id: INSTANCE_ID,
+  name: 'test',
+  modelName: 'facebook/opt-125m',
+  port: 8001,
+  containerId: CONTAINER_ID,
+  status,
+  config: '{}'
+});
+
+const statusOf = async () => (await instanceRepository.findById(INSTANCE_ID)).status;
+
+const dieEvent = (exitCode) => ({
+  Action: 'die',
+  id: CONTAINER_ID,
+  Actor: { ID: CONTAINER_ID, Attributes: { exitCode: String(exitCode) } }
+});
+
+describe('Instance lifecycle', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM instance_status_transitions');
+    await db.run('DELETE FROM instances');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allows only defined transitions', () => {
+    expect(canTransition('loading-model', 'ready')).toBe(true);
+    expect(canTransition('stopped', 'ready')).toBe(false);
+    expect(canTransition('ready', 'bogus')).toBe(false);
+    // Statuses written by older releases can move anywhere
+    expect(canTransition('running', 'ready')).toBe(true);
+  });
+
+  test('records transitions in the history and emits them', async () => {
+    await createInstance('pending');
+    const listener = jest.fn();
+    instanceLifecycleService.once('transition', listener);
+
+    const change = await instanceLifecycleService.transition(INSTANCE_ID, 'loading-model', 'Container started');
+
+    expect(change).toMatchObject({ instanceId: INSTANCE_ID, from: 'pending', to: 'loading-model' });
+    expect(listener).toHaveBeenCalledWith(change);
+
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('loading-model');
+    expect(instance.status_reason).toBe('Container started');
+
+    const history = await instanceLifecycleService.getHistory(INSTANCE_ID);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ from_status: 'pending', to_status: 'loading-model', reason: 'Container started' });
+  });
+
+  test('ignores invalid and no-op transitions', async () => {
+    await createInstance('stopped');
+
+    expect(await instanceLifecycleService.transition(INSTANCE_ID, 'ready')).toBeNull();
+    expect(await instanceLifecycleService.transition(INSTANCE_ID, 'stopped')).toBeNull();
+    expect(await statusOf()).toBe('stopped');
+    expect(await instanceLifecycleService.getHistory(INSTANCE_ID)).toEqual([]);
+  });
+
+  test('rejects unknown statuses', async () => {
+    await createInstance('ready');
+    await expect(instanceLifecycleService.transition(INSTANCE_ID, 'running')).rejects.toThrow(/Unknown instance status/);
+  });
+
+  test('marks a crashed container as failed', async () => {
+    await createInstance('ready');
+    await instanceLifecycleService.handleContainerEvent(dieEvent(1));
+
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('failed');
+    expect(instance.status_reason).toBe('Container exited with code 1');
+  });
+
+  test('treats a container dying while stopping as stopped', async () => {
+    await createInstance('stopping');
+    await instanceLifecycleService.handleContainerEvent(dieEvent(137));
+    expect(await statusOf()).toBe('stopped');
+  });
+
+  test('ignores events for containers it does not manage', async () => {
+    await createInstance('ready');
+    await instanceLifecycleService.handleContainerEvent({ ...dieEvent(1), id: 'other', Actor: { ID: 'other' } });
+    expect(await statusOf()).toBe('ready');
+  });
+
+  test('fails an instance whose container was removed outside the manager', async () => {
+    await createInstance('ready');
+    await instanceLifecycleService.handleContainerEvent({ Action: 'destroy', id: CONTAINER_ID });
+
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('failed');
+    expect(instance.status_reason).toBe('Container was removed outside the manager');
+  });
+
+  test('ignores removals announced by the manager', async () => {
+    await createInstance('stopped');
+    dockerEventService.expect(CONTAINER_ID, 'destroy');
+
+    await instanceLifecycleService.handleContainerEvent({ Action: 'destroy', id: CONTAINER_ID });
+    expect(await statusOf()).toBe('stopped');
+  });
+
+  test('follows Docker health checks', async () => {
+    await createInstance('ready');
+    await instanceLifecycleService.handleContainerEvent({ Action: 'health_status: unhealthy', id: CONTAINER_ID });
+    expect(await statusOf()).toBe('unhealthy');
+
+    await instanceLifecycleService.handleContainerEvent({ Action: 'health_status: healthy', id: CONTAINER_ID });
+    expect(await statusOf()).toBe('ready');
+  });
+
+  test('promotes a loading instance once /health passes', async () => {
+    await createInstance('loading-model');
+    jest.spyOn(axios, 'get').mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    await instanceLifecycleService.probeInstances();
+    expect(await statusOf()).toBe('loading-model');
+
+    jest.spyOn(axios, 'get').mockResolvedValueOnce({ status: 200 });
+    await instanceLifecycleService.probeInstances();
+    expect(await statusOf()).toBe('ready');
+  });
+
+  test('marks a ready instance unhealthy when /health fails and recovers it', async () => {
+    await createInstance('ready');
+    jest.spyOn(axios, 'get').mockRejectedValueOnce({ message: 'Request failed', response: { status: 503 } });
+
+    await instanceLifecycleService.probeInstances();
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('unhealthy');
+    expect(instance.status_reason).toBe('Health check failed: HTTP 503');
+
+    jest.spyOn(axios, 'get').mockResolvedValueOnce({ status: 200 });
+    await instanceLifecycleService.probeInstances();
+    expect(await statusOf()).toBe('ready');
+  });
+
+  test('fails a deployment and removes its container when recording it fails', async () => {
+    await createInstance('pending');
+    const job = { progress: jest.fn().mockResolvedValue(), log: jest.fn() };
+    jest.spyOn(placementService, 'place').mockResolvedValue({ device: 'cpu', backend: 'cpu', gpuIds: [], reason: 'Runs on the CPU' });
+    jest.spyOn(dockerService, 'createVLLMContainer').mockResolvedValue({ containerId: 'container-2', deviceInfo: 'CPU', gpuId: null });
+    jest.spyOn(instanceRepository, 'updateDeployment').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+    const remove = jest.spyOn(dockerService, 'removeContainer').mockResolvedValue({ status: 'removed' });
+
+    await expect(deploymentService.deploy(job, { id: INSTANCE_ID, name: 'test', modelName: 'facebook/opt-125m' }, {}))
+      .rejects.toThrow('SQLITE_BUSY');
+    expect(remove).toHaveBeenCalledWith('container-2');
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('failed');
+    expect(instance.status_reason).toBe('Recording the container failed: SQLITE_BUSY: database is locked');
+  });
+
+  test('fails an instance that does not become ready in time', async () => {
+    await createInstance('loading-model');
+    const job = { progress: jest.fn().mockResolvedValue(), log: jest.fn() };
+    jest.spyOn(dockerService, 'followContainerLogs').mockReturnValue(jest.fn());
+    jest.spyOn(instanceLifecycleService, 'probeInstance').mockResolvedValue();
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+    try {
+      const waiting = deploymentService.waitUntilReady(job, INSTANCE_ID, CONTAINER_ID);
+      const failure = expect(waiting).rejects.toThrow('vLLM did not become ready within 30 minutes');
+      await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+      await failure;
+    } finally {
+      jest.useRealTimers();
+    }
+    const instance = await instanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('failed');
+    expect(instance.status_reason).toBe('vLLM did not become ready within 30 minutes');
+  });
+});
@@ -0,0 +1,143 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const templateService = require('../services/templateService');
+const { BUILTIN_TEMPLATES } = require('../utils/builtinTemplates');
+const { validateTemplate, validateTemplateConfig } = require('../utils/instanceTemplates');
+const yaml = require('../utils/yaml');
+
+const LLAMA = 'meta-llama/Llama-3.1-8B-Instruct';
+
+describe('Instance templates', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM instance_templates');
+    await db.run('DELETE FROM instances');
+  });
+
+  test('validates template configs like instance requests', () => {
+    expect(validateTemplateConfig({ modelName: LLAMA, maxContextLength: '8192', gpuMemoryUtilization: '0.8', extraArgs: { '--enforce-eager': true } }))
+      .toEqual({ config: { modelName: LLAMA, maxContextLength: 8192, gpuMemoryUtilization: 0.8, extraArgs: { 'enforce-eager': true } } });
+    expect(validateTemplateConfig({ modelName: LLAMA, enableLora: true }).config).toEqual({ modelName: LLAMA, enableLora: true, maxLoraRank: 16 });
+
+    expect(validateTemplateConfig({ maxContextLength: 8192 }).error).toMatch(/needs a modelName/);
+    expect(validateTemplateConfig({ modelName: LLAMA, apiKey: 'sk-secret' }).error).toMatch(/can't set apiKey/);
+    expect(validateTemplateConfig({ modelName: LLAMA, gpuSelection: 'gpu0' }).error).toMatch(/gpuSelection/);
+    expect(validateTemplateConfig({ modelName: LLAMA, extraArgs: { port: 9000 } }).error).toMatch(/set by the manager/);
+    expect(validateTemplate({ name: ' ', config: { modelName: LLAMA } }).error).toMatch(/name is required/);
+  });
+
+  test('ships valid built-in templates', () => {
+    for (const template of BUILTIN_TEMPLATES) {
+      expect(validateTemplate(template)).toEqual({ template: { name: template.name, description: template.description, config: template.config } });
+    }
+  });
+
+  test('saves templates next to the built-in ones', async () => {
+    const { template } = validateTemplate({ name: 'Small Llama', config: { modelName: LLAMA, maxNumSeqs: 32 } });
+    const created = await templateService.create(template, { createdBy: 'user-1' });
+
+    expect(created).toMatchObject({ name: 'Small Llama', builtin: false, config: { modelName: LLAMA, maxNumSeqs: 32 }, createdBy: 'user-1' });
+    const templates = await templateService.list();
+    expect(templates.filter(item => item.builtin)).toHaveLength(BUILTIN_TEMPLATES.length);
+    expect(templates[templates.length - 1].id).toBe(created.id);
+
+    expect(await templateService.isNameTaken('Small Llama')).toBe(true);
+    expect(await templateService.isNameTaken('Small Llama', created.id)).toBe(false);
+    expect(await templateService.isNameTaken(BUILTIN_TEMPLATES[0].name.toUpperCase())).toBe(true);
+
+    const updated = await templateService.update(created.id, { ...template, description: 'For tests' });
+    expect(updated.description).toBe('For tests');
+    await templateService.remove(created.id);
+    expect(await templateService.get(created.id)).toBeNull();
+  });
+
+  test('takes templates from an instance\'s settings', async () => {
+    await instanceRepository.create({
+      id: 'instance-1',
+      name: 'chat',
+      modelName: LLAMA,
+      port: 8001,
+      containerId: null,
+      status: 'running',
+      config: JSON.stringify({
+        modelName: LLAMA,
+        apiKey: '***',
+        requireAuth: true,
+        hostname: 'inference.vm',
+        port: 8001,
+        gpuSelection: 'auto',
+        advancedConfig: {
+          maxContextLength: 16384,
+          gpuMemoryUtilization: null,
+          maxNumSeqs: 256,
+          trustRemoteCode: false,
+          quantization: null,
+          tensorParallelSize: null,
+          extraArgs: {},
+          enableLora: false,
+          maxLoraRank: null,
+          speculativeDecoding: { method: 'ngram', draftModel: null, numSpeculativeTokens: 5, ngramPromptLookupMax: 4 }
+        },
+        imageConfig: { image: null, imageTag: 'v0.6.3', pullPolicy: null }
+      }),
+      apiKey: 'sk-instance'
+    });
+
+    const { config } = templateService.configFromInstance(await instanceRepository.findById('instance-1'));
+    expect(config).toEqual({
+      modelName: LLAMA,
+      gpuSelection: 'auto',
+      maxContextLength: 16384,
+      maxNumSeqs: 256,
+      trustRemoteCode: false,
+      speculativeDecoding: { method: 'ngram', draftModel: null, numSpeculativeTokens: 5, ngramPromptLookupMax: 4 },
+      imageTag: 'v0.6.3',
+      requireAuth: true
+    });
+  });
+
+  test('exports documents as YAML', () => {
+    expect(yaml.stringify({
+      name: 'Llama: chat',
+      description: null,
+      config: {
+        modelName: LLAMA,
+        maxContextLength: 8192,
+        trustRemoteCode: false,
+        imageTag: '0.6',
+        extraArgs: { 'served-model-name': ['llama', 'chat'] },
+        speculativeDecoding: {}
+      },
+      exportDate: '2026-10-19T17:58:46.517Z',
+      templates: [{ name: 'a', tags: [] }, 'true']
+    })).toBe([
+      'name: "Llama: chat"',
+      'description: null',
+      'config:',
+      `  modelName: ${LLAMA}`,
+      '  maxContextLength: 8192',
+      '  trustRemoteCode: false',
+      '  imageTag: "0.6"',
+      '  extraArgs:',
+      '    served-model-name:',
+      '    - llama',
+      '    - chat',
+      '  speculativeDecoding: {}',
+      'exportDate: "2026-10-19T17:58:46.517Z"',
+      'templates:',
+      '- name: a',
+      '  tags: []',
+      '- "true"',
+      ''
+    ].join('\n'));
+  });
+});
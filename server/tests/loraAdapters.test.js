@@ -0,0 +1,122 @@
+const path = require('path');
+const axios = require('axios');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const adapterService = require('../services/adapterService');
+const gatewayService = require('../services/gatewayService');
+const { validateAdapter, validateLoraConfig, toCommandLine } = require('../utils/loraAdapters');
+
+const ADAPTERS_DIR = path.resolve('/srv/lora-adapters');
+const INSTANCE_ID = 'instance-1';
+
+const createInstance = (status, advancedConfig = { enableLora: true, maxLoraRank: 32 }) => instanceRepository.create({
+  id: INSTANCE_ID,
+  name: 'test',
+  modelName: 'meta-llama/Llama-3.1-8B-Instruct',
+  port: 8001,
+  containerId: 'container-1',
+  status,
+  config: JSON.stringify({ advancedConfig }),
+  apiKey: 'sk-instance'
+}).then(() => instanceRepository.findById(INSTANCE_ID));
+
+describe('LoRA adapters', () => {
+  beforeAll(async () => {
+    process.env.LORA_ADAPTERS_DIR = ADAPTERS_DIR;
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    delete process.env.LORA_ADAPTERS_DIR;
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM instance_adapters');
+    await db.run('DELETE FROM instances');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('validates adapters and sizes the max rank to fit them', () => {
+    const result = validateLoraConfig({
+      adapters: [
+        { name: 'sql', source: 'org/llama-sql-lora', rank: 8 },
+        { name: 'support', source: `${ADAPTERS_DIR}/support`, rank: '48' }
+      ]
+    }, 'meta-llama/Llama-3.1-8B-Instruct');
+
+    expect(result.lora.enableLora).toBe(true);
+    expect(result.lora.maxLoraRank).toBe(64);
+    expect(toCommandLine(result.lora)).toEqual([
+      '--enable-lora', '--max-lora-rank', '64',
+      '--lora-modules', 'sql=org/llama-sql-lora', 'support=/lora-adapters/support'
+    ]);
+    expect(validateLoraConfig({})).toEqual({ lora: { enableLora: false, maxLoraRank: null, adapters: [] } });
+  });
+
+  test('rejects bad names, sources and ranks', () => {
+    expect(validateAdapter({ name: 'a b', source: 'org/lora', rank: 8 }).error).toMatch(/names may only/);
+    expect(validateAdapter({ name: 'sql', source: `${ADAPTERS_DIR}/../etc`, rank: 8 }).error).toMatch(/must be inside/);
+    expect(validateAdapter({ name: 'sql', source: 'not a repo', rank: 8 }).error).toMatch(/HuggingFace repository/);
+    expect(validateAdapter({ name: 'sql', source: 'org/lora', rank: 64 }, { maxLoraRank: 32 }).error).toMatch(/above the instance's maxLoraRank/);
+    expect(validateLoraConfig({ maxLoraRank: 8, adapters: [{ name: 'sql', source: 'org/lora', rank: 16 }] }).error).toMatch(/above maxLoraRank/);
+    expect(validateLoraConfig({
+      adapters: [{ name: 'sql', source: 'org/lora', rank: 8 }, { name: 'sql', source: 'org/other', rank: 8 }]
+    }).error).toMatch(/declared twice/);
+  });
+
+  test('loads and unloads adapters of ready instances and routes to them', async () => {
+    const instance = await createInstance('ready');
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: 'Success' });
+
+    await adapterService.add(instance, { name: 'support', source: `${ADAPTERS_DIR}/support`, rank: 16 });
+    expect(post).toHaveBeenCalledWith(
+      'http://inference.vm:8001/v1/load_lora_adapter',
+      { lora_name: 'support', lora_path: '/lora-adapters/support' },
+      expect.objectContaining({ headers: { Authorization: 'Bearer sk-instance' } })
+    );
+
+    const { target } = await gatewayService.resolveModel('support');
+    expect(target).toMatchObject({ instanceId: INSTANCE_ID, port: 8001, parent: 'meta-llama/Llama-3.1-8B-Instruct' });
+
+    await adapterService.remove(instance, 'support');
+    expect(post).toHaveBeenLastCalledWith(
+      'http://inference.vm:8001/v1/unload_lora_adapter',
+      { lora_name: 'support' },
+      expect.anything()
+    );
+    expect(await instanceAdapterRepository.findByInstance(INSTANCE_ID)).toEqual([]);
+  });
+
+  test('keeps the adapter out of the table when vLLM refuses it', async () => {
+    const instance = await createInstance('ready');
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 400, data: { message: 'adapter rank 64 exceeds max_lora_rank' } }
+    }));
+
+    await expect(adapterService.add(instance, { name: 'sql', source: 'org/llama-sql-lora', rank: 16 }))
+      .rejects.toThrow('vLLM could not load adapter sql: adapter rank 64 exceeds max_lora_rank');
+    expect(await instanceAdapterRepository.findByInstance(INSTANCE_ID)).toEqual([]);
+  });
+
+  test('reloads the adapters a restarted instance is missing', async () => {
+    await createInstance('ready');
+    await instanceAdapterRepository.create(INSTANCE_ID, { name: 'sql', source: 'org/llama-sql-lora', rank: 8 });
+    await instanceAdapterRepository.create(INSTANCE_ID, { name: 'support', source: `${ADAPTERS_DIR}/support`, rank: 16 });
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { data: [{ id: 'meta-llama/Llama-3.1-8B-Instruct' }, { id: 'sql', parent: 'meta-llama/Llama-3.1-8B-Instruct' }] }
+    });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: 'Success' });
+
+    await adapterService.syncInstance(INSTANCE_ID);
+
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post.mock.calls[0][1]).toEqual({ lora_name: 'support', lora_path: '/lora-adapters/support' });
+  });
+});
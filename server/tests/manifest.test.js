@@ -0,0 +1,209 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const instanceRepository = require('../database/repositories/instanceRepository');
+const instanceAdapterRepository = require('../database/repositories/instanceAdapterRepository');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaModelRepository = require('../database/repositories/ollamaModelRepository');
+const dockerService = require('../services/dockerService');
+const ollamaService = require('../services/ollamaService');
+const settingsService = require('../services/settingsService');
+const imageService = require('../services/imageService');
+const ollamaInstanceService = require('../services/ollamaInstanceService');
+const manifestService = require('../services/manifestService');
+const { validateManifest } = require('../utils/manifest');
+const yaml = require('../utils/yaml');
+
+const LLAMA = 'meta-llama/Llama-3.1-8B-Instruct';
+
+const MANIFEST = `
+# Fleet of the tests
+apiVersion: vllm-manager/v1
+kind: Fleet
+vllm:
+  - name: chat
+    modelName: ${LLAMA}
+    maxContextLength: 16384
+    adapters:
+      - name: sql
+        source: org/llama-sql-lora
+        rank: 16
+  - name: coder
+    modelName: Qwen/Qwen2.5-Coder-7B-Instruct
+    extraArgs: { enforce-eager: true }
+ollama:
+  - name: small
+    gpuSelection: cpu
+    models: [llama3.2:3b, "qwen2.5"]
+`;
+
+describe('Fleet manifests', () => {
+  let defaults;
+
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+    defaults = await settingsService.getInstanceDefaults();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    for (const table of ['instance_adapters', 'instances', 'ollama_models', 'ollama_instances']) {
+      await db.run(`DELETE FROM ${table}`);
+    }
+    jest.spyOn(dockerService, 'listAllContainers').mockResolvedValue([{ Id: 'vllm-chat' }, { Id: 'vllm-old' }]);
+    jest.spyOn(ollamaService, 'listAllContainers').mockResolvedValue([{ Id: 'ollama-small' }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The fleet the manifest starts from: chat with a smaller context, an unlisted instance, and small with one other model
+  async function seedFleet() {
+    const config = {
+      modelName: LLAMA,
+      hostname: defaults.hostname,
+      gpuSelection: defaults.gpuSelection,
+      requireAuth: true,
+      advancedConfig: { maxContextLength: 8192, maxNumSeqs: 256, trustRemoteCode: false, extraArgs: {}, enableLora: true, maxLoraRank: 16 },
+      imageConfig: { image: null, imageTag: null, pullPolicy: null }
+    };
+    await instanceRepository.create({
+      id: 'chat-id', name: 'chat', modelName: LLAMA, port: 8001, containerId: 'vllm-chat', status: 'running', config: JSON.stringify(config), apiKey: 'sk-chat'
+    });
+    await instanceAdapterRepository.replace('chat-id', [{ name: 'sql', source: 'org/llama-sql-lora', rank: 16 }]);
+    await instanceRepository.create({
+      id: 'old-id', name: 'old', modelName: LLAMA, port: 8002, containerId: 'vllm-old', status: 'stopped', config: JSON.stringify(config), apiKey: null
+    });
+    await ollamaInstanceRepository.create({
+      id: 'small-id',
+      name: 'small',
+      port: 11435,
+      containerId: 'ollama-small',
+      status: 'running',
+      config: JSON.stringify({ requireAuth: true, hostname: defaults.hostname, gpuSelection: 'cpu', gpuMemoryFraction: null, imageConfig: {} }),
+      apiKey: 'sk-small'
+    });
+    await ollamaModelRepository.create({ id: 'model-1', instanceId: 'small-id', name: 'llama3.2:3b', status: 'ready' });
+    await ollamaModelRepository.create({ id: 'model-2', instanceId: 'small-id', name: 'mistral', status: 'ready' });
+  }
+
+  test('parses manifests and refuses invalid ones', () => {
+    const { manifest } = validateManifest(MANIFEST);
+    expect(manifest.vllm[0]).toEqual({
+      name: 'chat', modelName: LLAMA, maxContextLength: 16384, enableLora: true, maxLoraRank: 16, adapters: [{ name: 'sql', source: 'org/llama-sql-lora', rank: 16 }]
+    });
+    expect(manifest.vllm[1].extraArgs).toEqual({ 'enforce-eager': true });
+    expect(manifest.ollama[0].models).toEqual(['llama3.2:3b', 'qwen2.5:latest']);
+
+    expect(validateManifest('apiVersion: v2\nkind: Fleet').error).toMatch(/apiVersion: vllm-manager\/v1/);
+    expect(validateManifest('vllm:\n  - name: a\n   modelName: b').error).toMatch(/not valid YAML: YAML line 3/);
+    expect(validateManifest(`${MANIFEST}  - name: small\n`).error).toMatch(/already named small/);
+    expect(validateManifest({ apiVersion: 'vllm-manager/v1', kind: 'Fleet', vllm: [{ name: 'a', modelName: LLAMA, apiKey: 'sk-x' }] }).error)
+      .toMatch(/unknown field apiKey/);
+  });
+
+  test('parses the YAML it writes', () => {
+    const document = { name: 'a: b', count: 3, version: '1.0', on: 'yes', empty: {}, list: [{ x: null, y: [true, 'false'] }], text: 'multi\nline' };
+    expect(yaml.parse(yaml.stringify(document))).toEqual(document);
+    expect(yaml.parse('a: 1 # comment\nb: "#not"\nc: [1, two, {d: 0x10}]')).toEqual({ a: 1, b: '#not', c: [1, 'two', { d: 16 }] });
+    expect(() => yaml.parse('a: 1\na: 2')).toThrow(/line 2: duplicate key a/);
+  });
+
+  test('refuses keys that would change the prototype of parsed mappings', () => {
+    expect(() => yaml.parse('a: 1\n__proto__:\n  polluted: yes\n')).toThrow(/line 2: key __proto__ is not allowed/);
+    expect(() => yaml.parse('a: {constructor: {prototype: 1}}')).toThrow(/line 1: key constructor is not allowed/);
+    expect(() => yaml.parse('"prototype": 1')).toThrow(/key prototype is not allowed/);
+    expect(({}).polluted).toBeUndefined();
+
+    // Parsed mappings inherit nothing a manifest didn't set
+    const parsed = yaml.parse('a: {b: 1}');
+    expect(Object.getPrototypeOf(parsed)).toBeNull();
+    expect(parsed.a.toString).toBeUndefined();
+    expect(validateManifest(MANIFEST.replace('kind: Fleet', 'kind: Fleet\n__proto__:\n  apiKey: sk-x')).error)
+      .toMatch(/not valid YAML: YAML line \d+: key __proto__ is not allowed/);
+  });
+
+  test('plans creations, updates and deletions against the current fleet', async () => {
+    await seedFleet();
+    const { manifest } = validateManifest(MANIFEST);
+
+    const plan = await manifestService.plan(manifest);
+    expect(plan.changes.map(({ action, kind, name }) => `${action} ${kind} ${name}`)).toEqual([
+      'update vllm chat',
+      'create vllm coder',
+      'create ollama-model qwen2.5:latest',
+      'delete ollama-model mistral'
+    ]);
+    expect(plan.changes[0].changes).toEqual([{ field: 'maxContextLength', from: 8192, to: 16384 }]);
+    expect(plan.changes[0].spec).toBeUndefined();
+    expect(plan.unmanaged).toEqual([{ kind: 'vllm', name: 'old', instanceId: 'old-id' }]);
+    expect(plan.summary).toEqual({ create: 2, update: 1, delete: 1 });
+
+    const pruned = await manifestService.plan(manifest, { prune: true });
+    expect(pruned.changes).toContainEqual(expect.objectContaining({ action: 'delete', kind: 'vllm', name: 'old', instanceId: 'old-id' }));
+    expect(pruned.unmanaged).toEqual([]);
+  });
+
+  test('recreates instances whose container is gone, and warns when Docker is unreachable', async () => {
+    await seedFleet();
+    dockerService.listAllContainers.mockResolvedValue([{ Id: 'vllm-old' }]);
+    const { manifest } = validateManifest({ apiVersion: 'vllm-manager/v1', kind: 'Fleet', vllm: [{
+      name: 'chat', modelName: LLAMA, maxContextLength: 8192, adapters: [{ name: 'sql', source: 'org/llama-sql-lora', rank: 16 }]
+    }] });
+
+    const plan = await manifestService.plan(manifest);
+    expect(plan.changes).toEqual([expect.objectContaining({ action: 'update', name: 'chat', changes: [], reason: 'Its container is missing' })]);
+
+    dockerService.listAllContainers.mockRejectedValue(new Error('connect ENOENT /var/run/docker.sock'));
+    const offline = await manifestService.plan(manifest);
+    expect(offline.changes).toEqual([]);
+    expect(offline.warnings[0]).toMatch(/Docker could not be reached/);
+  });
+
+  test('updates Ollama instances in place, keeping their port, key and models', async () => {
+    await seedFleet();
+    jest.spyOn(imageService, 'resolve').mockResolvedValue({ image: 'ollama/ollama:latest', pullPolicy: 'if-missing' });
+    jest.spyOn(dockerService, 'ensureImage').mockResolvedValue(false);
+    const removeContainer = jest.spyOn(ollamaService, 'removeContainer').mockResolvedValue();
+    const createContainer = jest.spyOn(ollamaService, 'createOrGetOllamaContainer')
+      .mockResolvedValue({ containerId: 'ollama-small-2', gpuId: 'cpu', deviceInfo: 'CPU', resolvedImage: null });
+    const { manifest } = validateManifest({ apiVersion: 'vllm-manager/v1', kind: 'Fleet', ollama: [{
+      name: 'small', hostname: 'ollama.internal', gpuSelection: 'cpu', models: ['llama3.2:3b', 'mistral']
+    }] });
+
+    const plan = await manifestService.plan(manifest);
+    expect(plan.changes.map(({ action, kind, name }) => `${action} ${kind} ${name}`)).toEqual(['update ollama small']);
+
+    const applied = await manifestService.apply(manifest);
+    expect(applied.results).toEqual([expect.objectContaining({ action: 'update', name: 'small', status: 'done', instanceId: 'small-id' })]);
+    expect(removeContainer).toHaveBeenCalledWith('ollama-small');
+    expect(createContainer).toHaveBeenCalledWith(expect.objectContaining({ id: 'small-id', port: 11435, apiKey: 'sk-small' }), { pulledImage: 'ollama/ollama:latest' });
+
+    const instance = await ollamaInstanceRepository.findById('small-id');
+    expect(instance).toMatchObject({ port: 11435, container_id: 'ollama-small-2', api_key: 'sk-small', status: 'running' });
+    expect(JSON.parse(instance.config).hostname).toBe('ollama.internal');
+    expect((await ollamaModelRepository.findByInstance('small-id')).map(model => model.name)).toEqual(['llama3.2:3b', 'mistral']);
+
+    // An instance that disappeared since the plan fails its change instead of throwing
+    expect(await ollamaInstanceService.update('gone-id', {})).toEqual({ status: 404, body: { error: 'Ollama instance not found' } });
+  });
+
+  test('exports the fleet as a manifest that plans no changes', async () => {
+    await seedFleet();
+
+    const exported = await manifestService.exportState();
+    expect(exported.vllm[0]).toEqual({
+      name: 'chat', modelName: LLAMA, maxContextLength: 8192, enableLora: true, maxLoraRank: 16, adapters: [{ name: 'sql', source: 'org/llama-sql-lora', rank: 16 }]
+    });
+    expect(exported.ollama).toEqual([{ name: 'small', gpuSelection: 'cpu', models: ['llama3.2:3b', 'mistral:latest'] }]);
+
+    const { manifest } = validateManifest(yaml.stringify(exported));
+    const plan = await manifestService.plan(manifest);
+    expect(plan.changes).toEqual([]);
+    expect(plan.unmanaged).toEqual([]);
+  });
+});
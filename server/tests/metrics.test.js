@@ -0,0 +1,118 @@
+const express = require('express');
+const request = require('supertest');
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const authService = require('../services/authService');
+const metricsService = require('../services/metricsService');
+const metricsRoutes = require('../routes/metrics');
+const { Counter, Histogram, Registry, parseMetricsText, mergeMetricFamilies } = require('../utils/metrics');
+
+describe('Prometheus metrics', () => {
+  test('renders counters with escaped labels', () => {
+    const registry = new Registry();
+    const counter = registry.register(new Counter('test_total', 'A test counter', ['name']));
+    counter.inc({ name: 'say "hi"\n' });
+    counter.inc({ name: 'say "hi"\n' }, 2);
+
+    expect(registry.render()).toBe([
+      '# HELP test_total A test counter',
+      '# TYPE test_total counter',
+      'test_total{name="say \\"hi\\"\\n"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('renders histograms with cumulative buckets', () => {
+    const histogram = new Histogram('test_seconds', 'A test histogram', ['route'], [0.1, 1]);
+    histogram.observe({ route: '/a' }, 0.05);
+    histogram.observe({ route: '/a' }, 0.5);
+    histogram.observe({ route: '/a' }, 5);
+
+    expect(histogram.render().split('\n').slice(2)).toEqual([
+      'test_seconds_bucket{route="/a",le="0.1"} 1',
+      'test_seconds_bucket{route="/a",le="1"} 2',
+      'test_seconds_bucket{route="/a",le="+Inf"} 3',
+      'test_seconds_sum{route="/a"} 5.55',
+      'test_seconds_count{route="/a"} 3'
+    ]);
+  });
+
+  test('relabels and merges the metrics of several instances', () => {
+    const scrape = value => parseMetricsText([
+      '# HELP vllm:num_requests_running Requests running',
+      '# TYPE vllm:num_requests_running gauge',
+      `vllm:num_requests_running{model_name="m"} ${value}`,
+      '# TYPE vllm:e2e_request_latency_seconds histogram',
+      'vllm:e2e_request_latency_seconds_bucket{le="+Inf",model_name="m"} 4',
+      'vllm:e2e_request_latency_seconds_count{model_name="m"} 4',
+      'process_open_fds 12'
+    ].join('\n'));
+
+    const output = mergeMetricFamilies([
+      { families: scrape(1), labels: { instance_id: 'a', model: 'm' } },
+      { families: scrape(2), labels: { instance_id: 'b', model: 'm' } }
+    ]);
+
+    const lines = output.trim().split('\n');
+    expect(lines.filter(line => line.startsWith('# TYPE vllm:num_requests_running'))).toHaveLength(1);
+    expect(lines).toEqual(expect.arrayContaining([
+      'vllm:num_requests_running{model_name="m",instance_id="a",model="m"} 1',
+      'vllm:num_requests_running{model_name="m",instance_id="b",model="m"} 2',
+      'vllm:e2e_request_latency_seconds_bucket{le="+Inf",model_name="m",instance_id="b",model="m"} 4',
+      'process_open_fds{instance_id="a",model="m"} 12'
+    ]));
+    // Histogram samples stay grouped under their family's TYPE line
+    const typeLine = lines.indexOf('# TYPE vllm:e2e_request_latency_seconds histogram');
+    expect(lines.slice(typeLine + 1, typeLine + 5).every(line => line.startsWith('vllm:e2e_request_latency_seconds_'))).toBe(true);
+  });
+
+  describe('endpoint access', () => {
+    const env = { AUTH_ENABLED: process.env.AUTH_ENABLED, METRICS_TOKEN: process.env.METRICS_TOKEN, METRICS_PUBLIC: process.env.METRICS_PUBLIC };
+    let app;
+
+    beforeAll(async () => {
+      db.path = ':memory:';
+      await migrate(await db.open());
+      app = express();
+      app.use('/metrics', metricsRoutes);
+    });
+
+    afterAll(async () => {
+      Object.entries(env).forEach(([name, value]) => {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      });
+      await db.close();
+    });
+
+    beforeEach(() => {
+      process.env.AUTH_ENABLED = 'true';
+      delete process.env.METRICS_TOKEN;
+      delete process.env.METRICS_PUBLIC;
+      jest.spyOn(metricsService, 'render').mockResolvedValue('vllm_manager_instances{type="vllm",status="ready"} 1\n');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('requires a session or the metrics token unless opened explicitly', async () => {
+      await request(app).get('/metrics').expect(401);
+
+      const user = await authService.createUser({ username: 'viewer', password: 'correct-horse', role: 'viewer' });
+      const { token } = await authService.createSession(user.id);
+      const response = await request(app).get('/metrics').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(response.text).toContain('vllm_manager_instances');
+
+      process.env.METRICS_TOKEN = 'scrape-token';
+      await request(app).get('/metrics').set('Authorization', 'Bearer scrape-token').expect(200);
+      await request(app).get('/metrics').set('Authorization', 'Bearer wrong-token').expect(401);
+
+      process.env.METRICS_PUBLIC = 'true';
+      await request(app).get('/metrics').expect(200);
+    });
+  });
+});
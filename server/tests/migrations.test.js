@@ -0,0 +1,92 @@
+const sqlite3 = require('sqlite3');
+const { loadMigrations, migrate, rollback, status } = require('../database/migrator');
+
+const all = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const tableNames = async (db) => {
+  const rows = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+  return rows.map(row => row.name);
+};
+
+describe('Schema migrations', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterEach((done) => {
+    db.close(done);
+  });
+
+  test('migration files are numbered without gaps', () => {
+    const versions = loadMigrations().map(migration => migration.version);
+    expect(versions).toEqual(versions.map((_, index) => index + 1));
+  });
+
+  test('applies all migrations once', async () => {
+    const applied = await migrate(db);
+    expect(applied.length).toBe(loadMigrations().length);
+    expect(await tableNames(db)).toEqual(expect.arrayContaining(['instances', 'settings', 'schema_migrations']));
+
+    const second = await migrate(db);
+    expect(second).toEqual([]);
+  });
+
+  test('adds gpu_id to instances tables created by older releases', async () => {
+    await new Promise((resolve, reject) => {
+      db.run('CREATE TABLE instances (id TEXT PRIMARY KEY, name TEXT NOT NULL, model_name TEXT NOT NULL, port INTEGER NOT NULL UNIQUE, status TEXT)', (err) => (err ? reject(err) : resolve()));
+    });
+
+    await migrate(db);
+
+    const columns = await all(db, 'PRAGMA table_info(instances)');
+    expect(columns.map(column => column.name)).toContain('gpu_id');
+  });
+
+  test('rolls back the latest migration and can re-apply it', async () => {
+    const migrations = loadMigrations();
+    const latest = migrations[migrations.length - 1];
+    await migrate(db);
+
+    const reverted = await rollback(db);
+    expect(reverted.map(migration => migration.version)).toEqual([latest.version]);
+
+    const state = await status(db);
+    expect(state[state.length - 1].appliedAt).toBeNull();
+
+    const reapplied = await migrate(db);
+    expect(reapplied.map(migration => migration.version)).toEqual([latest.version]);
+  });
+
+  test('rolls back to a given version', async () => {
+    await migrate(db);
+    await rollback(db, { to: 0 });
+
+    expect(await tableNames(db)).toEqual(['schema_migrations']);
+  });
+
+  test('refuses a database newer than the code', async () => {
+    await migrate(db);
+    const olderCode = loadMigrations().slice(0, 1);
+
+    await expect(migrate(db, { migrations: olderCode })).rejects.toThrow(/newer than this application supports/);
+  });
+
+  test('leaves no trace of a failed migration', async () => {
+    const migrations = [{
+      version: 1,
+      name: 'broken',
+      up: async (migrationDb) => {
+        await migrationDb.run('CREATE TABLE half_done (id TEXT)');
+        await migrationDb.run('INSERT INTO missing_table VALUES (1)');
+      },
+      down: async (migrationDb) => migrationDb.run('DROP TABLE IF EXISTS half_done')
+    }];
+
+    await expect(migrate(db, { migrations })).rejects.toThrow();
+    expect(await tableNames(db)).toEqual(['schema_migrations']);
+  });
+});
@@ -0,0 +1,76 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const ollamaInstanceRepository = require('../database/repositories/ollamaInstanceRepository');
+const ollamaStatusService = require('../services/ollamaStatusService');
+const dockerEventService = require('../services/dockerEventService');
+
+const INSTANCE_ID = 'ollama-1';
+const CONTAINER_ID = 'ollama-container-1';
+
+const createInstance = (status) => ollamaInstanceRepository.create({
+  id: INSTANCE_ID,
+  name: 'ollama',
+  port: 11435,
+  containerId: CONTAINER_ID,
+  status,
+  config: '{}'
+});
+
+const event = (Action, exitCode) => ({
+  Action,
+  id: CONTAINER_ID,
+  Actor: { ID: CONTAINER_ID, Attributes: exitCode === undefined ? {} : { exitCode: String(exitCode) } }
+});
+
+describe('Ollama instance status', () => {
+  beforeAll(async () => {
+    db.path = ':memory:';
+    await migrate(await db.open());
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM ollama_instances');
+  });
+
+  test('records a crash with its exit code and notifies listeners', async () => {
+    await createInstance('running');
+    const listener = jest.fn();
+    ollamaStatusService.once('status', listener);
+
+    await ollamaStatusService.handleContainerEvent(event('die', 1));
+
+    const instance = await ollamaInstanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('error');
+    expect(instance.status_reason).toBe('Container exited with code 1');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ instanceId: INSTANCE_ID, from: 'running', to: 'error' }));
+  });
+
+  test('treats stops announced by the manager as stopped', async () => {
+    await createInstance('running');
+    dockerEventService.expect(CONTAINER_ID, 'die');
+
+    await ollamaStatusService.handleContainerEvent(event('die', 143));
+    expect((await ollamaInstanceRepository.findById(INSTANCE_ID)).status).toBe('stopped');
+  });
+
+  test('marks instances whose container was removed outside the manager', async () => {
+    await createInstance('running');
+    await ollamaStatusService.handleContainerEvent(event('destroy'));
+
+    const instance = await ollamaInstanceRepository.findById(INSTANCE_ID);
+    expect(instance.status).toBe('removed');
+    expect(instance.status_reason).toBe('Container was removed outside the manager');
+  });
+
+  test('keeps the reason of an OOM kill when the container then dies', async () => {
+    await createInstance('running');
+    await ollamaStatusService.handleContainerEvent(event('oom'));
+    await ollamaStatusService.handleContainerEvent(event('die', 137));
+
+    expect((await ollamaInstanceRepository.findById(INSTANCE_ID)).status_reason).toBe('Container ran out of memory');
+  });
+});
@@ -2,6 +2,7 @@
 process.env.NODE_ENV = 'test';
 process.env.DB_PATH = ':memory:'; // Use in-memory database for tests
 process.env.LOG_LEVEL = 'error'; // Reduce log noise during tests
+process.env.AUTH_ENABLED = 'false'; // API tests exercise the routes, not the login flow
 
 // Mock external dependencies that might not be available in test environment
 jest.mock('dockerode', () => {
@@ -29,6 +30,7 @@ jest.mock('dockerode', () => {
 jest.mock('../services/gpuService', () => ({
   initializeGPUDetection: jest.fn().mockResolvedValue({}),
   getGPUInfo: jest.fn().mockResolvedValue({ hasGPU: false, gpus: [] }),
+  refreshGPUStats: jest.fn().mockResolvedValue({ hasGPU: false, gpus: [] }),
   getAvailableGPUs: jest.fn().mockResolvedValue([]),
   selectOptimalGPU: jest.fn().mockResolvedValue({ id: 'cpu', name: 'CPU' }),
   getDeviceConfigForGPU: jest.fn().mockReturnValue({
@@ -37,6 +39,12 @@ jest.mock('../services/gpuService', () => ({
     deviceInfo: 'CPU-only mode',
     gpuId: null,
   }),
+  getDeviceConfigForGPUs: jest.fn().mockReturnValue({
+    hostConfig: {},
+    environment: ['VLLM_LOGGING_LEVEL=INFO'],
+    deviceInfo: 'CPU-only mode',
+    gpuId: null,
+  }),
 }));
 
 // Global test timeout
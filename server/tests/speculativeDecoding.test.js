@@ -0,0 +1,92 @@
+const modelService = require('../services/modelService');
+const placementService = require('../services/placementService');
+const {
+  validateSpeculativeDecoding,
+  checkTokenizerCompatibility,
+  toCommandLine
+} = require('../utils/speculativeDecoding');
+
+// Configurations as read by modelService.getModelConfig
+const LLAMA_8B = {
+  name: 'meta-llama/Llama-3.1-8B-Instruct',
+  hiddenSize: 4096,
+  numLayers: 32,
+  vocabSize: 128256,
+  bosTokenId: 128000,
+  numAttentionHeads: 32,
+  numKeyValueHeads: 8,
+  intermediateSize: 14336,
+  maxContextLength: 131072
+};
+const LLAMA_1B = {
+  name: 'meta-llama/Llama-3.2-1B-Instruct',
+  hiddenSize: 2048,
+  numLayers: 16,
+  vocabSize: 128256,
+  bosTokenId: 128000,
+  numAttentionHeads: 32,
+  numKeyValueHeads: 8,
+  intermediateSize: 8192,
+  tieWordEmbeddings: true,
+  maxContextLength: 131072
+};
+
+describe('Speculative decoding', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('validates draft model and n-gram settings', () => {
+    expect(validateSpeculativeDecoding(undefined)).toEqual({ speculativeDecoding: null });
+    expect(validateSpeculativeDecoding({ draftModel: LLAMA_1B.name, numSpeculativeTokens: '4' })).toEqual({
+      speculativeDecoding: { method: 'draft', draftModel: LLAMA_1B.name, numSpeculativeTokens: 4, ngramPromptLookupMax: null }
+    });
+    expect(validateSpeculativeDecoding({ method: 'ngram' })).toEqual({
+      speculativeDecoding: { method: 'ngram', draftModel: null, numSpeculativeTokens: 5, ngramPromptLookupMax: 4 }
+    });
+
+    expect(validateSpeculativeDecoding({ method: 'medusa' }).error).toMatch(/one of draft, ngram/);
+    expect(validateSpeculativeDecoding({ method: 'draft' }).error).toMatch(/needs a draftModel/);
+    expect(validateSpeculativeDecoding({ draftModel: LLAMA_8B.name }, { modelName: LLAMA_8B.name }).error).toMatch(/smaller model/);
+    expect(validateSpeculativeDecoding({ method: 'ngram', numSpeculativeTokens: 32 }).error).toMatch(/between 1 and 16/);
+    expect(validateSpeculativeDecoding({ method: 'ngram' }, { extraArgs: { 'num-scheduler-steps': 8 } }).error).toMatch(/num-scheduler-steps/);
+  });
+
+  test('builds the vLLM arguments', () => {
+    expect(toCommandLine(null)).toEqual([]);
+    expect(toCommandLine({ method: 'draft', draftModel: LLAMA_1B.name, numSpeculativeTokens: 5 })).toEqual([
+      '--speculative-model', LLAMA_1B.name, '--num-speculative-tokens', '5'
+    ]);
+    expect(toCommandLine({ method: 'ngram', numSpeculativeTokens: 3, ngramPromptLookupMax: 4 })).toEqual([
+      '--speculative-model', '[ngram]', '--num-speculative-tokens', '3', '--ngram-prompt-lookup-max', '4'
+    ]);
+  });
+
+  test('only accepts draft models with the same tokenizer', () => {
+    expect(checkTokenizerCompatibility(LLAMA_8B, LLAMA_1B)).toEqual({ compatible: true });
+    expect(checkTokenizerCompatibility(LLAMA_8B, { ...LLAMA_1B, vocabSize: 32000 }).error).toMatch(/vocabulary of 32000 tokens/);
+    expect(checkTokenizerCompatibility(LLAMA_8B, { ...LLAMA_1B, bosTokenId: 1 }).error).toMatch(/starts sequences with token 1/);
+    // Unreadable configurations can't be checked
+    expect(checkTokenizerCompatibility(LLAMA_8B, { name: 'org/draft', error: 'timeout' })).toEqual({ compatible: null });
+  });
+
+  test('counts the draft model in the memory estimate', async () => {
+    jest.spyOn(modelService, 'getModelConfig').mockImplementation(name => Promise.resolve(name === LLAMA_8B.name ? LLAMA_8B : LLAMA_1B));
+    const request = { modelName: LLAMA_8B.name, maxModelLen: 8192 };
+
+    const { estimate: alone } = await placementService.estimateMemory(request);
+    const { estimate } = await placementService.estimateMemory({
+      ...request,
+      speculativeDecoding: { method: 'draft', draftModel: LLAMA_1B.name, numSpeculativeTokens: 5 }
+    });
+
+    expect(estimate.draft.weightsMiB).toBeGreaterThan(2000);
+    // 2 (K and V) x 16 layers x 8 KV heads x 64 dimensions x 2 bytes per token, for 8192 tokens
+    expect(estimate.draft.kvCacheMiB).toBe(256);
+    expect(estimate.weightsMiB).toBe(alone.weightsMiB + estimate.draft.weightsMiB);
+    expect(estimate.totalMiB).toBe(alone.totalMiB + estimate.draft.weightsMiB + estimate.draft.kvCacheMiB);
+
+    const { estimate: ngram } = await placementService.estimateMemory({ ...request, speculativeDecoding: { method: 'ngram' } });
+    expect(ngram).toEqual(alone);
+  });
+});
@@ -0,0 +1,98 @@
+const db = require('../database/db');
+const { migrate } = require('../database/migrator');
+const usageService = require('../services/usageService');
+const { requestStreamUsage, createUsageTap } = require('../utils/usageTap');
+
+// Write the chunks through a tap and collect what comes out
+const runTap = (tap, chunks) => new Promise((resolve, reject) => {
+  const output = [];
+  tap.on('data', chunk => output.push(chunk));
+  tap.on('end', () => resolve(Buffer.concat(output).toString('utf8')));
+  tap.on('error', reject);
+  chunks.forEach(chunk => tap.write(chunk));
+  tap.end();
+});
+
+const USAGE = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 };
+
+const sseEvents = [
+  `data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] })}\n\n`,
+  `data: ${JSON.stringify({ choices: [], usage: USAGE })}\n\n`,
+  'data: [DONE]\n\n'
+];
+
+describe('Usage accounting', () => {
+  test('only asks for stream usage on streamed requests that lack it', () => {
+    expect(requestStreamUsage({ model: 'm' })).toEqual({ body: { model: 'm' }, added: false });
+    expect(requestStreamUsage({ stream: true, stream_options: { include_usage: true } }).added).toBe(false);
+    expect(requestStreamUsage({ stream: true })).toEqual({
+      body: { stream: true, stream_options: { include_usage: true } },
+      added: true
+    });
+  });
+
+  test('reads the usage chunk of a stream split across writes', async () => {
+    const tap = createUsageTap({ streamed: true });
+    const body = sseEvents.join('');
+    const output = await runTap(tap, [body.slice(0, 30), body.slice(30, 95), body.slice(95)]);
+
+    expect(tap.usage).toEqual(USAGE);
+    expect(output).toBe(body);
+  });
+
+  test('drops the usage chunk the client did not ask for', async () => {
+    const tap = createUsageTap({ streamed: true, dropUsageChunk: true });
+    const output = await runTap(tap, sseEvents);
+
+    expect(tap.usage).toEqual(USAGE);
+    expect(output).toBe(sseEvents[0] + sseEvents[2]);
+  });
+
+  test('reads the usage block of a JSON response', async () => {
+    const tap = createUsageTap();
+    const body = JSON.stringify({ choices: [{ message: { content: 'Hi' } }], usage: USAGE });
+    const output = await runTap(tap, [body.slice(0, 10), body.slice(10)]);
+
+    expect(tap.usage).toEqual(USAGE);
+    expect(output).toBe(body);
+  });
+
+  describe('summaries', () => {
+    beforeAll(async () => {
+      db.path = ':memory:';
+      await migrate(await db.open());
+    });
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    test('sum tokens per instance and API key within the range', async () => {
+      const base = { source: 'gateway', endpoint: '/v1/chat/completions', instanceType: 'vllm', latencyMs: 100 };
+      await usageService.record({ ...base, instanceId: 'a', apiKeyId: 'key-1', statusCode: 200, usage: USAGE });
+      await usageService.record({ ...base, instanceId: 'a', apiKeyId: 'key-1', statusCode: 200, usage: USAGE, latencyMs: 300 });
+      await usageService.record({ ...base, instanceId: 'b', statusCode: 200, usage: { prompt_tokens: 1, completion_tokens: 1 } });
+      await usageService.record({ ...base, statusCode: 404 });
+
+      const { filters } = usageService.parseQuery({});
+      const [totals] = await usageService.summarize(null, filters);
+      expect(totals).toMatchObject({ requests: 4, errors: 1, promptTokens: 11, completionTokens: 5, totalTokens: 16, avgLatencyMs: 150 });
+
+      const instances = await usageService.summarize('instance', filters);
+      expect(instances[0]).toMatchObject({ instanceId: 'a', requests: 2, totalTokens: 14, maxLatencyMs: 300 });
+      expect(instances.map(row => row.instanceId)).toEqual(['a', 'b', null]);
+
+      const keys = await usageService.summarize('key', filters);
+      expect(keys.find(row => row.apiKeyId === 'key-1')).toMatchObject({ requests: 2, totalTokens: 14 });
+
+      const { filters: past } = usageService.parseQuery({ from: '2020-01-01', to: '2020-01-31' });
+      const [empty] = await usageService.summarize(null, past);
+      expect(empty.requests).toBe(0);
+    });
+
+    test('rejects invalid ranges', () => {
+      expect(usageService.parseQuery({ from: 'yesterday' }).error).toMatch(/from/);
+      expect(usageService.parseQuery({ from: '2024-02-01', to: '2024-01-01' }).error).toMatch(/after/);
+    });
+  });
+});
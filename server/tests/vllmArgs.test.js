@@ -0,0 +1,57 @@
+const { validateExtraArgs, toCommandLine, describeSchema } = require('../utils/vllmArgs');
+
+describe('vLLM extra arguments', () => {
+  test('converts flags to their types and drops unset switches', () => {
+    const result = validateExtraArgs({
+      '--enable-prefix-caching': true,
+      'enforce-eager': false,
+      'kv-cache-dtype': 'fp8',
+      'max-num-batched-tokens': '16384',
+      'block-size': '32',
+      'served-model-name': ['llama', 'chat']
+    }, { maxContextLength: 8192 });
+
+    expect(result).toEqual({
+      extraArgs: {
+        'enable-prefix-caching': true,
+        'kv-cache-dtype': 'fp8',
+        'max-num-batched-tokens': 16384,
+        'block-size': 32,
+        'served-model-name': ['llama', 'chat']
+      }
+    });
+    expect(toCommandLine(result.extraArgs)).toEqual([
+      '--kv-cache-dtype', 'fp8',
+      '--enable-prefix-caching',
+      '--max-num-batched-tokens', '16384',
+      '--block-size', '32',
+      '--served-model-name', 'llama', 'chat'
+    ]);
+  });
+
+  test('rejects unknown, managed and out-of-range flags', () => {
+    expect(validateExtraArgs({ 'pipeline-parallel-size': 2 }).error).toMatch(/Unknown vLLM flag --pipeline-parallel-size/);
+    expect(validateExtraArgs({ 'max-model-len': 4096 }).error).toBe('Set --max-model-len with the maxContextLength field, not extraArgs');
+    expect(validateExtraArgs({ 'num-scheduler-steps': 0 }).error).toBe('--num-scheduler-steps must be a whole number between 1 and 64');
+    expect(validateExtraArgs({ dtype: 'int4' }).error).toMatch(/--dtype must be one of auto, half/);
+    expect(validateExtraArgs({ 'enforce-eager': 'yes' }).error).toBe('--enforce-eager must be true or false');
+    expect(validateExtraArgs({ tokenizer: 'a b; rm -rf /' }).error).toMatch(/without spaces/);
+    expect(validateExtraArgs(['--enforce-eager']).error).toMatch(/must be an object/);
+  });
+
+  test('rejects combinations vLLM refuses', () => {
+    expect(validateExtraArgs({ 'enforce-eager': true, 'max-seq-len-to-capture': 4096 }).error).toMatch(/enforce-eager/);
+    expect(validateExtraArgs({ 'num-scheduler-steps': 8, 'enable-chunked-prefill': true }).error).toMatch(/Multi-step/);
+    expect(validateExtraArgs({ 'enable-auto-tool-choice': true }).error).toMatch(/tool-call-parser/);
+
+    expect(validateExtraArgs({ 'max-num-batched-tokens': 2048 }, { maxContextLength: 8192 }).error).toMatch(/at least the maximum context length/);
+    expect(validateExtraArgs({ 'max-num-batched-tokens': 2048, 'enable-chunked-prefill': true }, { maxContextLength: 8192 }).error).toBeUndefined();
+  });
+
+  test('describes the schema with its version', () => {
+    const schema = describeSchema();
+    expect(schema.version).toBe('0.6');
+    expect(schema.flags).toContainEqual(expect.objectContaining({ name: 'kv-cache-dtype', type: 'enum' }));
+    expect(schema.managedFlags).toContain('tensor-parallel-size');
+  });
+});
@@ -0,0 +1,111 @@
+// Templates shipped with the manager for common model families. They are read-only;
+// saving a copy under another name makes an editable template.
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin-llama-3.1-8b-instruct',
+    name: 'Llama 3.1 8B Instruct',
+    description: 'Meta\'s 8B chat model with tool calling and prefix caching; fits a 24 GB GPU at 32k context.',
+    config: {
+      modelName: 'meta-llama/Llama-3.1-8B-Instruct',
+      maxContextLength: 32768,
+      gpuMemoryUtilization: 0.9,
+      extraArgs: {
+        'enable-prefix-caching': true,
+        'enable-auto-tool-choice': true,
+        'tool-call-parser': 'llama3_json'
+      }
+    }
+  },
+  {
+    id: 'builtin-llama-3.1-70b-instruct-awq',
+    name: 'Llama 3.1 70B Instruct (AWQ)',
+    description: '4-bit AWQ quantization of Meta\'s 70B chat model; needs about 40 GB of GPU memory, split across GPUs as needed.',
+    config: {
+      modelName: 'hugging-quants/Meta-Llama-3.1-70B-Instruct-AWQ-INT4',
+      maxContextLength: 16384,
+      quantization: 'awq',
+      extraArgs: {
+        'enable-prefix-caching': true
+      }
+    }
+  },
+  {
+    id: 'builtin-mistral-7b-instruct-v0.3',
+    name: 'Mistral 7B Instruct v0.3',
+    description: 'Mistral\'s 7B chat model with its own tokenizer and tool calling.',
+    config: {
+      modelName: 'mistralai/Mistral-7B-Instruct-v0.3',
+      maxContextLength: 32768,
+      extraArgs: {
+        'tokenizer-mode': 'mistral',
+        'enable-auto-tool-choice': true,
+        'tool-call-parser': 'mistral'
+      }
+    }
+  },
+  {
+    id: 'builtin-qwen2.5-7b-instruct',
+    name: 'Qwen2.5 7B Instruct',
+    description: 'Alibaba\'s 7B multilingual chat model with tool calling.',
+    config: {
+      modelName: 'Qwen/Qwen2.5-7B-Instruct',
+      maxContextLength: 32768,
+      extraArgs: {
+        'enable-prefix-caching': true,
+        'enable-auto-tool-choice': true,
+        'tool-call-parser': 'hermes'
+      }
+    }
+  },
+  {
+    id: 'builtin-qwen2.5-coder-7b-instruct',
+    name: 'Qwen2.5 Coder 7B Instruct',
+    description: 'Code completion and chat; n-gram speculation speeds up edits that repeat the prompt.',
+    config: {
+      modelName: 'Qwen/Qwen2.5-Coder-7B-Instruct',
+      maxContextLength: 32768,
+      extraArgs: {
+        'enable-prefix-caching': true
+      },
+      speculativeDecoding: {
+        method: 'ngram',
+        draftModel: null,
+        numSpeculativeTokens: 5,
+        ngramPromptLookupMax: 4
+      }
+    }
+  },
+  {
+    id: 'builtin-gemma-2-9b-it',
+    name: 'Gemma 2 9B Instruct',
+    description: 'Google\'s 9B chat model at its full 8k context.',
+    config: {
+      modelName: 'google/gemma-2-9b-it',
+      maxContextLength: 8192
+    }
+  },
+  {
+    id: 'builtin-phi-3.5-mini-instruct',
+    name: 'Phi-3.5 Mini Instruct',
+    description: 'Microsoft\'s 3.8B model with a long context for small GPUs.',
+    config: {
+      modelName: 'microsoft/Phi-3.5-mini-instruct',
+      maxContextLength: 16384,
+      maxNumSeqs: 64
+    }
+  },
+  {
+    id: 'builtin-qwen2.5-0.5b-instruct-cpu',
+    name: 'Qwen2.5 0.5B Instruct (CPU)',
+    description: 'A small chat model that runs without a GPU, for testing.',
+    config: {
+      modelName: 'Qwen/Qwen2.5-0.5B-Instruct',
+      gpuSelection: 'cpu',
+      maxContextLength: 4096,
+      maxNumSeqs: 16
+    }
+  }
+];
+
+module.exports = { BUILTIN_TEMPLATES };
@@ -0,0 +1,116 @@
+// Image references, pull policies and the allowed-images list for instance containers
+
+const PULL_POLICIES = ['always', 'if-missing', 'never'];
+const DEFAULT_PULL_POLICY = 'if-missing';
+
+// [registry[:port]/]name[/name...][:tag][@digest]
+const REFERENCE_PATTERN = /^[a-z0-9]+(?:[._-][a-z0-9]+)*(?::\d+)?(?:\/[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)*(?::[\w][\w.-]{0,127})?(?:@sha256:[a-f0-9]{64})?$/;
+const TAG_PATTERN = /^[\w][\w.-]{0,127}$/;
+
+/**
+ * Split an image reference into repository, tag and digest. A colon only
+ * starts the tag after the last slash, so registry ports stay in the repository.
+ * @returns {{repository: string, tag: string|null, digest: string|null}}
+ */
+function parseImageReference(reference) {
+  let rest = reference;
+  let digest = null;
+  const at = rest.indexOf('@');
+  if (at !== -1) {
+    digest = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+
+  const colon = rest.lastIndexOf(':');
+  if (colon > rest.lastIndexOf('/')) {
+    return { repository: rest.slice(0, colon), tag: rest.slice(colon + 1), digest };
+  }
+  return { repository: rest, tag: null, digest };
+}
+
+// "*" matches any text, everything else literally
+const globToRegExp = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+/**
+ * The allowed_images setting as a list: comma- or newline-separated references or patterns
+ */
+function parseAllowedImages(text) {
+  return (text || '').split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Whether an image may be used. Patterns without a tag or digest allow every tag
+ * of the repositories they match; an empty list allows any image.
+ */
+function isImageAllowed(reference, allowedImages) {
+  if (allowedImages.length === 0) {
+    return true;
+  }
+  const { repository } = parseImageReference(reference);
+  return allowedImages.some(pattern => {
+    const parsed = parseImageReference(pattern);
+    const target = parsed.tag || parsed.digest ? reference : repository;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+/**
+ * Validate the image fields of a request body. Unset fields are null and
+ * fall back to the settings when the image is resolved.
+ * @param {Object} input - image (a reference, with or without tag), imageTag and pullPolicy
+ * @returns {{error: string}|{options: {image: string|null, imageTag: string|null, pullPolicy: string|null}}}
+ */
+function validateImageOptions({ image, imageTag, pullPolicy } = {}) {
+  const options = { image: image || null, imageTag: imageTag || null, pullPolicy: pullPolicy || null };
+
+  if (options.image !== null && (typeof options.image !== 'string' || !REFERENCE_PATTERN.test(options.image))) {
+    return { error: 'image must be an image reference such as vllm/vllm-openai or vllm/vllm-openai:v0.6.3' };
+  }
+  if (options.imageTag !== null) {
+    if (typeof options.imageTag !== 'string' || !TAG_PATTERN.test(options.imageTag)) {
+      return { error: 'imageTag must be a Docker tag such as v0.6.3' };
+    }
+    if (options.image !== null) {
+      const parsed = parseImageReference(options.image);
+      if (parsed.tag || parsed.digest) {
+        return { error: 'Set the tag either in image or in imageTag, not both' };
+      }
+    }
+  }
+  if (options.pullPolicy !== null && !PULL_POLICIES.includes(options.pullPolicy)) {
+    return { error: `pullPolicy must be one of ${PULL_POLICIES.join(', ')}` };
+  }
+  return { options };
+}
+
+/**
+ * The image and pull policy an instance runs with
+ * @param {Object} options - validateImageOptions() options
+ * @param {Object} defaults - defaultImage, allowedImages (a list) and defaultPullPolicy
+ * @returns {{error: string}|{image: string, pullPolicy: string}}
+ */
+function resolveImage(options, { defaultImage, allowedImages = [], defaultPullPolicy = DEFAULT_PULL_POLICY }) {
+  let image = options.image || defaultImage;
+  const parsed = parseImageReference(image);
+  if (options.imageTag) {
+    image = `${parsed.repository}:${options.imageTag}`;
+  } else if (!parsed.tag && !parsed.digest) {
+    // Docker pulls every tag of a repository named without one
+    image = `${image}:latest`;
+  }
+
+  if (!isImageAllowed(image, allowedImages)) {
+    return { error: `Image ${image} is not in the allowed images list` };
+  }
+  return { image, pullPolicy: options.pullPolicy || defaultPullPolicy };
+}
+
+module.exports = {
+  PULL_POLICIES,
+  DEFAULT_PULL_POLICY,
+  parseImageReference,
+  parseAllowedImages,
+  isImageAllowed,
+  validateImageOptions,
+  resolveImage
+};
@@ -0,0 +1,167 @@
+// Parsing of Docker log output and of the query parameters accepted by the log endpoints
+
+const { StringDecoder } = require('string_decoder');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const MAX_GREP_LENGTH = 200;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\S+$/;
+
+/**
+ * Split Docker log output into lines.
+ * Containers without a TTY send stdout and stderr multiplexed in frames with an
+ * 8-byte header (stream type, 3 padding bytes, big-endian payload size).
+ * @param {Object} options
+ * @param {boolean} options.tty - The container has a TTY, so output is not multiplexed
+ * @param {boolean} options.timestamps - Lines start with the timestamp Docker adds
+ * @param {Function} onLine - Called with { line, stream, timestamp }
+ * @returns {{write: Function, end: Function}}
+ */
+function createLogParser({ tty = false, timestamps = false } = {}, onLine) {
+  const streams = {
+    stdout: { decoder: new StringDecoder('utf8'), buffer: '' },
+    stderr: { decoder: new StringDecoder('utf8'), buffer: '' }
+  };
+  let pending = Buffer.alloc(0);
+
+  const emit = (streamName, rawLine) => {
+    let line = rawLine.replace(/\r$/, '');
+    let timestamp = null;
+    if (timestamps) {
+      const space = line.indexOf(' ');
+      const candidate = space === -1 ? line : line.slice(0, space);
+      if (TIMESTAMP_PATTERN.test(candidate)) {
+        timestamp = candidate;
+        line = space === -1 ? '' : line.slice(space + 1);
+      }
+    }
+    onLine({ line, stream: streamName, timestamp });
+  };
+
+  const push = (streamName, chunk) => {
+    const state = streams[streamName];
+    state.buffer += state.decoder.write(chunk);
+    const lines = state.buffer.split('\n');
+    state.buffer = lines.pop();
+    lines.forEach(line => emit(streamName, line));
+  };
+
+  return {
+    write(chunk) {
+      if (tty) {
+        push('stdout', chunk);
+        return;
+      }
+
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length >= 8) {
+        const size = pending.readUInt32BE(4);
+        if (pending.length < 8 + size) {
+          break;
+        }
+        push(pending[0] === 2 ? 'stderr' : 'stdout', pending.subarray(8, 8 + size));
+        pending = pending.subarray(8 + size);
+      }
+    },
+
+    end() {
+      Object.entries(streams).forEach(([streamName, state]) => {
+        const rest = state.buffer + state.decoder.end();
+        state.buffer = '';
+        if (rest) {
+          emit(streamName, rest);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Parse a point in time as Unix seconds. Accepts Unix seconds, an ISO 8601 date,
+ * or a duration such as "30s", "15m", "2h" or "1d" meaning that long ago.
+ * @returns {number|null} null if the value can't be parsed
+ */
+function parseTime(value, now = Date.now()) {
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.floor(Number(text));
+  }
+
+  const duration = text.match(/^(\d+)([smhd])$/);
+  if (duration) {
+    return Math.floor(now / 1000) - Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Validate the query parameters of the log endpoints
+ * @param {Object} query - tail, since, until, stream, grep, regex
+ * @param {Object} defaults
+ * @param {number|string} defaults.tail - Lines to return when tail isn't given
+ * @returns {{error: string}|{options: Object, matches: Function|null}} Docker log options
+ *   and a predicate for lines that pass the grep filter
+ */
+function parseLogQuery(query = {}, { tail: defaultTail = 100 } = {}) {
+  const options = {};
+
+  const tail = query.tail === undefined || query.tail === '' ? defaultTail : query.tail;
+  if (tail === 'all') {
+    options.tail = 'all';
+  } else {
+    const count = parseInt(tail, 10);
+    if (Number.isNaN(count) || count < 0) {
+      return { error: 'tail must be a non-negative number or "all"' };
+    }
+    options.tail = count;
+  }
+
+  for (const field of ['since', 'until']) {
+    if (query[field]) {
+      const time = parseTime(query[field]);
+      if (time === null) {
+        return { error: `${field} must be Unix seconds, an ISO 8601 date or a duration such as 15m` };
+      }
+      options[field] = time;
+    }
+  }
+  if (options.since && options.until && options.since > options.until) {
+    return { error: 'since must be before until' };
+  }
+
+  const stream = query.stream || 'all';
+  if (!['all', 'stdout', 'stderr'].includes(stream)) {
+    return { error: 'stream must be stdout, stderr or all' };
+  }
+  options.stdout = stream !== 'stderr';
+  options.stderr = stream !== 'stdout';
+
+  let matches = null;
+  if (query.grep) {
+    if (query.grep.length > MAX_GREP_LENGTH) {
+      return { error: `grep must be at most ${MAX_GREP_LENGTH} characters` };
+    }
+    if (query.regex === 'true') {
+      let pattern;
+      try {
+        pattern = new RegExp(query.grep, 'i');
+      } catch (error) {
+        return { error: `Invalid grep pattern: ${error.message}` };
+      }
+      matches = line => pattern.test(line);
+    } else {
+      const needle = query.grep.toLowerCase();
+      matches = line => line.toLowerCase().includes(needle);
+    }
+  }
+
+  return { options, matches };
+}
+
+module.exports = {
+  createLogParser,
+  parseTime,
+  parseLogQuery
+};
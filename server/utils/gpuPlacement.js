@@ -0,0 +1,215 @@
+// Chooses the GPUs a vLLM instance runs on from their free memory and what other instances have reserved
+
+const { perGpuMemory } = require('./vramEstimate');
+
+const MAX_TENSOR_PARALLEL_SIZE = 8;
+
+// Largest share an automatically sized instance claims, vLLM's usual default
+const MAX_AUTO_UTILIZATION = 0.85;
+
+// Automatically sized instances get this much more than their estimate, for a useful KV cache
+const AUTO_UTILIZATION_HEADROOM = 1.25;
+
+// Rounding of automatic shares, in hundredths of the GPU
+const AUTO_UTILIZATION_STEP = 5;
+
+const floorHundredths = value => Math.floor(Math.round(value * 10000) / 100) / 100;
+
+const formatGpuIds = ids => `${ids.length > 1 ? 'GPUs' : 'GPU'} ${ids.join(',')}`;
+
+/**
+ * Share of a GPU to give an instance whose gpuMemoryUtilization isn't set: its estimated
+ * need with some headroom, so small models leave the rest of the GPU to others
+ * @param {number} budget - Share of the GPU still uncommitted and free
+ */
+function autoUtilization(gpu, perGpuMiB, budget) {
+  if (!perGpuMiB) {
+    return Math.min(MAX_AUTO_UTILIZATION, budget);
+  }
+  const hundredths = Math.ceil((perGpuMiB * AUTO_UTILIZATION_HEADROOM * 100) / gpu.memoryTotal);
+  const wanted = (Math.ceil(hundredths / AUTO_UTILIZATION_STEP) * AUTO_UTILIZATION_STEP) / 100;
+  return Math.min(wanted, MAX_AUTO_UTILIZATION, budget);
+}
+
+/**
+ * Check one GPU for a share of an instance. vLLM claims gpuMemoryUtilization of the
+ * GPU's total memory at startup, so that share must not be committed to other
+ * instances and must be free, and the model's share has to fit into it.
+ * @param {Object} gpu - { id, name, memoryTotal, memoryFree, committedFraction, instances }, memory in MiB
+ * @param {number|null} perGpuMiB - Estimated need per GPU, null when unknown
+ * @param {number|null} gpuMemoryUtilization - null to size the share automatically
+ */
+function evaluateGpu(gpu, perGpuMiB, gpuMemoryUtilization) {
+  const committedFraction = gpu.committedFraction || 0;
+  const reservedMiB = Math.floor(gpu.memoryTotal * committedFraction);
+  // Memory used outside the manager's instances counts too
+  const availableMiB = Math.max(0, Math.min(gpu.memoryFree, gpu.memoryTotal - reservedMiB));
+  const budget = floorHundredths(availableMiB / gpu.memoryTotal);
+
+  const utilization = gpuMemoryUtilization || autoUtilization(gpu, perGpuMiB, budget);
+  const requestedMiB = Math.floor(gpu.memoryTotal * utilization);
+
+  let reason = null;
+  if (utilization <= 0) {
+    reason = `no memory is left on it (${Math.round(committedFraction * 100)}% is committed to other instances)`;
+  } else if (committedFraction > 0 && utilization > floorHundredths(1 - committedFraction)) {
+    reason = `gpuMemoryUtilization ${utilization} would oversubscribe it, ${Math.round(committedFraction * 100)}% is committed to other instances`;
+  } else if (requestedMiB > availableMiB) {
+    reason = `gpuMemoryUtilization ${utilization} claims ${requestedMiB} MiB but only ${availableMiB} MiB is available`;
+  } else if (perGpuMiB && perGpuMiB > requestedMiB) {
+    reason = `the model needs about ${perGpuMiB} MiB but gpuMemoryUtilization ${utilization} only claims ${requestedMiB} MiB`;
+  }
+
+  return {
+    id: gpu.id,
+    name: gpu.name,
+    memoryTotal: gpu.memoryTotal,
+    memoryFree: gpu.memoryFree,
+    committedFraction,
+    reservedMiB,
+    instances: gpu.instances,
+    availableMiB,
+    utilization,
+    requestedMiB,
+    fits: !reason,
+    reason
+  };
+}
+
+/**
+ * Sets of `size` GPUs with consecutive indexes, which share the fastest interconnect on most hosts
+ */
+function contiguousSets(gpus, size) {
+  const sorted = [...gpus].sort((a, b) => Number(a.id) - Number(b.id));
+  const sets = [];
+  for (let start = 0; start + size <= sorted.length; start += 1) {
+    const set = sorted.slice(start, start + size);
+    if (set.every((gpu, index) => index === 0 || Number(gpu.id) === Number(set[index - 1].id) + 1)) {
+      sets.push(set);
+    }
+  }
+  return sets;
+}
+
+// Prefer the least busy GPUs, then the most headroom left after the instance starts
+function compareSets(a, b) {
+  const instances = set => set.reduce((sum, gpu) => sum + gpu.instances, 0);
+  const headroom = set => Math.min(...set.map(gpu => gpu.availableMiB - gpu.requestedMiB));
+  return instances(a) - instances(b) || headroom(b) - headroom(a);
+}
+
+/**
+ * Plan where an instance runs
+ * @param {Object} request
+ * @param {Array} request.gpus - GPUs with memory in MiB, the fraction committed to other instances and their instance count
+ * @param {Object|null} request.estimate - Result of estimateModelMemory, null when unknown
+ * @param {string} request.gpuSelection - 'auto' or a comma-separated list of GPU ids
+ * @param {number|null} request.tensorParallelSize - null lets the planner pick the smallest set that fits
+ * @param {number|null} request.gpuMemoryUtilization - null to size it from the estimate and the GPUs' budgets
+ * @param {number|null} request.numAttentionHeads - vLLM needs it to divide evenly by the tensor parallel size
+ * @returns {Object} { fits, gpuIds, tensorParallelSize, gpuMemoryUtilization, perGpuMiB, reason, gpus }, gpus holding the per-GPU verdicts
+ */
+function planPlacement({ gpus, estimate, gpuSelection = 'auto', tensorParallelSize = null, gpuMemoryUtilization = null, numAttentionHeads = null }) {
+  const refuse = (reason, size, verdicts = []) => ({
+    fits: false,
+    gpuIds: [],
+    tensorParallelSize: size,
+    gpuMemoryUtilization,
+    perGpuMiB: perGpuMemory(estimate, size),
+    reason,
+    gpus: verdicts
+  });
+  const evaluateAll = (candidates, size) => candidates.map(gpu => evaluateGpu(gpu, perGpuMemory(estimate, size), gpuMemoryUtilization));
+  // vLLM claims the same share of every GPU of the instance, the largest any of them needs
+  const evaluateSet = (set, size) => {
+    const verdicts = evaluateAll(set, size);
+    if (gpuMemoryUtilization || set.length === 1) {
+      return verdicts;
+    }
+    const shared = Math.max(...verdicts.map(gpu => gpu.utilization));
+    return set.map(gpu => evaluateGpu(gpu, perGpuMemory(estimate, size), shared));
+  };
+
+  let sizes;
+  let sets;
+  let candidates = gpus;
+  if (gpuSelection && gpuSelection !== 'auto') {
+    const ids = String(gpuSelection).split(',').map(id => id.trim()).filter(Boolean);
+    const missing = ids.filter(id => !gpus.some(gpu => gpu.id === id));
+    if (missing.length > 0) {
+      return refuse(`${formatGpuIds(missing)} not found`, ids.length);
+    }
+    const size = tensorParallelSize || ids.length;
+    if (size !== ids.length) {
+      return refuse(`tensorParallelSize ${size} needs ${size} GPUs but ${formatGpuIds(ids)} ${ids.length > 1 ? 'were' : 'was'} selected`, size);
+    }
+    candidates = ids.map(id => gpus.find(gpu => gpu.id === id));
+    sizes = [size];
+    sets = () => [candidates];
+  } else {
+    if (tensorParallelSize > gpus.length) {
+      return refuse(`tensorParallelSize ${tensorParallelSize} needs more GPUs than the ${gpus.length} available`, tensorParallelSize);
+    }
+    // Without an estimate there is no reason to spread a model over several GPUs
+    sizes = tensorParallelSize ? [tensorParallelSize] : [1];
+    if (!tensorParallelSize && estimate) {
+      for (let size = 2; size <= Math.min(gpus.length, MAX_TENSOR_PARALLEL_SIZE); size *= 2) {
+        sizes.push(size);
+      }
+    }
+    sets = size => contiguousSets(gpus, size);
+  }
+
+  for (const size of sizes) {
+    if (numAttentionHeads && numAttentionHeads % size !== 0) {
+      if (tensorParallelSize) {
+        return refuse(`The model's ${numAttentionHeads} attention heads can't be split across ${size} GPUs`, size);
+      }
+      continue;
+    }
+
+    const candidateSets = sets(size);
+    if (candidateSets.length === 0 && tensorParallelSize) {
+      return refuse(`There are no ${size} GPUs with consecutive indexes`, size);
+    }
+
+    const evaluated = candidateSets.map(set => evaluateSet(set, size));
+    const fitting = evaluated.filter(set => set.every(gpu => gpu.fits)).sort(compareSets);
+    if (fitting.length > 0) {
+      const chosen = fitting[0];
+      const perGpuMiB = perGpuMemory(estimate, size);
+      const gpuIds = chosen.map(gpu => gpu.id);
+      const utilization = chosen[0].utilization;
+      return {
+        fits: true,
+        gpuIds,
+        tensorParallelSize: size,
+        gpuMemoryUtilization: utilization,
+        perGpuMiB,
+        reason: perGpuMiB
+          ? `${formatGpuIds(gpuIds)}: about ${perGpuMiB} MiB needed per GPU, ${Math.min(...chosen.map(gpu => gpu.requestedMiB))} MiB claimed (gpuMemoryUtilization ${utilization})`
+          : `${formatGpuIds(gpuIds)}: the model's memory needs are unknown, placed by free memory and load (gpuMemoryUtilization ${utilization})`,
+        gpus: chosen
+      };
+    }
+  }
+
+  // Explain with the verdicts for the smallest set size that was tried
+  const verdicts = evaluateAll(candidates, sizes[0]);
+  const perGpuMiB = perGpuMemory(estimate, sizes[0]);
+  const details = verdicts.filter(gpu => gpu.reason).map(gpu => `GPU ${gpu.id}: ${gpu.reason}`);
+  const needed = perGpuMiB ? ` (about ${perGpuMiB} MiB needed per GPU${sizes[0] === 1 ? '' : ` across ${sizes[0]} GPUs`})` : '';
+  const tried = sizes.length > 1 ? `. Sets of up to ${sizes[sizes.length - 1]} contiguous GPUs don't fit either` : '';
+  return refuse(
+    `No GPU placement fits${needed}${details.length > 0 ? `. ${details.join('; ')}` : ''}${tried}`,
+    sizes[0],
+    verdicts
+  );
+}
+
+module.exports = {
+  autoUtilization,
+  evaluateGpu,
+  contiguousSets,
+  planPlacement
+};
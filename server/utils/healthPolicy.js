@@ -0,0 +1,85 @@
+// Per-instance policies for what the health monitor does about failing health checks
+
+const DEFAULT_HEALTH_POLICY = {
+  // Restart the container after failureThreshold consecutive failed checks
+  autoRestart: true,
+  failureThreshold: 3,
+  // At most maxRestarts restarts within restartWindowMinutes...
+  maxRestarts: 3,
+  restartWindowMinutes: 60,
+  // ...waiting backoffSeconds before the first, doubling for each further restart in the window
+  backoffSeconds: 30,
+  // Mark the instance failed and stop its container once the restarts are used up
+  // (right at failureThreshold without autoRestart)
+  markFailed: true
+};
+
+const LIMITS = {
+  failureThreshold: [1, 100],
+  maxRestarts: [0, 100],
+  restartWindowMinutes: [1, 7 * 24 * 60],
+  backoffSeconds: [0, 24 * 60 * 60]
+};
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * The effective policy of an instance
+ * @param {string|null} stored - The instance's health_policy column
+ */
+function resolveHealthPolicy(stored) {
+  if (!stored) {
+    return { ...DEFAULT_HEALTH_POLICY };
+  }
+  try {
+    return { ...DEFAULT_HEALTH_POLICY, ...JSON.parse(stored) };
+  } catch (error) {
+    return { ...DEFAULT_HEALTH_POLICY };
+  }
+}
+
+/**
+ * Validate a (partial) policy from a request body
+ * @returns {{error: string}|{policy: Object}} The fields that differ from the defaults are kept
+ */
+function validateHealthPolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Health policy must be an object' };
+  }
+
+  const policy = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!(field in DEFAULT_HEALTH_POLICY)) {
+      return { error: `Unknown health policy field: ${field}` };
+    }
+    if (typeof DEFAULT_HEALTH_POLICY[field] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        return { error: `${field} must be true or false` };
+      }
+    } else {
+      const [min, max] = LIMITS[field];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `${field} must be a whole number between ${min} and ${max}` };
+      }
+    }
+    if (value !== DEFAULT_HEALTH_POLICY[field]) {
+      policy[field] = value;
+    }
+  }
+
+  return { policy };
+}
+
+/**
+ * How long to wait before the next restart, given the restarts already made in the window
+ */
+function restartBackoffMs(policy, restartsInWindow) {
+  return Math.min(policy.backoffSeconds * 1000 * 2 ** restartsInWindow, MAX_BACKOFF_MS);
+}
+
+module.exports = {
+  DEFAULT_HEALTH_POLICY,
+  resolveHealthPolicy,
+  validateHealthPolicy,
+  restartBackoffMs
+};
@@ -0,0 +1,61 @@
+// vLLM instance lifecycle states and the transitions allowed between them
+
+const STATES = [
+  // Row created, container not yet created
+  'pending',
+  // Downloading the vLLM image
+  'pulling-image',
+  // Container running, /health not yet passing
+  'loading-model',
+  // Serving requests
+  'ready',
+  // Was ready, /health now failing
+  'unhealthy',
+  'stopping',
+  'stopped',
+  'failed'
+];
+
+const TRANSITIONS = {
+  pending: ['pulling-image', 'loading-model', 'stopping', 'stopped', 'failed'],
+  'pulling-image': ['loading-model', 'stopping', 'stopped', 'failed'],
+  'loading-model': ['ready', 'stopping', 'stopped', 'failed'],
+  ready: ['unhealthy', 'loading-model', 'stopping', 'stopped', 'failed'],
+  unhealthy: ['ready', 'loading-model', 'stopping', 'stopped', 'failed'],
+  stopping: ['stopped', 'loading-model', 'failed'],
+  stopped: ['pending', 'loading-model', 'failed'],
+  failed: ['pending', 'loading-model', 'stopping', 'stopped']
+};
+
+// States in which the container is expected to be running and is probed via /health
+const PROBED_STATES = ['loading-model', 'ready', 'unhealthy'];
+
+// States in which the instance holds (or is about to hold) its GPU
+const ACTIVE_STATES = ['pending', 'pulling-image', 'loading-model', 'ready', 'unhealthy', 'stopping'];
+
+function isValidState(state) {
+  return STATES.includes(state);
+}
+
+/**
+ * Check whether an instance may move from one state to another.
+ * Unknown source states (e.g. rows written by older releases) may move anywhere.
+ */
+function canTransition(from, to) {
+  if (!isValidState(to)) {
+    return false;
+  }
+  if (!TRANSITIONS[from]) {
+    return true;
+  }
+  return TRANSITIONS[from].includes(to);
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  PROBED_STATES,
+  ACTIVE_STATES,
+  isValidState,
+  canTransition
+};
@@ -0,0 +1,235 @@
+// Instance templates: saved instance settings that pre-fill new instances.
+// A template's config holds the fields of an instance creation request it sets;
+// fields it leaves out follow the settings' defaults like in any other request.
+
+const { validateExtraArgs } = require('./vllmArgs');
+const { validateImageOptions } = require('./containerImages');
+const { validateLoraConfig } = require('./loraAdapters');
+const { validateSpeculativeDecoding } = require('./speculativeDecoding');
+
+// Fields of an instance creation request a template may set, in the order they're exported
+const TEMPLATE_FIELDS = [
+  'modelName',
+  'gpuSelection',
+  'maxContextLength',
+  'gpuMemoryUtilization',
+  'maxNumSeqs',
+  'trustRemoteCode',
+  'quantization',
+  'tensorParallelSize',
+  'extraArgs',
+  'enableLora',
+  'maxLoraRank',
+  'speculativeDecoding',
+  'image',
+  'imageTag',
+  'pullPolicy',
+  'requireAuth'
+];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const MODEL_PATTERN = /^[\w][\w.-]*(\/[\w][\w.-]*)?$/;
+const GPU_SELECTION_PATTERN = /^(auto|cpu|\d+(,\d+)*)$/;
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+// Numbers may arrive as strings from forms
+const toNumber = value => (typeof value === 'string' ? Number(value) : value);
+
+/**
+ * A whole number field of a template, if set
+ * @returns {{error: string}|{value: number|undefined}}
+ */
+function validateInteger(config, field, min, max) {
+  if (!isSet(config[field])) {
+    return { value: undefined };
+  }
+  const value = toNumber(config[field]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return { error: `${field} must be a whole number between ${min} and ${max}` };
+  }
+  return { value };
+}
+
+/**
+ * Validate the config of a template
+ * @param {Object} input - Fields of TEMPLATE_FIELDS; modelName is required
+ * @returns {{error: string}|{config: Object}} Only the fields that are set, validated like instance requests
+ */
+function validateTemplateConfig(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'config must be an object of instance settings' };
+  }
+  const unknown = Object.keys(input).find(field => !TEMPLATE_FIELDS.includes(field));
+  if (unknown) {
+    return { error: `Templates can't set ${unknown}; they set ${TEMPLATE_FIELDS.join(', ')}` };
+  }
+  if (typeof input.modelName !== 'string' || !MODEL_PATTERN.test(input.modelName)) {
+    return { error: 'A template needs a modelName such as org/model' };
+  }
+
+  const config = { modelName: input.modelName };
+
+  if (isSet(input.gpuSelection)) {
+    if (!GPU_SELECTION_PATTERN.test(String(input.gpuSelection))) {
+      return { error: 'gpuSelection must be auto, cpu or comma-separated GPU ids' };
+    }
+    config.gpuSelection = String(input.gpuSelection);
+  }
+
+  const integers = [
+    ['maxContextLength', 1, 1048576],
+    ['maxNumSeqs', 1, 65536],
+    ['tensorParallelSize', 1, 64]
+  ];
+  for (const [field, min, max] of integers) {
+    const result = validateInteger(input, field, min, max);
+    if (result.error) {
+      return result;
+    }
+    if (result.value !== undefined) {
+      config[field] = result.value;
+    }
+  }
+
+  if (isSet(input.gpuMemoryUtilization)) {
+    const value = toNumber(input.gpuMemoryUtilization);
+    if (!(value > 0 && value <= 1)) {
+      return { error: 'gpuMemoryUtilization must be between 0 and 1' };
+    }
+    config.gpuMemoryUtilization = value;
+  }
+
+  for (const field of ['trustRemoteCode', 'requireAuth']) {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'boolean') {
+        return { error: `${field} must be true or false` };
+      }
+      config[field] = input[field];
+    }
+  }
+
+  if (isSet(input.quantization)) {
+    if (typeof input.quantization !== 'string') {
+      return { error: 'quantization must be a quantization method such as awq' };
+    }
+    config.quantization = input.quantization;
+  }
+
+  const imageValidation = validateImageOptions(input);
+  if (imageValidation.error) {
+    return imageValidation;
+  }
+  for (const [field, value] of Object.entries(imageValidation.options)) {
+    if (value !== null) {
+      config[field] = value;
+    }
+  }
+
+  const extraArgsValidation = validateExtraArgs(input.extraArgs, { maxContextLength: config.maxContextLength });
+  if (extraArgsValidation.error) {
+    return extraArgsValidation;
+  }
+  if (Object.keys(extraArgsValidation.extraArgs).length > 0) {
+    config.extraArgs = extraArgsValidation.extraArgs;
+  }
+
+  // Adapters belong to instances, so templates only enable LoRA
+  const loraValidation = validateLoraConfig(
+    { enableLora: input.enableLora, maxLoraRank: input.maxLoraRank },
+    config.modelName
+  );
+  if (loraValidation.error) {
+    return loraValidation;
+  }
+  if (loraValidation.lora.enableLora) {
+    config.enableLora = true;
+    config.maxLoraRank = loraValidation.lora.maxLoraRank;
+  }
+
+  const speculativeValidation = validateSpeculativeDecoding(input.speculativeDecoding, {
+    modelName: config.modelName,
+    extraArgs: extraArgsValidation.extraArgs
+  });
+  if (speculativeValidation.error) {
+    return speculativeValidation;
+  }
+  if (speculativeValidation.speculativeDecoding) {
+    config.speculativeDecoding = speculativeValidation.speculativeDecoding;
+  }
+
+  return { config: orderFields(config) };
+}
+
+// Fields in TEMPLATE_FIELDS order, so stored and exported configs read the same way
+function orderFields(config) {
+  return Object.fromEntries(TEMPLATE_FIELDS.filter(field => field in config).map(field => [field, config[field]]));
+}
+
+/**
+ * Validate a template request body
+ * @param {Object} body - name, description and config
+ * @returns {{error: string}|{template: {name: string, description: string|null, config: Object}}}
+ */
+function validateTemplate({ name, description = null, config } = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Template name is required' };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `Template name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (isSet(description) && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return { error: `Template description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  const configValidation = validateTemplateConfig(config);
+  if (configValidation.error) {
+    return configValidation;
+  }
+  return { template: { name: name.trim(), description: description || null, config: configValidation.config } };
+}
+
+/**
+ * The template config of an existing instance's settings
+ * @param {Object} instance - Instance row; its config column holds the settings it was created with
+ * @returns {Object} Unvalidated config; settings the instance left to defaults are left out
+ */
+function configFromInstance(instance) {
+  let stored = {};
+  try {
+    stored = JSON.parse(instance.config || '{}') || {};
+  } catch (error) {
+    stored = {};
+  }
+
+  const advancedConfig = stored.advancedConfig || {};
+  const imageConfig = stored.imageConfig || {};
+  const settings = {
+    modelName: instance.model_name,
+    gpuSelection: stored.gpuSelection,
+    ...advancedConfig,
+    ...imageConfig,
+    requireAuth: stored.requireAuth
+  };
+
+  const config = {};
+  for (const field of TEMPLATE_FIELDS) {
+    const value = settings[field];
+    const empty = !isSet(value)
+      || (field === 'enableLora' && value === false)
+      || (typeof value === 'object' && Object.keys(value).length === 0);
+    if (!empty) {
+      config[field] = value;
+    }
+  }
+  return config;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  validateTemplateConfig,
+  validateTemplate,
+  configFromInstance
+};
@@ -0,0 +1,138 @@
+// LoRA adapters of vLLM instances: validation and the vLLM command line for them
+
+const path = require('path');
+
+// The values vLLM accepts for --max-lora-rank
+const LORA_RANKS = [8, 16, 32, 64, 128, 256];
+const DEFAULT_MAX_LORA_RANK = 16;
+
+// Where the LoRA adapters directory is mounted in vLLM containers
+const CONTAINER_ADAPTERS_DIR = '/lora-adapters';
+
+const NAME_PATTERN = /^[\w][\w.-]{0,63}$/;
+const HF_REPO_PATTERN = /^[\w][\w.-]*\/[\w][\w.-]*$/;
+
+/**
+ * The host directory local adapters are read from (LORA_ADAPTERS_DIR)
+ */
+const getAdaptersDir = () => path.resolve(process.env.LORA_ADAPTERS_DIR || path.join(process.cwd(), 'lora-adapters'));
+
+/**
+ * Validate one adapter of a request body
+ * @param {Object} input - name, source (a HuggingFace repository, or an absolute path
+ *   inside the LoRA adapters directory) and rank
+ * @param {Object} instance - modelName, and maxLoraRank when adapters are added to a running instance
+ * @returns {{error: string}|{adapter: {name: string, source: string, rank: number}}}
+ */
+function validateAdapter(input, { modelName = null, maxLoraRank = null } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'An adapter needs a name, source and rank' };
+  }
+  const { name, source } = input;
+  const rank = typeof input.rank === 'string' ? Number(input.rank) : input.rank;
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return { error: 'Adapter names may only contain letters, digits, ".", "_" and "-"' };
+  }
+  if (name === modelName) {
+    return { error: `Adapter ${name} can't have the name of the base model` };
+  }
+  if (typeof source !== 'string' || !source) {
+    return { error: `Adapter ${name} needs a source: a HuggingFace repository or a local path` };
+  }
+  if (source.startsWith('/')) {
+    const relative = path.relative(getAdaptersDir(), path.resolve(source));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { error: `Local adapter ${name} must be inside ${getAdaptersDir()}` };
+    }
+  } else if (!HF_REPO_PATTERN.test(source)) {
+    return { error: `Source of adapter ${name} must be a HuggingFace repository such as org/adapter, or an absolute path` };
+  }
+
+  const highest = LORA_RANKS[LORA_RANKS.length - 1];
+  if (!Number.isInteger(rank) || rank < 1 || rank > highest) {
+    return { error: `Rank of adapter ${name} must be a whole number between 1 and ${highest}` };
+  }
+  if (maxLoraRank !== null && rank > maxLoraRank) {
+    return { error: `Rank of adapter ${name} (${rank}) is above the instance's maxLoraRank (${maxLoraRank})` };
+  }
+
+  return { adapter: { name, source: source.startsWith('/') ? path.resolve(source) : source, rank } };
+}
+
+/**
+ * Validate the LoRA settings of an instance. Declaring adapters enables LoRA.
+ * @param {Object} input - enableLora, maxLoraRank and adapters (an array of adapters)
+ * @param {string} modelName - The instance's base model
+ * @returns {{error: string}|{lora: {enableLora: boolean, maxLoraRank: number|null, adapters: Array}}}
+ */
+function validateLoraConfig({ enableLora = false, maxLoraRank = null, adapters = [] } = {}, modelName = null) {
+  if (!Array.isArray(adapters)) {
+    return { error: 'adapters must be a list of adapters' };
+  }
+
+  const validated = [];
+  for (const input of adapters) {
+    const result = validateAdapter(input, { modelName });
+    if (result.error) {
+      return result;
+    }
+    if (validated.some(adapter => adapter.name === result.adapter.name)) {
+      return { error: `Adapter ${result.adapter.name} is declared twice` };
+    }
+    validated.push(result.adapter);
+  }
+
+  const enabled = enableLora === true || validated.length > 0;
+  if (!enabled) {
+    return { lora: { enableLora: false, maxLoraRank: null, adapters: [] } };
+  }
+
+  const highestRank = Math.max(DEFAULT_MAX_LORA_RANK, ...validated.map(adapter => adapter.rank));
+  if (maxLoraRank !== null && maxLoraRank !== undefined && maxLoraRank !== '') {
+    const rank = Number(maxLoraRank);
+    if (!LORA_RANKS.includes(rank)) {
+      return { error: `maxLoraRank must be one of ${LORA_RANKS.join(', ')}` };
+    }
+    const above = validated.find(adapter => adapter.rank > rank);
+    if (above) {
+      return { error: `Rank of adapter ${above.name} (${above.rank}) is above maxLoraRank (${rank})` };
+    }
+    return { lora: { enableLora: true, maxLoraRank: rank, adapters: validated } };
+  }
+
+  return {
+    lora: { enableLora: true, maxLoraRank: LORA_RANKS.find(rank => rank >= highestRank), adapters: validated }
+  };
+}
+
+/**
+ * Where vLLM finds an adapter: its HuggingFace repository, or its path in the container
+ */
+function containerSource(source) {
+  if (!source.startsWith('/')) {
+    return source;
+  }
+  return path.posix.join(CONTAINER_ADAPTERS_DIR, ...path.relative(getAdaptersDir(), source).split(path.sep));
+}
+
+/**
+ * vLLM arguments that enable LoRA and load the adapters at startup
+ */
+function toCommandLine({ maxLoraRank, adapters = [] }) {
+  const args = ['--enable-lora', '--max-lora-rank', String(maxLoraRank || DEFAULT_MAX_LORA_RANK)];
+  if (adapters.length > 0) {
+    args.push('--lora-modules', ...adapters.map(adapter => `${adapter.name}=${containerSource(adapter.source)}`));
+  }
+  return args;
+}
+
+module.exports = {
+  LORA_RANKS,
+  CONTAINER_ADAPTERS_DIR,
+  getAdaptersDir,
+  validateAdapter,
+  validateLoraConfig,
+  containerSource,
+  toCommandLine
+};
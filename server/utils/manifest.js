@@ -0,0 +1,355 @@
+// Fleet manifests: the desired vLLM instances, Ollama instances and Ollama models in
+// one document. Entries are matched to instances by name and their settings are compared
+// after filling in the values instances get when a field is left out.
+
+const yaml = require('./yaml');
+const { TEMPLATE_FIELDS, validateTemplateConfig, configFromInstance } = require('./instanceTemplates');
+const { validateImageOptions } = require('./containerImages');
+const { validateLoraConfig } = require('./loraAdapters');
+
+const API_VERSION = 'vllm-manager/v1';
+const KIND = 'Fleet';
+
+// Fields of manifest entries, in the order they're exported
+const VLLM_FIELDS = ['name', ...TEMPLATE_FIELDS, 'hostname', 'adapters'];
+const OLLAMA_FIELDS = ['name', 'hostname', 'gpuSelection', 'gpuMemoryFraction', 'image', 'imageTag', 'pullPolicy', 'requireAuth', 'models'];
+
+// What instances get for fields a manifest leaves out; hostname and gpuSelection follow the settings
+const VLLM_DEFAULTS = {
+  maxContextLength: null,
+  gpuMemoryUtilization: null,
+  maxNumSeqs: 256,
+  trustRemoteCode: false,
+  quantization: null,
+  tensorParallelSize: null,
+  extraArgs: {},
+  enableLora: false,
+  maxLoraRank: null,
+  speculativeDecoding: null,
+  image: null,
+  imageTag: null,
+  pullPolicy: null,
+  requireAuth: true,
+  adapters: []
+};
+const OLLAMA_DEFAULTS = {
+  // null lets placement choose the share of the GPU
+  gpuMemoryFraction: null,
+  image: null,
+  imageTag: null,
+  pullPolicy: null,
+  requireAuth: true,
+  models: []
+};
+
+// Settings placement chooses when the manifest leaves them out; they only differ when the manifest sets them
+const PLACEMENT_FIELDS = ['gpuMemoryFraction'];
+
+const MAX_NAME_LENGTH = 100;
+const HOSTNAME_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9.-]{0,252}[a-zA-Z0-9])?$/;
+const OLLAMA_GPU_SELECTION_PATTERN = /^(auto|cpu|\d+)$/;
+const OLLAMA_MODEL_PATTERN = /^[\w][\w./-]*(:[\w.-]+)?$/;
+
+/**
+ * Ollama's name for a model: without a tag it pulls :latest
+ */
+const normalizeModelName = name => (name.includes(':') ? name : `${name}:latest`);
+
+const parseConfig = (config) => {
+  try {
+    return JSON.parse(config) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// JSON with sorted keys, so equal settings compare equal
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const pick = (object, fields) => Object.fromEntries(fields.filter(field => object[field] !== undefined).map(field => [field, object[field]]));
+
+function validateName(entry, label) {
+  if (typeof entry.name !== 'string' || !entry.name.trim()) {
+    return `${label} needs a name`;
+  }
+  if (entry.name.length > MAX_NAME_LENGTH) {
+    return `${label}: names must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (entry.hostname !== undefined && entry.hostname !== null
+    && (typeof entry.hostname !== 'string' || !HOSTNAME_PATTERN.test(entry.hostname))) {
+    return `${label} (${entry.name}): hostname must be a host name such as inference.vm`;
+  }
+  return null;
+}
+
+function checkFields(entry, fields, label) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return `${label} must be a mapping of instance settings`;
+  }
+  const unknown = Object.keys(entry).find(field => !fields.includes(field));
+  return unknown ? `${label}: unknown field ${unknown} (fields are ${fields.join(', ')})` : null;
+}
+
+/**
+ * Validate a vLLM entry like an instance request
+ * @returns {{error: string}|{spec: Object}} The fields that are set
+ */
+function validateVllmEntry(entry, label) {
+  const fieldError = checkFields(entry, VLLM_FIELDS, label) || validateName(entry, label);
+  if (fieldError) {
+    return { error: fieldError };
+  }
+  const named = `${label} (${entry.name})`;
+
+  const { error, config } = validateTemplateConfig(pick(entry, TEMPLATE_FIELDS));
+  if (error) {
+    return { error: `${named}: ${error}` };
+  }
+  const loraValidation = validateLoraConfig(
+    { enableLora: entry.enableLora, maxLoraRank: entry.maxLoraRank, adapters: entry.adapters || [] },
+    config.modelName
+  );
+  if (loraValidation.error) {
+    return { error: `${named}: ${loraValidation.error}` };
+  }
+
+  const spec = { name: entry.name.trim(), ...config };
+  delete spec.enableLora;
+  delete spec.maxLoraRank;
+  if (loraValidation.lora.enableLora) {
+    spec.enableLora = true;
+    spec.maxLoraRank = loraValidation.lora.maxLoraRank;
+  }
+  if (entry.hostname) {
+    spec.hostname = entry.hostname;
+  }
+  if (loraValidation.lora.adapters.length > 0) {
+    spec.adapters = loraValidation.lora.adapters;
+  }
+  return { spec: pick(spec, VLLM_FIELDS) };
+}
+
+/**
+ * Validate an Ollama entry like an instance request
+ * @returns {{error: string}|{spec: Object}} The fields that are set; models are normalized
+ */
+function validateOllamaEntry(entry, label) {
+  const fieldError = checkFields(entry, OLLAMA_FIELDS, label) || validateName(entry, label);
+  if (fieldError) {
+    return { error: fieldError };
+  }
+  const named = `${label} (${entry.name})`;
+  const spec = { name: entry.name.trim() };
+
+  if (entry.hostname) {
+    spec.hostname = entry.hostname;
+  }
+  if (entry.gpuSelection !== undefined && entry.gpuSelection !== null && entry.gpuSelection !== '') {
+    if (!OLLAMA_GPU_SELECTION_PATTERN.test(String(entry.gpuSelection))) {
+      return { error: `${named}: gpuSelection must be auto, cpu or a GPU id` };
+    }
+    spec.gpuSelection = String(entry.gpuSelection);
+  }
+  if (entry.gpuMemoryFraction !== undefined && entry.gpuMemoryFraction !== null) {
+    const fraction = Number(entry.gpuMemoryFraction);
+    if (!(fraction > 0 && fraction <= 1)) {
+      return { error: `${named}: gpuMemoryFraction must be between 0 and 1` };
+    }
+    spec.gpuMemoryFraction = fraction;
+  }
+  const imageValidation = validateImageOptions(entry);
+  if (imageValidation.error) {
+    return { error: `${named}: ${imageValidation.error}` };
+  }
+  Object.assign(spec, Object.fromEntries(Object.entries(imageValidation.options).filter(([, value]) => value !== null)));
+  if (entry.requireAuth !== undefined) {
+    if (typeof entry.requireAuth !== 'boolean') {
+      return { error: `${named}: requireAuth must be true or false` };
+    }
+    spec.requireAuth = entry.requireAuth;
+  }
+
+  if (entry.models !== undefined && entry.models !== null) {
+    if (!Array.isArray(entry.models) || !entry.models.every(model => typeof model === 'string' && OLLAMA_MODEL_PATTERN.test(model))) {
+      return { error: `${named}: models must be a list of Ollama model names such as llama3.2:3b` };
+    }
+    const models = entry.models.map(normalizeModelName);
+    const duplicate = models.find((model, index) => models.indexOf(model) !== index);
+    if (duplicate) {
+      return { error: `${named}: model ${duplicate} is listed twice` };
+    }
+    spec.models = models;
+  }
+  return { spec: pick(spec, OLLAMA_FIELDS) };
+}
+
+function validateEntries(entries, key, validateEntry) {
+  if (entries === undefined || entries === null) {
+    return { specs: [] };
+  }
+  if (!Array.isArray(entries)) {
+    return { error: `${key} must be a list of instances` };
+  }
+  const specs = [];
+  for (const [index, entry] of entries.entries()) {
+    const { error, spec } = validateEntry(entry, `${key}[${index}]`);
+    if (error) {
+      return { error };
+    }
+    if (specs.some(other => other.name === spec.name)) {
+      return { error: `${key}[${index}]: another ${key} instance is already named ${spec.name}` };
+    }
+    specs.push(spec);
+  }
+  return { specs };
+}
+
+/**
+ * Validate a manifest
+ * @param {string|Object} input - YAML (or JSON) text, or the parsed document
+ * @returns {{error: string}|{manifest: {vllm: Array<Object>, ollama: Array<Object>}}} Validated entries
+ */
+function validateManifest(input) {
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = yaml.parse(input);
+    } catch (error) {
+      return { error: `The manifest is not valid YAML: ${error.message}` };
+    }
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { error: `A manifest is a mapping with apiVersion: ${API_VERSION}, kind: ${KIND}, vllm and ollama` };
+  }
+  if (document.apiVersion !== API_VERSION || document.kind !== KIND) {
+    return { error: `Manifests need apiVersion: ${API_VERSION} and kind: ${KIND}` };
+  }
+  const unknown = Object.keys(document).find(key => !['apiVersion', 'kind', 'vllm', 'ollama'].includes(key));
+  if (unknown) {
+    return { error: `Unknown manifest field ${unknown} (fields are apiVersion, kind, vllm and ollama)` };
+  }
+
+  const vllm = validateEntries(document.vllm, 'vllm', validateVllmEntry);
+  if (vllm.error) {
+    return vllm;
+  }
+  const ollama = validateEntries(document.ollama, 'ollama', validateOllamaEntry);
+  if (ollama.error) {
+    return ollama;
+  }
+  return { manifest: { vllm: vllm.specs, ollama: ollama.specs } };
+}
+
+/**
+ * Every setting of a vLLM spec, with the values instances get for fields it leaves out
+ * @param {Object} spec - Manifest entry (or the spec of an instance)
+ * @param {Object} defaults - hostname and gpuSelection of settingsService.getInstanceDefaults()
+ */
+function completeVllmSpec(spec, defaults) {
+  const complete = {
+    ...VLLM_DEFAULTS,
+    hostname: defaults.hostname,
+    gpuSelection: defaults.gpuSelection || 'auto',
+    ...Object.fromEntries(Object.entries(spec).filter(([, value]) => value !== undefined && value !== null))
+  };
+  complete.adapters = [...complete.adapters].sort((a, b) => a.name.localeCompare(b.name));
+  return pick(complete, VLLM_FIELDS);
+}
+
+function completeOllamaSpec(spec, defaults) {
+  const complete = {
+    ...OLLAMA_DEFAULTS,
+    hostname: defaults.hostname,
+    gpuSelection: defaults.gpuSelection || 'auto',
+    ...Object.fromEntries(Object.entries(spec).filter(([, value]) => value !== undefined && value !== null))
+  };
+  complete.models = [...complete.models].sort();
+  return pick(complete, OLLAMA_FIELDS);
+}
+
+/**
+ * The spec of an existing vLLM instance
+ * @param {Object} instance - Instance row
+ * @param {Array<Object>} adapters - Its instance_adapters rows
+ */
+function vllmSpecOfInstance(instance, adapters = []) {
+  const stored = parseConfig(instance.config);
+  return {
+    name: instance.name,
+    ...configFromInstance(instance),
+    hostname: stored.hostname,
+    adapters: adapters.map(({ name, source, rank }) => ({ name, source, rank }))
+  };
+}
+
+/**
+ * The spec of an existing Ollama instance
+ * @param {Object} instance - Ollama instance row
+ * @param {Array<Object>} models - Its ollama_models rows; failed pulls don't count
+ */
+function ollamaSpecOfInstance(instance, models = []) {
+  const stored = parseConfig(instance.config);
+  const imageConfig = stored.imageConfig || {};
+  return {
+    name: instance.name,
+    hostname: stored.hostname,
+    gpuSelection: stored.gpuSelection,
+    gpuMemoryFraction: stored.gpuMemoryFraction,
+    image: imageConfig.image,
+    imageTag: imageConfig.imageTag,
+    pullPolicy: imageConfig.pullPolicy,
+    requireAuth: stored.requireAuth,
+    models: models.filter(model => model.status !== 'failed').map(model => normalizeModelName(model.name))
+  };
+}
+
+/**
+ * Settings that differ between two complete specs
+ * @param {Object} current - Complete spec of the instance
+ * @param {Object} desired - Complete spec of the manifest entry
+ * @param {Object} entry - The manifest entry itself, for settings placement chooses when it leaves them out
+ * @param {Array<string>} ignore - Fields compared elsewhere
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffSpecs(current, desired, entry, ignore = []) {
+  return Object.keys(desired)
+    .filter(field => !ignore.includes(field))
+    .filter(field => !(PLACEMENT_FIELDS.includes(field) && (entry[field] === undefined || entry[field] === null)))
+    .filter(field => canonical(current[field]) !== canonical(desired[field]))
+    .map(field => ({ field, from: current[field] === undefined ? null : current[field], to: desired[field] }));
+}
+
+/**
+ * A manifest entry for a complete spec, leaving out the fields that have their default
+ */
+function toManifestEntry(complete, defaults, kind) {
+  const fieldDefaults = {
+    ...(kind === 'vllm' ? VLLM_DEFAULTS : OLLAMA_DEFAULTS),
+    hostname: defaults.hostname,
+    gpuSelection: defaults.gpuSelection || 'auto'
+  };
+  return Object.fromEntries(Object.entries(complete).filter(([field, value]) => field === 'name'
+    || field === 'modelName'
+    || canonical(value) !== canonical(fieldDefaults[field])));
+}
+
+module.exports = {
+  API_VERSION,
+  KIND,
+  normalizeModelName,
+  validateManifest,
+  completeVllmSpec,
+  completeOllamaSpec,
+  vllmSpecOfInstance,
+  ollamaSpecOfInstance,
+  diffSpecs,
+  toManifestEntry
+};
@@ -0,0 +1,228 @@
+// Prometheus metric types and the text exposition format (version 0.0.4)
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * @param {Object} labels - Label name -> already escaped value
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${value}"`).join(',')}}` : '';
+};
+
+const escapeLabels = labels => Object.fromEntries(
+  Object.entries(labels).map(([name, value]) => [name, escapeLabelValue(value)])
+);
+
+class Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} labelNames - Labels every sample must have
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+    if (!this.series.has(key)) {
+      const seriesLabels = Object.fromEntries(this.labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+      this.series.set(key, { labels: seriesLabels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  renderSamples() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(escapeLabels(series.labels))} ${formatValue(series.value)}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSamples() {
+    return [...this.series.values()].flatMap((series) => {
+      const labels = escapeLabels(series.labels);
+      return [
+        ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[index]}`),
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`,
+        `${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`,
+        `${this.name}_count${formatLabels(labels)} ${series.count}`
+      ];
+    });
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Parse labels as they appear between the braces of a sample. Values stay escaped.
+ */
+function parseLabels(text) {
+  const labels = {};
+  const pattern = /([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    labels[match[1]] = match[2];
+  }
+  return labels;
+}
+
+/**
+ * Parse the text exposition format into metric families
+ * @returns {Map<string, {name: string, help: string|null, type: string|null, samples: Array}>}
+ */
+function parseMetricsText(text) {
+  const families = new Map();
+  const familyFor = (name) => {
+    if (!families.has(name)) {
+      families.set(name, { name, help: null, type: null, samples: [] });
+    }
+    return families.get(name);
+  };
+  let current = null;
+
+  for (const rawLine of String(text).split('\n')) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    const meta = line.match(/^#\s*(HELP|TYPE)\s+(\S+)\s*(.*)$/);
+    if (meta) {
+      current = familyFor(meta[2]);
+      current[meta[1] === 'HELP' ? 'help' : 'type'] = meta[3];
+      continue;
+    }
+    if (line.startsWith('#')) {
+      continue;
+    }
+
+    const sample = line.match(/^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)(?:\s+(\S+))?$/);
+    if (!sample) {
+      continue;
+    }
+    const [, name, labelText, value, timestamp] = sample;
+    // Histogram and summary samples (_bucket, _sum, _count) belong to the family declared above them
+    const family = current && (name === current.name || name.startsWith(`${current.name}_`)) ? current : familyFor(name);
+    family.samples.push({ name, labels: parseLabels(labelText || ''), value, timestamp: timestamp || null });
+  }
+
+  return families;
+}
+
+/**
+ * Merge metrics scraped from several targets into one exposition, adding
+ * labels that tell the targets apart. Each family's HELP and TYPE appear once.
+ * @param {Array<{families: Map, labels: Object}>} sources - Parsed metrics and the labels to add to them
+ */
+function mergeMetricFamilies(sources) {
+  const merged = new Map();
+
+  sources.forEach(({ families, labels }) => {
+    const extra = escapeLabels(labels);
+    families.forEach((family) => {
+      if (!merged.has(family.name)) {
+        merged.set(family.name, { help: family.help, type: family.type, lines: [] });
+      }
+      const target = merged.get(family.name);
+      family.samples.forEach((sample) => {
+        const line = `${sample.name}${formatLabels({ ...sample.labels, ...extra })} ${sample.value}`;
+        target.lines.push(sample.timestamp ? `${line} ${sample.timestamp}` : line);
+      });
+    });
+  });
+
+  const blocks = [...merged.entries()]
+    .filter(([, family]) => family.lines.length > 0)
+    .map(([name, family]) => [
+      ...(family.help !== null ? [`# HELP ${name} ${family.help}`] : []),
+      ...(family.type !== null ? [`# TYPE ${name} ${family.type}`] : []),
+      ...family.lines
+    ].join('\n'));
+  return blocks.length ? `${blocks.join('\n')}\n` : '';
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  parseMetricsText,
+  mergeMetricFamilies
+};
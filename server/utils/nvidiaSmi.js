@@ -0,0 +1,104 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+// Columns queried from nvidia-smi, in output order
+const QUERY_FIELDS = [
+  'index',
+  'name',
+  'memory.total',
+  'memory.used',
+  'memory.free',
+  'utilization.gpu',
+  'temperature.gpu',
+  'power.draw',
+  'power.limit',
+  'uuid'
+];
+
+const QUERY_COMMAND = `nvidia-smi --query-gpu=${QUERY_FIELDS.join(',')} --format=csv,noheader,nounits`;
+
+// Processes using each GPU; GPUs are identified by UUID here, not by index
+const COMPUTE_APPS_COMMAND = 'nvidia-smi --query-compute-apps=gpu_uuid,pid,process_name,used_memory --format=csv,noheader,nounits';
+
+// nvidia-smi prints "[N/A]" or "[Not Supported]" for readings a GPU doesn't report
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Process names may contain commas; the memory is always the last column
+const COMPUTE_APP_PATTERN = /^([^,]+),\s*(\d+),\s*(.*),\s*([^,]+)$/;
+
+const splitRows = stdout => stdout
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => line.split(',').map(part => part.trim()));
+
+/**
+ * Parse the output of QUERY_COMMAND, one GPU per line
+ * @param {string} stdout
+ * @returns {Array<Object>} GPUs with id, name, memoryTotal, memoryUsed, memoryFree (MiB),
+ *   utilization (%), temperature (°C), powerDraw and powerLimit (W) and uuid; unreported readings are null
+ */
+function parseGpuQuery(stdout) {
+  return splitRows(stdout).map(parts => ({
+    id: parts[0],
+    name: parts[1],
+    memoryTotal: toNumber(parts[2]),
+    memoryUsed: toNumber(parts[3]),
+    memoryFree: toNumber(parts[4]),
+    utilization: toNumber(parts[5]),
+    temperature: toNumber(parts[6]),
+    powerDraw: toNumber(parts[7]),
+    powerLimit: toNumber(parts[8]),
+    uuid: parts[9] || null
+  }));
+}
+
+/**
+ * Parse the output of COMPUTE_APPS_COMMAND, one process per line
+ * @param {string} stdout
+ * @returns {Array<Object>} Processes with gpuUuid, pid, processName and memoryUsed (MiB)
+ */
+function parseComputeApps(stdout) {
+  return stdout
+    .split('\n')
+    .map(line => COMPUTE_APP_PATTERN.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, gpuUuid, pid, processName, memoryUsed]) => ({
+      gpuUuid,
+      pid: parseInt(pid, 10),
+      processName,
+      memoryUsed: toNumber(memoryUsed)
+    }));
+}
+
+/**
+ * Read the current statistics of every NVIDIA GPU. Throws when nvidia-smi is missing or fails.
+ * @param {Function} run - Runs a shell command and resolves to { stdout }; replaceable for tests
+ */
+async function queryGpus(run = execAsync) {
+  const { stdout } = await run(QUERY_COMMAND);
+  return parseGpuQuery(stdout);
+}
+
+/**
+ * Read the processes running on NVIDIA GPUs. Throws when nvidia-smi is missing or fails.
+ * @param {Function} run - Runs a shell command and resolves to { stdout }; replaceable for tests
+ */
+async function queryComputeApps(run = execAsync) {
+  const { stdout } = await run(COMPUTE_APPS_COMMAND);
+  return parseComputeApps(stdout);
+}
+
+module.exports = {
+  QUERY_COMMAND,
+  COMPUTE_APPS_COMMAND,
+  parseGpuQuery,
+  parseComputeApps,
+  queryGpus,
+  queryComputeApps
+};
@@ -0,0 +1,13 @@
+// Instance rows as the management API returns them. The key a container is started
+// with is only for the gateway, so responses tell whether there is one, not what it is.
+
+/**
+ * @param {Object} instance - vLLM or Ollama instance row
+ * @returns {Object} The row without api_key, with hasApiKey
+ */
+function publicInstance(instance) {
+  const { api_key: apiKey, ...rest } = instance;
+  return { ...rest, hasApiKey: !!apiKey };
+}
+
+module.exports = { publicInstance };
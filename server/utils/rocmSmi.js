@@ -0,0 +1,85 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+const QUERY_COMMAND = 'rocm-smi --showproductname --showmeminfo vram --showuse --showtemp --showpower --showuniqueid --json';
+
+const MIB = 1024 * 1024;
+
+// rocm-smi prints "N/A" for readings a GPU doesn't report
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// The first field whose name matches one of the patterns, in order; field names differ between ROCm releases
+const findField = (card, patterns) => {
+  for (const pattern of patterns) {
+    const name = Object.keys(card).find(key => pattern.test(key));
+    if (name !== undefined) {
+      return card[name];
+    }
+  }
+  return undefined;
+};
+
+// The first of the matching fields that holds a number, e.g. the junction temperature where the edge sensor is N/A
+const findNumber = (card, patterns) => {
+  for (const pattern of patterns) {
+    const number = toNumber(findField(card, [pattern]));
+    if (number !== null) {
+      return number;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse the JSON output of QUERY_COMMAND, keyed by card ("card0", "card1", ...).
+ * The card number is used as the GPU id, which is the HIP device index on
+ * hosts where every card is a ROCm GPU.
+ * @param {string} stdout
+ * @returns {Array<Object>} GPUs shaped like utils/nvidiaSmi.js parseGpuQuery() results
+ */
+function parseRocmSmi(stdout) {
+  const cards = JSON.parse(stdout);
+  return Object.keys(cards)
+    .filter(key => /^card\d+$/.test(key))
+    .sort((a, b) => parseInt(a.slice(4), 10) - parseInt(b.slice(4), 10))
+    .map(key => {
+      const card = cards[key];
+      const totalBytes = toNumber(findField(card, [/^VRAM Total Memory \(B\)$/]));
+      const usedBytes = toNumber(findField(card, [/^VRAM Total Used Memory \(B\)$/]));
+      const memoryTotal = totalBytes === null ? null : Math.round(totalBytes / MIB);
+      const memoryUsed = usedBytes === null ? null : Math.round(usedBytes / MIB);
+
+      return {
+        id: key.slice(4),
+        name: findField(card, [/^Card Series$/i, /^Card model$/i, /^Card SKU$/i]) || 'AMD GPU',
+        memoryTotal,
+        memoryUsed,
+        memoryFree: memoryTotal === null || memoryUsed === null ? null : memoryTotal - memoryUsed,
+        utilization: findNumber(card, [/^GPU use \(%\)$/]),
+        temperature: findNumber(card, [/^Temperature \(Sensor edge\) \(C\)$/, /^Temperature \(Sensor junction\) \(C\)$/]),
+        powerDraw: findNumber(card, [/Graphics Package Power \(W\)$/]),
+        powerLimit: null,
+        uuid: findField(card, [/^Unique ID$/]) || null
+      };
+    });
+}
+
+/**
+ * Read the current statistics of every ROCm GPU. Throws when rocm-smi is missing or fails.
+ * @param {Function} run - Runs a shell command and resolves to { stdout }; replaceable for tests
+ */
+async function queryGpus(run = execAsync) {
+  const { stdout } = await run(QUERY_COMMAND);
+  return parseRocmSmi(stdout);
+}
+
+module.exports = {
+  QUERY_COMMAND,
+  parseRocmSmi,
+  queryGpus
+};
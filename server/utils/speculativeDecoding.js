@@ -0,0 +1,115 @@
+// Speculative decoding of vLLM instances: a draft model or n-gram lookup proposes
+// tokens that the instance's (target) model verifies in one step
+
+// draft: a smaller model with the target's tokenizer; ngram: tokens looked up in the prompt
+const SPECULATIVE_METHODS = ['draft', 'ngram'];
+const DEFAULT_SPECULATIVE_TOKENS = 5;
+const MAX_SPECULATIVE_TOKENS = 16;
+const DEFAULT_NGRAM_LOOKUP_MAX = 4;
+
+const MODEL_PATTERN = /^[\w][\w.-]*(\/[\w][\w.-]*)?$/;
+
+// Numbers may arrive as strings from forms
+const toInteger = (value, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  return Number(value);
+};
+
+/**
+ * Validate the speculativeDecoding of a request body
+ * @param {Object|null} input - method, draftModel, numSpeculativeTokens and, for ngram, ngramPromptLookupMax
+ * @param {Object} instanceSettings - modelName and extraArgs of the instance
+ * @returns {{error: string}|{speculativeDecoding: Object|null}} null when speculative decoding is off
+ */
+function validateSpeculativeDecoding(input, { modelName = null, extraArgs = {} } = {}) {
+  if (input === undefined || input === null) {
+    return { speculativeDecoding: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'speculativeDecoding must be an object with method, draftModel and numSpeculativeTokens' };
+  }
+
+  const method = input.method || (input.draftModel ? 'draft' : null);
+  if (!SPECULATIVE_METHODS.includes(method)) {
+    return { error: `speculativeDecoding.method must be one of ${SPECULATIVE_METHODS.join(', ')}` };
+  }
+
+  const numSpeculativeTokens = toInteger(input.numSpeculativeTokens, DEFAULT_SPECULATIVE_TOKENS);
+  if (!Number.isInteger(numSpeculativeTokens) || numSpeculativeTokens < 1 || numSpeculativeTokens > MAX_SPECULATIVE_TOKENS) {
+    return { error: `numSpeculativeTokens must be a whole number between 1 and ${MAX_SPECULATIVE_TOKENS}` };
+  }
+  // vLLM 0.6 can't combine speculative decoding with multi-step scheduling
+  if (extraArgs['num-scheduler-steps'] > 1) {
+    return { error: 'Speculative decoding does not work with num-scheduler-steps above 1' };
+  }
+
+  if (method === 'ngram') {
+    if (input.draftModel) {
+      return { error: 'N-gram speculative decoding takes no draftModel' };
+    }
+    const ngramPromptLookupMax = toInteger(input.ngramPromptLookupMax, DEFAULT_NGRAM_LOOKUP_MAX);
+    if (!Number.isInteger(ngramPromptLookupMax) || ngramPromptLookupMax < 1 || ngramPromptLookupMax > MAX_SPECULATIVE_TOKENS) {
+      return { error: `ngramPromptLookupMax must be a whole number between 1 and ${MAX_SPECULATIVE_TOKENS}` };
+    }
+    return { speculativeDecoding: { method, draftModel: null, numSpeculativeTokens, ngramPromptLookupMax } };
+  }
+
+  const { draftModel } = input;
+  if (typeof draftModel !== 'string' || !MODEL_PATTERN.test(draftModel)) {
+    return { error: 'Draft model speculative decoding needs a draftModel such as org/model' };
+  }
+  if (draftModel === modelName) {
+    return { error: 'The draft model must be a smaller model than the instance\'s own' };
+  }
+  return { speculativeDecoding: { method, draftModel, numSpeculativeTokens, ngramPromptLookupMax: null } };
+}
+
+/**
+ * Whether a draft model shares the target model's tokenizer, judged from their
+ * configurations: vLLM needs the same vocabulary, and a different BOS token means
+ * a different tokenizer. Configurations that can't be read aren't held against the draft.
+ * @param {Object} targetConfig - Result of modelService.getModelConfig for the instance's model
+ * @param {Object} draftConfig - Result of modelService.getModelConfig for the draft model
+ * @returns {{error: string}|{compatible: boolean|null}} compatible is null when it couldn't be checked
+ */
+function checkTokenizerCompatibility(targetConfig, draftConfig) {
+  if (!targetConfig.vocabSize || !draftConfig.vocabSize) {
+    return { compatible: null };
+  }
+  if (targetConfig.vocabSize !== draftConfig.vocabSize) {
+    return {
+      error: `Draft model ${draftConfig.name} has a vocabulary of ${draftConfig.vocabSize} tokens and ${targetConfig.name} one of ${targetConfig.vocabSize}; speculative decoding needs both to use the same tokenizer`
+    };
+  }
+  const bosKnown = targetConfig.bosTokenId !== null && targetConfig.bosTokenId !== undefined
+    && draftConfig.bosTokenId !== null && draftConfig.bosTokenId !== undefined;
+  if (bosKnown && targetConfig.bosTokenId !== draftConfig.bosTokenId) {
+    return {
+      error: `Draft model ${draftConfig.name} starts sequences with token ${draftConfig.bosTokenId} and ${targetConfig.name} with ${targetConfig.bosTokenId}; speculative decoding needs both to use the same tokenizer`
+    };
+  }
+  return { compatible: true };
+}
+
+/**
+ * vLLM arguments for validated speculative decoding settings
+ */
+function toCommandLine(speculativeDecoding) {
+  if (!speculativeDecoding) {
+    return [];
+  }
+  const tokens = ['--num-speculative-tokens', String(speculativeDecoding.numSpeculativeTokens)];
+  if (speculativeDecoding.method === 'ngram') {
+    return ['--speculative-model', '[ngram]', ...tokens, '--ngram-prompt-lookup-max', String(speculativeDecoding.ngramPromptLookupMax)];
+  }
+  return ['--speculative-model', speculativeDecoding.draftModel, ...tokens];
+}
+
+module.exports = {
+  SPECULATIVE_METHODS,
+  validateSpeculativeDecoding,
+  checkTokenizerCompatibility,
+  toCommandLine
+};
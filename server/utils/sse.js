@@ -17,7 +17,13 @@ class Sse {
     if (event) {
       payload = `event: ${event}\n${payload}`;
     }
-    this.res.write(payload);
+    // false when the client isn't keeping up; wait for 'drain' before sending more
+    return this.res.write(payload);
+  }
+
+  // Comment line that keeps idle connections from being closed by proxies
+  ping() {
+    this.res.write(': ping\n\n');
   }
 
   close() {
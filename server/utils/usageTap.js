@@ -0,0 +1,109 @@
+// Picks the OpenAI-style usage block out of proxied responses
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+// Larger non-streamed bodies (e.g. big embedding batches) are passed through without usage
+const MAX_BUFFERED_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Ask for a final usage chunk on streamed completions, which vLLM and Ollama only
+ * send when stream_options.include_usage is set
+ * @returns {{body: Object, added: boolean}} added is set when the client didn't ask for it itself
+ */
+function requestStreamUsage(body) {
+  if (!body.stream || (body.stream_options && body.stream_options.include_usage)) {
+    return { body, added: false };
+  }
+  return {
+    body: { ...body, stream_options: { ...(body.stream_options || {}), include_usage: true } },
+    added: true
+  };
+}
+
+/**
+ * Pass a response body through unchanged while reading its usage block, which
+ * is available as tap.usage ({ prompt_tokens, completion_tokens, total_tokens }
+ * or null) once the stream has ended.
+ * @param {Object} options
+ * @param {boolean} options.streamed - The body is a text/event-stream of chunks
+ * @param {boolean} options.dropUsageChunk - Leave out the usage-only chunk that the
+ *   client didn't ask for (see requestStreamUsage)
+ * @returns {Transform}
+ */
+function createUsageTap({ streamed = false, dropUsageChunk = false } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let buffered = [];
+  let bufferedBytes = 0;
+
+  // Handle one server-sent event; returns false to drop it
+  const inspectEvent = (event) => {
+    const data = event.split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (!data || data === '[DONE]') {
+      return true;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      return true;
+    }
+    if (!chunk || !chunk.usage) {
+      return true;
+    }
+    tap.usage = chunk.usage;
+    return !(dropUsageChunk && Array.isArray(chunk.choices) && chunk.choices.length === 0);
+  };
+
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      if (!streamed) {
+        if (buffered && bufferedBytes + chunk.length <= MAX_BUFFERED_BYTES) {
+          buffered.push(chunk);
+          bufferedBytes += chunk.length;
+        } else {
+          buffered = null;
+        }
+        callback(null, chunk);
+        return;
+      }
+
+      pending += decoder.write(chunk).replace(/\r\n/g, '\n');
+      const events = pending.split('\n\n');
+      pending = events.pop();
+      const output = events.filter(inspectEvent).map(event => `${event}\n\n`).join('');
+      callback(null, output ? Buffer.from(output) : undefined);
+    },
+
+    flush(callback) {
+      if (!streamed) {
+        if (buffered) {
+          try {
+            const body = JSON.parse(Buffer.concat(buffered).toString('utf8'));
+            tap.usage = (body && body.usage) || null;
+          } catch (error) {
+            // Not JSON, e.g. an error page
+          }
+        }
+        callback();
+        return;
+      }
+
+      const rest = pending + decoder.end();
+      callback(null, rest && inspectEvent(rest) ? Buffer.from(rest) : undefined);
+    }
+  });
+
+  tap.usage = null;
+  return tap;
+}
+
+module.exports = {
+  requestStreamUsage,
+  createUsageTap
+};
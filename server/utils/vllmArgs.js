@@ -0,0 +1,217 @@
+// Extra vLLM engine arguments: a schema of the flags instances may pass to vLLM,
+// validation of an instance's extraArgs against it and their command line form
+
+// The vLLM release whose flags FLAGS describes; stored with each instance's extraArgs
+const SCHEMA_VERSION = '0.6';
+
+const NAME_PATTERN = /^[\w][\w./:-]{0,255}$/;
+
+/**
+ * Known flags by name (without the leading dashes):
+ * - boolean flags are passed bare when true and left out when false
+ * - integer and number flags take min and max
+ * - enum flags take one of values
+ * - string flags match pattern
+ * - list flags take one or more strings matching pattern
+ */
+const FLAGS = {
+  'dtype': { type: 'enum', values: ['auto', 'half', 'float16', 'bfloat16', 'float', 'float32'], description: 'Data type of the weights and activations' },
+  'kv-cache-dtype': { type: 'enum', values: ['auto', 'fp8', 'fp8_e5m2', 'fp8_e4m3'], description: 'Data type of the KV cache; fp8 halves its memory' },
+  'enable-prefix-caching': { type: 'boolean', description: 'Reuse the KV cache of shared prompt prefixes' },
+  'enable-chunked-prefill': { type: 'boolean', description: 'Split long prefills into chunks scheduled with decodes' },
+  'enforce-eager': { type: 'boolean', description: 'Always run in eager mode instead of capturing CUDA graphs' },
+  'max-num-batched-tokens': { type: 'integer', min: 1, max: 1048576, description: 'Most tokens processed in one scheduler step' },
+  'max-seq-len-to-capture': { type: 'integer', min: 1, max: 1048576, description: 'Longest sequence covered by CUDA graphs' },
+  'num-scheduler-steps': { type: 'integer', min: 1, max: 64, description: 'Decode steps per scheduler call (multi-step scheduling)' },
+  'scheduler-delay-factor': { type: 'number', min: 0, max: 10, description: 'Delay the next prompt by this factor of the previous prompt latency' },
+  'block-size': { type: 'enum', values: [8, 16, 32], description: 'Tokens per KV cache block' },
+  'swap-space': { type: 'number', min: 0, max: 1024, description: 'CPU swap space per GPU in GiB' },
+  'cpu-offload-gb': { type: 'number', min: 0, max: 1024, description: 'GiB of weights per GPU kept in CPU memory' },
+  'seed': { type: 'integer', min: 0, max: 4294967295, description: 'Random seed' },
+  'max-logprobs': { type: 'integer', min: 0, max: 1000, description: 'Most log probabilities a request may ask for' },
+  'served-model-name': { type: 'list', pattern: NAME_PATTERN, description: 'Names the API accepts for the model; the first one is reported in responses' },
+  'tokenizer': { type: 'string', pattern: NAME_PATTERN, description: 'HuggingFace tokenizer to use instead of the model\'s' },
+  'tokenizer-mode': { type: 'enum', values: ['auto', 'slow', 'mistral'], description: 'Tokenizer implementation' },
+  'revision': { type: 'string', pattern: NAME_PATTERN, description: 'Branch, tag or commit of the model to load' },
+  'load-format': { type: 'enum', values: ['auto', 'pt', 'safetensors', 'npcache', 'dummy', 'bitsandbytes', 'gguf'], description: 'Format of the weights to load' },
+  'guided-decoding-backend': { type: 'enum', values: ['outlines', 'lm-format-enforcer'], description: 'Engine for guided (structured) decoding' },
+  'enable-auto-tool-choice': { type: 'boolean', description: 'Let the model decide when to call tools' },
+  'tool-call-parser': { type: 'enum', values: ['hermes', 'mistral', 'llama3_json', 'internlm', 'jamba'], description: 'Parser for the model\'s tool calls' },
+  'disable-custom-all-reduce': { type: 'boolean', description: 'Use NCCL instead of vLLM\'s all-reduce kernel' },
+  'disable-log-requests': { type: 'boolean', description: 'Do not log each request' },
+  'disable-log-stats': { type: 'boolean', description: 'Do not log throughput statistics' },
+  'uvicorn-log-level': { type: 'enum', values: ['critical', 'error', 'warning', 'info', 'debug', 'trace'], description: 'Log level of the HTTP server' },
+  'max-loras': { type: 'integer', min: 1, max: 64, description: 'Most LoRA adapters used in one batch' },
+  'max-cpu-loras': { type: 'integer', min: 1, max: 1024, description: 'Most LoRA adapters kept in CPU memory' }
+};
+
+// Flags the manager sets from an instance's own fields
+const MANAGED_FLAGS = {
+  'model': 'modelName',
+  'host': null,
+  'port': null,
+  'api-key': 'apiKey',
+  'gpu-memory-utilization': 'gpuMemoryUtilization',
+  'max-model-len': 'maxContextLength',
+  'max-num-seqs': 'maxNumSeqs',
+  'trust-remote-code': 'trustRemoteCode',
+  'quantization': 'quantization',
+  'tensor-parallel-size': 'tensorParallelSize',
+  'enable-lora': 'enableLora',
+  'max-lora-rank': 'maxLoraRank',
+  'lora-modules': 'adapters',
+  'speculative-model': 'speculativeDecoding',
+  'num-speculative-tokens': 'speculativeDecoding',
+  'ngram-prompt-lookup-max': 'speculativeDecoding',
+  'ngram-prompt-lookup-min': 'speculativeDecoding'
+};
+
+/**
+ * Combinations vLLM refuses to start with. Each check gets the validated
+ * arguments and the instance's settings and returns true when they conflict.
+ */
+const RULES = [
+  {
+    flags: ['enforce-eager', 'max-seq-len-to-capture'],
+    check: args => args['enforce-eager'] === true && args['max-seq-len-to-capture'] !== undefined,
+    message: 'max-seq-len-to-capture has no effect with enforce-eager, which disables CUDA graphs'
+  },
+  {
+    flags: ['num-scheduler-steps', 'enable-chunked-prefill'],
+    check: args => args['num-scheduler-steps'] > 1 && args['enable-chunked-prefill'] === true,
+    message: 'Multi-step scheduling (num-scheduler-steps above 1) does not work with enable-chunked-prefill'
+  },
+  {
+    flags: ['enable-auto-tool-choice', 'tool-call-parser'],
+    check: args => args['enable-auto-tool-choice'] === true && args['tool-call-parser'] === undefined,
+    message: 'enable-auto-tool-choice needs a tool-call-parser'
+  },
+  {
+    flags: ['max-num-batched-tokens', 'enable-chunked-prefill'],
+    check: (args, { maxContextLength }) => args['max-num-batched-tokens'] !== undefined
+      && args['enable-chunked-prefill'] !== true
+      && maxContextLength > 0
+      && args['max-num-batched-tokens'] < maxContextLength,
+    message: 'max-num-batched-tokens must be at least the maximum context length unless enable-chunked-prefill is set'
+  }
+];
+
+// Numbers may arrive as strings from forms
+const toNumber = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+/**
+ * The value of one flag, converted to its type
+ * @returns {{error: string}|{value: *}}
+ */
+function validateFlag(name, flag, input) {
+  switch (flag.type) {
+    case 'boolean':
+      return typeof input === 'boolean' ? { value: input } : { error: `--${name} must be true or false` };
+
+    case 'integer':
+    case 'number': {
+      const value = toNumber(input);
+      const valid = typeof value === 'number' && Number.isFinite(value) && (flag.type === 'number' || Number.isInteger(value));
+      if (!valid || value < flag.min || value > flag.max) {
+        const kind = flag.type === 'integer' ? 'a whole number' : 'a number';
+        return { error: `--${name} must be ${kind} between ${flag.min} and ${flag.max}` };
+      }
+      return { value };
+    }
+
+    case 'enum': {
+      const value = flag.values.find(allowed => allowed === input || String(allowed) === String(input));
+      return value === undefined ? { error: `--${name} must be one of ${flag.values.join(', ')}` } : { value };
+    }
+
+    case 'list': {
+      const values = Array.isArray(input) ? input : [input];
+      if (values.length === 0 || !values.every(value => typeof value === 'string' && flag.pattern.test(value))) {
+        return { error: `--${name} must be one or more names without spaces` };
+      }
+      return { value: values };
+    }
+
+    default:
+      if (typeof input !== 'string' || !flag.pattern.test(input)) {
+        return { error: `--${name} must be a name without spaces` };
+      }
+      return { value: input };
+  }
+}
+
+/**
+ * Validate the extraArgs of a request body
+ * @param {Object} input - Flag names (with or without leading dashes) and their values
+ * @param {Object} instanceSettings - The instance's own fields rules depend on, e.g. maxContextLength
+ * @returns {{error: string}|{extraArgs: Object}} Flags without dashes; false booleans are dropped
+ */
+function validateExtraArgs(input, instanceSettings = {}) {
+  if (input === undefined || input === null) {
+    return { extraArgs: {} };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'extraArgs must be an object of vLLM flags and values' };
+  }
+
+  const extraArgs = {};
+  for (const [key, value] of Object.entries(input)) {
+    const name = key.replace(/^-+/, '');
+    if (name in MANAGED_FLAGS) {
+      const field = MANAGED_FLAGS[name];
+      return { error: field ? `Set --${name} with the ${field} field, not extraArgs` : `--${name} is set by the manager` };
+    }
+    const flag = FLAGS[name];
+    if (!flag) {
+      return { error: `Unknown vLLM flag --${name} (known flags are those of vLLM ${SCHEMA_VERSION})` };
+    }
+
+    const result = validateFlag(name, flag, value);
+    if (result.error) {
+      return result;
+    }
+    if (result.value !== false) {
+      extraArgs[name] = result.value;
+    }
+  }
+
+  const broken = RULES.find(rule => rule.check(extraArgs, instanceSettings));
+  if (broken) {
+    return { error: broken.message };
+  }
+  return { extraArgs };
+}
+
+/**
+ * Command line arguments for validated extraArgs, in schema order
+ */
+function toCommandLine(extraArgs = {}) {
+  return Object.keys(FLAGS)
+    .filter(name => extraArgs[name] !== undefined)
+    .flatMap(name => {
+      const value = extraArgs[name];
+      if (FLAGS[name].type === 'boolean') {
+        return [`--${name}`];
+      }
+      return [`--${name}`, ...(Array.isArray(value) ? value : [value]).map(String)];
+    });
+}
+
+/**
+ * The schema in JSON form, for forms that edit extraArgs
+ */
+function describeSchema() {
+  return {
+    version: SCHEMA_VERSION,
+    flags: Object.entries(FLAGS).map(([name, flag]) => ({ name, ...flag, pattern: flag.pattern ? flag.pattern.source : undefined })),
+    managedFlags: Object.keys(MANAGED_FLAGS),
+    rules: RULES.map(({ flags, message }) => ({ flags, message }))
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  validateExtraArgs,
+  toCommandLine,
+  describeSchema
+};
@@ -0,0 +1,180 @@
+// Rough GPU memory needs of a vLLM instance, from the model's HuggingFace configuration
+
+const MIB = 1024 * 1024;
+
+// Bytes per weight of quantized checkpoints (vLLM's --quantization or the model's quant_method)
+const QUANTIZATION_BYTES = {
+  awq: 0.5,
+  awq_marlin: 0.5,
+  gptq: 0.5,
+  gptq_marlin: 0.5,
+  marlin: 0.5,
+  bitsandbytes: 0.5,
+  gguf: 0.5,
+  squeezellm: 0.5,
+  fp8: 1,
+  fbgemm_fp8: 1,
+  'compressed-tensors': 1
+};
+
+// vLLM loads float32 checkpoints as float16 unless told otherwise, so unquantized weights take 2 bytes
+const UNQUANTIZED_BYTES = 2;
+
+// The KV cache is kept in the model dtype unless --kv-cache-dtype stores it in fp8
+const KV_CACHE_BYTES = 2;
+const KV_CACHE_DTYPE_BYTES = {
+  fp8: 1,
+  fp8_e5m2: 1,
+  fp8_e4m3: 1
+};
+
+// Per GPU: CUDA context, activations, sampler and CUDA graphs
+const RUNTIME_OVERHEAD_MIB = 1536;
+
+/**
+ * Parameter count from the architecture, for models that don't publish it
+ */
+function estimateParameters(config) {
+  const { hiddenSize, numLayers, vocabSize, numAttentionHeads } = config;
+  if (!hiddenSize || !numLayers || !vocabSize || !numAttentionHeads) {
+    return null;
+  }
+
+  const headDim = config.headDim || hiddenSize / numAttentionHeads;
+  const kvHeads = config.numKeyValueHeads || numAttentionHeads;
+  const intermediateSize = config.intermediateSize || 4 * hiddenSize;
+
+  const embeddings = vocabSize * hiddenSize * (config.tieWordEmbeddings ? 1 : 2);
+  // Query and output projections, then key and value projections (fewer heads with GQA)
+  const attention = 2 * hiddenSize * numAttentionHeads * headDim + 2 * hiddenSize * kvHeads * headDim;
+  // Gated MLP: gate, up and down projections, once per expert for MoE models
+  const mlp = 3 * hiddenSize * intermediateSize * (config.numExperts || 1);
+
+  return embeddings + numLayers * (attention + mlp);
+}
+
+/**
+ * Bytes of KV cache each token takes: a key and a value per layer and KV head
+ * @param {Object} config - Result of modelService.getModelConfig
+ * @param {string|null} kvCacheDtype - --kv-cache-dtype of the instance, if any
+ */
+function kvCacheBytesPerToken(config, kvCacheDtype = null) {
+  if (!config.numLayers || !config.hiddenSize || !config.numAttentionHeads) {
+    return null;
+  }
+  const headDim = config.headDim || config.hiddenSize / config.numAttentionHeads;
+  const kvHeads = config.numKeyValueHeads || config.numAttentionHeads;
+  return 2 * config.numLayers * kvHeads * headDim * (KV_CACHE_DTYPE_BYTES[kvCacheDtype] || KV_CACHE_BYTES);
+}
+
+/**
+ * Estimate the memory an instance needs to load a model and hold the KV cache
+ * of one sequence of maxModelLen tokens, which vLLM requires to start
+ * @param {Object} config - Result of modelService.getModelConfig
+ * @param {Object} options
+ * @param {string} options.quantization - --quantization of the instance, if any
+ * @param {number} options.maxModelLen - --max-model-len, defaults to the model's context length
+ * @param {string} options.kvCacheDtype - --kv-cache-dtype, if any
+ * @returns {Object|null} Sizes in MiB, or null when the configuration is too incomplete
+ */
+function estimateModelMemory(config, { quantization = null, maxModelLen = null, kvCacheDtype = null } = {}) {
+  if (!config) {
+    return null;
+  }
+
+  const method = (quantization || config.quantization || '').toLowerCase();
+  const bytesPerParameter = QUANTIZATION_BYTES[method] || UNQUANTIZED_BYTES;
+
+  // Quantized checkpoints publish the count of packed tensors, not of weights
+  const parameters = (!QUANTIZATION_BYTES[method] && config.numParameters) || estimateParameters(config) || config.numParameters;
+  if (!parameters) {
+    return null;
+  }
+
+  const contextLength = maxModelLen || config.maxContextLength || null;
+  const bytesPerToken = kvCacheBytesPerToken(config, kvCacheDtype);
+  const kvCacheMiB = contextLength && bytesPerToken ? Math.ceil((bytesPerToken * contextLength) / MIB) : null;
+
+  const weightsMiB = Math.ceil((parameters * bytesPerParameter) / MIB);
+
+  return {
+    parameters,
+    bytesPerParameter,
+    quantization: method || null,
+    contextLength,
+    kvCacheBytesPerToken: bytesPerToken,
+    weightsMiB,
+    kvCacheMiB,
+    overheadMiB: RUNTIME_OVERHEAD_MIB,
+    totalMiB: weightsMiB + (kvCacheMiB || 0) + RUNTIME_OVERHEAD_MIB
+  };
+}
+
+/**
+ * Add a speculative decoding draft model to an instance's estimate. vLLM loads the
+ * draft next to the target model, splits it across the same GPUs and keeps a KV
+ * cache for it too, so its weights and KV cache count as the instance's own.
+ * @param {Object} estimate - Estimate of the target model
+ * @param {Object} draftEstimate - Estimate of the draft model at the same context length
+ * @returns {Object} The combined estimate; `draft` holds the draft model's share
+ */
+function addDraftModel(estimate, draftEstimate) {
+  if (!estimate || !draftEstimate) {
+    return estimate;
+  }
+  const kvCacheMiB = estimate.kvCacheMiB !== null && draftEstimate.kvCacheMiB !== null
+    ? estimate.kvCacheMiB + draftEstimate.kvCacheMiB
+    : estimate.kvCacheMiB;
+  return {
+    ...estimate,
+    kvCacheBytesPerToken: estimate.kvCacheBytesPerToken && draftEstimate.kvCacheBytesPerToken
+      ? estimate.kvCacheBytesPerToken + draftEstimate.kvCacheBytesPerToken
+      : estimate.kvCacheBytesPerToken,
+    weightsMiB: estimate.weightsMiB + draftEstimate.weightsMiB,
+    kvCacheMiB,
+    totalMiB: estimate.weightsMiB + draftEstimate.weightsMiB + (kvCacheMiB || 0) + estimate.overheadMiB,
+    draft: {
+      parameters: draftEstimate.parameters,
+      weightsMiB: draftEstimate.weightsMiB,
+      kvCacheMiB: draftEstimate.kvCacheMiB
+    }
+  };
+}
+
+/**
+ * Memory each GPU needs when the model is split across tensorParallelSize GPUs.
+ * Weights and KV cache are sharded; the runtime overhead is paid on every GPU.
+ */
+function perGpuMemory(estimate, tensorParallelSize = 1) {
+  if (!estimate) {
+    return null;
+  }
+  return Math.ceil((estimate.weightsMiB + (estimate.kvCacheMiB || 0)) / tensorParallelSize) + estimate.overheadMiB;
+}
+
+/**
+ * How many sequences of the full context length fit into the KV cache that is left
+ * once every GPU has loaded its share of the weights
+ * @param {Object} estimate - Result of estimateModelMemory
+ * @param {number} claimedMiB - Memory vLLM claims on each GPU (gpuMemoryUtilization x total)
+ * @param {number} tensorParallelSize
+ * @returns {number|null} 0 when not even one sequence fits, null when unknown
+ */
+function maxConcurrentSequences(estimate, claimedMiB, tensorParallelSize = 1) {
+  if (!estimate || !estimate.kvCacheBytesPerToken || !estimate.contextLength) {
+    return null;
+  }
+  const kvCacheMiB = (claimedMiB - estimate.overheadMiB) * tensorParallelSize - estimate.weightsMiB;
+  const sequenceBytes = estimate.kvCacheBytesPerToken * estimate.contextLength;
+  return Math.max(0, Math.floor((kvCacheMiB * MIB) / sequenceBytes));
+}
+
+module.exports = {
+  RUNTIME_OVERHEAD_MIB,
+  estimateParameters,
+  kvCacheBytesPerToken,
+  estimateModelMemory,
+  addDraftModel,
+  perGpuMemory,
+  maxConcurrentSequences
+};
@@ -0,0 +1,437 @@
+// YAML for exported and imported documents: block mappings and sequences of JSON values.
+// parse reads the same subset plus comments and flow collections ([a, b], {a: 1});
+// anchors, tags, block scalars (| and >) and multi-line plain scalars are refused.
+
+const INDENT = '  ';
+
+// Plain scalars YAML would read as something other than the string
+const RESERVED_PATTERN = /^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?|[-+]?\.(inf|nan)|0x[\da-fA-F]+|0o[0-7]+)$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d\d?-\d\d?([Tt\s].*)?$/;
+const PLAIN_PATTERN = /^[^\s\-?:,[\]{}#&*!|>'"%@`][^#]*$/;
+
+/**
+ * A string as a plain scalar when it reads back as the same string, otherwise
+ * double-quoted (JSON strings are valid double-quoted YAML scalars)
+ */
+function formatString(value) {
+  const plain = PLAIN_PATTERN.test(value)
+    && !RESERVED_PATTERN.test(value)
+    && !TIMESTAMP_PATTERN.test(value)
+    && !/:(\s|$)/.test(value)
+    && !/\s$/.test(value)
+    && !/[\n\r\t]/.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'string') {
+    return formatString(value);
+  }
+  return String(value);
+}
+
+const isCollection = value => value !== null && typeof value === 'object';
+
+const isEmpty = value => (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+
+function formatLines(value, depth) {
+  const indent = INDENT.repeat(depth);
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (!isCollection(item) || isEmpty(item)) {
+        return [`${indent}- ${isCollection(item) ? (Array.isArray(item) ? '[]' : '{}') : formatScalar(item)}`];
+      }
+      // The first line of a nested collection shares the dash
+      const [first, ...rest] = formatLines(item, depth + 1);
+      return [`${indent}- ${first.trimStart()}`, ...rest];
+    });
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .flatMap(([key, item]) => {
+      const formattedKey = formatString(key);
+      if (!isCollection(item)) {
+        return [`${indent}${formattedKey}: ${formatScalar(item)}`];
+      }
+      if (isEmpty(item)) {
+        return [`${indent}${formattedKey}: ${Array.isArray(item) ? '[]' : '{}'}`];
+      }
+      return [`${indent}${formattedKey}:`, ...formatLines(item, Array.isArray(item) ? depth : depth + 1)];
+    });
+}
+
+/**
+ * Serialize a JSON value as a YAML document
+ * @param {*} value - Objects, arrays, strings, numbers, booleans and null
+ * @returns {string}
+ */
+function stringify(value) {
+  if (!isCollection(value)) {
+    return `${formatScalar(value)}\n`;
+  }
+  if (isEmpty(value)) {
+    return Array.isArray(value) ? '[]\n' : '{}\n';
+  }
+  return `${formatLines(value, 0).join('\n')}\n`;
+}
+
+const yamlError = (lineNumber, message) => new Error(`YAML line ${lineNumber}: ${message}`);
+
+// Keys that would reach or replace an object's prototype
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Mappings are built without a prototype, so no key can be inherited instead of read from the document
+function checkKey(mapping, key, lineNumber) {
+  if (FORBIDDEN_KEYS.includes(key)) {
+    throw yamlError(lineNumber, `key ${key} is not allowed`);
+  }
+  if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+    throw yamlError(lineNumber, `duplicate key ${key}`);
+  }
+  return key;
+}
+
+/**
+ * The content of a line without its comment; '#' starts a comment at the start
+ * of the content or after whitespace, outside quotes
+ */
+function stripComment(content) {
+  let quote = null;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote === '"') {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        quote = null;
+      }
+    } else if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,:-]/.test(content[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(content[i - 1]))) {
+      return content.slice(0, i).trimEnd();
+    }
+  }
+  return content.trimEnd();
+}
+
+/**
+ * Index of the ': ' (or final ':') separating a mapping key from its value, or -1
+ */
+function findKeySeparator(content) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (quote === '"' && char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && i === 0) {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ':' && depth === 0 && (i === content.length - 1 || /\s/.test(content[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const NULL_PATTERN = /^(~|null|Null|NULL)?$/;
+const BOOLEAN_PATTERN = /^(true|True|TRUE|false|False|FALSE)$/;
+const INTEGER_PATTERN = /^[-+]?(0|[1-9]\d*)$/;
+const FLOAT_PATTERN = /^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/;
+
+// The value of a plain (unquoted) scalar under the YAML 1.2 core schema
+function resolvePlain(text) {
+  if (NULL_PATTERN.test(text)) {
+    return null;
+  }
+  if (BOOLEAN_PATTERN.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (INTEGER_PATTERN.test(text) || FLOAT_PATTERN.test(text)) {
+    return Number(text);
+  }
+  if (/^0x[\da-fA-F]+$/.test(text)) {
+    return parseInt(text.slice(2), 16);
+  }
+  if (/^0o[0-7]+$/.test(text)) {
+    return parseInt(text.slice(2), 8);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) {
+    return text.startsWith('-') ? -Infinity : Infinity;
+  }
+  if (/^\.(nan|NaN|NAN)$/.test(text)) {
+    return NaN;
+  }
+  return text;
+}
+
+/**
+ * Reads flow collections and scalars from one line of text
+ */
+class FlowReader {
+  constructor(text, lineNumber) {
+    this.text = text;
+    this.position = 0;
+    this.lineNumber = lineNumber;
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.text[this.position] || '')) {
+      this.position++;
+    }
+  }
+
+  // A value ending at one of the stop characters (used inside flow collections)
+  readValue(stops) {
+    this.skipSpace();
+    const char = this.text[this.position];
+    if (char === '[') {
+      return this.readCollection('[', ']');
+    }
+    if (char === '{') {
+      return this.readCollection('{', '}');
+    }
+    if (char === '"' || char === "'") {
+      return this.readQuoted(char);
+    }
+    let end = this.position;
+    while (end < this.text.length && !stops.includes(this.text[end])
+      && !(this.text[end] === ':' && /[\s,\]}]/.test(this.text[end + 1] || ' '))) {
+      end++;
+    }
+    const plain = this.text.slice(this.position, end).trim();
+    this.position = end;
+    if (/^[&*!|>%@`]/.test(plain)) {
+      throw yamlError(this.lineNumber, `anchors, aliases, tags and block scalars are not supported (${plain})`);
+    }
+    return resolvePlain(plain);
+  }
+
+  readQuoted(quote) {
+    let end = this.position + 1;
+    while (end < this.text.length) {
+      if (quote === '"' && this.text[end] === '\\') {
+        end += 2;
+      } else if (this.text[end] === quote && quote === "'" && this.text[end + 1] === "'") {
+        end += 2;
+      } else if (this.text[end] === quote) {
+        break;
+      } else {
+        end++;
+      }
+    }
+    if (end >= this.text.length) {
+      throw yamlError(this.lineNumber, 'unterminated quoted string');
+    }
+    const raw = this.text.slice(this.position, end + 1);
+    this.position = end + 1;
+    if (quote === "'") {
+      return raw.slice(1, -1).replace(/''/g, "'");
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw yamlError(this.lineNumber, `invalid double-quoted string ${raw}`);
+    }
+  }
+
+  readCollection(open, close) {
+    const isMapping = open === '{';
+    const result = isMapping ? Object.create(null) : [];
+    this.position++;
+    this.skipSpace();
+    if (this.text[this.position] === close) {
+      this.position++;
+      return result;
+    }
+    for (;;) {
+      if (isMapping) {
+        const key = checkKey(result, String(this.readValue([',', close])), this.lineNumber);
+        this.skipSpace();
+        let value = null;
+        if (this.text[this.position] === ':') {
+          this.position++;
+          value = this.readValue([',', close]);
+        }
+        result[key] = value;
+      } else {
+        result.push(this.readValue([',', close]));
+      }
+      this.skipSpace();
+      const char = this.text[this.position];
+      this.position++;
+      if (char === close) {
+        return result;
+      }
+      if (char !== ',') {
+        throw yamlError(this.lineNumber, `expected , or ${close} in flow collection`);
+      }
+    }
+  }
+
+  // The whole text as one scalar or flow collection
+  readAll() {
+    const value = this.readValue([]);
+    this.skipSpace();
+    if (this.position < this.text.length) {
+      throw yamlError(this.lineNumber, `unexpected text after value: ${this.text.slice(this.position)}`);
+    }
+    return value;
+  }
+}
+
+const parseScalar = (text, lineNumber) => new FlowReader(text, lineNumber).readAll();
+
+const isSequenceItem = content => content === '-' || content.startsWith('- ');
+
+/**
+ * Parses indented block collections from lines of { indent, content, number }
+ */
+class BlockParser {
+  constructor(lines) {
+    this.lines = lines;
+    this.index = 0;
+  }
+
+  get current() {
+    return this.lines[this.index];
+  }
+
+  // The value of a node whose content starts on the next line, deeper than parentIndent
+  parseNested(parentIndent, { allowSequenceAtParent = false } = {}) {
+    const line = this.current;
+    if (!line) {
+      return null;
+    }
+    if (line.indent > parentIndent) {
+      return this.parseNode(line.indent);
+    }
+    // "key:" followed by "- item" lines at the key's own indentation
+    if (allowSequenceAtParent && line.indent === parentIndent && isSequenceItem(line.content)) {
+      return this.parseSequence(line.indent);
+    }
+    return null;
+  }
+
+  parseNode(indent) {
+    const line = this.current;
+    if (isSequenceItem(line.content)) {
+      return this.parseSequence(indent);
+    }
+    if (findKeySeparator(line.content) >= 0) {
+      return this.parseMapping(indent);
+    }
+    this.index++;
+    return parseScalar(line.content, line.number);
+  }
+
+  parseSequence(indent) {
+    const result = [];
+    while (this.current && this.current.indent === indent && isSequenceItem(this.current.content)) {
+      const line = this.current;
+      const rest = line.content.slice(1).trimStart();
+      if (!rest) {
+        this.index++;
+        result.push(this.parseNested(indent));
+        continue;
+      }
+      // "- key: value" starts a mapping indented to the key
+      const restIndent = indent + line.content.length - rest.length;
+      if (isSequenceItem(rest) || findKeySeparator(rest) >= 0) {
+        this.lines[this.index] = { ...line, indent: restIndent, content: rest };
+        result.push(this.parseNode(restIndent));
+        continue;
+      }
+      this.index++;
+      result.push(parseScalar(rest, line.number));
+    }
+    this.checkDedent(indent);
+    return result;
+  }
+
+  parseMapping(indent) {
+    const result = Object.create(null);
+    while (this.current && this.current.indent === indent && !isSequenceItem(this.current.content)) {
+      const line = this.current;
+      const separator = findKeySeparator(line.content);
+      if (separator < 0) {
+        throw yamlError(line.number, `expected "key: value", found ${line.content}`);
+      }
+      const key = checkKey(result, String(parseScalar(line.content.slice(0, separator).trim(), line.number)), line.number);
+      const valueText = line.content.slice(separator + 1).trim();
+      this.index++;
+      result[key] = valueText
+        ? parseScalar(valueText, line.number)
+        : this.parseNested(indent, { allowSequenceAtParent: true });
+    }
+    this.checkDedent(indent);
+    return result;
+  }
+
+  // After a collection, the next line must belong to an enclosing one
+  checkDedent(indent) {
+    if (this.current && this.current.indent > indent) {
+      throw yamlError(this.current.number, 'unexpected indentation');
+    }
+  }
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text
+ * @returns {*} The document as JSON values; null for an empty document
+ * @throws {Error} With the line number of the first problem
+ */
+function parse(text) {
+  const lines = [];
+  let documents = 0;
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const number = i + 1;
+    if (/^\s*\t/.test(raw)) {
+      throw yamlError(number, 'tabs are not allowed in indentation');
+    }
+    const content = stripComment(raw.trim());
+    if (!content) {
+      return;
+    }
+    if (content === '---' || content.startsWith('--- ')) {
+      documents++;
+      if (documents > 1 || lines.length > 0) {
+        throw yamlError(number, 'only one document per file is supported');
+      }
+      return;
+    }
+    if (content === '...') {
+      return;
+    }
+    lines.push({ indent: raw.length - raw.trimStart().length, content, number });
+  });
+
+  if (lines.length === 0) {
+    return null;
+  }
+  const parser = new BlockParser(lines);
+  const value = parser.parseNode(lines[0].indent);
+  if (parser.current) {
+    throw yamlError(parser.current.number, 'unexpected content after the document');
+  }
+  return value;
+}
+
+module.exports = { stringify, parse };